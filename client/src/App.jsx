@@ -1,7 +1,7 @@
 // App.jsx - Main application component
 
-import React from 'react';
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import React, { useEffect } from 'react';
+import { Routes, Route } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
 import Navbar from './components/Navbar';
 import Home from './pages/Home';
@@ -10,41 +10,143 @@ import CreatePost from './pages/CreatePost';
 import EditPost from './pages/EditPost';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import Sessions from './pages/Sessions';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import ModerationQueue from './pages/ModerationQueue';
+import MyPosts from './pages/MyPosts';
+import Search from './pages/Search';
+import TagPage from './pages/TagPage';
+import CategoryPage from './pages/CategoryPage';
+import CategoryManager from './pages/CategoryManager';
+import AuthorPage from './pages/AuthorPage';
+import EditProfile from './pages/EditProfile';
+import ReadingList from './pages/ReadingList';
+import Notifications from './pages/Notifications';
+import StatsDashboard from './pages/StatsDashboard';
+import PostStats from './pages/PostStats';
+import EmailVerificationBanner from './components/EmailVerificationBanner';
 import ProtectedRoute from './components/ProtectedRoute';
+import { clearInitialData } from './services/initialData';
 import './App.css';
 
+// Rendered inside a router: BrowserRouter in main.jsx, StaticRouter in entry-server.jsx
 function App() {
+  // Server-rendered data is only for the first render; navigation fetches fresh
+  useEffect(() => {
+    clearInitialData();
+  }, []);
+
   return (
     <AuthProvider>
-      <Router>
-        <div className="App">
-          <Navbar />
-          <main className="container">
-            <Routes>
-              <Route path="/" element={<Home />} />
-              <Route path="/posts/:id" element={<Post />} />
-              <Route path="/login" element={<Login />} />
-              <Route path="/register" element={<Register />} />
-              <Route
-                path="/create-post"
-                element={
-                  <ProtectedRoute>
-                    <CreatePost />
-                  </ProtectedRoute>
-                }
-              />
-              <Route
-                path="/edit-post/:id"
-                element={
-                  <ProtectedRoute>
-                    <EditPost />
-                  </ProtectedRoute>
-                }
-              />
-            </Routes>
-          </main>
-        </div>
-      </Router>
+      <div className="App">
+        <Navbar />
+        <main className="container">
+          <EmailVerificationBanner />
+          <Routes>
+            <Route path="/" element={<Home />} />
+            <Route path="/posts/:id" element={<Post />} />
+            <Route path="/search" element={<Search />} />
+            <Route path="/tags/:slug" element={<TagPage />} />
+            <Route path="/categories/:slug" element={<CategoryPage />} />
+            <Route path="/authors/:username" element={<AuthorPage />} />
+            <Route path="/login" element={<Login />} />
+            <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password/:token" element={<ResetPassword />} />
+            <Route path="/verify-email/:token" element={<VerifyEmail />} />
+            <Route
+              path="/create-post"
+              element={
+                <ProtectedRoute capability="posts:create">
+                  <CreatePost />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/my-posts"
+              element={
+                <ProtectedRoute capability="posts:create">
+                  <MyPosts />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/profile"
+              element={
+                <ProtectedRoute>
+                  <EditProfile />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/reading-list"
+              element={
+                <ProtectedRoute>
+                  <ReadingList />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/notifications"
+              element={
+                <ProtectedRoute>
+                  <Notifications />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/sessions"
+              element={
+                <ProtectedRoute>
+                  <Sessions />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/stats"
+              element={
+                <ProtectedRoute capability="posts:create">
+                  <StatsDashboard />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/stats/posts/:id"
+              element={
+                <ProtectedRoute>
+                  <PostStats />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/moderation"
+              element={
+                <ProtectedRoute capability="comments:moderate">
+                  <ModerationQueue />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/categories"
+              element={
+                <ProtectedRoute capability="categories:update">
+                  <CategoryManager />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/edit-post/:id"
+              element={
+                <ProtectedRoute>
+                  <EditPost />
+                </ProtectedRoute>
+              }
+            />
+          </Routes>
+        </main>
+      </div>
     </AuthProvider>
   );
 }
@@ -0,0 +1,17 @@
+// AuthorLink.jsx - An author's name (and optionally avatar) linking to their author page
+import React from 'react';
+import { Link } from 'react-router-dom';
+import Avatar from './Avatar';
+
+const AuthorLink = ({ author, showAvatar = false }) => {
+  if (!author?.username) return <span>Unknown author</span>;
+
+  return (
+    <Link to={`/authors/${encodeURIComponent(author.username)}`} className="author-link">
+      {showAvatar && <Avatar user={author} />}
+      {author.displayName || author.username}
+    </Link>
+  );
+};
+
+export default AuthorLink;
@@ -0,0 +1,32 @@
+// Avatar.jsx - A user's avatar, or their initial when they haven't uploaded one
+import React from 'react';
+import { userService } from '../services/api';
+
+const PIXELS = { small: 32, large: 128 };
+
+const Avatar = ({ user, size = 'small' }) => {
+  const pixels = PIXELS[size];
+  const name = user?.displayName || user?.username || '?';
+  const src = userService.getAvatarUrl(user, { size });
+
+  if (!src) {
+    return (
+      <span
+        className="avatar avatar-initial"
+        style={{ width: pixels, height: pixels, fontSize: pixels / 2 }}
+        aria-hidden="true"
+      >
+        {name.charAt(0).toUpperCase()}
+      </span>
+    );
+  }
+
+  return (
+    <picture>
+      <source type="image/webp" srcSet={userService.getAvatarUrl(user, { size, format: 'webp' })} />
+      <img src={src} alt={name} width={pixels} height={pixels} className="avatar" loading="lazy" />
+    </picture>
+  );
+};
+
+export default Avatar;
@@ -0,0 +1,111 @@
+// AvatarCropper.jsx - Pick the square part of an image to use as an avatar
+import React, { useRef, useState } from 'react';
+
+// Keep a square crop inside the image, in whole pixels
+const clamp = (crop, natural) => {
+  const size = Math.round(Math.min(crop.size, natural.width, natural.height));
+  return {
+    size,
+    left: Math.round(Math.min(Math.max(crop.left, 0), natural.width - size)),
+    top: Math.round(Math.min(Math.max(crop.top, 0), natural.height - size)),
+  };
+};
+
+// src is the image to crop; onChange gets { left, top, width, height } in image pixels
+const AvatarCropper = ({ src, onChange }) => {
+  const imageRef = useRef(null);
+  const dragRef = useRef(null);
+  const [natural, setNatural] = useState(null);
+  const [crop, setCrop] = useState(null);
+
+  const update = (next, dimensions = natural) => {
+    const clamped = clamp(next, dimensions);
+    setCrop(clamped);
+    onChange({ left: clamped.left, top: clamped.top, width: clamped.size, height: clamped.size });
+  };
+
+  // Start with the largest centred square
+  const handleLoad = (e) => {
+    const dimensions = { width: e.target.naturalWidth, height: e.target.naturalHeight };
+    const size = Math.min(dimensions.width, dimensions.height);
+    setNatural(dimensions);
+    update({
+      size,
+      left: (dimensions.width - size) / 2,
+      top: (dimensions.height - size) / 2,
+    }, dimensions);
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, crop };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    // Pointer movement is in screen pixels; the crop is in image pixels
+    const scale = natural.width / imageRef.current.clientWidth;
+    update({
+      ...drag.crop,
+      left: drag.crop.left + (e.clientX - drag.x) * scale,
+      top: drag.crop.top + (e.clientY - drag.y) * scale,
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  // Resize around the current centre
+  const handleSizeChange = (e) => {
+    const size = Number(e.target.value);
+    update({
+      size,
+      left: crop.left + (crop.size - size) / 2,
+      top: crop.top + (crop.size - size) / 2,
+    });
+  };
+
+  const percent = (value, total) => `${(value / total) * 100}%`;
+  const smallestSide = natural ? Math.min(natural.width, natural.height) : 0;
+
+  return (
+    <div className="avatar-cropper">
+      <div className="avatar-cropper-stage">
+        <img ref={imageRef} src={src} alt="Avatar to crop" onLoad={handleLoad} draggable="false" />
+        {crop && (
+          <div
+            className="avatar-cropper-box"
+            style={{
+              left: percent(crop.left, natural.width),
+              top: percent(crop.top, natural.height),
+              width: percent(crop.size, natural.width),
+              height: percent(crop.size, natural.height),
+            }}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+          />
+        )}
+      </div>
+      {crop && (
+        <label className="avatar-cropper-zoom">
+          Zoom
+          <input
+            type="range"
+            min={Math.max(Math.round(smallestSide / 10), 1)}
+            max={smallestSide}
+            value={crop.size}
+            onChange={handleSizeChange}
+            style={{ direction: 'rtl' }}
+          />
+        </label>
+      )}
+      <small style={{ color: 'var(--text-light)' }}>Drag the circle to choose what shows in your avatar.</small>
+    </div>
+  );
+};
+
+export default AvatarCropper;
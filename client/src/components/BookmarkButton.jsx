@@ -0,0 +1,46 @@
+// BookmarkButton.jsx - Save a post to (or remove it from) the reading list
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { bookmarkService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const BookmarkButton = ({ post }) => {
+  const { isAuthenticated } = useAuth();
+  const [bookmarked, setBookmarked] = useState(!!post.bookmarked);
+  const [saving, setSaving] = useState(false);
+
+  if (!isAuthenticated) return null;
+
+  const toggle = async () => {
+    setSaving(true);
+    try {
+      if (bookmarked) {
+        await bookmarkService.removeBookmark(post._id);
+      } else {
+        await bookmarkService.addBookmark(post._id);
+      }
+      setBookmarked(!bookmarked);
+    } catch (err) {
+      alert('Failed to update bookmark: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <span className="bookmark-button">
+      <button
+        type="button"
+        className={`reaction-button${bookmarked ? ' active' : ''}`}
+        onClick={toggle}
+        disabled={saving}
+        aria-pressed={bookmarked}
+      >
+        {bookmarked ? '🔖 Saved' : '🔖 Save'}
+      </button>
+      {bookmarked && <Link to="/reading-list">Reading list</Link>}
+    </span>
+  );
+};
+
+export default BookmarkButton;
@@ -0,0 +1,48 @@
+// CategoryOptions.jsx - <option>s for a category <select>, subcategories indented under their parents
+import React from 'react';
+
+// Depth-first order with each category's nesting level
+const flattenTree = (categories) => {
+  const byParent = new Map();
+  categories.forEach(category => {
+    const key = category.parent || null;
+    byParent.set(key, [...(byParent.get(key) || []), category]);
+  });
+
+  const ordered = [];
+  const visit = (parentId, depth) => {
+    (byParent.get(parentId) || []).forEach(category => {
+      ordered.push({ category, depth });
+      visit(category._id, depth + 1);
+    });
+  };
+  visit(null, 0);
+
+  // Categories whose parent isn't in the list still get shown, at the top level
+  const shown = new Set(ordered.map(({ category }) => category._id));
+  categories.filter(category => !shown.has(category._id)).forEach(category => ordered.push({ category, depth: 0 }));
+  return ordered;
+};
+
+// exclude: id of a category to leave out together with its subcategories
+const CategoryOptions = ({ categories, exclude = null }) => {
+  let skipBelow = null;
+
+  return flattenTree(categories).map(({ category, depth }) => {
+    if (skipBelow !== null && depth > skipBelow) return null;
+    skipBelow = null;
+    if (category._id === exclude) {
+      skipBelow = depth;
+      return null;
+    }
+
+    return (
+      <option key={category._id} value={category._id}>
+        {/* Leading spaces in <option> collapse, non-breaking ones don't */}
+        {`${'\u00a0\u00a0'.repeat(depth)}${depth ? '\u2514 ' : ''}${category.name}`}
+      </option>
+    );
+  });
+};
+
+export default CategoryOptions;
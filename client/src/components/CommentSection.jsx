@@ -0,0 +1,212 @@
+// CommentSection.jsx - Threaded comments for a post
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import useCan from '../hooks/useCan';
+import { useAuth } from '../context/AuthContext';
+import { commentService } from '../services/api';
+import useRealtime from '../hooks/useRealtime';
+import CommentThread, { CommentForm } from './CommentThread';
+
+// Apply fn to the comment with the given id anywhere in the tree.
+// fn returns the updated comment, or null to remove it.
+const updateTree = (comments, id, fn) => comments.flatMap((comment) => {
+  if (comment._id === id) {
+    const updated = fn(comment);
+    return updated ? [updated] : [];
+  }
+  return [{ ...comment, replies: updateTree(comment.replies || [], id, fn) }];
+});
+
+const containsComment = (comments, id) => comments.some(
+  (comment) => comment._id === id || containsComment(comment.replies || [], id)
+);
+
+// Add a new comment to the tree: replies go under their parent (when it is
+// loaded), top-level comments first. A comment that is already there (ours,
+// arriving both in the response and as a live update) is only refreshed.
+const insertComment = (comments, added) => {
+  if (containsComment(comments, added._id)) {
+    return updateTree(comments, added._id, (comment) => ({ ...comment, ...added, replies: comment.replies }));
+  }
+  if (added.parentId) {
+    return updateTree(comments, added.parentId, (comment) => ({
+      ...comment,
+      replies: [...(comment.replies || []), added],
+    }));
+  }
+  return [added, ...comments];
+};
+
+const CommentSection = ({ postId, initialCount = 0 }) => {
+  const can = useCan();
+  const { isAuthenticated } = useAuth();
+  const [threads, setThreads] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [commentCount, setCommentCount] = useState(initialCount);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadPage = useCallback(async (page) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await commentService.getComments(postId, page);
+      setThreads((current) => (page === 1 ? response.data : [...current, ...response.data]));
+      setPagination(response.pagination);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [postId]);
+
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage]);
+
+  // Other readers' comments, edits and deletions as they happen
+  useRealtime(`post:${postId}`, {
+    'comment.created': ({ data, commentCount: count }) => {
+      setThreads((current) => insertComment(current, data));
+      setCommentCount(count);
+    },
+    'comment.updated': ({ data }) => {
+      setThreads((current) => updateTree(current, data._id, (comment) => ({
+        ...comment,
+        content: data.content,
+        editedAt: data.editedAt,
+      })));
+    },
+    'comment.deleted': ({ data, commentCount: count }) => {
+      setThreads((current) => (data.softDeleted
+        ? updateTree(current, data.commentId, (comment) => (
+          { ...comment, content: '', user: null, deletedAt: comment.deletedAt || new Date().toISOString() }
+        ))
+        : data.removedIds.reduce((tree, id) => updateTree(tree, id, () => null), current)));
+      setCommentCount(count);
+    },
+  });
+
+  const showError = (action, err) => {
+    console.error(`Failed to ${action}:`, err);
+    alert(`Failed to ${action}: ` + (err.response?.data?.error || err.message));
+  };
+
+  const notifyIfPending = (comment) => {
+    if (comment.status === 'pending') {
+      alert('Thanks! Your comment will appear once a moderator approves it.');
+    }
+  };
+
+  const handleAdd = async (content) => {
+    try {
+      const response = await commentService.addComment(postId, { content });
+      setThreads((current) => insertComment(current, response.data));
+      setCommentCount(response.commentCount);
+      notifyIfPending(response.data);
+    } catch (err) {
+      showError('add comment', err);
+      throw err;
+    }
+  };
+
+  const handleReply = async (parent, content) => {
+    try {
+      const response = await commentService.addComment(postId, { content, parentId: parent._id });
+      setThreads((current) => insertComment(current, response.data));
+      setCommentCount(response.commentCount);
+      notifyIfPending(response.data);
+    } catch (err) {
+      showError('reply', err);
+      throw err;
+    }
+  };
+
+  const handleUpdate = async (target, content) => {
+    try {
+      const response = await commentService.updateComment(postId, target._id, { content });
+      setThreads((current) => updateTree(current, target._id, (comment) => ({
+        ...comment,
+        content: response.data.content,
+        editedAt: response.data.editedAt,
+      })));
+    } catch (err) {
+      showError('edit comment', err);
+      throw err;
+    }
+  };
+
+  const handleDelete = async (target) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      const response = await commentService.deleteComment(postId, target._id);
+      // Comments with replies stay in the thread as [deleted]
+      setThreads((current) => updateTree(current, target._id, (comment) => (
+        response.data.softDeleted
+          ? { ...comment, content: '', user: null, deletedAt: new Date().toISOString() }
+          : null
+      )));
+      setCommentCount(response.commentCount);
+    } catch (err) {
+      showError('delete comment', err);
+    }
+  };
+
+  const handleModerate = async (target, status) => {
+    try {
+      const response = await commentService.setCommentStatus(postId, target._id, status);
+      setThreads((current) => updateTree(current, target._id, (comment) => ({
+        ...comment,
+        status: response.data.status,
+      })));
+      setCommentCount(response.commentCount);
+    } catch (err) {
+      showError('moderate comment', err);
+    }
+  };
+
+  return (
+    <section className="card" style={{ marginTop: '2rem' }}>
+      <h3>Comments ({commentCount})</h3>
+
+      {/* Add Comment Form */}
+      {can('comments:create') ? (
+        <CommentForm submitLabel="Add Comment" placeholder="Add a comment..." onSubmit={handleAdd} />
+      ) : !isAuthenticated && (
+        <p>
+          <Link to="/login">Log in</Link> to join the discussion.
+        </p>
+      )}
+
+      {error && <div className="error">Error: {error}</div>}
+
+      {/* Comment Threads */}
+      {threads.map((comment) => (
+        <div key={comment._id} style={{ borderBottom: '1px solid #eee', paddingBottom: '1rem' }}>
+          <CommentThread
+            comment={comment}
+            onReply={handleReply}
+            onUpdate={handleUpdate}
+            onDelete={handleDelete}
+            onModerate={handleModerate}
+          />
+        </div>
+      ))}
+
+      {loading && <div className="loading">Loading comments...</div>}
+
+      {!loading && !error && threads.length === 0 && (
+        <p>No comments yet. Be the first to comment!</p>
+      )}
+
+      {!loading && pagination && pagination.page < pagination.pages && (
+        <button className="btn btn-primary" style={{ marginTop: '1rem' }} onClick={() => loadPage(pagination.page + 1)}>
+          Load more comments
+        </button>
+      )}
+    </section>
+  );
+};
+
+export default CommentSection;
@@ -0,0 +1,159 @@
+// CommentThread.jsx - A comment with its nested replies
+import React, { useState } from 'react';
+import useCan from '../hooks/useCan';
+import AuthorLink from './AuthorLink';
+
+// Replies can't go deeper than this (matches MAX_DEPTH in server/models/Comment.js)
+const MAX_DEPTH = 4;
+
+// Textarea + submit button used for new comments, replies and edits
+export const CommentForm = ({ initialValue = '', submitLabel, placeholder, onSubmit, onCancel }) => {
+  const [content, setContent] = useState(initialValue);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+
+    setSubmitting(true);
+    try {
+      await onSubmit(content);
+      setContent('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ margin: '0.5rem 0 1rem' }}>
+      <div className="form-group">
+        <textarea
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          placeholder={placeholder}
+          className="form-control"
+          rows="3"
+          maxLength={2000}
+          required
+        />
+      </div>
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <button type="submit" className="btn btn-primary" disabled={submitting}>
+          {submitting ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const CommentThread = ({ comment, onReply, onUpdate, onDelete, onModerate }) => {
+  const can = useCan();
+  const [mode, setMode] = useState(null); // 'reply' | 'edit' | null
+
+  const deleted = !!comment.deletedAt;
+  const actionStyle = { fontSize: '0.8rem', padding: '0.25rem 0.75rem' };
+
+  const handleReply = async (content) => {
+    await onReply(comment, content);
+    setMode(null);
+  };
+
+  const handleEdit = async (content) => {
+    await onUpdate(comment, content);
+    setMode(null);
+  };
+
+  return (
+    <div style={{
+      padding: '1rem 0 0 1rem',
+      borderLeft: comment.depth > 0 ? '2px solid #eee' : 'none',
+      marginLeft: comment.depth > 0 ? '0.5rem' : 0,
+    }}>
+      {deleted ? (
+        <div style={{ color: '#999', fontStyle: 'italic' }}>[deleted]</div>
+      ) : (
+        <>
+          <div style={{ fontWeight: 'bold', marginBottom: '0.5rem' }}>
+            {comment.user ? <AuthorLink author={comment.user} showAvatar /> : 'Anonymous'}
+            {comment.status !== 'approved' && (
+              <span style={{ color: '#f57c00', fontWeight: 'normal', fontSize: '0.8rem' }}>
+                {' '}({comment.status === 'spam' ? 'marked as spam' : 'awaiting moderation'})
+              </span>
+            )}
+          </div>
+
+          {mode === 'edit' ? (
+            <CommentForm
+              initialValue={comment.content}
+              submitLabel="Save"
+              onSubmit={handleEdit}
+              onCancel={() => setMode(null)}
+            />
+          ) : (
+            <div style={{ whiteSpace: 'pre-wrap' }}>{comment.content}</div>
+          )}
+
+          <div style={{ fontSize: '0.8rem', color: '#666', marginTop: '0.5rem' }}>
+            {new Date(comment.createdAt).toLocaleString()}
+            {comment.editedAt && ' (edited)'}
+          </div>
+
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+            {can('comments:create') && comment.depth < MAX_DEPTH && (
+              <button className="btn" style={actionStyle} onClick={() => setMode(mode === 'reply' ? null : 'reply')}>
+                Reply
+              </button>
+            )}
+            {can('comments:update', comment) && (
+              <button className="btn" style={actionStyle} onClick={() => setMode(mode === 'edit' ? null : 'edit')}>
+                Edit
+              </button>
+            )}
+            {can('comments:delete', comment) && (
+              <button className="btn btn-danger" style={actionStyle} onClick={() => onDelete(comment)}>
+                Delete
+              </button>
+            )}
+            {can('comments:moderate') && comment.status !== 'approved' && (
+              <button className="btn btn-primary" style={actionStyle} onClick={() => onModerate(comment, 'approved')}>
+                Approve
+              </button>
+            )}
+            {can('comments:moderate') && comment.status !== 'spam' && (
+              <button className="btn btn-danger" style={actionStyle} onClick={() => onModerate(comment, 'spam')}>
+                Spam
+              </button>
+            )}
+          </div>
+
+          {mode === 'reply' && (
+            <CommentForm
+              submitLabel="Reply"
+              placeholder={`Reply to ${comment.user?.displayName || comment.user?.username || 'comment'}...`}
+              onSubmit={handleReply}
+              onCancel={() => setMode(null)}
+            />
+          )}
+        </>
+      )}
+
+      {comment.replies?.map((reply) => (
+        <CommentThread
+          key={reply._id}
+          comment={reply}
+          onReply={onReply}
+          onUpdate={onUpdate}
+          onDelete={onDelete}
+          onModerate={onModerate}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,42 @@
+// EmailVerificationBanner.jsx - Reminds signed-in users to verify their email
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/api';
+
+const EmailVerificationBanner = () => {
+  const { user } = useAuth();
+  const [sent, setSent] = useState(false);
+
+  // Older stored users have no flag at all; only nag when it is explicitly false
+  if (!user || user.isEmailVerified !== false) return null;
+
+  const handleResend = async () => {
+    try {
+      await authService.resendVerification();
+      setSent(true);
+    } catch (err) {
+      alert('Failed to send verification email: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  return (
+    <div style={{
+      backgroundColor: '#fff8e1',
+      padding: '1rem',
+      borderRadius: '8px',
+      marginBottom: '1rem',
+      border: '1px solid #ffb300'
+    }}>
+      📧 Please verify your email address ({user.email}).{' '}
+      {sent ? (
+        <strong>Verification email sent!</strong>
+      ) : (
+        <button onClick={handleResend} className="btn" style={{ fontSize: '0.9rem', padding: '0.25rem 0.75rem' }}>
+          Resend email
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,22 @@
+// FeedLinks.jsx - Subscribe links for feed readers, also announced in the page <head>
+import React from 'react';
+import { syndicationService } from '../services/api';
+
+// scope and slug narrow the feed down, e.g. scope="tags" slug={tag.slug}; title
+// names the feed in the browser's and feed readers' subscribe menus
+const FeedLinks = ({ scope = null, slug = null, title = 'MERN Blog' }) => {
+  const urls = syndicationService.getFeedUrls(scope, slug);
+
+  return (
+    <span className="feed-links">
+      {/* React hoists these into <head>, where browsers and readers discover feeds */}
+      <link rel="alternate" type="application/rss+xml" title={`${title} (RSS)`} href={urls.rss} />
+      <link rel="alternate" type="application/atom+xml" title={`${title} (Atom)`} href={urls.atom} />
+      <link rel="alternate" type="application/feed+json" title={`${title} (JSON Feed)`} href={urls.json} />
+      📰 Subscribe:{' '}
+      <a href={urls.rss}>RSS</a> · <a href={urls.atom}>Atom</a> · <a href={urls.json}>JSON Feed</a>
+    </span>
+  );
+};
+
+export default FeedLinks;
@@ -0,0 +1,70 @@
+// FollowButton.jsx - Follow or unfollow an author, category or tag, with its follower count
+import React, { useEffect, useState } from 'react';
+import { followService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+// type is 'user', 'category' or 'tag'; onChange gets the new follower count.
+// Pass showCount={false} when the page shows the count itself.
+const FollowButton = ({ type, id, onChange, showCount = true }) => {
+  const { user, isAuthenticated, loading: authLoading } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (authLoading) return undefined;
+
+    let cancelled = false;
+    followService.getStatus(type, id)
+      .then((response) => {
+        if (!cancelled) setStatus(response.data);
+      })
+      .catch((err) => console.error('Failed to load follow status:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [type, id, authLoading, isAuthenticated]);
+
+  if (!status) return null;
+
+  const count = showCount && (
+    <span className="follow-count">
+      {status.followerCount} follower{status.followerCount === 1 ? '' : 's'}
+    </span>
+  );
+
+  // Nothing to toggle when signed out, or on your own author page
+  if (!isAuthenticated || (type === 'user' && String(user?.id) === String(id))) {
+    return count || null;
+  }
+
+  const toggle = async () => {
+    setSaving(true);
+    try {
+      const response = await followService.setFollowing(type, id, !status.following);
+      setStatus(response.data);
+      onChange?.(response.data.followerCount);
+    } catch (err) {
+      alert('Failed to update follow: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <span className="follow-button">
+      <button
+        type="button"
+        className={`btn ${status.following ? '' : 'btn-primary'}`}
+        onClick={toggle}
+        disabled={saving}
+        aria-pressed={status.following}
+      >
+        {status.following ? '✓ Following' : '➕ Follow'}
+      </button>
+      {count}
+    </span>
+  );
+};
+
+export default FollowButton;
@@ -95,6 +95,9 @@ const ImageUpload = ({ onImageSelect, currentImage, onRemoveImage }) => {
                   <p style={{ fontSize: '0.8rem', color: '#6c757d', marginTop: '0.5rem' }}>
                     Supports: JPEG, JPG, PNG, GIF, WEBP (Max: 5MB)
                   </p>
+                  <p style={{ fontSize: '0.8rem', color: '#6c757d' }}>
+                    Images are resized automatically and location/camera metadata is removed
+                  </p>
                 </div>
               )}
             </div>
@@ -0,0 +1,155 @@
+// MarkdownEditor.jsx - Markdown textarea with a formatting toolbar and live preview
+import React, { useEffect, useRef, useState } from 'react';
+import { postService } from '../services/api';
+
+// How long typing has to pause before the preview is re-rendered
+const PREVIEW_DELAY = 400;
+
+// wrap: surround the selection; prefix: start each selected line; block: own lines
+const TOOLBAR = [
+  { label: 'B', title: 'Bold', wrap: ['**', '**'], placeholder: 'bold text', style: { fontWeight: 'bold' } },
+  { label: 'I', title: 'Italic', wrap: ['_', '_'], placeholder: 'italic text', style: { fontStyle: 'italic' } },
+  { label: 'H2', title: 'Heading', prefix: '## ', placeholder: 'Heading' },
+  { label: 'H3', title: 'Subheading', prefix: '### ', placeholder: 'Subheading' },
+  { label: '🔗', title: 'Link', wrap: ['[', '](https://)'], placeholder: 'link text' },
+  { label: '🖼️', title: 'Image', wrap: ['![', '](https://)'], placeholder: 'alt text' },
+  { label: '`', title: 'Inline code', wrap: ['`', '`'], placeholder: 'code' },
+  { label: '{ }', title: 'Code block', block: ['```js\n', '\n```'], placeholder: 'code' },
+  { label: '•', title: 'Bulleted list', prefix: '- ', placeholder: 'List item' },
+  { label: '1.', title: 'Numbered list', prefix: '1. ', placeholder: 'List item' },
+  { label: '❝', title: 'Quote', prefix: '> ', placeholder: 'Quote' },
+];
+
+const MarkdownEditor = ({ name, value, onChange, rows = 16, required = false, placeholder }) => {
+  const textareaRef = useRef(null);
+  const [showPreview, setShowPreview] = useState(true);
+  const [preview, setPreview] = useState({ contentHtml: '', toc: [] });
+  const [previewError, setPreviewError] = useState(null);
+
+  // Render with the server so the preview matches the published post exactly
+  useEffect(() => {
+    if (!showPreview) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await postService.previewMarkdown(value);
+        if (!cancelled) {
+          setPreview(response.data);
+          setPreviewError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setPreviewError(err.response?.data?.error || err.message);
+        }
+      }
+    }, PREVIEW_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value, showPreview]);
+
+  const emitChange = (nextValue, selectionStart, selectionEnd) => {
+    onChange({ target: { name, value: nextValue } });
+    // Restore the selection once React has re-rendered the textarea
+    requestAnimationFrame(() => {
+      const textarea = textareaRef.current;
+      if (!textarea) return;
+      textarea.focus();
+      textarea.setSelectionRange(selectionStart, selectionEnd);
+    });
+  };
+
+  const applyFormat = (action) => {
+    const textarea = textareaRef.current;
+    const start = textarea.selectionStart;
+    const end = textarea.selectionEnd;
+    const selected = value.slice(start, end) || action.placeholder;
+    const before = value.slice(0, start);
+    const after = value.slice(end);
+
+    if (action.wrap) {
+      const [open, close] = action.wrap;
+      const nextValue = `${before}${open}${selected}${close}${after}`;
+      emitChange(nextValue, start + open.length, start + open.length + selected.length);
+      return;
+    }
+
+    // Line-based formats start on a new line
+    const lead = before && !before.endsWith('\n') ? '\n' : '';
+
+    if (action.block) {
+      const [open, close] = action.block;
+      const nextValue = `${before}${lead}${open}${selected}${close}\n${after}`;
+      const selectionStart = start + lead.length + open.length;
+      emitChange(nextValue, selectionStart, selectionStart + selected.length);
+      return;
+    }
+
+    const lines = selected
+      .split('\n')
+      .map((line, index) => `${action.prefix === '1. ' ? `${index + 1}. ` : action.prefix}${line}`)
+      .join('\n');
+    const nextValue = `${before}${lead}${lines}${after}`;
+    emitChange(nextValue, start + lead.length, start + lead.length + lines.length);
+  };
+
+  return (
+    <div className="markdown-editor">
+      <div className="markdown-toolbar">
+        {TOOLBAR.map((action) => (
+          <button
+            key={action.title}
+            type="button"
+            title={action.title}
+            onClick={() => applyFormat(action)}
+            style={action.style}
+          >
+            {action.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => setShowPreview(!showPreview)}
+          style={{ marginLeft: 'auto' }}
+        >
+          {showPreview ? 'Hide preview' : 'Show preview'}
+        </button>
+      </div>
+
+      <div className={showPreview ? 'markdown-panes split' : 'markdown-panes'}>
+        <textarea
+          ref={textareaRef}
+          name={name}
+          value={value}
+          onChange={onChange}
+          className="form-control"
+          rows={rows}
+          required={required}
+          placeholder={placeholder}
+          style={{ fontFamily: 'monospace' }}
+        />
+
+        {showPreview && (
+          <div className="markdown-preview">
+            {previewError ? (
+              <div className="error">Preview unavailable: {previewError}</div>
+            ) : preview.contentHtml ? (
+              <div className="markdown-body" dangerouslySetInnerHTML={{ __html: preview.contentHtml }} />
+            ) : (
+              <p style={{ color: '#999' }}>Nothing to preview yet.</p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <small style={{ color: '#666' }}>
+        Markdown supported: headings, **bold**, _italic_, [links](https://), lists, &gt; quotes and ```code blocks```.
+      </small>
+    </div>
+  );
+};
+
+export default MarkdownEditor;
@@ -2,13 +2,20 @@
 import React from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import useCan from '../hooks/useCan';
+import NotificationBell from './NotificationBell';
 
 const Navbar = () => {
-  const { user, logout, isAuthenticated } = useAuth();
+  const { logout, isAuthenticated, user } = useAuth();
+  const can = useCan();
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (error) {
+      console.error('Failed to end session on the server:', error);
+    }
     navigate('/');
   };
 
@@ -22,10 +29,45 @@ const Navbar = () => {
           <li>
             <Link to="/">Home</Link>
           </li>
+          <li>
+            <Link to="/search">Search</Link>
+          </li>
           {isAuthenticated ? (
             <>
+              {can('posts:create') && (
+                <>
+                  <li>
+                    <Link to="/create-post">Create Post</Link>
+                  </li>
+                  <li>
+                    <Link to="/my-posts">My Posts</Link>
+                  </li>
+                  <li>
+                    <Link to="/stats">Stats</Link>
+                  </li>
+                </>
+              )}
+              {can('categories:update') && (
+                <li>
+                  <Link to="/admin/categories">Categories</Link>
+                </li>
+              )}
+              {can('comments:moderate') && (
+                <li>
+                  <Link to="/moderation">Moderation</Link>
+                </li>
+              )}
+              <li>
+                <Link to="/reading-list">Reading List</Link>
+              </li>
+              <li>
+                <Link to={`/authors/${encodeURIComponent(user.username)}`}>Profile</Link>
+              </li>
+              <li>
+                <Link to="/sessions">Devices</Link>
+              </li>
               <li>
-                <Link to="/create-post">Create Post</Link>
+                <NotificationBell />
               </li>
 
               <li>
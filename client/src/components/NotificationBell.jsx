@@ -0,0 +1,150 @@
+// NotificationBell.jsx - Navbar bell with an unread badge and a dropdown of recent notifications
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { notificationService, NOTIFICATIONS_CHANGED_EVENT } from '../services/api';
+import useRealtime from '../hooks/useRealtime';
+import NotificationMessage from './NotificationMessage';
+
+const RECENT_COUNT = 5;
+// New notifications arrive over the live connection; polling only catches up
+// after the connection was down
+const POLL_INTERVAL_MS = 5 * 60 * 1000;
+
+const NotificationBell = () => {
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [recent, setRecent] = useState(null);
+  const containerRef = useRef(null);
+
+  const refreshCount = useCallback(async () => {
+    try {
+      const result = await notificationService.getUnreadCount();
+      setUnreadCount(result.data.count);
+    } catch (err) {
+      console.error('Failed to load unread notifications:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshCount();
+    const timer = setInterval(refreshCount, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [refreshCount]);
+
+  useRealtime(null, {
+    notifications: ({ data }) => setUnreadCount(data.unreadCount),
+  });
+
+  // Stay in step with notifications read elsewhere (e.g. the notifications page)
+  useEffect(() => {
+    const handleChange = (e) => setUnreadCount(e.detail.unreadCount);
+    window.addEventListener(NOTIFICATIONS_CHANGED_EVENT, handleChange);
+    return () => window.removeEventListener(NOTIFICATIONS_CHANGED_EVENT, handleChange);
+  }, []);
+
+  // Load the latest notifications whenever the dropdown opens
+  useEffect(() => {
+    if (!open) return undefined;
+
+    let cancelled = false;
+    setRecent(null);
+    notificationService.getNotifications({ limit: RECENT_COUNT })
+      .then((result) => {
+        if (cancelled) return;
+        setRecent(result.data);
+        setUnreadCount(result.unreadCount);
+      })
+      .catch((err) => console.error('Failed to load notifications:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (e) => {
+      if (!containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const markRead = async (notification) => {
+    if (notification.readAt) return;
+    try {
+      await notificationService.markRead(notification._id);
+      setRecent(current => current?.map(item => (
+        item._id === notification._id ? { ...item, readAt: new Date().toISOString() } : item
+      )));
+    } catch (err) {
+      console.error('Failed to mark notification as read:', err);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await notificationService.markAllRead();
+      setRecent(current => current?.map(item => ({ ...item, readAt: item.readAt || new Date().toISOString() })));
+    } catch (err) {
+      alert('Failed to mark notifications as read: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        type="button"
+        className="notification-bell-button"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        aria-label={`Notifications${unreadCount ? ` (${unreadCount} unread)` : ''}`}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="notification-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {open && (
+        <div className="notification-dropdown">
+          <div className="notification-dropdown-header">
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button type="button" className="link-button" onClick={markAllRead}>Mark all read</button>
+            )}
+          </div>
+          {!recent ? (
+            <p className="notification-empty">Loading...</p>
+          ) : recent.length === 0 ? (
+            <p className="notification-empty">You're all caught up.</p>
+          ) : (
+            <ul className="notification-list">
+              {recent.map(notification => (
+                <li
+                  key={notification._id}
+                  className={notification.readAt ? '' : 'unread'}
+                  onClick={(e) => {
+                    markRead(notification);
+                    // Following a link inside leaves the page behind the dropdown
+                    if (e.target.closest('a')) setOpen(false);
+                  }}
+                >
+                  <NotificationMessage notification={notification} />
+                  <small>{new Date(notification.createdAt).toLocaleString()}</small>
+                </li>
+              ))}
+            </ul>
+          )}
+          <Link to="/notifications" className="notification-dropdown-footer" onClick={() => setOpen(false)}>
+            See all notifications
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
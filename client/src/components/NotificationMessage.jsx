@@ -0,0 +1,50 @@
+// NotificationMessage.jsx - What a notification says, with links to the people and post involved
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import AuthorLink from './AuthorLink';
+
+const PostLink = ({ post }) => (
+  post
+    ? <Link to={`/posts/${post.slug}`}>{post.title}</Link>
+    : <em>a post that is no longer available</em>
+);
+
+const NotificationMessage = ({ notification }) => {
+  const { user } = useAuth();
+  const { type, actor, post, comment } = notification;
+  const who = actor ? <AuthorLink author={actor} /> : 'Someone';
+
+  switch (type) {
+    case 'comment':
+      return (
+        <span>
+          {who} commented on <PostLink post={post} />
+          {comment?.content && <q className="notification-quote">{comment.content}</q>}
+        </span>
+      );
+    case 'reply':
+      return (
+        <span>
+          {who} replied to your comment on <PostLink post={post} />
+          {comment?.content && <q className="notification-quote">{comment.content}</q>}
+        </span>
+      );
+    case 'follow':
+      return <span>{who} started following you</span>;
+    case 'post_published':
+      // Your own post (published by an editor or the scheduler), or one from an author you follow
+      if (post && String(post.author) === String(user?.id)) {
+        return (
+          <span>
+            Your post <PostLink post={post} /> was published{actor && <> by <AuthorLink author={actor} /></>}
+          </span>
+        );
+      }
+      return <span>{who} published <PostLink post={post} /></span>;
+    default:
+      return <span>New activity</span>;
+  }
+};
+
+export default NotificationMessage;
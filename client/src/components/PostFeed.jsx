@@ -0,0 +1,120 @@
+// PostFeed.jsx - Published posts matching a filter (or the signed-in user's
+// following feed), with "Load more" cursor paging
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { postService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { getInitialData, feedKey } from '../services/initialData';
+import AuthorLink from './AuthorLink';
+import ReactionBar from './ReactionBar';
+import BookmarkButton from './BookmarkButton';
+
+const PAGE_SIZE = 10;
+
+// Where posts come from: GET /api/posts with the filters, or GET /api/feed
+const SOURCES = {
+  posts: postService.getAllPosts,
+  following: postService.getFeed,
+};
+
+// filters are passed to GET /api/posts, e.g. { tag: 'react' } or { category: id }
+const PostFeed = ({ filters = {}, source = 'posts', emptyMessage = 'There are no published posts here you can see.' }) => {
+  const { isAuthenticated, loading: authLoading } = useAuth();
+  // Server-rendered pages start from the first page they were rendered with
+  const [posts, setPosts] = useState(() => getInitialData(feedKey(source, filters))?.data || []);
+  const [pagination, setPagination] = useState(() => getInitialData(feedKey(source, filters))?.pagination || null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Refetch when the filters change; compare by value so callers can pass a literal
+  const filtersKey = JSON.stringify(filters);
+
+  useEffect(() => {
+    if (authLoading) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    SOURCES[source]({ ...JSON.parse(filtersKey), limit: PAGE_SIZE })
+      .then((response) => {
+        if (cancelled) return;
+        setPosts(response.data);
+        setPagination(response.pagination);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.error || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [source, filtersKey, authLoading, isAuthenticated]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const response = await SOURCES[source]({
+        ...filters,
+        cursor: pagination.nextCursor,
+        limit: PAGE_SIZE,
+      });
+      setPosts(current => [...current, ...response.data]);
+      setPagination(response.pagination);
+    } catch (err) {
+      alert('Failed to load more posts: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  if (loading && !pagination) return <div className="loading">Loading posts...</div>;
+  if (error) return <div className="error">Error: {error}</div>;
+
+  if (posts.length === 0) {
+    return (
+      <div className="card text-center">
+        <h3>No posts found</h3>
+        <p style={{ color: 'var(--text-light)' }}>{emptyMessage}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {posts.map(post => (
+        <div key={post._id} className="post-card">
+          <Link to={`/posts/${post.slug}`} className="post-title">
+            {post.title}
+          </Link>
+          <div className="post-meta">
+            <span>👤 By <AuthorLink author={post.author} /></span>
+            <span suppressHydrationWarning>📅 {new Date(post.publishedAt || post.createdAt).toLocaleDateString()}</span>
+            {post.category && (
+              <span>🏷️ <Link to={`/categories/${post.category.slug}`}>{post.category.name}</Link></span>
+            )}
+          </div>
+          {post.excerpt && <p className="post-excerpt">{post.excerpt}</p>}
+          <div className="post-actions">
+            <ReactionBar post={post} compact />
+            <BookmarkButton post={post} />
+          </div>
+        </div>
+      ))}
+
+      {pagination?.hasMore && (
+        <div className="pagination">
+          <button type="button" className="btn btn-primary" onClick={loadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PostFeed;
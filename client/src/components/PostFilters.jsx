@@ -0,0 +1,99 @@
+// PostFilters.jsx - Filter and sort controls for post lists
+import React, { useEffect, useState } from 'react';
+import CategoryOptions from './CategoryOptions';
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'oldest', label: 'Oldest' },
+  { value: 'views', label: 'Most viewed' },
+  { value: 'comments', label: 'Most commented' },
+];
+
+// filters holds the current values (strings, '' when unset); onChange gets
+// only the fields that changed
+const PostFilters = ({ filters, categories, onChange, onClear }) => {
+  // The tag box applies on Enter or when it loses focus, not on every keystroke
+  const [tag, setTag] = useState(filters.tag);
+
+  useEffect(() => {
+    setTag(filters.tag);
+  }, [filters.tag]);
+
+  const applyTag = () => {
+    if (tag.trim() !== filters.tag) {
+      onChange({ tag: tag.trim() });
+    }
+  };
+
+  const handleChange = (e) => {
+    onChange({ [e.target.name]: e.target.value });
+  };
+
+  const active = Object.entries(filters).some(([key, value]) => key !== 'sort' && value);
+
+  return (
+    <form
+      className="category-filter post-filters"
+      onSubmit={(e) => {
+        e.preventDefault();
+        applyTag();
+      }}
+    >
+      <label>
+        📂 Category
+        <select name="category" value={filters.category} onChange={handleChange} className="form-control">
+          <option value="">All Categories</option>
+          <CategoryOptions categories={categories} />
+        </select>
+      </label>
+
+      <label>
+        🏷️ Tag
+        <input
+          type="text"
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+          onBlur={applyTag}
+          className="form-control"
+          placeholder="react, hooks"
+        />
+      </label>
+
+      <label>
+        From
+        <input type="date" name="from" value={filters.from} onChange={handleChange} className="form-control" />
+      </label>
+
+      <label>
+        To
+        <input type="date" name="to" value={filters.to} onChange={handleChange} className="form-control" />
+      </label>
+
+      <label>
+        🖼️ Image
+        <select name="hasImage" value={filters.hasImage} onChange={handleChange} className="form-control">
+          <option value="">Any</option>
+          <option value="true">With image</option>
+          <option value="false">Without image</option>
+        </select>
+      </label>
+
+      <label>
+        ↕️ Sort
+        <select name="sort" value={filters.sort || 'newest'} onChange={handleChange} className="form-control">
+          {SORT_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      {active && (
+        <button type="button" className="btn" onClick={onClear}>
+          ✖ Clear filters
+        </button>
+      )}
+    </form>
+  );
+};
+
+export default PostFilters;
@@ -0,0 +1,53 @@
+// PostImage.jsx - Responsive featured image built from the post's renditions
+import React from 'react';
+import { postService } from '../services/api';
+
+// Build a srcset string for one format, e.g. ".../image?size=card&format=webp&v=... 800w"
+const buildSrcSet = (post, image, format) =>
+  image.renditions
+    .filter(rendition => rendition.format === format)
+    .map(rendition => {
+      const url = postService.getPostImageUrl(post._id, {
+        size: rendition.name,
+        format,
+        version: image._id,
+        token: post.imageToken,
+      });
+      return `${url} ${rendition.width}w`;
+    })
+    .join(', ');
+
+const PostImage = ({ post, sizes, style, loading = 'lazy' }) => {
+  const image = post.featuredImage;
+  const renditions = image?.renditions || [];
+  const src = postService.getPostImageUrl(post._id, { version: image?._id, token: post.imageToken });
+
+  // Images uploaded before renditions existed only have the original
+  if (renditions.length === 0) {
+    return <img src={src} alt={post.title} loading={loading} style={style} />;
+  }
+
+  const fallbackFormat = renditions.find(rendition => rendition.format !== 'webp')?.format;
+
+  return (
+    <picture>
+      <source
+        type="image/webp"
+        srcSet={buildSrcSet(post, image, 'webp')}
+        sizes={sizes}
+      />
+      <img
+        src={src}
+        srcSet={buildSrcSet(post, image, fallbackFormat)}
+        sizes={sizes}
+        width={image.width}
+        height={image.height}
+        alt={post.title}
+        loading={loading}
+        style={style}
+      />
+    </picture>
+  );
+};
+
+export default PostImage;
@@ -0,0 +1,39 @@
+// PostStatusBadge.jsx - Coloured label for a post's publication status and visibility
+import React from 'react';
+
+const STATUS_STYLES = {
+  draft: { label: 'Draft', color: '#6c757d' },
+  in_review: { label: 'In review', color: '#f57c00' },
+  scheduled: { label: 'Scheduled', color: '#7209b7' },
+  published: { label: 'Published', color: '#2e7d32' },
+  archived: { label: 'Archived', color: '#495057' },
+};
+
+// Public posts don't need a label
+const VISIBILITY_LABELS = {
+  members: '👥 Members',
+  unlisted: '🔗 Unlisted',
+  private: '🔒 Private',
+};
+
+const PostStatusBadge = ({ post }) => {
+  const { label, color } = STATUS_STYLES[post.status] || STATUS_STYLES.draft;
+
+  return (
+    <span style={{
+      display: 'inline-block',
+      padding: '0.1rem 0.6rem',
+      borderRadius: '999px',
+      border: `1px solid ${color}`,
+      color,
+      fontSize: '0.8rem',
+      fontWeight: 600,
+    }}>
+      {label}
+      {post.status === 'scheduled' && post.scheduledFor && ` · ${new Date(post.scheduledFor).toLocaleString()}`}
+      {VISIBILITY_LABELS[post.visibility] && ` · ${VISIBILITY_LABELS[post.visibility]}`}
+    </span>
+  );
+};
+
+export default PostStatusBadge;
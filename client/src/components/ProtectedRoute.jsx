@@ -1,16 +1,33 @@
 // ProtectedRoute.jsx - Route protection component
 import React from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import useCan from '../hooks/useCan';
 
-const ProtectedRoute = ({ children }) => {
+// Optionally require a capability, e.g. <ProtectedRoute capability="posts:create">
+const ProtectedRoute = ({ children, capability }) => {
   const { isAuthenticated, loading } = useAuth();
+  const can = useCan();
+  const location = useLocation();
 
   if (loading) {
     return <div className="loading">Loading...</div>;
   }
 
-  return isAuthenticated ? children : <Navigate to="/login" />;
+  if (!isAuthenticated) {
+    return <Navigate to="/login" state={{ from: location }} />;
+  }
+
+  if (capability && !can(capability)) {
+    return (
+      <div className="error">
+        <h3>🚫 Not allowed</h3>
+        <p>Your account doesn't have permission to view this page.</p>
+      </div>
+    );
+  }
+
+  return children;
 };
 
 export default ProtectedRoute;
\ No newline at end of file
@@ -0,0 +1,75 @@
+// PublishOptions.jsx - Status picker (draft, review, schedule, publish, archive) for the post forms
+import React from 'react';
+
+// Moving a post into or out of these needs the publish capability (same rule as the server)
+const PUBLISHING_STATUSES = ['scheduled', 'published', 'archived'];
+
+const STATUS_OPTIONS = [
+  { value: 'draft', label: 'Draft', hint: 'Only you and editors can see it' },
+  { value: 'in_review', label: 'Submit for review', hint: 'An editor will review and publish it' },
+  { value: 'scheduled', label: 'Schedule', hint: 'Publishes automatically at the chosen time' },
+  { value: 'published', label: 'Publish', hint: 'Goes live right away' },
+  { value: 'archived', label: 'Archive', hint: 'Taken off the site but kept' },
+];
+
+// ISO string -> value for <input type="datetime-local"> in local time
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// name="status" and name="scheduledFor" changes are reported through onChange
+// like a regular input; scheduledFor comes back as an ISO string.
+const PublishOptions = ({ status, scheduledFor, onChange, canPublish, currentStatus = null }) => {
+  // Without the publish capability a live post's status can't be changed at all
+  const locked = !canPublish && PUBLISHING_STATUSES.includes(currentStatus);
+
+  const options = STATUS_OPTIONS.filter(({ value }) => {
+    if (value === status) return true;
+    if (value === 'archived' && !currentStatus) return false;
+    return canPublish || !PUBLISHING_STATUSES.includes(value);
+  });
+  const selected = STATUS_OPTIONS.find(({ value }) => value === status);
+
+  const handleScheduleChange = (e) => {
+    const value = e.target.value ? new Date(e.target.value).toISOString() : '';
+    onChange({ target: { name: 'scheduledFor', value } });
+  };
+
+  return (
+    <div className="form-group">
+      <label className="form-label">Status</label>
+      <select
+        name="status"
+        value={status}
+        onChange={onChange}
+        className="form-control"
+        disabled={locked}
+      >
+        {options.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <small style={{ color: '#666' }}>
+        {locked ? 'Only an editor can change the status of this post.' : selected?.hint}
+      </small>
+
+      {status === 'scheduled' && (
+        <div style={{ marginTop: '0.75rem' }}>
+          <label className="form-label">Publish on</label>
+          <input
+            type="datetime-local"
+            value={toLocalInput(scheduledFor)}
+            min={toLocalInput(new Date().toISOString())}
+            onChange={handleScheduleChange}
+            className="form-control"
+            required
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PublishOptions;
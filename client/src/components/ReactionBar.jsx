@@ -0,0 +1,52 @@
+// ReactionBar.jsx - Reaction buttons with counts; signed-in readers toggle their own
+import React, { useState } from 'react';
+import { postService } from '../services/api';
+import useCan from '../hooks/useCan';
+import useReactionTypes from '../hooks/useReactionTypes';
+
+// compact (post cards) hides reactions nobody has used, except like
+const ReactionBar = ({ post, compact = false }) => {
+  const can = useCan();
+  const types = useReactionTypes();
+  const [counts, setCounts] = useState(post.reactionCounts || {});
+  const [mine, setMine] = useState(post.myReactions || []);
+  const [pending, setPending] = useState(null);
+
+  const canReact = can('posts:react') && post.status === 'published';
+
+  const toggle = async (type) => {
+    setPending(type);
+    try {
+      const result = await postService.setReaction(post._id, type, !mine.includes(type));
+      setCounts(result.data.counts);
+      setMine(result.data.mine);
+    } catch (err) {
+      alert('Failed to react: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const shown = types.filter(({ type }) => !compact || type === 'like' || counts[type] > 0);
+  if (shown.length === 0) return null;
+
+  return (
+    <div className="reaction-bar">
+      {shown.map(({ type, emoji }) => (
+        <button
+          key={type}
+          type="button"
+          className={`reaction-button${mine.includes(type) ? ' active' : ''}`}
+          onClick={() => toggle(type)}
+          disabled={!canReact || pending === type}
+          title={canReact ? type : 'Log in to react'}
+          aria-pressed={mine.includes(type)}
+        >
+          {emoji} {counts[type] || 0}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ReactionBar;
@@ -0,0 +1,82 @@
+// RevisionDiff.jsx - Side-by-side view of what changed between two revisions
+import React from 'react';
+
+const ROW_CLASSES = {
+  same: '',
+  changed: 'diff-changed',
+  removed: 'diff-removed',
+  added: 'diff-added',
+};
+
+// rows come from the diff endpoint: { type, left, right, leftLine, rightLine }
+const DiffTable = ({ rows }) => (
+  <table className="diff-table">
+    <tbody>
+      {rows.map((row, index) => (
+        <tr key={index} className={ROW_CLASSES[row.type]}>
+          <td className="diff-line-number">{row.leftLine}</td>
+          <td className={row.left !== null && row.type !== 'same' ? 'diff-old' : ''}>{row.left}</td>
+          <td className="diff-line-number">{row.rightLine}</td>
+          <td className={row.right !== null && row.type !== 'same' ? 'diff-new' : ''}>{row.right}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const label = (side) => (side ? (side.revision === 'current' ? 'Current' : `Revision ${side.revision}`) : 'Empty');
+
+const RevisionDiff = ({ diff }) => {
+  const { from, to, changes } = diff;
+  const unchanged = Object.values(changes).every((change) => !change);
+
+  return (
+    <div>
+      <div className="diff-header">
+        <span>{label(from)}</span>
+        <span>{label(to)}</span>
+      </div>
+
+      {unchanged && <p>No changes between these versions.</p>}
+
+      {changes.title && (
+        <>
+          <h4>Title</h4>
+          <DiffTable rows={changes.title} />
+        </>
+      )}
+
+      {changes.status && (
+        <p><strong>Status:</strong> {changes.status.from || '—'} → {changes.status.to}</p>
+      )}
+
+      {changes.category && (
+        <p><strong>Category:</strong> {changes.category.from || '—'} → {changes.category.to || '—'}</p>
+      )}
+
+      {changes.tags && (
+        <p>
+          <strong>Tags:</strong>
+          {changes.tags.removed.map((tag) => <span key={`-${tag}`} className="diff-old"> −{tag}</span>)}
+          {changes.tags.added.map((tag) => <span key={`+${tag}`} className="diff-new"> +{tag}</span>)}
+        </p>
+      )}
+
+      {changes.excerpt && (
+        <>
+          <h4>Excerpt</h4>
+          <DiffTable rows={changes.excerpt} />
+        </>
+      )}
+
+      {changes.content && (
+        <>
+          <h4>Content</h4>
+          <DiffTable rows={changes.content} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RevisionDiff;
@@ -0,0 +1,142 @@
+// RevisionHistory.jsx - Revision list for the edit page, with diff and restore
+import React, { useCallback, useEffect, useState } from 'react';
+import { postService } from '../services/api';
+import RevisionDiff from './RevisionDiff';
+
+const RevisionHistory = ({ postId, onRestore }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [compareWithCurrent, setCompareWithCurrent] = useState(false);
+  const [diff, setDiff] = useState(null);
+  const [diffError, setDiffError] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const fetchRevisions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await postService.getRevisions(postId);
+      setRevisions(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [postId]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  useEffect(() => {
+    if (!selected) return undefined;
+
+    let cancelled = false;
+    postService.getRevisionDiff(postId, selected.revision, compareWithCurrent ? 'current' : null)
+      .then((response) => {
+        if (!cancelled) {
+          setDiff(response.data);
+          setDiffError(null);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setDiffError(err.response?.data?.error || err.message);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [postId, selected, compareWithCurrent]);
+
+  const handleSelect = (revision) => {
+    setDiff(null);
+    setSelected(revision);
+  };
+
+  const handleClose = () => {
+    setSelected(null);
+    setDiff(null);
+  };
+
+  const handleRestore = async () => {
+    if (!window.confirm(`Restore revision ${selected.revision}? Your current version stays in the history.`)) return;
+
+    setRestoring(true);
+    try {
+      const response = await postService.restoreRevision(postId, selected.revision);
+      handleClose();
+      onRestore(response.data);
+      fetchRevisions();
+    } catch (err) {
+      console.error('Failed to restore revision:', err);
+      alert('Failed to restore revision: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <aside className="card revision-history">
+      <h3>History</h3>
+
+      {loading && <div className="loading">Loading history...</div>}
+      {error && <div className="error">Error: {error}</div>}
+      {!loading && !error && revisions.length === 0 && (
+        <p style={{ color: '#666' }}>No revisions yet. Each save is kept here.</p>
+      )}
+
+      <ul>
+        {revisions.map((revision) => (
+          <li key={revision._id}>
+            <button
+              type="button"
+              onClick={() => handleSelect(revision)}
+              className={selected?._id === revision._id ? 'active' : ''}
+            >
+              <strong>#{revision.revision}</strong> {revision.editor?.username || 'Unknown'}
+              <br />
+              <small>{new Date(revision.createdAt).toLocaleString()}</small>
+              {revision.restoredFrom && <small> · restored #{revision.restoredFrom}</small>}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {selected && (
+        <div className="revision-diff-overlay" onClick={handleClose}>
+          <div className="card revision-diff-panel" onClick={(e) => e.stopPropagation()}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+              <h3>Revision {selected.revision}</h3>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <input
+                  type="checkbox"
+                  checked={compareWithCurrent}
+                  onChange={(e) => setCompareWithCurrent(e.target.checked)}
+                />
+                Compare with current version
+              </label>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <button type="button" className="btn btn-primary" onClick={handleRestore} disabled={restoring}>
+                  {restoring ? 'Restoring...' : '↩️ Restore'}
+                </button>
+                <button type="button" className="btn" onClick={handleClose}>
+                  Close
+                </button>
+              </div>
+            </div>
+
+            {diffError && <div className="error">Error: {diffError}</div>}
+            {!diff && !diffError && <div className="loading">Loading changes...</div>}
+            {diff && <RevisionDiff diff={diff} />}
+          </div>
+        </div>
+      )}
+    </aside>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,141 @@
+// SearchBox.jsx - Search input with debounced title and tag suggestions
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { postService } from '../services/api';
+
+// How long typing has to pause before suggestions are fetched
+const SUGGEST_DELAY = 250;
+
+// Suggestions are for the word being typed, not for "tag:" style filters
+const suggestionPrefix = (query) => {
+  const lastWord = query.split(/\s+/).pop() || '';
+  return lastWord.includes(':') || lastWord.startsWith('"') ? '' : query.trim();
+};
+
+const SearchBox = ({ initialQuery = '', onSearch }) => {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState(initialQuery);
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+
+  // Keep the box in sync when the URL changes (back/forward, facet clicks)
+  useEffect(() => {
+    setQuery(initialQuery);
+  }, [initialQuery]);
+
+  useEffect(() => {
+    const prefix = suggestionPrefix(query);
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      if (prefix.length < 2) {
+        setSuggestions([]);
+        return;
+      }
+      try {
+        const response = await postService.getSearchSuggestions(prefix);
+        if (!cancelled) {
+          setSuggestions(response.data);
+          setHighlighted(-1);
+        }
+      } catch (err) {
+        console.error('Failed to load suggestions:', err);
+      }
+    }, SUGGEST_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const submit = (value) => {
+    setOpen(false);
+    if (value.trim()) {
+      onSearch(value.trim());
+    }
+  };
+
+  const choose = (suggestion) => {
+    setOpen(false);
+    if (suggestion.type === 'post') {
+      navigate(`/posts/${suggestion.slug}`);
+    } else {
+      const value = suggestion.value.includes(' ') ? `tag:"${suggestion.value}"` : `tag:${suggestion.value}`;
+      setQuery(value);
+      onSearch(value);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' && highlighted >= 0) {
+      e.preventDefault();
+      choose(suggestions[highlighted]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submit(query);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="search-box">
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={handleKeyDown}
+          className="form-control"
+          placeholder='Search posts... try tag:react, author:jane or "exact phrase"'
+          aria-autocomplete="list"
+          autoFocus
+        />
+        <button type="submit" className="btn btn-primary">
+          🔍 Search
+        </button>
+      </div>
+
+      {open && suggestions.length > 0 && (
+        <ul className="search-suggestions" role="listbox">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.type}-${suggestion.id || suggestion.value}`}
+              role="option"
+              aria-selected={index === highlighted}
+              className={index === highlighted ? 'active' : ''}
+              // Keep focus in the input so the list doesn't close before the click lands
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(suggestion)}
+            >
+              {suggestion.type === 'tag' ? (
+                <>🏷️ {suggestion.value} <small>({suggestion.count})</small></>
+              ) : (
+                <>📄 {suggestion.value}</>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,29 @@
+// SlugField.jsx - The URL slug of a post or category
+import React from 'react';
+
+// currentSlug is set when editing: changing it keeps the old URL as a redirect
+const SlugField = ({ value, onChange, path, source = 'title', currentSlug = null }) => {
+  const changed = currentSlug && value && value !== currentSlug;
+
+  return (
+    <div className="form-group">
+      <label className="form-label">URL Slug (Optional)</label>
+      <input
+        type="text"
+        name="slug"
+        value={value}
+        onChange={onChange}
+        className="form-control"
+        maxLength="80"
+        placeholder={currentSlug || `Generated from the ${source}`}
+      />
+      <small style={{ color: '#666' }}>
+        {changed
+          ? `${path}${currentSlug} will redirect to the new address`
+          : 'Letters are lowercased and transliterated, e.g. "Café Ñandú" becomes cafe-nandu'}
+      </small>
+    </div>
+  );
+};
+
+export default SlugField;
@@ -0,0 +1,64 @@
+// StatsChart.jsx - Daily views (bars) and reads (inner bars) as an SVG chart
+import React from 'react';
+
+const HEIGHT = 160;
+
+// "2025-01-31" -> "Jan 31"
+const shortDate = (date) => new Date(`${date}T00:00:00Z`)
+  .toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const StatsChart = ({ daily }) => {
+  if (!daily?.length) return null;
+
+  const peak = Math.max(...daily.map(day => day.views));
+  const max = Math.max(1, peak);
+  const barWidth = 100 / daily.length;
+  const scale = (value) => (value / max) * HEIGHT;
+  // A handful of date labels, whatever the range
+  const labelEvery = Math.ceil(daily.length / 6);
+
+  return (
+    <figure className="stats-chart">
+      <svg
+        viewBox={`0 0 100 ${HEIGHT}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={`Views and reads per day, up to ${peak} views`}
+      >
+        {daily.map((day, index) => (
+          <g key={day.date}>
+            <title>{`${shortDate(day.date)}: ${day.views} views, ${day.reads} reads`}</title>
+            <rect
+              className="stats-chart-views"
+              x={index * barWidth + barWidth * 0.1}
+              y={HEIGHT - scale(day.views)}
+              width={barWidth * 0.8}
+              height={scale(day.views)}
+            />
+            <rect
+              className="stats-chart-reads"
+              x={index * barWidth + barWidth * 0.3}
+              y={HEIGHT - scale(day.reads)}
+              width={barWidth * 0.4}
+              height={scale(day.reads)}
+            />
+          </g>
+        ))}
+      </svg>
+      <div className="stats-chart-labels">
+        {daily.map((day, index) => (
+          <span key={day.date} style={{ width: `${barWidth}%` }}>
+            {index % labelEvery === 0 ? shortDate(day.date) : ''}
+          </span>
+        ))}
+      </div>
+      <figcaption>
+        <span className="stats-legend stats-legend-views">Views</span>
+        <span className="stats-legend stats-legend-reads">Reads to the end</span>
+        <span>Peak: {peak} views a day</span>
+      </figcaption>
+    </figure>
+  );
+};
+
+export default StatsChart;
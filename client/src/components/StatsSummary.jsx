@@ -0,0 +1,73 @@
+// StatsSummary.jsx - Totals, daily chart and top referrers of a stats response
+import React from 'react';
+import StatsChart from './StatsChart';
+
+const RANGES = [7, 30, 90, 365];
+
+const REFERRER_LABELS = {
+  direct: 'Direct or unknown',
+  internal: 'This blog',
+  other: 'Other sites',
+};
+
+const percent = (rate) => `${Math.round(rate * 100)}%`;
+
+const StatsSummary = ({ stats, days, onDaysChange }) => {
+  const { totals, daily, referrers } = stats;
+
+  return (
+    <>
+      <div className="stats-ranges">
+        {RANGES.map(range => (
+          <button
+            key={range}
+            type="button"
+            className={range === days ? 'btn btn-primary' : 'btn'}
+            onClick={() => onDaysChange(range)}
+          >
+            {range === 365 ? 'Last year' : `Last ${range} days`}
+          </button>
+        ))}
+      </div>
+
+      <div className="stats-totals">
+        <div className="card">
+          <strong>{totals.views}</strong>
+          <span>Views</span>
+        </div>
+        <div className="card">
+          <strong>{totals.reads}</strong>
+          <span>Reads to the end</span>
+        </div>
+        <div className="card">
+          <strong>{percent(totals.readThroughRate)}</strong>
+          <span>Read-through rate</span>
+        </div>
+      </div>
+
+      <div className="card">
+        <h3>Over time</h3>
+        <StatsChart daily={daily} />
+      </div>
+
+      <div className="card">
+        <h3>Where readers came from</h3>
+        {referrers.length === 0 ? (
+          <p>No views in this period.</p>
+        ) : (
+          <ul className="stats-referrers">
+            {referrers.map(({ source, count }) => (
+              <li key={source}>
+                <span>{REFERRER_LABELS[source] || source}</span>
+                <span className="stats-bar" style={{ width: `${(count / referrers[0].count) * 100}%` }} />
+                <strong>{count}</strong>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default StatsSummary;
@@ -0,0 +1,20 @@
+// TagList.jsx - A post's tags as links to their tag pages
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// Tag pages accept the name as well as the slug; the server normalizes it
+const TagList = ({ tags }) => {
+  if (!tags?.length) return null;
+
+  return (
+    <div className="tag-list">
+      {tags.map(tag => (
+        <Link key={tag} to={`/tags/${encodeURIComponent(tag)}`} className="tag-chip">
+          #{tag}
+        </Link>
+      ))}
+    </div>
+  );
+};
+
+export default TagList;
@@ -0,0 +1,117 @@
+// TagPicker.jsx - Chip input for post tags with suggestions from existing tags
+import React, { useEffect, useState } from 'react';
+import { tagService } from '../services/api';
+
+// How long typing has to pause before suggestions are fetched
+const SUGGEST_DELAY = 250;
+
+// Matches the server's limit
+const MAX_TAG_LENGTH = 30;
+
+const sameTag = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// value is an array of tag names; onChange gets the new array
+const TagPicker = ({ value, onChange }) => {
+  const [input, setInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlighted, setHighlighted] = useState(-1);
+
+  useEffect(() => {
+    const prefix = input.trim();
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      if (!prefix) {
+        setSuggestions([]);
+        return;
+      }
+      try {
+        const response = await tagService.getTags(prefix, 8);
+        if (!cancelled) {
+          setSuggestions(response.data.filter(tag => !value.some(name => sameTag(name, tag.name))));
+          setHighlighted(-1);
+        }
+      } catch (err) {
+        console.error('Failed to load tag suggestions:', err);
+      }
+    }, SUGGEST_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [input, value]);
+
+  const addTag = (name) => {
+    const tag = name.replace(/,/g, ' ').replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH);
+    if (tag && !value.some(existing => sameTag(existing, tag))) {
+      onChange([...value, tag]);
+    }
+    setInput('');
+    setSuggestions([]);
+  };
+
+  const removeTag = (name) => {
+    onChange(value.filter(tag => tag !== name));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === ',') {
+      // Enter would submit the post form
+      e.preventDefault();
+      addTag(highlighted >= 0 ? suggestions[highlighted].name : input);
+    } else if (e.key === 'Backspace' && !input && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    } else if (e.key === 'Escape') {
+      setSuggestions([]);
+    }
+  };
+
+  return (
+    <div className="tag-picker">
+      <div className="form-control tag-picker-box">
+        {value.map(tag => (
+          <span key={tag} className="tag-chip">
+            #{tag}
+            <button type="button" onClick={() => removeTag(tag)} aria-label={`Remove ${tag}`}>×</button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => input.trim() && addTag(input)}
+          placeholder={value.length ? '' : 'Type a tag and press Enter'}
+          aria-autocomplete="list"
+        />
+      </div>
+
+      {suggestions.length > 0 && (
+        <ul className="search-suggestions" role="listbox">
+          {suggestions.map((tag, index) => (
+            <li
+              key={tag._id}
+              role="option"
+              aria-selected={index === highlighted}
+              className={index === highlighted ? 'active' : ''}
+              // Keep focus in the input so blur doesn't add the half-typed text first
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => addTag(tag.name)}
+            >
+              🏷️ {tag.name} <small>({tag.postCount})</small>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagPicker;
@@ -0,0 +1,27 @@
+// VisibilityOptions.jsx - Who can read a post once it's published
+import React from 'react';
+
+const VISIBILITY_OPTIONS = [
+  { value: 'public', label: '🌍 Public', hint: 'Anyone can read it, and it shows up in the feed and search' },
+  { value: 'members', label: '👥 Members', hint: 'Only signed-in readers can see it' },
+  { value: 'unlisted', label: '🔗 Unlisted', hint: 'Anyone with the link can read it, but it is not listed or searchable' },
+  { value: 'private', label: '🔒 Private', hint: 'Only you and editors can see it' },
+];
+
+const VisibilityOptions = ({ visibility, onChange }) => {
+  const selected = VISIBILITY_OPTIONS.find(({ value }) => value === visibility);
+
+  return (
+    <div className="form-group">
+      <label className="form-label">Visibility</label>
+      <select name="visibility" value={visibility} onChange={onChange} className="form-control">
+        {VISIBILITY_OPTIONS.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <small style={{ color: '#666' }}>{selected?.hint}</small>
+    </div>
+  );
+};
+
+export default VisibilityOptions;
@@ -1,6 +1,6 @@
 // client/src/context/AuthContext.jsx
-import React, { createContext, useState, useContext, useEffect } from 'react';
-import { authService } from '../services/api';
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import { authService, SESSION_ENDED_EVENT } from '../services/api';
 
 const AuthContext = createContext();
 
@@ -20,6 +20,20 @@ export const AuthProvider = ({ children }) => {
     const currentUser = authService.getCurrentUser();
     setUser(currentUser);
     setLoading(false);
+
+    // Roles can change while signed in, so refresh permissions in the background
+    if (currentUser) {
+      authService.fetchCurrentUser()
+        .then(setUser)
+        .catch(err => console.error('Failed to refresh current user:', err));
+    }
+  }, []);
+
+  // The API client signals when the session could not be refreshed
+  useEffect(() => {
+    const handleSessionEnded = () => setUser(null);
+    window.addEventListener(SESSION_ENDED_EVENT, handleSessionEnded);
+    return () => window.removeEventListener(SESSION_ENDED_EVENT, handleSessionEnded);
   }, []);
 
   const login = async (credentials) => {
@@ -34,16 +48,30 @@ export const AuthProvider = ({ children }) => {
     return result;
   };
 
-  const logout = () => {
-    authService.logout();
-    setUser(null);
+  const logout = async () => {
+    try {
+      await authService.logout();
+    } finally {
+      setUser(null);
+    }
   };
 
+  // Merge changes into the current user and keep the stored copy in sync
+  const updateUser = useCallback((changes) => {
+    setUser(prev => {
+      if (!prev) return prev;
+      const next = { ...prev, ...changes };
+      authService.setCurrentUser(next);
+      return next;
+    });
+  }, []);
+
   const value = {
     user,
     login,
     register,
     logout,
+    updateUser,
     loading,
     isAuthenticated: !!user,
   };
@@ -0,0 +1,26 @@
+// entry-server.jsx - Renders the app to HTML on the API server (SSR mode)
+//
+// Built with `npm run build:server` and loaded by server/services/ssr.js, which
+// fetches the page's data first and injects the HTML into dist/index.html.
+import { StrictMode } from 'react'
+import { renderToString } from 'react-dom/server'
+import { StaticRouter } from 'react-router-dom'
+import App from './App.jsx'
+import { setInitialData } from './services/initialData'
+
+// HTML for the page at url, rendered with initialData (see services/initialData.js)
+export const render = (url, initialData) => {
+  // renderToString is synchronous, so no other render sees this request's data
+  setInitialData(initialData)
+  try {
+    return renderToString(
+      <StrictMode>
+        <StaticRouter location={url}>
+          <App />
+        </StaticRouter>
+      </StrictMode>
+    )
+  } finally {
+    setInitialData(null)
+  }
+}
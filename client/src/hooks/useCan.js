@@ -0,0 +1,34 @@
+// useCan.js - Capability checks for showing or hiding actions
+//
+// Mirrors server/config/permissions.js using the capability list the server
+// sends with the user. "<capability>:own" only applies to resources the user owns.
+
+import { useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+// Id of whoever owns a resource (populated or not)
+const ownerOf = (resource) => {
+  const owner = resource && (resource.author || resource.user);
+  return owner ? String(owner._id || owner) : null;
+};
+
+export const can = (user, capability, resource = null) => {
+  if (!user) return false;
+
+  const granted = user.permissions || [];
+  if (granted.includes('*') || granted.includes(capability)) {
+    return true;
+  }
+
+  return granted.includes(`${capability}:own`) &&
+    resource !== null &&
+    ownerOf(resource) === String(user.id || user._id);
+};
+
+// const can = useCan(); can('posts:update', post)
+const useCan = () => {
+  const { user } = useAuth();
+  return useCallback((capability, resource = null) => can(user, capability, resource), [user]);
+};
+
+export default useCan;
@@ -0,0 +1,34 @@
+// useReactionTypes.js - The reaction types the server allows, fetched once per page load
+
+import { useEffect, useState } from 'react';
+import { postService } from '../services/api';
+
+let typesPromise = null;
+
+const useReactionTypes = () => {
+  const [types, setTypes] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!typesPromise) {
+      typesPromise = postService.getReactionTypes().then(result => result.data);
+      // Let a later render try again if this request fails
+      typesPromise.catch(() => {
+        typesPromise = null;
+      });
+    }
+    typesPromise
+      .then(result => {
+        if (!cancelled) setTypes(result);
+      })
+      .catch(err => console.error('Failed to load reaction types:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return types;
+};
+
+export default useReactionTypes;
@@ -0,0 +1,30 @@
+// useRealtime.js - Live updates for a component while it is mounted
+//
+// useRealtime(`post:${id}`, { 'comment.created': (message) => ... })
+// handlers are keyed by message type. Pass a room to get that room's messages,
+// or null for the messages addressed to the signed-in user (e.g. 'notifications').
+
+import { useEffect, useRef } from 'react';
+import { onRealtime, subscribeRoom } from '../services/realtime';
+
+const useRealtime = (room, handlers) => {
+  // Always call the latest handlers without resubscribing on every render
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  const types = Object.keys(handlers).join(',');
+
+  useEffect(() => {
+    const handle = (message) => handlersRef.current[message.type]?.(message);
+
+    if (room) {
+      return subscribeRoom(room, handle);
+    }
+    const unsubscribes = types.split(',').filter(Boolean).map(type => onRealtime(type, handle));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [room, types]);
+};
+
+export default useRealtime;
@@ -0,0 +1,37 @@
+// useViewTracking.js - Report a post view, and a read once the reader reaches the end
+//
+// useViewTracking(post?._id, endRef) with endRef on an element after the
+// content. The server decides what counts (one view per visitor and window, no
+// authors or bots), so reporting twice is harmless.
+
+import { useEffect } from 'react';
+import { statsService } from '../services/api';
+
+// Where the reader came from: the referring site on the first page of the
+// visit, this site after navigating within it (document.referrer doesn't change)
+const currentReferrer = () => (
+  window.history.state?.idx > 0 ? window.location.origin : document.referrer
+);
+
+const useViewTracking = (postId, endRef) => {
+  useEffect(() => {
+    if (!postId) return;
+    statsService.recordView(postId, currentReferrer()).catch(() => {});
+  }, [postId]);
+
+  useEffect(() => {
+    const end = endRef.current;
+    if (!postId || !end || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        observer.disconnect();
+        statsService.recordRead(postId).catch(() => {});
+      }
+    });
+    observer.observe(end);
+    return () => observer.disconnect();
+  }, [postId, endRef]);
+};
+
+export default useViewTracking;
@@ -0,0 +1,181 @@
+// AuthorPage.jsx - An author's public profile and published posts
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { userService, followService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import Avatar from '../components/Avatar';
+import AuthorLink from '../components/AuthorLink';
+import FollowButton from '../components/FollowButton';
+import FeedLinks from '../components/FeedLinks';
+import PostFeed from '../components/PostFeed';
+import { getInitialData } from '../services/initialData';
+
+const SOCIAL_LABELS = {
+  github: 'GitHub',
+  twitter: 'Twitter / X',
+  linkedin: 'LinkedIn',
+  mastodon: 'Mastodon',
+};
+
+// Loads the people following an author, or everything the author follows
+const fetchConnections = async (profile, list) => {
+  if (list === 'followers') {
+    const response = await followService.getFollowers('user', profile.id, { limit: 50 });
+    return { users: response.data };
+  }
+  const [users, categories, tags] = await Promise.all(
+    ['user', 'category', 'tag'].map(type => followService.getFollowing(profile.id, { type, limit: 50 }))
+  );
+  return { users: users.data, categories: categories.data, tags: tags.data };
+};
+
+const AuthorPage = () => {
+  const { username } = useParams();
+  const { user } = useAuth();
+
+  const [profile, setProfile] = useState(() => getInitialData(`author:${username}`));
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // 'followers' or 'following' while one of the lists is open
+  const [openList, setOpenList] = useState(null);
+  const [connections, setConnections] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    userService.getProfile(username)
+      .then((response) => {
+        if (!cancelled) setProfile(response.data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.error || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [username]);
+
+  useEffect(() => {
+    if (!openList || !profile) return undefined;
+
+    let cancelled = false;
+    setConnections(null);
+    fetchConnections(profile, openList)
+      .then((result) => {
+        if (!cancelled) setConnections(result);
+      })
+      .catch((err) => console.error('Failed to load follows:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [openList, profile]);
+
+  const toggleList = (list) => setOpenList(current => (current === list ? null : list));
+
+  if (loading && !profile) return <div className="loading">Loading profile...</div>;
+  if (error) return <div className="error">Error: {error}</div>;
+
+  const links = Object.entries(profile.socialLinks).filter(([, url]) => url);
+
+  return (
+    <div>
+      <div className="card author-profile">
+        <Avatar user={profile} size="large" />
+        <div>
+          <h1 className="mb-0">{profile.displayName || profile.username}</h1>
+          <p style={{ color: 'var(--text-light)' }} suppressHydrationWarning>
+            @{profile.username} · Joined {new Date(profile.createdAt).toLocaleDateString()} ·{' '}
+            {profile.postCount} post{profile.postCount === 1 ? '' : 's'}
+          </p>
+          <div className="follow-summary">
+            <FollowButton
+              type="user"
+              id={profile.id}
+              showCount={false}
+              onChange={(followerCount) => setProfile(current => ({ ...current, followerCount }))}
+            />
+            <button type="button" className="link-button" onClick={() => toggleList('followers')}>
+              {profile.followerCount} follower{profile.followerCount === 1 ? '' : 's'}
+            </button>
+            <button type="button" className="link-button" onClick={() => toggleList('following')}>
+              {profile.followingCount} following
+            </button>
+          </div>
+          {profile.bio && <p className="author-bio">{profile.bio}</p>}
+          <FeedLinks
+            scope="authors"
+            slug={profile.username}
+            title={`MERN Blog: ${profile.displayName || profile.username}`}
+          />
+          {(profile.website || links.length > 0) && (
+            <div className="author-links">
+              {profile.website && (
+                <a href={profile.website} target="_blank" rel="noopener noreferrer me">🌐 Website</a>
+              )}
+              {links.map(([network, url]) => (
+                <a key={network} href={url} target="_blank" rel="noopener noreferrer me">
+                  {SOCIAL_LABELS[network] || network}
+                </a>
+              ))}
+            </div>
+          )}
+          {user?.username === profile.username && (
+            <Link to="/profile" className="btn" style={{ marginTop: '0.75rem' }}>✏️ Edit profile</Link>
+          )}
+        </div>
+      </div>
+
+      {openList && (
+        <div className="card follow-lists">
+          <h3>{openList === 'followers' ? 'Followers' : 'Following'}</h3>
+          {!connections ? (
+            <p>Loading...</p>
+          ) : (
+            <>
+              {connections.users.length > 0 ? (
+                <ul>
+                  {connections.users.map(person => (
+                    <li key={person._id}><AuthorLink author={person} showAvatar /></li>
+                  ))}
+                </ul>
+              ) : (
+                <p style={{ color: 'var(--text-light)' }}>
+                  {openList === 'followers' ? 'No followers yet.' : 'Not following any authors.'}
+                </p>
+              )}
+              {[['categories', 'Categories', '/categories/'], ['tags', 'Tags', '/tags/']].map(([key, label, path]) => (
+                connections[key]?.length > 0 && (
+                  <div key={key}>
+                    <h4>{label}</h4>
+                    <div className="tag-list">
+                      {connections[key].map(target => (
+                        <Link key={target._id} to={`${path}${encodeURIComponent(target.slug)}`} className="tag-chip">
+                          {target.name}
+                        </Link>
+                      ))}
+                    </div>
+                  </div>
+                )
+              ))}
+            </>
+          )}
+        </div>
+      )}
+
+      <h2>Posts</h2>
+      <PostFeed
+        filters={{ author: profile.id }}
+        emptyMessage="This author has no published posts you can see."
+      />
+    </div>
+  );
+};
+
+export default AuthorPage;
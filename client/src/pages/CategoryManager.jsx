@@ -0,0 +1,226 @@
+// CategoryManager.jsx - Create, edit, nest and delete categories
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { categoryService } from '../services/api';
+import useApi from '../hooks/useApi';
+import useCan from '../hooks/useCan';
+import CategoryOptions from '../components/CategoryOptions';
+
+const EMPTY_FORM = { name: '', slug: '', description: '', parent: '' };
+
+const errorMessage = (err) => err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || err.message;
+
+
+const CategoryManager = () => {
+  const can = useCan();
+  const { data: categories, loading, error, execute: fetchCategories } = useApi(
+    categoryService.getAllCategories,
+    [],
+    true
+  );
+
+  const [newCategory, setNewCategory] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Top-level categories, plus any whose parent is missing from the list
+  const ids = new Set(categories.map(category => category._id));
+  const childrenOf = (parentId) => categories.filter(category => (
+    parentId ? category.parent === parentId : !category.parent || !ids.has(category.parent)
+  ));
+
+  // Run a change, then reload the list
+  const save = async (action, onDone) => {
+    setSaving(true);
+    try {
+      await action();
+      onDone();
+      fetchCategories();
+    } catch (err) {
+      alert(errorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    save(() => categoryService.createCategory(newCategory), () => setNewCategory(EMPTY_FORM));
+  };
+
+  const handleUpdate = (e) => {
+    e.preventDefault();
+    const { _id, name, slug, description, parent } = editing;
+    save(() => categoryService.updateCategory(_id, { name, slug, description, parent: parent || null }), () => setEditing(null));
+  };
+
+  const handleDelete = (e) => {
+    e.preventDefault();
+    save(() => categoryService.deleteCategory(deleting._id, deleting.reassignTo), () => setDeleting(null));
+  };
+
+  // Each category with its subcategories nested below it
+  const renderList = (parentId) => {
+    const items = childrenOf(parentId);
+    if (items.length === 0) return null;
+
+    return (
+      <ul className="category-manager">
+        {items.map(category => (
+          <li key={category._id}>
+            {editing?._id === category._id ? (
+              <form onSubmit={handleUpdate} className="category-manager-form">
+                <input
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  className="form-control"
+                  maxLength="50"
+                  required
+                />
+                {/* The old slug keeps redirecting to the new one */}
+                <input
+                  value={editing.slug}
+                  onChange={(e) => setEditing({ ...editing, slug: e.target.value })}
+                  className="form-control"
+                  placeholder={category.slug}
+                  title="URL slug"
+                  maxLength="80"
+                />
+                <input
+                  value={editing.description}
+                  onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                  className="form-control"
+                  placeholder="Description"
+                  maxLength="200"
+                />
+                <select
+                  value={editing.parent}
+                  onChange={(e) => setEditing({ ...editing, parent: e.target.value })}
+                  className="form-control"
+                >
+                  <option value="">No parent (top level)</option>
+                  <CategoryOptions categories={categories} exclude={category._id} />
+                </select>
+                <button type="submit" className="btn btn-primary" disabled={saving}>Save</button>
+                <button type="button" className="btn" onClick={() => setEditing(null)}>Cancel</button>
+              </form>
+            ) : deleting?._id === category._id ? (
+              <form onSubmit={handleDelete} className="category-manager-form">
+                <span>
+                  Delete <strong>{category.name}</strong>? Move its posts (drafts and private ones too) to:
+                </span>
+                {/* postCount only covers published public posts, so always offer to move them */}
+                <select
+                  value={deleting.reassignTo}
+                  onChange={(e) => setDeleting({ ...deleting, reassignTo: e.target.value })}
+                  className="form-control"
+                  required={category.postCount > 0}
+                >
+                  <option value="">Choose a category</option>
+                  <CategoryOptions categories={categories.filter(other => other._id !== category._id)} />
+                </select>
+                <button type="submit" className="btn btn-danger" disabled={saving}>Delete</button>
+                <button type="button" className="btn" onClick={() => setDeleting(null)}>Cancel</button>
+              </form>
+            ) : (
+              <div className="category-manager-row">
+                <span>
+                  <Link to={`/categories/${category.slug}`}><strong>{category.name}</strong></Link>
+                  {' '}<small style={{ color: '#666' }}>/{category.slug} · {category.postCount || 0} published</small>
+                </span>
+                <span style={{ display: 'flex', gap: '0.5rem' }}>
+                  {can('categories:update') && (
+                    <button
+                      type="button"
+                      className="btn"
+                      onClick={() => setEditing({
+                        _id: category._id,
+                        name: category.name,
+                        slug: category.slug,
+                        description: category.description || '',
+                        parent: category.parent || '',
+                      })}
+                    >
+                      ✏️ Edit
+                    </button>
+                  )}
+                  {can('categories:delete') && (
+                    <button
+                      type="button"
+                      className="btn btn-danger"
+                      onClick={() => setDeleting({ _id: category._id, reassignTo: '' })}
+                    >
+                      🗑️ Delete
+                    </button>
+                  )}
+                </span>
+              </div>
+            )}
+            {renderList(category._id)}
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  if (loading) return <div className="loading">Loading categories...</div>;
+  if (error) return <div className="error">Error: {error}</div>;
+
+  return (
+    <div>
+      <h1>Categories</h1>
+
+      {can('categories:create') && (
+        <form className="card" onSubmit={handleCreate} style={{ marginBottom: '1.5rem' }}>
+          <h3>New category</h3>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+            <input
+              value={newCategory.name}
+              onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+              className="form-control"
+              placeholder="Name *"
+              maxLength="50"
+              required
+            />
+            <input
+              value={newCategory.slug}
+              onChange={(e) => setNewCategory({ ...newCategory, slug: e.target.value })}
+              className="form-control"
+              placeholder="URL slug (generated from the name)"
+              maxLength="80"
+            />
+            <select
+              value={newCategory.parent}
+              onChange={(e) => setNewCategory({ ...newCategory, parent: e.target.value })}
+              className="form-control"
+            >
+              <option value="">No parent (top level)</option>
+              <CategoryOptions categories={categories} />
+            </select>
+          </div>
+          <textarea
+            value={newCategory.description}
+            onChange={(e) => setNewCategory({ ...newCategory, description: e.target.value })}
+            className="form-control"
+            placeholder="Description (optional)"
+            maxLength="200"
+            rows="2"
+            style={{ margin: '0.75rem 0' }}
+          />
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            ➕ Create Category
+          </button>
+        </form>
+      )}
+
+      <div className="card">
+        {categories.length === 0 && <p>No categories yet.</p>}
+
+        {renderList(null)}
+      </div>
+    </div>
+  );
+};
+
+export default CategoryManager;
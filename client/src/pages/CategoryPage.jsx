@@ -0,0 +1,95 @@
+// CategoryPage.jsx - Posts in a category and its subcategories
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { categoryService } from '../services/api';
+import useCan from '../hooks/useCan';
+import PostFeed from '../components/PostFeed';
+import FollowButton from '../components/FollowButton';
+import FeedLinks from '../components/FeedLinks';
+import { getInitialData } from '../services/initialData';
+
+const CategoryPage = () => {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const can = useCan();
+
+  const [category, setCategory] = useState(() => getInitialData(`category:${slug}`));
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    categoryService.getCategory(slug)
+      .then((response) => {
+        if (!cancelled) setCategory(response.data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.error || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [slug]);
+
+  // A slug the category had before redirects to its current address
+  useEffect(() => {
+    if (category && slug !== category.slug && slug !== category._id) {
+      navigate(`/categories/${category.slug}`, { replace: true });
+    }
+  }, [category, slug, navigate]);
+
+  if (loading && !category) return <div className="loading">Loading category...</div>;
+  if (error) return <div className="error">Error: {error}</div>;
+
+  return (
+    <div>
+      <nav className="breadcrumbs">
+        <Link to="/">Home</Link>
+        {category.ancestors.map(ancestor => (
+          <span key={ancestor._id}>
+            {' › '}
+            <Link to={`/categories/${ancestor.slug}`}>{ancestor.name}</Link>
+          </span>
+        ))}
+        {' › '}
+        <span>{category.name}</span>
+      </nav>
+
+      <div className="welcome-message">
+        <h1>📂 {category.name}</h1>
+        {category.description && <p className="mb-0">{category.description}</p>}
+        <div style={{ margin: '0.75rem 0' }}>
+          <FollowButton key={category._id} type="category" id={category._id} />
+        </div>
+        <FeedLinks scope="categories" slug={category.slug} title={`MERN Blog: ${category.name}`} />
+        {can('categories:update') && (
+          <Link to="/admin/categories" style={{ fontSize: '0.9rem' }}>Manage categories</Link>
+        )}
+      </div>
+
+      {category.children.length > 0 && (
+        <div className="tag-list" style={{ marginBottom: '1.5rem' }}>
+          {category.children.map(child => (
+            <Link key={child._id} to={`/categories/${child.slug}`} className="tag-chip">
+              {child.name} <small>({child.postCount})</small>
+            </Link>
+          ))}
+        </div>
+      )}
+
+      <PostFeed
+        filters={{ category: category._id }}
+        emptyMessage="There are no published posts in this category you can see."
+      />
+    </div>
+  );
+};
+
+export default CategoryPage;
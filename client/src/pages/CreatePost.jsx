@@ -1,28 +1,39 @@
 // client/src/pages/CreatePost.jsx - Updated with image upload
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import useApi from '../hooks/useApi';
 import { postService, categoryService } from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import useCan from '../hooks/useCan';
 import ImageUpload from '../components/ImageUpload';
+import MarkdownEditor from '../components/MarkdownEditor';
+import PublishOptions from '../components/PublishOptions';
+import VisibilityOptions from '../components/VisibilityOptions';
+import TagPicker from '../components/TagPicker';
+import CategoryOptions from '../components/CategoryOptions';
+import SlugField from '../components/SlugField';
 
 const CreatePost = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
+  const can = useCan();
+  // Contributors can only save drafts for an editor to publish
+  const canPublish = can('posts:publish', { author: user?.id });
   const [formData, setFormData] = useState({
     title: '',
+    slug: '',
     content: '',
     excerpt: '',
     category: '',
-    tags: '',
-    isPublished: true
+    tags: [],
+    status: canPublish ? 'published' : 'draft',
+    scheduledFor: '',
+    visibility: 'public'
   });
   const [featuredImage, setFeaturedImage] = useState(null);
-  const [showCategoryForm, setShowCategoryForm] = useState(false);
-  const [newCategory, setNewCategory] = useState({ name: '', description: '' });
   const [loading, setLoading] = useState(false);
 
-  const { data: categories, loading: categoriesLoading, error: categoriesError, execute: fetchCategories } = useApi(
+  const { data: categories, loading: categoriesLoading, error: categoriesError } = useApi(
     categoryService.getAllCategories,
     [],
     true
@@ -36,29 +47,6 @@ const CreatePost = () => {
     }));
   };
 
-  const handleNewCategoryChange = (e) => {
-    const { name, value } = e.target;
-    setNewCategory(prev => ({
-      ...prev,
-      [name]: value
-    }));
-  };
-
-  const handleCreateCategory = async (e) => {
-    e.preventDefault();
-    if (!newCategory.name.trim()) return;
-
-    try {
-      await categoryService.createCategory(newCategory);
-      setNewCategory({ name: '', description: '' });
-      setShowCategoryForm(false);
-      fetchCategories();
-    } catch (error) {
-      console.error('Failed to create category:', error);
-      alert('Failed to create category: ' + (error.response?.data?.error || error.message));
-    }
-  };
-
   const handleImageSelect = (file) => {
     setFeaturedImage(file);
   };
@@ -78,10 +66,11 @@ const CreatePost = () => {
   }
   
   try {
+    const { scheduledFor, ...fields } = formData;
     const postData = {
-      ...formData,
-      tags: formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag),
-      isPublished: true
+      ...fields,
+      tags: formData.tags,
+      ...(formData.status === 'scheduled' && { scheduledFor })
     };
 
     // Add featured image file if selected
@@ -117,7 +106,11 @@ const CreatePost = () => {
         marginBottom: '2rem',
         border: '1px solid #4caf50'
       }}>
-        <strong>Note:</strong> Posts are published immediately by default.
+        {canPublish ? (
+          <><strong>Note:</strong> Posts are published immediately by default. Save a draft or schedule the post to publish it later.</>
+        ) : (
+          <><strong>Note:</strong> Save your post as a draft, then submit it for review when it's ready for an editor to publish.</>
+        )}
       </div>
       
       <form onSubmit={handleSubmit} className="card">
@@ -134,6 +127,8 @@ const CreatePost = () => {
           />
         </div>
 
+        <SlugField value={formData.slug} onChange={handleChange} path="/posts/" />
+
         {/* Image Upload Component */}
         <div className="form-group">
           <ImageUpload 
@@ -144,14 +139,12 @@ const CreatePost = () => {
 
         <div className="form-group">
           <label className="form-label">Content *</label>
-          <textarea
+          <MarkdownEditor
             name="content"
             value={formData.content}
             onChange={handleChange}
-            className="form-control"
-            rows="10"
             required
-            placeholder="Write your post content here..."
+            placeholder="Write your post content here... Markdown is supported."
           />
         </div>
 
@@ -178,13 +171,11 @@ const CreatePost = () => {
               <p style={{ color: '#e74c3c', marginBottom: '1rem' }}>
                 No categories available. Please create a category first.
               </p>
-              <button 
-                type="button" 
-                onClick={() => setShowCategoryForm(true)}
-                className="btn btn-primary"
-              >
-                Create New Category
-              </button>
+              {can('categories:create') && (
+                <Link to="/admin/categories" className="btn btn-primary">
+                  Manage Categories
+                </Link>
+              )}
             </div>
           ) : (
             <>
@@ -196,94 +187,36 @@ const CreatePost = () => {
                 required
               >
                 <option value="">Select a category *</option>
-                {categories.map(category => (
-                  <option key={category._id} value={category._id}>
-                    {category.name}
-                  </option>
-                ))}
+                <CategoryOptions categories={categories} />
               </select>
-              <button 
-                type="button" 
-                onClick={() => setShowCategoryForm(true)}
-                className="btn"
-                style={{ marginTop: '0.5rem', fontSize: '0.9rem' }}
-              >
-                + Add New Category
-              </button>
+              {can('categories:update') && (
+                <Link to="/admin/categories" style={{ display: 'inline-block', marginTop: '0.5rem', fontSize: '0.9rem' }}>
+                  Manage categories
+                </Link>
+              )}
             </>
           )}
         </div>
 
-        {/* New Category Form */}
-        {showCategoryForm && (
-          <div className="card" style={{ backgroundColor: '#f8f9fa', marginBottom: '1rem' }}>
-            <h4>Create New Category</h4>
-            <form onSubmit={handleCreateCategory}>
-              <div className="form-group">
-                <label className="form-label">Category Name *</label>
-                <input
-                  type="text"
-                  name="name"
-                  value={newCategory.name}
-                  onChange={handleNewCategoryChange}
-                  className="form-control"
-                  required
-                  placeholder="Enter category name"
-                />
-              </div>
-              <div className="form-group">
-                <label className="form-label">Description (Optional)</label>
-                <textarea
-                  name="description"
-                  value={newCategory.description}
-                  onChange={handleNewCategoryChange}
-                  className="form-control"
-                  rows="2"
-                  placeholder="Enter category description (optional)"
-                />
-              </div>
-              <div style={{ display: 'flex', gap: '0.5rem' }}>
-                <button type="submit" className="btn btn-primary">
-                  Create Category
-                </button>
-                <button 
-                  type="button" 
-                  onClick={() => setShowCategoryForm(false)}
-                  className="btn btn-danger"
-                >
-                  Cancel
-                </button>
-              </div>
-            </form>
-          </div>
-        )}
-
         <div className="form-group">
-          <label className="form-label">Tags (comma separated)</label>
-          <input
-            type="text"
-            name="tags"
+          <label className="form-label">Tags</label>
+          <TagPicker
             value={formData.tags}
-            onChange={handleChange}
-            className="form-control"
-            placeholder="react, javascript, web-development"
+            onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
           />
         </div>
 
-        <div className="form-group">
-          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-            <input
-              type="checkbox"
-              name="isPublished"
-              checked={formData.isPublished}
-              onChange={handleChange}
-            />
-            <strong>Publish immediately</strong>
-          </label>
-          <small style={{ color: '#666', marginLeft: '1.5rem' }}>
-            Uncheck to save as draft (not visible on homepage)
-          </small>
-        </div>
+        <VisibilityOptions
+          visibility={formData.visibility}
+          onChange={handleChange}
+        />
+
+        <PublishOptions
+          status={formData.status}
+          scheduledFor={formData.scheduledFor}
+          onChange={handleChange}
+          canPublish={canPublish}
+        />
 
         <button 
           type="submit" 
@@ -291,7 +224,7 @@ const CreatePost = () => {
           disabled={loading || !formData.category}
           style={{ fontSize: '1.1rem', padding: '0.75rem 2rem' }}
         >
-          {loading ? '📤 Creating Post...' : '📝 Create Post'}
+          {loading ? '📤 Saving Post...' : formData.status === 'published' ? '📝 Publish Post' : '💾 Save Post'}
         </button>
       </form>
     </div>
@@ -3,20 +3,32 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import useApi from '../hooks/useApi';
 import { postService, categoryService } from '../services/api';
+import useCan from '../hooks/useCan';
+import MarkdownEditor from '../components/MarkdownEditor';
+import PublishOptions from '../components/PublishOptions';
+import VisibilityOptions from '../components/VisibilityOptions';
+import TagPicker from '../components/TagPicker';
+import CategoryOptions from '../components/CategoryOptions';
+import RevisionHistory from '../components/RevisionHistory';
+import SlugField from '../components/SlugField';
 
 const EditPost = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const can = useCan();
   const [formData, setFormData] = useState({
     title: '',
+    slug: '',
     content: '',
     excerpt: '',
     category: '',
-    tags: '',
-    isPublished: true
+    tags: [],
+    status: 'draft',
+    scheduledFor: '',
+    visibility: 'public'
   });
 
-  const { data: post, loading: postLoading, error: postError } = useApi(
+  const { data: post, loading: postLoading, error: postError, setData: setPost } = useApi(
     () => postService.getPost(id),
     null,
     true
@@ -32,11 +44,14 @@ const EditPost = () => {
     if (post) {
       setFormData({
         title: post.title || '',
+        slug: post.slug || '',
         content: post.content || '',
         excerpt: post.excerpt || '',
         category: post.category?._id || '',
-        tags: post.tags?.join(', ') || '',
-        isPublished: post.isPublished || false
+        tags: post.tags || [],
+        status: post.status || 'draft',
+        scheduledFor: post.scheduledFor || '',
+        visibility: post.visibility || 'public'
       });
     }
   }, [post]);
@@ -53,13 +68,15 @@ const EditPost = () => {
     e.preventDefault();
     
     try {
+      const { scheduledFor, ...fields } = formData;
       const postData = {
-        ...formData,
-        tags: formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag)
+        ...fields,
+        tags: formData.tags,
+        ...(formData.status === 'scheduled' && { scheduledFor })
       };
       
-      await postService.updatePost(post._id, postData);
-      navigate(`/posts/${post.slug}`);
+      const result = await postService.updatePost(post._id, postData);
+      navigate(`/posts/${result.data.slug}`);
     } catch (error) {
       console.error('Failed to update post:', error);
       alert('Failed to update post: ' + (error.response?.data?.error || error.message));
@@ -74,102 +91,116 @@ const EditPost = () => {
     return <div className="error">Error: {postError}</div>;
   }
 
+  if (post && !can('posts:update', post)) {
+    return <div className="error">You are not allowed to edit this post.</div>;
+  }
+
+  // Publishing, scheduling or archiving needs the publish capability; editing doesn't
+  const canPublish = can('posts:publish', post);
+
+  // Restoring a revision reloads the form with its content
+  const handleRestore = (restored) => {
+    setPost(prev => ({ ...prev, ...restored }));
+  };
+
   return (
     <div>
       <h1>Edit Post</h1>
       
-      <form onSubmit={handleSubmit} className="card">
-        <div className="form-group">
-          <label className="form-label">Title</label>
-          <input
-            type="text"
-            name="title"
-            value={formData.title}
-            onChange={handleChange}
-            className="form-control"
-            required
-          />
-        </div>
+      <div className="edit-layout">
+        <form onSubmit={handleSubmit} className="card">
+          <div className="form-group">
+            <label className="form-label">Title</label>
+            <input
+              type="text"
+              name="title"
+              value={formData.title}
+              onChange={handleChange}
+              className="form-control"
+              required
+            />
+          </div>
 
-        <div className="form-group">
-          <label className="form-label">Content</label>
-          <textarea
-            name="content"
-            value={formData.content}
+          <SlugField
+            value={formData.slug}
             onChange={handleChange}
-            className="form-control"
-            rows="10"
-            required
+            path="/posts/"
+            currentSlug={post?.slug}
           />
-        </div>
 
-        <div className="form-group">
-          <label className="form-label">Excerpt (Optional)</label>
-          <textarea
-            name="excerpt"
-            value={formData.excerpt}
+          <div className="form-group">
+            <label className="form-label">Content</label>
+            <MarkdownEditor
+              name="content"
+              value={formData.content}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Excerpt (Optional)</label>
+            <textarea
+              name="excerpt"
+              value={formData.excerpt}
+              onChange={handleChange}
+              className="form-control"
+              rows="3"
+              maxLength="200"
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Category</label>
+            <select
+              name="category"
+              value={formData.category}
+              onChange={handleChange}
+              className="form-control"
+              required
+            >
+              <option value="">Select a category</option>
+              <CategoryOptions categories={categories} />
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Tags</label>
+            <TagPicker
+              value={formData.tags}
+              onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+            />
+          </div>
+
+          <VisibilityOptions
+            visibility={formData.visibility}
             onChange={handleChange}
-            className="form-control"
-            rows="3"
-            maxLength="200"
           />
-        </div>
 
-        <div className="form-group">
-          <label className="form-label">Category</label>
-          <select
-            name="category"
-            value={formData.category}
-            onChange={handleChange}
-            className="form-control"
-            required
-          >
-            <option value="">Select a category</option>
-            {categories.map(category => (
-              <option key={category._id} value={category._id}>
-                {category.name}
-              </option>
-            ))}
-          </select>
-        </div>
-
-        <div className="form-group">
-          <label className="form-label">Tags (comma separated)</label>
-          <input
-            type="text"
-            name="tags"
-            value={formData.tags}
+          <PublishOptions
+            status={formData.status}
+            scheduledFor={formData.scheduledFor}
             onChange={handleChange}
-            className="form-control"
-            placeholder="react, javascript, web-development"
+            canPublish={canPublish}
+            currentStatus={post?.status}
           />
-        </div>
 
-        <div className="form-group">
-          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-            <input
-              type="checkbox"
-              name="isPublished"
-              checked={formData.isPublished}
-              onChange={handleChange}
-            />
-            Published
-          </label>
-        </div>
-
-        <div style={{ display: 'flex', gap: '1rem' }}>
-          <button type="submit" className="btn btn-primary">
-            Update Post
-          </button>
-          <button 
-            type="button" 
-            className="btn btn-danger"
-            onClick={() => navigate(`/posts/${post.slug}`)}
-          >
-            Cancel
-          </button>
-        </div>
-      </form>
+          <div style={{ display: 'flex', gap: '1rem' }}>
+            <button type="submit" className="btn btn-primary">
+              Update Post
+            </button>
+            <button 
+              type="button" 
+              className="btn btn-danger"
+              onClick={() => navigate(`/posts/${post.slug}`)}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+
+        {post && <RevisionHistory postId={post._id} onRestore={handleRestore} />}
+      </div>
     </div>
   );
 };
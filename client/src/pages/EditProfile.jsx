@@ -0,0 +1,176 @@
+// EditProfile.jsx - Edit the signed-in user's public profile and avatar
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import useApi from '../hooks/useApi';
+import { userService } from '../services/api';
+import Avatar from '../components/Avatar';
+import AvatarCropper from '../components/AvatarCropper';
+
+const SOCIAL_FIELDS = [
+  { name: 'github', label: 'GitHub', placeholder: 'https://github.com/you' },
+  { name: 'twitter', label: 'Twitter / X', placeholder: 'https://x.com/you' },
+  { name: 'linkedin', label: 'LinkedIn', placeholder: 'https://www.linkedin.com/in/you' },
+  { name: 'mastodon', label: 'Mastodon', placeholder: 'https://mastodon.social/@you' },
+];
+
+const EditProfile = () => {
+  const navigate = useNavigate();
+  const { data: profile, loading, error } = useApi(userService.getMyProfile, null, true);
+
+  const [formData, setFormData] = useState(null);
+  const [avatar, setAvatar] = useState(null);
+  const [avatarPreview, setAvatarPreview] = useState('');
+  const [avatarCrop, setAvatarCrop] = useState(null);
+  const [removeAvatar, setRemoveAvatar] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (profile) {
+      setFormData({
+        displayName: profile.displayName,
+        bio: profile.bio,
+        website: profile.website,
+        socialLinks: profile.socialLinks,
+      });
+    }
+  }, [profile]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSocialChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, socialLinks: { ...prev.socialLinks, [name]: value } }));
+  };
+
+  const handleAvatarSelect = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setAvatar(file);
+    setAvatarCrop(null);
+    setRemoveAvatar(false);
+    const reader = new FileReader();
+    reader.onload = () => setAvatarPreview(reader.result);
+    reader.readAsDataURL(file);
+  };
+
+  const clearAvatarSelection = () => {
+    setAvatar(null);
+    setAvatarPreview('');
+    setAvatarCrop(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const result = await userService.updateProfile({
+        ...formData,
+        ...(avatar && { avatar, avatarCrop }),
+        ...(removeAvatar && { removeAvatar: true }),
+      });
+      navigate(`/authors/${encodeURIComponent(result.data.username)}`);
+    } catch (err) {
+      console.error('Failed to update profile:', err);
+      alert('Failed to update profile: ' +
+        (err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || err.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || (!formData && !error)) return <div className="loading">Loading profile...</div>;
+  if (error) return <div className="error">Error: {error}</div>;
+
+  return (
+    <div>
+      <h1>Edit Profile</h1>
+
+      <form onSubmit={handleSubmit} className="card">
+        <div className="form-group">
+          <label className="form-label">Avatar</label>
+          {avatarPreview ? (
+            <>
+              <AvatarCropper src={avatarPreview} onChange={setAvatarCrop} />
+              <button type="button" className="btn" onClick={clearAvatarSelection}>
+                Cancel new avatar
+              </button>
+            </>
+          ) : (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+              <Avatar user={removeAvatar ? { ...profile, avatarImage: null } : profile} size="large" />
+              <div>
+                <input type="file" accept="image/jpeg,image/png,image/gif,image/webp" onChange={handleAvatarSelect} />
+                {profile.avatarImage && !removeAvatar && (
+                  <button type="button" className="btn btn-danger" onClick={() => setRemoveAvatar(true)}>
+                    Remove avatar
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Display name</label>
+          <input
+            type="text"
+            name="displayName"
+            value={formData.displayName}
+            onChange={handleChange}
+            className="form-control"
+            maxLength="50"
+            placeholder={profile.username}
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Bio</label>
+          <textarea
+            name="bio"
+            value={formData.bio}
+            onChange={handleChange}
+            className="form-control"
+            rows="4"
+            maxLength="500"
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Website</label>
+          <input
+            type="url"
+            name="website"
+            value={formData.website}
+            onChange={handleChange}
+            className="form-control"
+            placeholder="https://example.com"
+          />
+        </div>
+
+        {SOCIAL_FIELDS.map(field => (
+          <div key={field.name} className="form-group">
+            <label className="form-label">{field.label}</label>
+            <input
+              type="url"
+              name={field.name}
+              value={formData.socialLinks[field.name]}
+              onChange={handleSocialChange}
+              className="form-control"
+              placeholder={field.placeholder}
+            />
+          </div>
+        ))}
+
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : 'Save Profile'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default EditProfile;
@@ -0,0 +1,71 @@
+// ForgotPassword.jsx - Request a password reset email
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authService } from '../services/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setLoading(true);
+
+    try {
+      const result = await authService.forgotPassword(email);
+      setMessage(result.message);
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Request failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: '400px', margin: '2rem auto' }}>
+      <h1>Forgot Password</h1>
+
+      <form onSubmit={handleSubmit} className="card">
+        {error && <div className="error">{error}</div>}
+        {message && (
+          <div style={{ color: '#2e7d32', marginBottom: '1rem' }}>{message}</div>
+        )}
+
+        <p style={{ marginBottom: '1rem' }}>
+          Enter the email address for your account and we'll send you a link to choose a new password.
+        </p>
+
+        <div className="form-group">
+          <label className="form-label">Email</label>
+          <input
+            type="email"
+            name="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="form-control"
+            required
+          />
+        </div>
+
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={loading}
+          style={{ width: '100%' }}
+        >
+          {loading ? 'Sending...' : 'Send Reset Link'}
+        </button>
+      </form>
+
+      <p style={{ textAlign: 'center', marginTop: '1rem' }}>
+        Remembered it? <Link to="/login">Login here</Link>
+      </p>
+    </div>
+  );
+};
+
+export default ForgotPassword;
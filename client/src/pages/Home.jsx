@@ -1,38 +1,86 @@
 // client/src/pages/Home.jsx - Styled version of your existing code
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { postService, categoryService } from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import PostImage from '../components/PostImage';
+import PostFilters from '../components/PostFilters';
+import TagList from '../components/TagList';
+import AuthorLink from '../components/AuthorLink';
+import ReactionBar from '../components/ReactionBar';
+import BookmarkButton from '../components/BookmarkButton';
+import useCan from '../hooks/useCan';
+import useRealtime from '../hooks/useRealtime';
+import PostFeed from '../components/PostFeed';
+import FeedLinks from '../components/FeedLinks';
+import { getInitialData } from '../services/initialData';
+
+const PAGE_SIZE = 10;
+
+// List filters kept in the query string, so filtered views can be shared
+const FILTER_KEYS = ['category', 'tag', 'from', 'to', 'hasImage', 'sort'];
 
 const Home = () => {
-  const [page, setPage] = useState(1);
-  const [selectedCategory, setSelectedCategory] = useState('');
-  const [posts, setPosts] = useState([]);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(
+    () => Object.fromEntries(FILTER_KEYS.map(key => [key, searchParams.get(key) || ''])),
+    [searchParams]
+  );
+  // ?view=scroll loads more posts as you reach the end instead of paging
+  const infinite = searchParams.get('view') === 'scroll';
+  const page = infinite ? 1 : parseInt(searchParams.get('page')) || 1;
+
+  // Server-rendered pages start from the first page they were rendered with
+  const [posts, setPosts] = useState(() => getInitialData('home')?.data || []);
+  const [pagination, setPagination] = useState(() => getInitialData('home')?.pagination || null);
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState('');
+  // Posts published since the list was loaded, and a counter that refetches it
+  const [newPostIds, setNewPostIds] = useState([]);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const sentinelRef = useRef(null);
   
   const { isAuthenticated, user, loading: authLoading } = useAuth();
+  const can = useCan();
+  // ?feed=following shows posts from followed authors, categories and tags
+  const following = isAuthenticated && searchParams.get('feed') === 'following';
 
-  // Fetch posts when authenticated or when page/category changes
+  // Fetch posts once auth has settled (signed-in readers also see members-only
+  // posts), and again when the user, filters or page change
   useEffect(() => {
+    if (authLoading || following) return undefined;
+
+    let cancelled = false;
     const fetchPosts = async () => {
-      if (!isAuthenticated) return;
-      
       setLoading(true);
       setError('');
       try {
-        const result = await postService.getAllPosts(page, 10, selectedCategory);
+        const result = await postService.getAllPosts({ ...filters, page, limit: PAGE_SIZE });
+        if (cancelled) return;
         setPosts(result.data || []);
+        setPagination(result.pagination || null);
+        setNewPostIds([]);
       } catch (err) {
-        setError(err.response?.data?.error || 'Failed to load posts');
+        if (!cancelled) setError(err.response?.data?.error || 'Failed to load posts');
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
 
     fetchPosts();
-  }, [isAuthenticated, page, selectedCategory]);
+    return () => {
+      cancelled = true;
+    };
+  }, [authLoading, isAuthenticated, following, filters, page, refreshKey]);
+
+  // "New posts available": count posts published while the list is open
+  useRealtime('posts', {
+    'posts.new': ({ data }) => {
+      setNewPostIds(current => (current.includes(data.postId) ? current : [...current, data.postId]));
+    },
+  });
 
   // Fetch categories once
   useEffect(() => {
@@ -48,13 +96,64 @@ const Home = () => {
     fetchCategories();
   }, []);
 
-  const handleCategoryChange = (e) => {
-    setSelectedCategory(e.target.value);
-    setPage(1);
+  // Infinite scroll: fetch the next page when the sentinel below the list comes into view
+  const nextCursor = infinite && !following && !loading && !loadingMore ? pagination?.nextCursor : null;
+  useEffect(() => {
+    if (!nextCursor || !sentinelRef.current) return undefined;
+
+    const loadMore = async () => {
+      setLoadingMore(true);
+      try {
+        const result = await postService.getAllPosts({ ...filters, cursor: nextCursor, limit: PAGE_SIZE });
+        setPosts(current => [...current, ...(result.data || [])]);
+        setPagination(result.pagination || null);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load more posts');
+      } finally {
+        setLoadingMore(false);
+      }
+    };
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        observer.disconnect();
+        loadMore();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinelRef.current);
+
+    return () => observer.disconnect();
+  }, [nextCursor, filters]);
+
+  // Change some query-string values; changing a filter goes back to the first page
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    if (!('page' in changes)) {
+      next.delete('page');
+    }
+    setSearchParams(next);
+  };
+
+  const clearFilters = () => {
+    updateParams(Object.fromEntries(FILTER_KEYS.map(key => [key, ''])));
   };
 
-  // Show loading while checking auth
-  if (authLoading) {
+  // Reload the list from the first page, keeping the filters
+  const refresh = () => {
+    setNewPostIds([]);
+    updateParams({ page: '' });
+    setRefreshKey(key => key + 1);
+  };
+
+  // Show loading while checking auth (server-rendered posts can show meanwhile)
+  if (authLoading && !pagination) {
     return (
       <div className="loading">
         <h3>Loading...</h3>
@@ -63,35 +162,67 @@ const Home = () => {
     );
   }
 
-  // Show login prompt if not authenticated
-  if (!isAuthenticated) {
+  const welcome = isAuthenticated ? (
+    <div className="welcome-message">
+      <h1>🎉 Welcome back, {user?.username}!</h1>
+      <p className="mb-0">
+        {following
+          ? 'Here are the latest posts from the authors, categories and tags you follow'
+          : 'Here are the latest posts from our community'}
+      </p>
+    </div>
+  ) : (
+    <div className="welcome-message">
+      <h1>📝 Welcome to Our Blog</h1>
+      <p className="mb-0">
+        Reading the public posts. <Link to="/login">Log in</Link> or <Link to="/register">register</Link> to
+        see members-only posts and join the conversation.
+      </p>
+    </div>
+  );
+
+  const feedTabs = isAuthenticated && (
+    <div className="feed-tabs" role="tablist">
+      <button
+        type="button"
+        role="tab"
+        aria-selected={!following}
+        className={`btn ${following ? '' : 'btn-primary'}`}
+        onClick={() => setSearchParams({})}
+      >
+        🌍 Everyone
+      </button>
+      <button
+        type="button"
+        role="tab"
+        aria-selected={following}
+        className={`btn ${following ? 'btn-primary' : ''}`}
+        onClick={() => setSearchParams({ feed: 'following' })}
+      >
+        ⭐ Following
+      </button>
+    </div>
+  );
+
+  if (following) {
     return (
-      <div className="auth-container">
-        <div className="hero-section">
-          <h1>📝 Welcome to Our Blog</h1>
-          <p style={{color:'white'}}>Join our community to read and share amazing content</p>
-        </div>
-        <div className="auth-card">
-          <h4>Please log in to view posts and interact with our community</h4>
-          <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', marginTop: '2rem' }}>
-            <Link to="/login" className="btn btn-primary">
-              🔐 Login
-            </Link>
-            <Link to="/register" className="btn">
-              📝 Register
-            </Link>
-          </div>
-        </div>
+      <div className="container">
+        {welcome}
+        {feedTabs}
+        <PostFeed
+          source="following"
+          emptyMessage="Nothing here yet. Follow authors, categories or tags to see their new posts in this feed."
+        />
       </div>
     );
   }
 
-  // Show loading while fetching posts
-  if (loading) {
+  // Show loading while fetching the first posts
+  if (loading && !pagination) {
     return (
       <div className="loading">
         <h3>Loading posts...</h3>
-        <p>Fetching the latest content for you, {user?.username}!</p>
+        <p>Fetching the latest content{isAuthenticated ? ` for you, ${user?.username}` : ''}!</p>
       </div>
     );
   }
@@ -112,49 +243,61 @@ const Home = () => {
   return (
     <div className="container">
       {/* Header Section */}
-      <div className="welcome-message">
-        <h1>🎉 Welcome back, {user?.username}!</h1>
-        <p className="mb-0">Here are the latest posts from our community</p>
-      </div>
+      {welcome}
+      {feedTabs}
 
-      {/* Category Filter */}
-      <div className="category-filter">
-        <label htmlFor="category-select" style={{ fontWeight: '600', color: 'var(--text-dark)' }}>
-          📂 Filter by Category:
-        </label>
-        <select 
-          id="category-select"
-          value={selectedCategory} 
-          onChange={handleCategoryChange}
-          className="form-control"
-          style={{ width: '200px' }}
+      {/* Filters */}
+      <PostFilters
+        filters={filters}
+        categories={categories}
+        onChange={updateParams}
+        onClear={clearFilters}
+      />
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginBottom: '1rem' }}>
+        <button
+          type="button"
+          className={`btn ${infinite ? '' : 'btn-primary'}`}
+          onClick={() => updateParams({ view: '' })}
         >
-          <option value="">All Categories</option>
-          {categories.map(category => (
-            <option key={category._id} value={category._id}>
-              {category.name}
-            </option>
-          ))}
-        </select>
+          📄 Pages
+        </button>
+        <button
+          type="button"
+          className={`btn ${infinite ? 'btn-primary' : ''}`}
+          onClick={() => updateParams({ view: 'scroll' })}
+        >
+          ♾️ Infinite scroll
+        </button>
       </div>
 
+      {newPostIds.length > 0 && (
+        <div className="new-posts-banner" role="status">
+          🆕 {newPostIds.length} new post{newPostIds.length === 1 ? '' : 's'} available
+          <button type="button" className="btn btn-primary" onClick={refresh}>
+            Show
+          </button>
+        </div>
+      )}
+
       {/* Posts List */}
       {posts.length > 0 ? (
         <div>
           <div style={{ marginBottom: '1rem', color: 'black' }}>
-            📚 Showing <b>{posts.length}</b> posts
+            📚 Showing <b>{posts.length}</b> of <b>{pagination?.total ?? posts.length}</b> posts
+            {loading && ' · Updating...'}
           </div>
           {posts.map(post => (
             <div key={post._id} className="post-card">
               {/* Add featured image */}
                 {post.hasFeaturedImage && (
               <div style={{ marginBottom: '1rem' }}>
-                <img 
-                  src={`http://localhost:5000/api/posts/${post._id}/image`}
-                  alt={post.title}
+                <PostImage
+                  post={post}
+                  sizes="(max-width: 800px) 100vw, 800px"
                   style={{
-                    width: 'autofit',
-                    height: 'autofit',
+                    maxWidth: '100%',
+                    height: 'auto',
                     objectFit: 'cover',
                     borderRadius: '8px'
                   }}
@@ -165,14 +308,22 @@ const Home = () => {
       {post.title}
     </Link>
               <div className="post-meta">
-                <span>👤 By {post.author?.username}</span>
-                <span>📅 {new Date(post.createdAt).toLocaleDateString()}</span>
-                <span>🏷️ {post.category?.name}</span>
+                <span>👤 By <AuthorLink author={post.author} /></span>
+                <span suppressHydrationWarning>📅 {new Date(post.publishedAt || post.createdAt).toLocaleDateString()}</span>
+                {post.category && (
+                  <span>🏷️ <Link to={`/categories/${post.category.slug}`}>{post.category.name}</Link></span>
+                )}
                 <span>👁️ {post.viewCount} views</span>
+                <span>💬 {post.commentCount || 0}</span>
               </div>
               {post.excerpt && (
                 <p className="post-excerpt">{post.excerpt}</p>
               )}
+              <TagList tags={post.tags} />
+              <div className="post-actions">
+                <ReactionBar post={post} compact />
+                <BookmarkButton post={post} />
+              </div>
               <div style={{ marginTop: '1rem' }}>
                 <Link to={`/posts/${post.slug}`} className="btn btn-primary" style={{ fontSize: '0.9rem', padding: '0.5rem 1rem' }}>
                   📖 Read More →
@@ -186,27 +337,39 @@ const Home = () => {
           <div style={{ fontSize: '4rem', marginBottom: '1rem' }}>📝</div>
           <h3>No posts found</h3>
           <p style={{ color: 'var(--text-light)', marginBottom: '2rem' }}>
-            There are no published posts to display at the moment.
+            {Object.values(filters).some(Boolean)
+              ? 'No posts match these filters.'
+              : 'There are no published posts to display at the moment.'}
           </p>
-          <Link to="/create-post" className="btn btn-primary">
-            ✨ Create Your First Post
-          </Link>
+          {can('posts:create') && (
+            <Link to="/create-post" className="btn btn-primary">
+              ✨ Create Your First Post
+            </Link>
+          )}
         </div>
       )}
 
       {/* Pagination */}
-      {posts.length > 0 && (
+      {infinite ? (
+        <div ref={sentinelRef} className="loading" style={{ marginTop: '2rem' }}>
+          {loadingMore && <p>Loading more posts...</p>}
+          {pagination && !pagination.hasMore && posts.length > 0 && <p>You're all caught up 🎉</p>}
+        </div>
+      ) : posts.length > 0 && (
         <div className="pagination">
           <button 
-            onClick={() => setPage(page - 1)} 
+            onClick={() => updateParams({ page: page > 2 ? String(page - 1) : '' })} 
             disabled={page === 1}
             className="btn btn-primary"
           >
             ← Previous
           </button>
-          <span style={{ fontWeight: '600', color: 'var(--text-dark)' }}>Page {page}</span>
+          <span style={{ fontWeight: '600', color: 'var(--text-dark)' }}>
+            Page {page}{pagination?.pages ? ` of ${pagination.pages}` : ''}
+          </span>
           <button 
-            onClick={() => setPage(page + 1)} 
+            onClick={() => updateParams({ page: String(page + 1) })}
+            disabled={!pagination?.hasMore}
             className="btn btn-primary"
           >
             Next →
@@ -214,13 +377,19 @@ const Home = () => {
         </div>
       )}
 
+      <div className="text-center" style={{ marginTop: '2rem' }}>
+        <FeedLinks />
+      </div>
+
       {/* Quick Action Buttons */}
       <div style={{ display: 'flex', gap: '1rem', justifyContent: 'center', marginTop: '2rem' }}>
-        <Link to="/create-post" className="btn btn-primary">
-          ✏️ Create New Post
-        </Link>
+        {can('posts:create') && (
+          <Link to="/create-post" className="btn btn-primary">
+            ✏️ Create New Post
+          </Link>
+        )}
         <button 
-          onClick={() => window.location.reload()} 
+          onClick={refresh} 
           className="btn"
         >
           🔄 Refresh Posts
@@ -31,7 +31,7 @@ const Login = () => {
 
   try {
     await login(formData);
-    navigate('/'); // Simple redirect to home
+    navigate(from, { replace: true });
   } catch (err) {
     setError(err.response?.data?.error || 'Login failed');
   } finally {
@@ -81,6 +81,9 @@ const Login = () => {
       </form>
 
       <p style={{ textAlign: 'center', marginTop: '1rem' }}>
+        <Link to="/forgot-password">Forgot your password?</Link>
+      </p>
+      <p style={{ textAlign: 'center', marginTop: '0.5rem' }}>
         Don't have an account? <Link to="/register">Register here</Link>
       </p>
     </div>
@@ -0,0 +1,133 @@
+// ModerationQueue.jsx - Review queue for pending and spam comments
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { commentService } from '../services/api';
+
+const STATUSES = ['pending', 'spam', 'approved'];
+
+const ModerationQueue = () => {
+  const [status, setStatus] = useState('pending');
+  const [page, setPage] = useState(1);
+  const [comments, setComments] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await commentService.getModerationQueue(status, page);
+      setComments(response.data);
+      setPagination(response.pagination);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, page]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const handleStatusChange = (nextStatus) => {
+    setStatus(nextStatus);
+    setPage(1);
+  };
+
+  const handleModerate = async (comment, nextStatus) => {
+    try {
+      await commentService.setCommentStatus(comment.post._id, comment._id, nextStatus);
+      setComments((current) => current.filter((item) => item._id !== comment._id));
+    } catch (err) {
+      console.error('Failed to moderate comment:', err);
+      alert('Failed to moderate comment: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      await commentService.deleteComment(comment.post._id, comment._id);
+      setComments((current) => current.filter((item) => item._id !== comment._id));
+    } catch (err) {
+      console.error('Failed to delete comment:', err);
+      alert('Failed to delete comment: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  return (
+    <div>
+      <h1>Comment Moderation</h1>
+
+      <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+        {STATUSES.map((option) => (
+          <button
+            key={option}
+            onClick={() => handleStatusChange(option)}
+            className={option === status ? 'btn btn-primary' : 'btn'}
+            style={{ textTransform: 'capitalize' }}
+          >
+            {option}
+          </button>
+        ))}
+      </div>
+
+      {loading && <div className="loading">Loading comments...</div>}
+      {error && <div className="error">Error: {error}</div>}
+
+      {!loading && !error && comments.length === 0 && (
+        <p>No {status} comments. 🎉</p>
+      )}
+
+      {!loading && comments.map((comment) => (
+        <div key={comment._id} className="card" style={{ marginBottom: '1rem' }}>
+          <div style={{ fontWeight: 'bold', marginBottom: '0.5rem' }}>
+            {comment.user?.username || 'Unknown user'}
+            {comment.user && !comment.user.isEmailVerified && (
+              <span style={{ color: '#f57c00', fontWeight: 'normal', fontSize: '0.8rem' }}> (unverified)</span>
+            )}
+          </div>
+          <div style={{ whiteSpace: 'pre-wrap' }}>{comment.content}</div>
+          <div className="post-meta">
+            <span>📝 {comment.post ? <Link to={`/posts/${comment.post._id}`}>{comment.post.title}</Link> : 'Deleted post'}</span>
+            <span>🕒 {new Date(comment.createdAt).toLocaleString()}</span>
+          </div>
+          {comment.post && (
+            <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+              {status !== 'approved' && (
+                <button onClick={() => handleModerate(comment, 'approved')} className="btn btn-primary" style={{ fontSize: '0.9rem' }}>
+                  ✅ Approve
+                </button>
+              )}
+              {status !== 'spam' && (
+                <button onClick={() => handleModerate(comment, 'spam')} className="btn btn-danger" style={{ fontSize: '0.9rem' }}>
+                  🚫 Spam
+                </button>
+              )}
+              <button onClick={() => handleDelete(comment)} className="btn btn-danger" style={{ fontSize: '0.9rem' }}>
+                🗑️ Delete
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {pagination && pagination.pages > 1 && (
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          <button className="btn" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+            ← Previous
+          </button>
+          <span>Page {pagination.page} of {pagination.pages}</span>
+          <button className="btn" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModerationQueue;
@@ -0,0 +1,121 @@
+// MyPosts.jsx - Dashboard of the current user's drafts, scheduled and published posts
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import useCan from '../hooks/useCan';
+import { postService } from '../services/api';
+import PostStatusBadge from '../components/PostStatusBadge';
+
+const TABS = [
+  { key: 'drafts', label: 'Drafts', status: 'draft,in_review' },
+  { key: 'scheduled', label: 'Scheduled', status: 'scheduled' },
+  { key: 'published', label: 'Published', status: 'published' },
+  { key: 'archived', label: 'Archived', status: 'archived' },
+  // Editors review everyone's submissions
+  { key: 'review', label: 'Review queue', status: 'in_review', everyone: true, capability: 'posts:publish' },
+];
+
+const MyPosts = () => {
+  const can = useCan();
+  const [tab, setTab] = useState(TABS[0]);
+  const [page, setPage] = useState(1);
+  const [posts, setPosts] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchPosts = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await postService.getPostsByStatus(tab.status, { mine: !tab.everyone, page });
+      setPosts(response.data);
+      setPagination(response.pagination);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [tab, page]);
+
+  useEffect(() => {
+    fetchPosts();
+  }, [fetchPosts]);
+
+  const handleTabChange = (nextTab) => {
+    setTab(nextTab);
+    setPage(1);
+  };
+
+  const tabs = TABS.filter((item) => !item.capability || can(item.capability));
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+        <h1>My Posts</h1>
+        {can('posts:create') && (
+          <Link to="/create-post" className="btn btn-primary">
+            ✍️ New Post
+          </Link>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem', flexWrap: 'wrap' }}>
+        {tabs.map((item) => (
+          <button
+            key={item.key}
+            onClick={() => handleTabChange(item)}
+            className={item.key === tab.key ? 'btn btn-primary' : 'btn'}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      {loading && <div className="loading">Loading posts...</div>}
+      {error && <div className="error">Error: {error}</div>}
+
+      {!loading && !error && posts.length === 0 && (
+        <div className="card">
+          <p>Nothing here yet.</p>
+        </div>
+      )}
+
+      {!loading && posts.map((post) => (
+        <div key={post._id} className="card" style={{ marginBottom: '1rem' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+            <Link to={`/posts/${post.slug}`} className="post-title">
+              {post.title}
+            </Link>
+            <PostStatusBadge post={post} />
+          </div>
+          <div className="post-meta">
+            {tab.everyone && <span>👤 {post.author?.username}</span>}
+            <span>🏷️ {post.category?.name}</span>
+            <span>✏️ Updated {new Date(post.updatedAt).toLocaleString()}</span>
+            {post.publishedAt && <span>📅 Published {new Date(post.publishedAt).toLocaleDateString()}</span>}
+            {post.status === 'published' && <span>👁️ {post.viewCount} views</span>}
+          </div>
+          {can('posts:update', post) && (
+            <Link to={`/edit-post/${post._id}`} className="btn btn-primary" style={{ fontSize: '0.9rem' }}>
+              ✏️ Edit
+            </Link>
+          )}
+        </div>
+      ))}
+
+      {pagination && pagination.pages > 1 && (
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          <button className="btn" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+            ← Previous
+          </button>
+          <span>Page {pagination.page} of {pagination.pages}</span>
+          <button className="btn" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MyPosts;
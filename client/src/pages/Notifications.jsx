@@ -0,0 +1,157 @@
+// Notifications.jsx - All of the user's notifications, plus which kinds they receive
+import React, { useCallback, useEffect, useState } from 'react';
+import { notificationService } from '../services/api';
+import NotificationMessage from '../components/NotificationMessage';
+
+const PAGE_SIZE = 20;
+
+const PREFERENCE_LABELS = {
+  comment: 'Someone comments on my post',
+  reply: 'Someone replies to my comment',
+  follow: 'Someone follows me',
+  post_published: 'My post is published, or an author I follow publishes a post',
+};
+
+const errorMessage = (err) => err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || err.message;
+
+const Notifications = () => {
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [page, setPage] = useState(1);
+  const [notifications, setNotifications] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [preferences, setPreferences] = useState(null);
+
+  const fetchNotifications = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await notificationService.getNotifications({ unread: unreadOnly, page, limit: PAGE_SIZE });
+      setNotifications(result.data);
+      setPagination(result.pagination);
+      setUnreadCount(result.unreadCount);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  }, [unreadOnly, page]);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  useEffect(() => {
+    notificationService.getPreferences()
+      .then((result) => setPreferences(result.data))
+      .catch((err) => console.error('Failed to load notification preferences:', err));
+  }, []);
+
+  const showUnreadOnly = (value) => {
+    setUnreadOnly(value);
+    setPage(1);
+  };
+
+  const toggleRead = async (notification) => {
+    try {
+      const result = await notificationService.markRead(notification._id, !notification.readAt);
+      setNotifications(current => current.map(item => (
+        item._id === notification._id ? { ...item, readAt: result.data.readAt } : item
+      )));
+      setUnreadCount(result.unreadCount);
+    } catch (err) {
+      alert(errorMessage(err));
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await notificationService.markAllRead();
+      fetchNotifications();
+    } catch (err) {
+      alert(errorMessage(err));
+    }
+  };
+
+  const togglePreference = async (type) => {
+    try {
+      const result = await notificationService.updatePreferences({ [type]: !preferences[type] });
+      setPreferences(result.data);
+    } catch (err) {
+      alert('Failed to save preferences: ' + errorMessage(err));
+    }
+  };
+
+  return (
+    <div>
+      <h1>🔔 Notifications</h1>
+
+      <div className="notifications-toolbar">
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button type="button" className={`btn ${unreadOnly ? '' : 'btn-primary'}`} onClick={() => showUnreadOnly(false)}>
+            All
+          </button>
+          <button type="button" className={`btn ${unreadOnly ? 'btn-primary' : ''}`} onClick={() => showUnreadOnly(true)}>
+            Unread ({unreadCount})
+          </button>
+        </div>
+        <button type="button" className="btn" onClick={markAllRead} disabled={unreadCount === 0}>
+          ✓ Mark all read
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="loading">Loading notifications...</div>
+      ) : error ? (
+        <div className="error">Error: {error}</div>
+      ) : notifications.length === 0 ? (
+        <div className="card text-center">
+          <h3>{unreadOnly ? "You're all caught up" : 'No notifications yet'}</h3>
+          <p style={{ color: 'var(--text-light)' }}>
+            Comments on your posts, replies, new followers and publications show up here.
+          </p>
+        </div>
+      ) : (
+        <ul className="notification-list card">
+          {notifications.map(notification => (
+            <li key={notification._id} className={notification.readAt ? '' : 'unread'}>
+              <NotificationMessage notification={notification} />
+              <div className="notification-meta">
+                <small>{new Date(notification.createdAt).toLocaleString()}</small>
+                <button type="button" className="link-button" onClick={() => toggleRead(notification)}>
+                  {notification.readAt ? 'Mark unread' : 'Mark read'}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="pagination">
+          <button type="button" className="btn" onClick={() => setPage(page - 1)} disabled={page <= 1}>← Previous</button>
+          <span>Page {page} of {pagination.pages}</span>
+          <button type="button" className="btn" onClick={() => setPage(page + 1)} disabled={page >= pagination.pages}>Next →</button>
+        </div>
+      )}
+
+      <div className="card" style={{ marginTop: '2rem' }}>
+        <h3>Notify me when</h3>
+        {!preferences ? (
+          <p>Loading...</p>
+        ) : (
+          Object.entries(PREFERENCE_LABELS).map(([type, label]) => (
+            <label key={type} className="notification-preference">
+              <input type="checkbox" checked={preferences[type]} onChange={() => togglePreference(type)} />
+              {label}
+            </label>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Notifications;
@@ -1,36 +1,65 @@
 // Post.jsx - Single post page
-import React, { useState } from 'react';
-import { useParams, Link } from 'react-router-dom';
-import { useAuth } from '../context/AuthContext';
+import React, { useEffect, useRef, useState } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
 import useApi from '../hooks/useApi';
+import useCan from '../hooks/useCan';
+import useRealtime from '../hooks/useRealtime';
+import useViewTracking from '../hooks/useViewTracking';
 import { postService } from '../services/api';
+import { getInitialData } from '../services/initialData';
+import PostImage from '../components/PostImage';
+import CommentSection from '../components/CommentSection';
+import PostStatusBadge from '../components/PostStatusBadge';
+import TagList from '../components/TagList';
+import AuthorLink from '../components/AuthorLink';
+import ReactionBar from '../components/ReactionBar';
+import BookmarkButton from '../components/BookmarkButton';
 
 const Post = () => {
   const { id } = useParams();
-  const { isAuthenticated } = useAuth();
-  const [comment, setComment] = useState('');
+  const navigate = useNavigate();
+  const can = useCan();
   
-  const { data: post, loading, error, execute } = useApi(
+  // A server-rendered page starts from the post it was rendered with; the
+  // fetch still runs, adding the reader's own state and counting the view
+  const { data: post, loading, error } = useApi(
     () => postService.getPost(id),
-    null,
+    getInitialData(`post:${id}`),
     true
   );
 
-  const handleAddComment = async (e) => {
-    e.preventDefault();
-    if (!comment.trim()) return;
+  // Links with a slug the post had before land here; show the current address
+  useEffect(() => {
+    if (post && id !== post.slug && id !== post._id) {
+      navigate(`/posts/${post.slug}`, { replace: true });
+    }
+  }, [post, id, navigate]);
+
+  // Views and reads to the end (the sentinel after the content) feed the author's stats
+  const endRef = useRef(null);
+  useViewTracking(post?._id, endRef);
+
+  // Live view count and how many people have the post open
+  const [liveViews, setLiveViews] = useState(null);
+  const [readers, setReaders] = useState(0);
+  useRealtime(post ? `post:${post._id}` : null, {
+    presence: ({ count }) => setReaders(count),
+    'post.views': ({ data }) => setLiveViews(data.viewCount),
+  });
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this post? This cannot be undone.')) return;
 
     try {
-      await postService.addComment(post._id, { content: comment });
-      setComment('');
-      // Refresh post data to show new comment
-      execute();
+      await postService.deletePost(post._id);
+      navigate('/');
     } catch (err) {
-      console.error('Failed to add comment:', err);
+      console.error('Failed to delete post:', err);
+      alert('Failed to delete post: ' + (err.response?.data?.error || err.message));
     }
   };
 
-  if (loading) return <div className="loading">Loading post...</div>;
+  if (loading && !post) return <div className="loading">Loading post...</div>;
   if (error) return <div className="error">Error: {error}</div>;
   if (!post) return <div className="error">Post not found</div>;
 
@@ -41,18 +70,50 @@ const Post = () => {
       </Link>
       
       <article className="post-card">
+        {post.structuredData && (
+          // Search engines read the post's JSON-LD; "<" is escaped so the data can't end the script
+          <script
+            type="application/ld+json"
+            dangerouslySetInnerHTML={{ __html: JSON.stringify(post.structuredData).replace(/</g, '\\u003c') }}
+          />
+        )}
         <h1>{post.title}</h1>
-        <div className="post-meta">
-          By {post.author?.username} • {new Date(post.createdAt).toLocaleDateString()} • 
-          Category: {post.category?.name} • Views: {post.viewCount}
+        {(post.status !== 'published' || (post.visibility && post.visibility !== 'public')) && (
+          <PostStatusBadge post={post} />
+        )}
+        {/* Dates are formatted in the reader's locale, which the server can't know */}
+        <div className="post-meta" suppressHydrationWarning>
+          By <AuthorLink author={post.author} showAvatar /> • {new Date(post.publishedAt || post.createdAt).toLocaleDateString()} • 
+          Category: {post.category && <Link to={`/categories/${post.category.slug}`}>{post.category.name}</Link>} • Views: {liveViews ?? post.viewCount}
+          {readers > 1 && <> • <span className="readers-now">👀 {readers} people reading</span></>}
         </div>
+        {(can('posts:update', post) || can('posts:delete', post) || can('stats:read', post)) && (
+          <div style={{ display: 'flex', gap: '0.5rem', margin: '1rem 0' }}>
+            {can('posts:update', post) && (
+              <Link to={`/edit-post/${post._id}`} className="btn btn-primary" style={{ fontSize: '0.9rem' }}>
+                ✏️ Edit
+              </Link>
+            )}
+            {can('posts:delete', post) && (
+              <button onClick={handleDelete} className="btn btn-danger" style={{ fontSize: '0.9rem' }}>
+                🗑️ Delete
+              </button>
+            )}
+            {can('stats:read', post) && (
+              <Link to={`/stats/posts/${post._id}`} className="btn" style={{ fontSize: '0.9rem' }}>
+                📊 Stats
+              </Link>
+            )}
+          </div>
+        )}
         {post.hasFeaturedImage && (
-          <img 
-            src={`http://localhost:5000/api/posts/${post._id}/image`}
-            alt={post.title}
+          <PostImage
+            post={post}
+            sizes="(max-width: 1200px) 100vw, 1200px"
+            loading="eager"
             style={{
-              width: 'autofit',
-              Height: 'autofit',
+              maxWidth: '100%',
+              height: 'auto',
               objectFit: 'cover',
               borderRadius: '8px',
               margin: '1rem 0'
@@ -60,55 +121,36 @@ const Post = () => {
           />
         )}
         
-        <div style={{ marginTop: '2rem', lineHeight: '1.8' }}>
-          {post.content}
+        {post.toc?.length > 1 && (
+          <nav className="post-toc">
+            <strong>Contents</strong>
+            <ul>
+              {post.toc.map((heading) => (
+                <li key={heading.id} style={{ marginLeft: `${(heading.level - 1) * 1}rem` }}>
+                  <a href={`#${heading.id}`}>{heading.text}</a>
+                </li>
+              ))}
+            </ul>
+          </nav>
+        )}
+
+        {/* contentHtml is rendered from Markdown and sanitized by the server */}
+        <div
+          className="markdown-body"
+          style={{ marginTop: '2rem', lineHeight: '1.8' }}
+          dangerouslySetInnerHTML={{ __html: post.contentHtml }}
+        />
+        <div ref={endRef} aria-hidden="true" />
+
+        <TagList tags={post.tags} />
+        <div className="post-actions">
+          <ReactionBar post={post} />
+          <BookmarkButton post={post} />
         </div>
       </article>
 
       {/* Comments Section */}
-      <section className="card" style={{ marginTop: '2rem' }}>
-        <h3>Comments ({post.comments?.length || 0})</h3>
-        
-        {/* Add Comment Form */}
-        {isAuthenticated && (
-          <form onSubmit={handleAddComment} style={{ marginBottom: '2rem' }}>
-            <div className="form-group">
-              <textarea
-                value={comment}
-                onChange={(e) => setComment(e.target.value)}
-                placeholder="Add a comment..."
-                className="form-control"
-                rows="4"
-                required
-              />
-            </div>
-            <button type="submit" className="btn btn-primary">
-              Add Comment
-            </button>
-          </form>
-        )}
-
-        {/* Comments List */}
-        {post.comments && post.comments.length > 0 ? (
-          post.comments.map((comment, index) => (
-            <div key={index} style={{ 
-              padding: '1rem', 
-              borderBottom: '1px solid #eee',
-              marginBottom: '1rem'
-            }}>
-              <div style={{ fontWeight: 'bold', marginBottom: '0.5rem' }}>
-                {comment.user?.username || 'Anonymous'}
-              </div>
-              <div>{comment.content}</div>
-              <div style={{ fontSize: '0.8rem', color: '#666', marginTop: '0.5rem' }}>
-                {new Date(comment.createdAt).toLocaleDateString()}
-              </div>
-            </div>
-          ))
-        ) : (
-          <p>No comments yet. Be the first to comment!</p>
-        )}
-      </section>
+      <CommentSection postId={post._id} initialCount={post.commentCount || 0} />
     </div>
   );
 };
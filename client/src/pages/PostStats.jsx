@@ -0,0 +1,57 @@
+// PostStats.jsx - Views, reads and referrers of one post
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { statsService } from '../services/api';
+import StatsSummary from '../components/StatsSummary';
+
+const PostStats = () => {
+  const { id } = useParams();
+  const [days, setDays] = useState(30);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    statsService.getPostStats(id, days)
+      .then((response) => {
+        if (!cancelled) setStats(response.data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.error || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, days]);
+
+  if (loading && !stats) return <div className="loading">Loading stats...</div>;
+  if (error) return <div className="error">Error: {error}</div>;
+
+  const { post } = stats;
+
+  return (
+    <div className="stats-page">
+      <Link to="/stats" className="btn" style={{ marginBottom: '1rem' }}>
+        ← All stats
+      </Link>
+      <h1>📊 {post.title}</h1>
+      <p className="stats-note">
+        <Link to={`/posts/${post.slug}`}>View post</Link>
+        {' • '}{post.viewCount} views all time
+        {post.publishedAt && <> • Published {new Date(post.publishedAt).toLocaleDateString()}</>}
+      </p>
+
+      <StatsSummary stats={stats} days={days} onDaysChange={setDays} />
+    </div>
+  );
+};
+
+export default PostStats;
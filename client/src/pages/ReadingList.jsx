@@ -0,0 +1,206 @@
+// ReadingList.jsx - Bookmarked posts, organized into named reading lists
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { bookmarkService } from '../services/api';
+import AuthorLink from '../components/AuthorLink';
+
+const PAGE_SIZE = 20;
+
+const errorMessage = (err) => err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || err.message;
+
+const ReadingList = () => {
+  // '' = every bookmark, 'unsorted' = bookmarks in no list, otherwise a list id
+  const [selected, setSelected] = useState('');
+  const [page, setPage] = useState(1);
+  const [lists, setLists] = useState([]);
+  const [unsortedCount, setUnsortedCount] = useState(0);
+  const [bookmarks, setBookmarks] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newListName, setNewListName] = useState('');
+
+  const fetchLists = useCallback(async () => {
+    try {
+      const result = await bookmarkService.getLists();
+      setLists(result.data);
+      setUnsortedCount(result.unsortedCount);
+    } catch (err) {
+      console.error('Failed to load reading lists:', err);
+    }
+  }, []);
+
+  const fetchBookmarks = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await bookmarkService.getBookmarks({ list: selected, page, limit: PAGE_SIZE });
+      setBookmarks(result.data);
+      setPagination(result.pagination);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  }, [selected, page]);
+
+  useEffect(() => {
+    fetchLists();
+  }, [fetchLists]);
+
+  useEffect(() => {
+    fetchBookmarks();
+  }, [fetchBookmarks]);
+
+  const select = (list) => {
+    setSelected(list);
+    setPage(1);
+  };
+
+  // Run a change, then reload the counts and the bookmarks shown
+  const update = async (action) => {
+    try {
+      await action();
+      fetchLists();
+      fetchBookmarks();
+    } catch (err) {
+      alert(errorMessage(err));
+    }
+  };
+
+  const handleCreateList = (e) => {
+    e.preventDefault();
+    update(async () => {
+      await bookmarkService.createList(newListName);
+      setNewListName('');
+    });
+  };
+
+  const handleRenameList = (list) => {
+    const name = window.prompt('Rename reading list', list.name);
+    if (name && name !== list.name) {
+      update(() => bookmarkService.renameList(list._id, name));
+    }
+  };
+
+  const handleDeleteList = (list) => {
+    if (!window.confirm(`Delete "${list.name}"? Its bookmarks are kept as unsorted.`)) return;
+    update(async () => {
+      await bookmarkService.deleteList(list._id);
+      if (selected === list._id) select('');
+    });
+  };
+
+  const totalCount = lists.reduce((sum, list) => sum + list.count, unsortedCount);
+  const current = lists.find(list => list._id === selected);
+
+  return (
+    <div>
+      <h1>🔖 Reading List</h1>
+
+      <div className="reading-list-layout">
+        <aside className="card">
+          <ul className="reading-list-lists">
+            <li>
+              <button type="button" className={selected === '' ? 'active' : ''} onClick={() => select('')}>
+                All bookmarks <small>({totalCount})</small>
+              </button>
+            </li>
+            <li>
+              <button type="button" className={selected === 'unsorted' ? 'active' : ''} onClick={() => select('unsorted')}>
+                Unsorted <small>({unsortedCount})</small>
+              </button>
+            </li>
+            {lists.map(list => (
+              <li key={list._id}>
+                <button type="button" className={selected === list._id ? 'active' : ''} onClick={() => select(list._id)}>
+                  {list.name} <small>({list.count})</small>
+                </button>
+              </li>
+            ))}
+          </ul>
+          <form onSubmit={handleCreateList} style={{ display: 'flex', gap: '0.5rem' }}>
+            <input
+              value={newListName}
+              onChange={(e) => setNewListName(e.target.value)}
+              className="form-control"
+              placeholder="New list..."
+              maxLength="50"
+            />
+            <button type="submit" className="btn btn-primary" disabled={!newListName.trim()}>Add</button>
+          </form>
+        </aside>
+
+        <section>
+          {current && (
+            <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+              <button type="button" className="btn" onClick={() => handleRenameList(current)}>✏️ Rename list</button>
+              <button type="button" className="btn btn-danger" onClick={() => handleDeleteList(current)}>🗑️ Delete list</button>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="loading">Loading bookmarks...</div>
+          ) : error ? (
+            <div className="error">Error: {error}</div>
+          ) : bookmarks.length === 0 ? (
+            <div className="card text-center">
+              <h3>Nothing saved here yet</h3>
+              <p style={{ color: 'var(--text-light)' }}>Use 🔖 Save on a post to add it to your reading list.</p>
+            </div>
+          ) : (
+            bookmarks.map(bookmark => (
+              <div key={bookmark._id} className="post-card">
+                {bookmark.post ? (
+                  <>
+                    <Link to={`/posts/${bookmark.post.slug}`} className="post-title">{bookmark.post.title}</Link>
+                    <div className="post-meta">
+                      <span>👤 By <AuthorLink author={bookmark.post.author} /></span>
+                      <span>🔖 Saved {new Date(bookmark.createdAt).toLocaleDateString()}</span>
+                    </div>
+                    {bookmark.post.excerpt && <p className="post-excerpt">{bookmark.post.excerpt}</p>}
+                  </>
+                ) : (
+                  <p style={{ color: 'var(--text-light)' }}>This post is no longer available.</p>
+                )}
+                <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                  {bookmark.post && (
+                    <select
+                      value={bookmark.list || ''}
+                      onChange={(e) => update(() => bookmarkService.addBookmark(bookmark.postId, e.target.value || null))}
+                      className="form-control"
+                      style={{ maxWidth: '220px' }}
+                      aria-label="Move to list"
+                    >
+                      <option value="">Unsorted</option>
+                      {lists.map(list => (
+                        <option key={list._id} value={list._id}>{list.name}</option>
+                      ))}
+                    </select>
+                  )}
+                  <button
+                    type="button"
+                    className="btn btn-danger"
+                    onClick={() => update(() => bookmarkService.removeBookmark(bookmark.postId))}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+
+          {pagination && pagination.pages > 1 && (
+            <div className="pagination">
+              <button type="button" className="btn" onClick={() => setPage(page - 1)} disabled={page <= 1}>← Previous</button>
+              <span>Page {page} of {pagination.pages}</span>
+              <button type="button" className="btn" onClick={() => setPage(page + 1)} disabled={page >= pagination.pages}>Next →</button>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default ReadingList;
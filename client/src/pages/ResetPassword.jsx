@@ -0,0 +1,97 @@
+// ResetPassword.jsx - Choose a new password from a reset link
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { authService } from '../services/api';
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      return setError('Passwords do not match');
+    }
+
+    if (formData.password.length < 6) {
+      return setError('Password must be at least 6 characters');
+    }
+
+    setLoading(true);
+
+    try {
+      await authService.resetPassword(token, formData.password);
+      alert('Your password has been reset. Please log in with your new password.');
+      navigate('/login');
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || 'Password reset failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: '400px', margin: '2rem auto' }}>
+      <h1>Reset Password</h1>
+
+      <form onSubmit={handleSubmit} className="card">
+        {error && <div className="error">{error}</div>}
+
+        <div className="form-group">
+          <label className="form-label">New Password</label>
+          <input
+            type="password"
+            name="password"
+            value={formData.password}
+            onChange={handleChange}
+            className="form-control"
+            required
+            minLength="6"
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Confirm New Password</label>
+          <input
+            type="password"
+            name="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            className="form-control"
+            required
+          />
+        </div>
+
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={loading}
+          style={{ width: '100%' }}
+        >
+          {loading ? 'Saving...' : 'Reset Password'}
+        </button>
+      </form>
+
+      <p style={{ textAlign: 'center', marginTop: '1rem' }}>
+        Link expired? <Link to="/forgot-password">Request a new one</Link>
+      </p>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,159 @@
+// Search.jsx - Full-text search with highlighted results and facet filters
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { postService } from '../services/api';
+import SearchBox from '../components/SearchBox';
+
+// tag:react, or tag:"two words" when the value has a space
+const filterTerm = (key, value) => (value.includes(' ') ? `${key}:"${value}"` : `${key}:${value}`);
+
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const page = parseInt(searchParams.get('page')) || 1;
+
+  const [results, setResults] = useState([]);
+  const [facets, setFacets] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!query) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    postService.searchPosts(query, page)
+      .then((response) => {
+        if (cancelled) return;
+        setResults(response.data);
+        setFacets(response.facets);
+        setPagination(response.pagination);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.error || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, page]);
+
+  const search = (nextQuery, nextPage = 1) => {
+    const params = { q: nextQuery };
+    if (nextPage > 1) params.page = nextPage;
+    setSearchParams(params);
+  };
+
+  // Add a facet to the query, or take it out again if it's already there
+  const toggleFilter = (key, value) => {
+    const term = filterTerm(key, value);
+    const nextQuery = query.includes(term)
+      ? query.replace(term, '').replace(/\s+/g, ' ').trim()
+      : `${query} ${term}`.trim();
+    search(nextQuery);
+  };
+
+  const facetGroups = facets ? [
+    { key: 'category', title: 'Categories', items: facets.categories.map((item) => ({ value: item.slug, label: item.name, count: item.count })) },
+    { key: 'tag', title: 'Tags', items: facets.tags.map((item) => ({ value: item.name, label: item.name, count: item.count })) },
+    { key: 'author', title: 'Authors', items: facets.authors.map((item) => ({ value: item.username, label: item.username, count: item.count })) },
+  ] : [];
+
+  return (
+    <div>
+      <h1>Search</h1>
+
+      <div className="card" style={{ marginBottom: '1.5rem' }}>
+        <SearchBox initialQuery={query} onSearch={search} />
+      </div>
+
+      {query && (
+        <div className="search-layout">
+          <aside className="card search-facets">
+            {facetGroups.map((group) => group.items.length > 0 && (
+              <div key={group.key} style={{ marginBottom: '1rem' }}>
+                <h4>{group.title}</h4>
+                <ul>
+                  {group.items.map((item) => {
+                    const active = query.includes(filterTerm(group.key, item.value));
+                    return (
+                      <li key={item.value}>
+                        <button type="button" className={active ? 'active' : ''} onClick={() => toggleFilter(group.key, item.value)}>
+                          {active ? '✓ ' : ''}{item.label} <small>({item.count})</small>
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            ))}
+          </aside>
+
+          <section>
+            {loading && <div className="loading">Searching...</div>}
+            {error && <div className="error">Error: {error}</div>}
+
+            {!loading && !error && pagination && (
+              <p style={{ color: 'white', marginBottom: '1rem' }}>
+                {pagination.total} result{pagination.total === 1 ? '' : 's'} for <strong>{query}</strong>
+              </p>
+            )}
+
+            {!loading && !error && results.map((post) => (
+              <div key={post._id} className="post-card">
+                {/* Highlights are escaped by the server; only <mark> tags are added */}
+                <Link
+                  to={`/posts/${post.slug}`}
+                  className="post-title"
+                  dangerouslySetInnerHTML={{ __html: post.highlights.title }}
+                />
+                <div className="post-meta">
+                  <span>👤 {post.author?.username}</span>
+                  <span>📅 {new Date(post.publishedAt || post.createdAt).toLocaleDateString()}</span>
+                  <span>🏷️ {post.category?.name}</span>
+                </div>
+                <p className="post-excerpt" dangerouslySetInnerHTML={{ __html: post.highlights.snippet }} />
+                {post.tags?.length > 0 && (
+                  <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                    {post.tags.map((tag) => (
+                      <button key={tag} type="button" className="btn" style={{ fontSize: '0.8rem', padding: '0.2rem 0.6rem' }} onClick={() => toggleFilter('tag', tag.toLowerCase())}>
+                        #{tag}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+
+            {!loading && !error && pagination?.total === 0 && (
+              <div className="card text-center">
+                <h3>No posts found</h3>
+                <p style={{ color: 'var(--text-light)' }}>Try fewer words or remove a filter.</p>
+              </div>
+            )}
+
+            {pagination && pagination.pages > 1 && (
+              <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                <button className="btn" disabled={page <= 1} onClick={() => search(query, page - 1)}>
+                  ← Previous
+                </button>
+                <span style={{ color: 'white' }}>Page {pagination.page} of {pagination.pages}</span>
+                <button className="btn" disabled={page >= pagination.pages} onClick={() => search(query, page + 1)}>
+                  Next →
+                </button>
+              </div>
+            )}
+          </section>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Search;
@@ -0,0 +1,80 @@
+// Sessions.jsx - Signed-in devices page
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import useApi from '../hooks/useApi';
+import { authService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const Sessions = () => {
+  const navigate = useNavigate();
+  const { logout } = useAuth();
+
+  const { data: sessions, loading, error, execute: fetchSessions } = useApi(
+    authService.getSessions,
+    [],
+    true
+  );
+
+  const handleRevoke = async (session) => {
+    try {
+      if (session.current) {
+        await logout();
+        navigate('/login');
+        return;
+      }
+      await authService.revokeSession(session.id);
+      fetchSessions();
+    } catch (err) {
+      console.error('Failed to revoke session:', err);
+      alert('Failed to revoke session: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      await authService.revokeOtherSessions();
+      fetchSessions();
+    } catch (err) {
+      console.error('Failed to revoke sessions:', err);
+      alert('Failed to revoke sessions: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  if (loading) return <div className="loading">Loading devices...</div>;
+  if (error) return <div className="error">Error: {error}</div>;
+
+  return (
+    <div>
+      <h1>Signed-in Devices</h1>
+
+      {sessions.length > 1 && (
+        <button onClick={handleRevokeOthers} className="btn btn-danger" style={{ marginBottom: '1rem' }}>
+          🚪 Sign out all other devices
+        </button>
+      )}
+
+      {sessions.map(session => (
+        <div key={session.id} className="card" style={{ marginBottom: '1rem' }}>
+          <div style={{ fontWeight: 'bold', marginBottom: '0.5rem' }}>
+            {session.userAgent || 'Unknown device'}
+            {session.current && <span style={{ color: '#4caf50' }}> (this device)</span>}
+          </div>
+          <div className="post-meta">
+            <span>🌐 {session.ip || 'Unknown IP'}</span>
+            <span>🔑 Signed in {new Date(session.createdAt).toLocaleString()}</span>
+            <span>🕒 Last active {new Date(session.lastUsedAt).toLocaleString()}</span>
+          </div>
+          <button
+            onClick={() => handleRevoke(session)}
+            className="btn btn-danger"
+            style={{ fontSize: '0.9rem', marginTop: '0.5rem' }}
+          >
+            {session.current ? 'Log out' : 'Sign out device'}
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default Sessions;
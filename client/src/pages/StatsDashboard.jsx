@@ -0,0 +1,83 @@
+// StatsDashboard.jsx - Views, reads and referrers across the current user's posts
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { statsService } from '../services/api';
+import StatsSummary from '../components/StatsSummary';
+import PostStatusBadge from '../components/PostStatusBadge';
+
+const StatsDashboard = () => {
+  const [days, setDays] = useState(30);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    statsService.getMyStats(days)
+      .then((response) => {
+        if (!cancelled) setStats(response.data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.error || err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [days]);
+
+  if (loading && !stats) return <div className="loading">Loading stats...</div>;
+  if (error) return <div className="error">Error: {error}</div>;
+
+  return (
+    <div className="stats-page">
+      <h1>📊 Stats</h1>
+      <p className="stats-note">
+        Each reader's visit counts once; your own visits and bots aren't counted.
+      </p>
+
+      <StatsSummary stats={stats} days={days} onDaysChange={setDays} />
+
+      <div className="card">
+        <h3>Posts</h3>
+        {stats.posts.length === 0 ? (
+          <p>You haven't written any posts yet.</p>
+        ) : (
+          <table className="stats-table">
+            <thead>
+              <tr>
+                <th>Post</th>
+                <th>Views</th>
+                <th>Reads</th>
+                <th>Read-through</th>
+                <th>All-time views</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.posts.map(post => (
+                <tr key={post._id}>
+                  <td>
+                    <Link to={`/stats/posts/${post._id}`}>{post.title}</Link>
+                    {post.status !== 'published' && <> <PostStatusBadge post={post} /></>}
+                  </td>
+                  <td>{post.views}</td>
+                  <td>{post.reads}</td>
+                  <td>{post.views ? `${Math.round(post.readThroughRate * 100)}%` : '–'}</td>
+                  <td>{post.viewCount}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StatsDashboard;
@@ -0,0 +1,131 @@
+// TagPage.jsx - Posts with a tag, plus rename/merge/delete for admins
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { tagService } from '../services/api';
+import useCan from '../hooks/useCan';
+import PostFeed from '../components/PostFeed';
+import FollowButton from '../components/FollowButton';
+import FeedLinks from '../components/FeedLinks';
+
+const TagPage = () => {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const can = useCan();
+
+  const [tag, setTag] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [mergeInto, setMergeInto] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchTag = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await tagService.getTag(slug);
+        if (cancelled) return;
+        setTag(response.data);
+        setNewName(response.data.name);
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.error || err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchTag();
+    return () => {
+      cancelled = true;
+    };
+  }, [slug]);
+
+  // Run an admin action, then go to the page of the tag it leaves behind
+  const manage = async (action, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+
+    setSaving(true);
+    try {
+      const response = await action();
+      navigate(response.data ? `/tags/${encodeURIComponent(response.data.slug)}` : '/', { replace: true });
+    } catch (err) {
+      alert(err.response?.data?.error || err.response?.data?.errors?.[0]?.msg || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return <div className="loading">Loading tag...</div>;
+  if (error) return <div className="error">Error: {error}</div>;
+
+  return (
+    <div>
+      <div className="welcome-message">
+        <h1>#{tag.name}</h1>
+        <p className="mb-0">
+          {tag.postCount} post{tag.postCount === 1 ? '' : 's'} tagged <strong>{tag.name}</strong>
+        </p>
+        <div style={{ marginTop: '0.75rem' }}>
+          <FollowButton key={tag._id} type="tag" id={tag._id} />
+        </div>
+        <FeedLinks scope="tags" slug={tag.slug} title={`MERN Blog: #${tag.name}`} />
+      </div>
+
+      {can('tags:manage') && (
+        <div className="card" style={{ marginBottom: '1.5rem' }}>
+          <h3>Manage tag</h3>
+          <form
+            style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.75rem' }}
+            onSubmit={(e) => {
+              e.preventDefault();
+              manage(() => tagService.renameTag(tag.slug, newName));
+            }}
+          >
+            <input value={newName} onChange={(e) => setNewName(e.target.value)} className="form-control" />
+            <button type="submit" className="btn btn-primary" disabled={saving || !newName.trim() || newName === tag.name}>
+              ✏️ Rename
+            </button>
+          </form>
+          <form
+            style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.75rem' }}
+            onSubmit={(e) => {
+              e.preventDefault();
+              manage(
+                () => tagService.mergeTag(tag.slug, mergeInto),
+                `Move every post tagged "${tag.name}" to "${mergeInto}" and delete "${tag.name}"?`
+              );
+            }}
+          >
+            <input
+              value={mergeInto}
+              onChange={(e) => setMergeInto(e.target.value)}
+              className="form-control"
+              placeholder="Merge into tag..."
+            />
+            <button type="submit" className="btn" disabled={saving || !mergeInto.trim()}>
+              🔀 Merge
+            </button>
+          </form>
+          <button
+            type="button"
+            className="btn btn-danger"
+            disabled={saving}
+            onClick={() => manage(
+              () => tagService.deleteTag(tag.slug),
+              // postCount leaves out drafts and private posts, which lose the tag too
+              `Delete "${tag.name}" and remove it from every post that uses it?`
+            )}
+          >
+            🗑️ Delete tag
+          </button>
+        </div>
+      )}
+
+      <PostFeed filters={{ tag: tag.name }} emptyMessage="There are no published posts with this tag you can see." />
+    </div>
+  );
+};
+
+export default TagPage;
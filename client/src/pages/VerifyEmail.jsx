@@ -0,0 +1,56 @@
+// VerifyEmail.jsx - Confirms an email address from a verification link
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { authService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { updateUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so don't send it twice (StrictMode runs effects twice)
+    if (requested.current) return;
+    requested.current = true;
+
+    authService.verifyEmail(token)
+      .then(() => {
+        setStatus('verified');
+        updateUser({ isEmailVerified: true });
+      })
+      .catch((err) => {
+        setStatus('failed');
+        setError(err.response?.data?.error || 'Verification failed');
+      });
+  }, [token, updateUser]);
+
+  return (
+    <div style={{ maxWidth: '400px', margin: '2rem auto' }}>
+      <h1>Email Verification</h1>
+
+      <div className="card text-center">
+        {status === 'verifying' && <div className="loading">Verifying your email...</div>}
+        {status === 'verified' && (
+          <>
+            <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>✅</div>
+            <p>Your email address has been verified.</p>
+            <Link to="/" className="btn btn-primary" style={{ marginTop: '1rem' }}>
+              Go to Home
+            </Link>
+          </>
+        )}
+        {status === 'failed' && (
+          <>
+            <div className="error">{error}</div>
+            <p>Log in and request a new verification email if the link has expired.</p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -1,5 +1,6 @@
-// api.js - Updated for Base64 image storage
+// api.js - API client and service wrappers
 import axios from 'axios';
+import { reauthenticate, REALTIME_SIGNED_OUT_EVENT } from './realtime';
 
 // Create axios instance with base URL
 const api = axios.create({
@@ -7,8 +8,76 @@ const api = axios.create({
   headers: {
     'Content-Type': 'application/json',
   },
+  // Send the httpOnly refresh token cookie to /auth routes
+  withCredentials: true,
+  // 304 Not Modified is answered from the validator cache below
+  validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
 });
 
+// Validator cache: GET responses that came with an ETag, keyed by URL.
+// Revisits send If-None-Match and reuse the cached body on 304.
+const MAX_CACHED_RESPONSES = 50;
+const responseCache = new Map();
+
+const cacheKey = (config) => api.getUri(config);
+
+export const clearResponseCache = () => responseCache.clear();
+
+// Fired when the session can no longer be refreshed, so the UI can sign out
+export const SESSION_ENDED_EVENT = 'auth:session-ended';
+
+// Fired with { detail: { unreadCount } } when notifications are marked read,
+// so the navbar badge stays in step with the notifications page
+export const NOTIFICATIONS_CHANGED_EVENT = 'notifications:changed';
+
+const announceUnreadCount = (unreadCount) => {
+  window.dispatchEvent(new CustomEvent(NOTIFICATIONS_CHANGED_EVENT, { detail: { unreadCount } }));
+};
+
+const storeSession = ({ token, user }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('user', JSON.stringify(user));
+  reauthenticate();
+};
+
+const clearSession = () => {
+  clearResponseCache();
+  localStorage.removeItem('token');
+  localStorage.removeItem('user');
+  reauthenticate();
+};
+
+// One refresh at a time: every request that hit a 401 waits for the same one
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = api
+      .post('/auth/refresh', null, { skipAuthRefresh: true })
+      .then((response) => {
+        storeSession(response.data);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const endSession = () => {
+  clearSession();
+  window.dispatchEvent(new Event(SESSION_ENDED_EVENT));
+};
+
+// The live-updates connection was signed out: refresh the token, which signs it
+// in again, or end the session if that fails too
+if (typeof window !== 'undefined') {
+  window.addEventListener(REALTIME_SIGNED_OUT_EVENT, () => {
+    refreshAccessToken().catch(endSession);
+  });
+}
+
 // Add request interceptor for authentication
 api.interceptors.request.use(
   (config) => {
@@ -16,6 +85,14 @@ api.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+
+    // Revalidate instead of re-downloading what we already have
+    if (config.method === 'get') {
+      const cached = responseCache.get(cacheKey(config));
+      if (cached) {
+        config.headers['If-None-Match'] = cached.etag;
+      }
+    }
     return config;
   },
   (error) => {
@@ -23,15 +100,50 @@ api.interceptors.request.use(
   }
 );
 
-// Add response interceptor for error handling
+// Add response interceptor for cache validation and error handling
 api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    // Handle authentication errors
-    if (error.response && error.response.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  (response) => {
+    if (response.config.method !== 'get') {
+      return response;
+    }
+
+    const key = cacheKey(response.config);
+
+    if (response.status === 304) {
+      const cached = responseCache.get(key);
+      if (cached) {
+        // Refresh the entry's position so the most recently used stay cached
+        responseCache.delete(key);
+        responseCache.set(key, cached);
+        return { ...response, status: 200, data: cached.data };
+      }
+      return response;
+    }
+
+    const etag = response.headers.etag;
+    if (etag) {
+      responseCache.delete(key);
+      responseCache.set(key, { etag, data: response.data });
+      if (responseCache.size > MAX_CACHED_RESPONSES) {
+        responseCache.delete(responseCache.keys().next().value);
+      }
+    }
+    return response;
+  },
+  async (error) => {
+    const { config, response } = error;
+
+    // Expired access token: refresh silently and retry the request once
+    if (response?.status === 401 && config && !config.skipAuthRefresh && !config.retriedAfterRefresh) {
+      config.retriedAfterRefresh = true;
+      try {
+        const token = await refreshAccessToken();
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch {
+        // The refresh token is gone or revoked too
+        endSession();
+      }
     }
     return Promise.reject(error);
   }
@@ -39,11 +151,33 @@ api.interceptors.response.use(
 
 // Post API services
 export const postService = {
-  // Get all posts with optional pagination and filters
-  getAllPosts: async (page = 1, limit = 10, category = null) => {
-    let url = `/posts?page=${page}&limit=${limit}`;
-    if (category) {
-      url += `&category=${category}`;
+  // Get published posts. params: page or cursor, limit, and the filters
+  // category, tag, author, from, to, hasImage and sort (empty values are left out)
+  getAllPosts: async (params = {}) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        query.set(key, value);
+      }
+    });
+    const response = await api.get(`/posts?${query}`);
+    return response.data;
+  },
+
+  // Get the signed-in user's feed: posts from followed authors, categories and tags.
+  // params: cursor, limit
+  getFeed: async ({ cursor, limit = 10 } = {}) => {
+    const query = new URLSearchParams({ limit });
+    if (cursor) query.set('cursor', cursor);
+    const response = await api.get(`/feed?${query}`);
+    return response.data;
+  },
+
+  // Get posts in the given statuses (e.g. 'draft,in_review'), optionally only the current user's
+  getPostsByStatus: async (status, { mine = true, page = 1, limit = 10 } = {}) => {
+    let url = `/posts?status=${status}&page=${page}&limit=${limit}`;
+    if (mine) {
+      url += '&author=me';
     }
     const response = await api.get(url);
     return response.data;
@@ -113,27 +247,113 @@ export const postService = {
     }
   },
 
+  // Get a post's revision history, newest first
+  getRevisions: async (postId) => {
+    const response = await api.get(`/posts/${postId}/revisions`);
+    return response.data;
+  },
+
+  // Compare a revision with the one before it, another revision, or 'current'
+  getRevisionDiff: async (postId, revision, against = null) => {
+    const query = against ? `?against=${against}` : '';
+    const response = await api.get(`/posts/${postId}/revisions/${revision}/diff${query}`);
+    return response.data;
+  },
+
+  // Restore a revision's content (saved as a new revision)
+  restoreRevision: async (postId, revision) => {
+    const response = await api.post(`/posts/${postId}/revisions/${revision}/restore`);
+    return response.data;
+  },
+
+  // Render Markdown the way the server renders saved posts
+  previewMarkdown: async (content) => {
+    const response = await api.post('/posts/preview', { content });
+    return response.data;
+  },
+
   // Delete a post
   deletePost: async (id) => {
     const response = await api.delete(`/posts/${id}`);
     return response.data;
   },
 
-  // Add a comment to a post
+  // Search posts (supports tag:, author:, category: and "quoted phrases")
+  searchPosts: async (query, page = 1, limit = 10) => {
+    const params = new URLSearchParams({ q: query, page, limit });
+    const response = await api.get(`/posts/search?${params}`);
+    return response.data;
+  },
+
+  // Titles and tags starting with what has been typed so far
+  getSearchSuggestions: async (prefix) => {
+    const response = await api.get(`/posts/search/suggest?q=${encodeURIComponent(prefix)}`);
+    return response.data;
+  },
+
+  // Reaction types readers can use, like first: [{ type, emoji }]
+  getReactionTypes: async () => {
+    const response = await api.get('/posts/reactions');
+    return response.data;
+  },
+
+  // Add (active = true) or take back one of the current user's reactions to a post
+  setReaction: async (postId, type, active) => {
+    const url = `/posts/${postId}/reactions/${encodeURIComponent(type)}`;
+    const response = active ? await api.put(url) : await api.delete(url);
+    return response.data;
+  },
+
+  // Get post image URL, optionally for a specific rendition size and format.
+  // Passing the media id as version makes the URL safe to cache forever.
+  // token is the post's imageToken, needed when the post isn't public
+  getPostImageUrl: (postId, { size = null, format = null, version = null, token = null } = {}) => {
+    const params = new URLSearchParams();
+    if (size) params.set('size', size);
+    if (format) params.set('format', format);
+    if (version) params.set('v', version);
+    if (token) params.set('token', token);
+    const query = params.toString();
+    return `${import.meta.env.VITE_API_URL || 'http://localhost:5000/api'}/posts/${postId}/image${query ? `?${query}` : ''}`;
+  },
+};
+
+// Comment API services
+export const commentService = {
+  // Get a page of comment threads for a post
+  getComments: async (postId, page = 1, limit = 10) => {
+    const response = await api.get(`/posts/${postId}/comments?page=${page}&limit=${limit}`);
+    return response.data;
+  },
+
+  // Add a comment, or a reply when commentData.parentId is set
   addComment: async (postId, commentData) => {
     const response = await api.post(`/posts/${postId}/comments`, commentData);
     return response.data;
   },
 
-  // Search posts
-  searchPosts: async (query) => {
-    const response = await api.get(`/posts/search?q=${query}`);
+  // Edit a comment
+  updateComment: async (postId, commentId, commentData) => {
+    const response = await api.put(`/posts/${postId}/comments/${commentId}`, commentData);
     return response.data;
   },
 
-  // Get post image URL
-  getPostImageUrl: (postId) => {
-    return `${import.meta.env.VITE_API_URL || 'http://localhost:5000/api'}/posts/${postId}/image`;
+  // Delete a comment
+  deleteComment: async (postId, commentId) => {
+    const response = await api.delete(`/posts/${postId}/comments/${commentId}`);
+    return response.data;
+  },
+
+  // Approve a comment or mark it as spam (moderators)
+  setCommentStatus: async (postId, commentId, status) => {
+    const response = await api.patch(`/posts/${postId}/comments/${commentId}/status`, { status });
+    return response.data;
+  },
+
+  // Get the moderation review queue
+  getModerationQueue: async (status = 'pending', page = 1) => {
+    const response = await api.get(`/moderation/comments?status=${status}&page=${page}`);
+    return response.data;
   },
 };
 
@@ -145,35 +365,326 @@ export const categoryService = {
     return response.data;
   },
 
+  // Get a category by id or slug, with its parents (ancestors) and subcategories (children)
+  getCategory: async (idOrSlug) => {
+    const response = await api.get(`/categories/${encodeURIComponent(idOrSlug)}`);
+    return response.data;
+  },
+
   // Create a new category
   createCategory: async (categoryData) => {
     const response = await api.post('/categories', categoryData);
     return response.data;
   },
+
+  // Update a category's name, slug, description or parent
+  updateCategory: async (id, categoryData) => {
+    const response = await api.put(`/categories/${id}`, categoryData);
+    return response.data;
+  },
+
+  // Delete a category, moving its posts to another one
+  deleteCategory: async (id, reassignTo = null) => {
+    const response = await api.delete(`/categories/${id}`, { data: reassignTo ? { reassignTo } : {} });
+    return response.data;
+  },
+};
+
+// Tag API services
+export const tagService = {
+  // Tags in use, most used first; pass a prefix for autocomplete
+  getTags: async (prefix = '', limit = 10) => {
+    const params = new URLSearchParams({ limit });
+    if (prefix) params.set('q', prefix);
+    const response = await api.get(`/tags?${params}`);
+    return response.data;
+  },
+
+  // Get a tag by slug (or name)
+  getTag: async (slug) => {
+    const response = await api.get(`/tags/${encodeURIComponent(slug)}`);
+    return response.data;
+  },
+
+  // Rename a tag (admin)
+  renameTag: async (slug, name) => {
+    const response = await api.put(`/tags/${encodeURIComponent(slug)}`, { name });
+    return response.data;
+  },
+
+  // Merge a tag into another one (admin)
+  mergeTag: async (slug, into) => {
+    const response = await api.post(`/tags/${encodeURIComponent(slug)}/merge`, { into });
+    return response.data;
+  },
+
+  // Delete a tag and remove it from its posts (admin)
+  deleteTag: async (slug) => {
+    const response = await api.delete(`/tags/${encodeURIComponent(slug)}`);
+    return response.data;
+  },
+};
+
+// Feed reader subscriptions (served next to the API, outside /api)
+const FEEDS_URL = (import.meta.env.VITE_API_URL || 'http://localhost:5000/api').replace(/\/api\/?$/, '/feeds');
+
+export const syndicationService = {
+  // RSS, Atom and JSON Feed URLs for the whole blog, or for one category, tag
+  // or author: getFeedUrls('categories', slug), ('tags', slug), ('authors', username)
+  getFeedUrls: (scope = null, key = null) => {
+    const base = scope ? `${FEEDS_URL}/${scope}/${encodeURIComponent(key)}` : FEEDS_URL;
+    return {
+      rss: `${base}/rss.xml`,
+      atom: `${base}/atom.xml`,
+      json: `${base}/feed.json`,
+    };
+  },
+};
+
+// User profile API services
+export const userService = {
+  // Get a user's public profile
+  getProfile: async (username) => {
+    const response = await api.get(`/users/${encodeURIComponent(username)}`);
+    return response.data;
+  },
+
+  // Get the signed-in user's profile
+  getMyProfile: async () => {
+    const response = await api.get('/users/me');
+    return response.data;
+  },
+
+  // Update the signed-in user's profile. avatar is a File, avatarCrop its
+  // { left, top, width, height } square in image pixels; removeAvatar clears it.
+  updateProfile: async ({ socialLinks = {}, avatar, avatarCrop, ...fields }) => {
+    const formData = new FormData();
+    Object.keys(fields).forEach(key => formData.append(key, fields[key]));
+    Object.keys(socialLinks).forEach(network => {
+      formData.append(`socialLinks[${network}]`, socialLinks[network]);
+    });
+    if (avatar instanceof File) {
+      formData.append('avatar', avatar);
+      if (avatarCrop) {
+        Object.keys(avatarCrop).forEach(side => {
+          formData.append(`avatarCrop[${side}]`, avatarCrop[side]);
+        });
+      }
+    }
+
+    const response = await api.put('/users/me', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data;
+  },
+
+  // Avatar URL for a user (size 'small' or 'large'), or null when they have none.
+  // The avatar's media id versions the URL so it can be cached forever.
+  getAvatarUrl: (user, { size = 'large', format = null } = {}) => {
+    if (!user?.avatarImage) return null;
+    const params = new URLSearchParams({ size, v: user.avatarImage });
+    if (format) params.set('format', format);
+    return `${import.meta.env.VITE_API_URL || 'http://localhost:5000/api'}/users/${encodeURIComponent(user.username)}/avatar?${params}`;
+  },
+};
+
+// Follow API services. type is 'user', 'category' or 'tag'; id is the target's id
+export const followService = {
+  // Get the follower count and whether the current user follows the target
+  getStatus: async (type, id) => {
+    const response = await api.get(`/follows/${type}/${id}`);
+    return response.data;
+  },
+
+  // Follow or unfollow a target
+  setFollowing: async (type, id, following) => {
+    const response = following
+      ? await api.put(`/follows/${type}/${id}`)
+      : await api.delete(`/follows/${type}/${id}`);
+    return response.data;
+  },
+
+  // Get the users following a target
+  getFollowers: async (type, id, { page = 1, limit = 20 } = {}) => {
+    const params = new URLSearchParams({ page, limit });
+    const response = await api.get(`/follows/${type}/${id}/followers?${params}`);
+    return response.data;
+  },
+
+  // Get what a user follows, one type at a time
+  getFollowing: async (userId, { type = 'user', page = 1, limit = 20 } = {}) => {
+    const params = new URLSearchParams({ type, page, limit });
+    const response = await api.get(`/follows/user/${userId}/following?${params}`);
+    return response.data;
+  },
+};
+
+// Notification API services (the signed-in user's own)
+export const notificationService = {
+  // Get notifications, newest first, with the unread count
+  getNotifications: async ({ unread = false, page = 1, limit = 20 } = {}) => {
+    const params = new URLSearchParams({ page, limit });
+    if (unread) params.set('unread', 'true');
+    const response = await api.get(`/notifications?${params}`);
+    return response.data;
+  },
+
+  // Get the number of unread notifications
+  getUnreadCount: async () => {
+    const response = await api.get('/notifications/unread-count');
+    return response.data;
+  },
+
+  // Mark a notification as read (or unread again)
+  markRead: async (id, read = true) => {
+    const response = await api.patch(`/notifications/${id}/read`, { read });
+    announceUnreadCount(response.data.unreadCount);
+    return response.data;
+  },
+
+  // Mark every notification as read
+  markAllRead: async () => {
+    const response = await api.patch('/notifications/read-all');
+    announceUnreadCount(0);
+    return response.data;
+  },
+
+  // Get which kinds of notification the user receives
+  getPreferences: async () => {
+    const response = await api.get('/notifications/preferences');
+    return response.data;
+  },
+
+  // Turn kinds of notification on or off, e.g. { follow: false }
+  updatePreferences: async (preferences) => {
+    const response = await api.put('/notifications/preferences', preferences);
+    return response.data;
+  },
+};
+
+// Post view tracking and statistics
+export const statsService = {
+  // Report a view of a post; referrer is the page the reader came from
+  recordView: async (postId, referrer = '') => {
+    const response = await api.post(`/stats/posts/${postId}/views`, { referrer });
+    return response.data;
+  },
+
+  // Report that the reader got to the end of a post
+  recordRead: async (postId) => {
+    const response = await api.post(`/stats/posts/${postId}/reads`);
+    return response.data;
+  },
+
+  // A post's views, reads and referrers over the last `days` days
+  getPostStats: async (postId, days = 30) => {
+    const response = await api.get(`/stats/posts/${postId}?days=${days}`);
+    return response.data;
+  },
+
+  // The signed-in author's stats over the last `days` days, with a breakdown per post
+  getMyStats: async (days = 30) => {
+    const response = await api.get(`/stats/me?days=${days}`);
+    return response.data;
+  },
+};
+
+// Bookmark and reading list API services (the signed-in user's own)
+export const bookmarkService = {
+  // Get bookmarks, newest first; list is a reading list id or 'unsorted'
+  getBookmarks: async ({ list = '', page = 1, limit = 20 } = {}) => {
+    const params = new URLSearchParams({ page, limit });
+    if (list) params.set('list', list);
+    const response = await api.get(`/users/me/bookmarks?${params}`);
+    return response.data;
+  },
+
+  // Bookmark a post, or move its bookmark to another list (null for unsorted)
+  addBookmark: async (postId, list = null) => {
+    const response = await api.put(`/users/me/bookmarks/${postId}`, { list });
+    return response.data;
+  },
+
+  // Remove a bookmark
+  removeBookmark: async (postId) => {
+    const response = await api.delete(`/users/me/bookmarks/${postId}`);
+    return response.data;
+  },
+
+  // Get reading lists with their bookmark counts
+  getLists: async () => {
+    const response = await api.get('/users/me/lists');
+    return response.data;
+  },
+
+  // Create a reading list
+  createList: async (name) => {
+    const response = await api.post('/users/me/lists', { name });
+    return response.data;
+  },
+
+  // Rename a reading list
+  renameList: async (id, name) => {
+    const response = await api.put(`/users/me/lists/${id}`, { name });
+    return response.data;
+  },
+
+  // Delete a reading list (its bookmarks become unsorted)
+  deleteList: async (id) => {
+    const response = await api.delete(`/users/me/lists/${id}`);
+    return response.data;
+  },
 };
 
 // Auth API services
 export const authService = {
   // Register a new user
   register: async (userData) => {
-    const response = await api.post('/auth/register', userData);
+    const response = await api.post('/auth/register', userData, { skipAuthRefresh: true });
+    clearResponseCache();
+    if (response.data.token) {
+      storeSession(response.data);
+    }
     return response.data;
   },
 
   // Login user
   login: async (credentials) => {
-    const response = await api.post('/auth/login', credentials);
+    const response = await api.post('/auth/login', credentials, { skipAuthRefresh: true });
+    clearResponseCache();
     if (response.data.token) {
-      localStorage.setItem('token', response.data.token);
-      localStorage.setItem('user', JSON.stringify(response.data.user));
+      storeSession(response.data);
     }
     return response.data;
   },
 
-  // Logout user
-  logout: () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  // Logout user (ends the session on the server too)
+  logout: async () => {
+    try {
+      await api.post('/auth/logout', null, { skipAuthRefresh: true });
+    } finally {
+      clearSession();
+    }
+  },
+
+  // List the signed-in devices for the current user
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  // Sign out one device
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  // Sign out every other device
+  revokeOtherSessions: async () => {
+    const response = await api.delete('/auth/sessions');
+    return response.data;
   },
 
   // Get current user
@@ -181,6 +692,44 @@ export const authService = {
     const user = localStorage.getItem('user');
     return user ? JSON.parse(user) : null;
   },
+
+  // Update the stored copy of the current user
+  setCurrentUser: (user) => {
+    localStorage.setItem('user', JSON.stringify(user));
+  },
+
+  // Reload the current user (role and permissions) from the server
+  fetchCurrentUser: async () => {
+    const response = await api.get('/auth/me');
+    const { id, username, email, role, permissions, isEmailVerified } = response.data.data;
+    const user = { id, username, email, role, permissions, isEmailVerified };
+    localStorage.setItem('user', JSON.stringify(user));
+    return user;
+  },
+
+  // Request a password reset email
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  // Set a new password with the token from the reset email
+  resetPassword: async (token, password) => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  // Verify an email address with the token from the verification email
+  verifyEmail: async (token) => {
+    const response = await api.get(`/auth/verify-email/${token}`);
+    return response.data;
+  },
+
+  // Send a new verification email to the current user
+  resendVerification: async () => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
 };
 
 // Remove the separate imageService since images are handled with posts
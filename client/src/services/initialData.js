@@ -0,0 +1,27 @@
+// initialData.js - API responses a server-rendered page was built with (SSR mode)
+//
+// The server renders public pages with the data they need and ships it as
+// window.__INITIAL_DATA__, keyed by what it is:
+//   'home'                      - GET /api/posts (first page, no filters)
+//   'post:<id or slug>'         - GET /api/posts/:id
+//   'category:<slug>'           - GET /api/categories/:slug
+//   'author:<username>'         - GET /api/users/:username
+//   'feed:<source>:<filters>'   - the first page of a PostFeed
+// Pages start from it, so hydration matches the HTML, and refresh as usual.
+// App drops it after the first render; later navigation fetches normally.
+
+let initialData = typeof window !== 'undefined' ? window.__INITIAL_DATA__ || null : null;
+
+export const getInitialData = (key) => initialData?.[key] ?? null;
+
+// The server sets the data around each render
+export const setInitialData = (data) => {
+  initialData = data;
+};
+
+export const clearInitialData = () => {
+  initialData = null;
+};
+
+// Key of a PostFeed's first page, shared with the server's loaders
+export const feedKey = (source, filters) => `feed:${source}:${JSON.stringify(filters)}`;
@@ -0,0 +1,128 @@
+// realtime.js - WebSocket connection for live updates (see server/services/realtime.js)
+//
+// One connection is shared by the whole app. It opens when something subscribes,
+// signs in with the same access token as the REST API, reconnects with backoff,
+// and closes again shortly after the last subscriber leaves.
+
+const WS_URL = import.meta.env.VITE_WS_URL ||
+  (import.meta.env.VITE_API_URL || 'http://localhost:5000/api').replace(/^http/, 'ws').replace(/\/api\/?$/, '/ws');
+
+const MAX_RECONNECT_DELAY_MS = 30 * 1000;
+// Keep the connection a moment after the last unsubscribe, so navigating between pages doesn't reconnect
+const IDLE_CLOSE_DELAY_MS = 5 * 1000;
+
+let socket = null;
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let idleTimer = null;
+
+// room -> Set of handlers, and message type -> Set of handlers for messages without a room
+const roomHandlers = new Map();
+const typeHandlers = new Map();
+
+// Fired when the server signs the connection out because the access token
+// expired or the session ended, so the token can be refreshed (services/api.js)
+export const REALTIME_SIGNED_OUT_EVENT = 'realtime:signed-out';
+
+const hasSubscribers = () => roomHandlers.size > 0 || typeHandlers.size > 0;
+
+const send = (message) => {
+  if (socket?.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const sendAuth = () => send({ type: 'auth', token: localStorage.getItem('token') });
+
+const dispatch = (message) => {
+  const handlers = message.room ? roomHandlers.get(message.room) : typeHandlers.get(message.type);
+  handlers?.forEach(handler => handler(message));
+};
+
+const scheduleReconnect = () => {
+  const delay = Math.min(1000 * 2 ** reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+  reconnectAttempts += 1;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, delay);
+};
+
+const connect = () => {
+  if (socket || reconnectTimer || typeof WebSocket === 'undefined' || !hasSubscribers()) return;
+
+  socket = new WebSocket(WS_URL);
+  socket.onopen = () => {
+    reconnectAttempts = 0;
+    sendAuth();
+    roomHandlers.forEach((_, room) => send({ type: 'subscribe', room }));
+  };
+  socket.onmessage = (event) => {
+    try {
+      const message = JSON.parse(event.data);
+      if (message.type === 'auth' && message.ended) {
+        window.dispatchEvent(new Event(REALTIME_SIGNED_OUT_EVENT));
+      }
+      dispatch(message);
+    } catch (err) {
+      console.error('Failed to handle live update:', err);
+    }
+  };
+  socket.onclose = () => {
+    socket = null;
+    if (hasSubscribers()) scheduleReconnect();
+  };
+};
+
+const closeWhenIdle = () => {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => {
+    if (!hasSubscribers() && socket) {
+      socket.close();
+    }
+  }, IDLE_CLOSE_DELAY_MS);
+};
+
+const addHandler = (map, key, handler) => {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(handler);
+};
+
+const removeHandler = (map, key, handler) => {
+  const handlers = map.get(key);
+  handlers?.delete(handler);
+  if (handlers?.size === 0) {
+    map.delete(key);
+    return true;
+  }
+  return false;
+};
+
+// Get a room's messages (e.g. 'posts' or `post:${id}`); returns an unsubscribe function
+export const subscribeRoom = (room, handler) => {
+  const first = !roomHandlers.has(room);
+  addHandler(roomHandlers, room, handler);
+  if (first) send({ type: 'subscribe', room });
+  connect();
+
+  return () => {
+    if (removeHandler(roomHandlers, room, handler)) {
+      send({ type: 'unsubscribe', room });
+    }
+    closeWhenIdle();
+  };
+};
+
+// Get messages of a type that aren't tied to a room (e.g. 'notifications'); returns an unsubscribe function
+export const onRealtime = (type, handler) => {
+  addHandler(typeHandlers, type, handler);
+  connect();
+
+  return () => {
+    removeHandler(typeHandlers, type, handler);
+    closeWhenIdle();
+  };
+};
+
+// Sign the connection in or out again after the stored access token changed
+export const reauthenticate = () => sendAuth();
@@ -0,0 +1,115 @@
+// server/config/permissions.js - Roles and the capabilities they grant
+//
+// Capabilities are "<resource>:<action>". A role holding "<resource>:<action>:own"
+// may only perform the action on resources it owns (a post's author, a comment's user).
+// "*" grants everything.
+
+const ROLES = {
+  admin: ['*'],
+  editor: [
+    'posts:create',
+    'posts:update',
+    'posts:delete',
+    'posts:publish',
+    'posts:react',
+    'comments:create',
+    'comments:update:own',
+    'comments:delete',
+    'comments:moderate',
+    'categories:create',
+    'categories:update',
+    'categories:delete',
+    'stats:read',
+  ],
+  author: [
+    'posts:create',
+    'posts:update:own',
+    'posts:delete:own',
+    'posts:publish:own',
+    'posts:react',
+    'comments:create',
+    'comments:update:own',
+    'comments:delete:own',
+    'stats:read:own',
+  ],
+  contributor: [
+    'posts:create',
+    'posts:update:own',
+    'posts:delete:own',
+    'posts:react',
+    'comments:create',
+    'comments:update:own',
+    'comments:delete:own',
+    'stats:read:own',
+  ],
+  reader: [
+    'posts:react',
+    'comments:create',
+    'comments:update:own',
+    'comments:delete:own',
+  ],
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+const DEFAULT_ROLE = 'author';
+
+// Roles from before RBAC existed. Every signed-up 'user' could write and
+// publish posts, which is what authors do now.
+const LEGACY_ROLES = {
+  user: 'author',
+};
+
+// Singular labels used in error messages
+const RESOURCE_LABELS = {
+  posts: 'post',
+  comments: 'comment',
+  categories: 'category',
+  users: 'user',
+  tags: 'tag',
+};
+
+const resolveRole = (role) => (ROLES[role] ? role : LEGACY_ROLES[role] || null);
+
+// Capabilities granted to a role
+const capabilitiesFor = (role) => ROLES[resolveRole(role)] || [];
+
+// Id of whoever owns a resource (populated or not)
+const ownerOf = (resource) => {
+  const owner = resource && (resource.author || resource.user);
+  return owner ? String(owner._id || owner) : null;
+};
+
+// Check whether a user may perform a capability, optionally on a specific resource
+const can = (user, capability, resource = null) => {
+  if (!user) return false;
+
+  const granted = capabilitiesFor(user.role);
+  if (granted.includes('*') || granted.includes(capability)) {
+    return true;
+  }
+
+  return granted.includes(`${capability}:own`) &&
+    resource !== null &&
+    ownerOf(resource) === String(user._id || user.id);
+};
+
+// Human readable description of a capability, e.g. "update this post" / "create categories"
+const describe = (capability, withResource) => {
+  const [resource, action] = capability.split(':');
+  return withResource
+    ? `${action} this ${RESOURCE_LABELS[resource] || resource}`
+    : `${action} ${resource}`;
+};
+
+module.exports = {
+  ROLES,
+  ROLE_NAMES,
+  DEFAULT_ROLE,
+  LEGACY_ROLES,
+  RESOURCE_LABELS,
+  resolveRole,
+  capabilitiesFor,
+  can,
+  describe,
+};
@@ -0,0 +1,29 @@
+// server/config/reactions.js - The reactions readers can leave on posts
+//
+// "like" is always available. REACTIONS in the environment replaces the rest of
+// the set with comma-separated "name:emoji" pairs, e.g. REACTIONS=love:❤️,fire:🔥
+
+const LIKE = { type: 'like', emoji: '👍' };
+
+const DEFAULT_REACTIONS = 'love:❤️,laugh:😂,wow:😮,celebrate:🎉';
+
+const MAX_REACTIONS = 8;
+
+// Configured reactions, like first. Read on each call because the environment
+// is loaded after the routes are required.
+const reactionTypes = () => {
+  const extra = String(process.env.REACTIONS ?? DEFAULT_REACTIONS)
+    .split(',')
+    .map((pair) => pair.split(':').map((part) => part.trim()))
+    .filter(([type, emoji]) => /^[a-z][a-z0-9_-]{0,19}$/.test(type || '') && emoji && type !== LIKE.type)
+    .map(([type, emoji]) => ({ type, emoji }));
+
+  return [LIKE, ...extra].slice(0, MAX_REACTIONS);
+};
+
+const isReactionType = (type) => reactionTypes().some((reaction) => reaction.type === type);
+
+module.exports = {
+  reactionTypes,
+  isReactionType,
+};
@@ -0,0 +1,22 @@
+// server/config/site.js - Where the blog lives, for links that leave the API
+//
+// Feeds, sitemaps and structured data need absolute URLs: pages on the client
+// (CLIENT_URL) and files the API itself serves (images, child sitemaps).
+// Read on each call because the environment is loaded after the routes are required.
+
+const siteName = () => process.env.SITE_NAME || 'MERN Blog';
+
+const siteDescription = () => process.env.SITE_DESCRIPTION || `The latest posts from ${siteName()}`;
+
+// Absolute URL of a client page, e.g. clientUrl('/posts/hello-world')
+const clientUrl = (pathname = '/') => `${process.env.CLIENT_URL || 'http://localhost:5173'}${pathname}`;
+
+// Origin the request reached the API on, for links back to the API
+const apiOrigin = (req) => `${req.protocol}://${req.get('host')}`;
+
+module.exports = {
+  siteName,
+  siteDescription,
+  clientUrl,
+  apiOrigin,
+};
@@ -0,0 +1,12 @@
+// server/mail/console.js - Prints each message to the console (local development)
+
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  send: async (message) => {
+    console.log('📧 Mail to %s: %s\n%s', message.to, message.subject, message.text);
+    return {};
+  },
+});
+
+module.exports = createConsoleTransport;
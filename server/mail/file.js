@@ -0,0 +1,23 @@
+// server/mail/file.js - Writes each message to a JSON file (local development and tests)
+const fs = require('fs');
+const path = require('path');
+
+const createFileTransport = ({ dir }) => {
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    name: 'file',
+
+    send: async (message) => {
+      const safeRecipient = String(message.to).replace(/[^\w.@-]+/g, '_');
+      const filePath = path.join(dir, `${Date.now()}-${safeRecipient}.json`);
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+      return { filePath };
+    },
+  };
+};
+
+module.exports = createFileTransport;
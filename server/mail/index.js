@@ -0,0 +1,61 @@
+// server/mail/index.js - Pluggable mailer
+//
+// Every transport exposes the same interface:
+//   name            - identifier used in logs
+//   send(message)   - Promise, message is { from, to, subject, text, html }
+//
+// MAIL_TRANSPORT picks the transport: 'smtp', 'file' or 'console' (default).
+const path = require('path');
+const createSmtpTransport = require('./smtp');
+const createFileTransport = require('./file');
+const createConsoleTransport = require('./console');
+const templates = require('./templates');
+
+const factories = {
+  smtp: () =>
+    createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    }),
+  file: () =>
+    createFileTransport({
+      dir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox'),
+    }),
+  console: () => createConsoleTransport(),
+};
+
+let transport;
+
+// Get the configured transport, creating it on first use
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!factories[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factories[name]();
+  }
+  return transport;
+};
+
+// Render a template and send it
+const sendMail = (to, templateName, data) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${templateName}`);
+  }
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'MERN Blog <no-reply@localhost>',
+    to,
+    ...template(data),
+  });
+};
+
+module.exports = {
+  getTransport,
+  sendMail,
+};
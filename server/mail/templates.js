@@ -0,0 +1,46 @@
+// server/mail/templates.js - Transactional email templates
+
+const layout = (title, body) => `<!doctype html>
+<html>
+  <body style="font-family: sans-serif; line-height: 1.6; color: #333;">
+    <h2>${title}</h2>
+    ${body}
+    <p style="color: #888; font-size: 0.9em;">MERN Blog</p>
+  </body>
+</html>`;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const emailVerification = ({ username, url }) => ({
+  subject: 'Verify your email address',
+  text: `Hi ${username},\n\nPlease confirm your email address by opening this link:\n${url}\n\nThe link expires in 24 hours.`,
+  html: layout(
+    'Verify your email address',
+    `<p>Hi ${escapeHtml(username)},</p>
+    <p>Please confirm your email address:</p>
+    <p><a href="${escapeHtml(url)}">Verify email</a></p>
+    <p>The link expires in 24 hours.</p>`
+  ),
+});
+
+const passwordReset = ({ username, url }) => ({
+  subject: 'Reset your password',
+  text: `Hi ${username},\n\nSomeone asked to reset the password for your account. If it was you, open this link:\n${url}\n\nThe link expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.`,
+  html: layout(
+    'Reset your password',
+    `<p>Hi ${escapeHtml(username)},</p>
+    <p>Someone asked to reset the password for your account. If it was you:</p>
+    <p><a href="${escapeHtml(url)}">Choose a new password</a></p>
+    <p>The link expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.</p>`
+  ),
+});
+
+module.exports = {
+  emailVerification,
+  passwordReset,
+};
@@ -2,6 +2,34 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { httpError } = require('../services/errors');
+
+const unauthorized = (message) => httpError(401, message);
+
+// Resolve an access token to its user and session. Also used to authenticate
+// WebSocket connections (services/realtime.js). Throws a 401 error otherwise.
+const authenticateToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    throw unauthorized('Token is not valid');
+  }
+
+  // Access tokens are tied to a session so signing out revokes them immediately
+  const session = decoded.sid && await Session.findById(decoded.sid);
+  if (!session || !session.isActive()) {
+    throw unauthorized('Session has ended, please log in again');
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    throw unauthorized('Token is not valid');
+  }
+
+  return { user, session, expiresAt: new Date(decoded.exp * 1000) };
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -14,24 +42,27 @@ const auth = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'Token is not valid',
-      });
-    }
-
+    const { user, session } = await authenticateToken(token);
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     res.status(401).json({
       success: false,
-      error: 'Token is not valid',
+      error: error.statusCode === 401 ? error.message : 'Token is not valid',
     });
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+// Like auth, but lets requests without a token through as anonymous (req.user unset).
+// A token that is present but invalid still gets a 401 so the client can refresh it.
+const optionalAuth = (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+  return auth(req, res, next);
+};
+
+module.exports = auth;
+module.exports.optional = optionalAuth;
+module.exports.authenticateToken = authenticateToken;
\ No newline at end of file
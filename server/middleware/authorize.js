@@ -0,0 +1,47 @@
+// authorize.js - Capability-based authorization middleware (use after auth)
+
+const { can, describe, RESOURCE_LABELS } = require('../config/permissions');
+
+// authorize('posts:update', (req) => Post.findById(req.params.id))
+// The optional resolver loads the resource being acted on; it is exposed as
+// req.resource so the route handler doesn't have to load it again.
+const authorize = (capability, resolver = null) => async (req, res, next) => {
+  try {
+    let resource = null;
+
+    if (resolver) {
+      resource = await resolver(req);
+      if (!resource) {
+        const label = RESOURCE_LABELS[capability.split(':')[0]] || 'Resource';
+        return res.status(404).json({
+          success: false,
+          error: `${label.charAt(0).toUpperCase()}${label.slice(1)} not found`,
+        });
+      }
+      req.resource = resource;
+    }
+
+    if (!can(req.user, capability, resource)) {
+      return res.status(403).json({
+        success: false,
+        error: `Not authorized to ${describe(capability, !!resolver)}`,
+      });
+    }
+
+    next();
+  } catch (error) {
+    // Malformed ids can't match anything
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Resource not found',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+module.exports = authorize;
@@ -0,0 +1,76 @@
+// cache.js - HTTP caching: validators, conditional requests and Cache-Control policies
+
+const crypto = require('crypto');
+
+// Cache-Control policies used across the API
+const CACHE_POLICIES = {
+  // Image URLs carrying the current media id never change content
+  immutableImage: 'public, max-age=31536000, immutable',
+  // Unversioned image URLs may get a new image when the post is edited
+  image: 'public, max-age=3600, must-revalidate',
+  // Images of posts that aren't public must stay out of shared caches
+  privateImage: 'private, max-age=3600, must-revalidate',
+  // Lists depend on the signed-in user; always revalidate, cheaply via ETag
+  list: 'private, no-cache',
+  // Single posts are public but change with edits and comments
+  post: 'public, no-cache',
+  // Feeds only carry public posts; readers poll them, so let caches absorb that
+  feed: 'public, max-age=900, must-revalidate',
+  // Sitemaps and robots.txt: crawlers come back rarely and revalidate
+  sitemap: 'public, max-age=3600, must-revalidate',
+};
+
+// Build a strong ETag from the values that identify a representation
+const createETag = (...parts) =>
+  `"${crypto.createHash('sha1').update(parts.join('|')).digest('base64url')}"`;
+
+// Evaluate If-None-Match / If-Modified-Since as in RFC 9110 section 13.2.2.
+// Express's req.fresh treats "Cache-Control: no-cache" as always stale, but
+// browsers add that header to every request that sets its own validators.
+const matchesConditions = (req, etag, lastModified) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return false;
+  }
+
+  const noneMatch = req.get('If-None-Match');
+  if (noneMatch) {
+    // Weak comparison: W/"x" and "x" match
+    const opaque = (tag) => tag.trim().replace(/^W\//, '');
+    return noneMatch.trim() === '*' ||
+      noneMatch.split(',').some((tag) => opaque(tag) === opaque(etag));
+  }
+
+  const modifiedSince = Date.parse(req.get('If-Modified-Since'));
+  if (lastModified && !Number.isNaN(modifiedSince)) {
+    // HTTP dates only have second precision
+    return Math.floor(new Date(lastModified).getTime() / 1000) * 1000 <= modifiedSince;
+  }
+
+  return false;
+};
+
+// Set ETag / Last-Modified and report whether the client's copy is still fresh
+const isFresh = (req, res, { etag, lastModified }) => {
+  res.set('ETag', etag);
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  return matchesConditions(req, etag, lastModified);
+};
+
+// Reply 304 Not Modified with no body
+const notModified = (res) => res.status(304).end();
+
+// Middleware that applies one of the Cache-Control policies
+const cacheControl = (policy) => (req, res, next) => {
+  res.set('Cache-Control', CACHE_POLICIES[policy]);
+  next();
+};
+
+module.exports = {
+  CACHE_POLICIES,
+  cacheControl,
+  createETag,
+  isFresh,
+  notModified,
+};
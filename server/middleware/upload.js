@@ -1,9 +1,33 @@
-// server/middleware/upload.js - Updated for Base64 processing
+// server/middleware/upload.js - Streams uploads into the configured media storage
 const multer = require('multer');
 const path = require('path');
+const { getAdapter, getDefaultAdapter, generateKey } = require('../storage');
 
-// Configure storage - we'll use memory storage to get Buffer
-const storage = multer.memoryStorage(); // Changed from diskStorage to memoryStorage
+// Custom multer storage engine that pipes each file straight into the
+// storage adapter instead of buffering it in memory
+const mediaStorage = {
+  _handleFile(req, file, cb) {
+    const adapter = getDefaultAdapter();
+    const key = generateKey(file.originalname);
+    const output = adapter.createWriteStream(key, { contentType: file.mimetype });
+    let size = 0;
+
+    file.stream.on('data', (chunk) => {
+      size += chunk.length;
+    });
+    output.on('error', cb);
+    output.on('finish', () => {
+      cb(null, { storage: adapter.name, key, size });
+    });
+    file.stream.pipe(output);
+  },
+
+  _removeFile(req, file, cb) {
+    getAdapter(file.storage)
+      .remove(file.key)
+      .then(() => cb(null), cb);
+  },
+};
 
 // File filter for images only
 const fileFilter = (req, file, cb) => {
@@ -20,11 +44,27 @@ const fileFilter = (req, file, cb) => {
 
 // Configure multer
 const upload = multer({
-  storage: storage, // Now using memory storage
+  storage: mediaStorage,
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
   },
   fileFilter: fileFilter
 });
 
-module.exports = upload;
\ No newline at end of file
+// Remove an uploaded file from storage when the request that carried it fails.
+// req.media is the Media document made from it, if the route got that far.
+const discardUpload = async (req) => {
+  if (!req.file) return;
+  try {
+    if (req.media) {
+      await req.media.purge();
+    } else {
+      await getAdapter(req.file.storage).remove(req.file.key);
+    }
+  } catch (error) {
+    console.error('Error discarding upload:', error);
+  }
+};
+
+module.exports = upload;
+module.exports.discardUpload = discardUpload;
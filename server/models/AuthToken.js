@@ -0,0 +1,72 @@
+// AuthToken.js - Mongoose model for single-use email tokens (password reset, email verification)
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const TOKEN_TYPES = ['password_reset', 'email_verification'];
+
+// Only a hash of the token is stored, so a database leak can't be used to take over accounts
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const AuthTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: TOKEN_TYPES,
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// MongoDB removes tokens once they expire
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a new token, replacing any unused ones of the same type. Returns the raw token.
+AuthTokenSchema.statics.issue = async function (userId, type, ttlMs) {
+  await this.deleteMany({ user: userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+// Mark a token as used and return it, or null if it is unknown, expired or already used.
+// The update is atomic so a token can't be redeemed twice by concurrent requests.
+AuthTokenSchema.statics.consume = function (token, type) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema);
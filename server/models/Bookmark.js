@@ -0,0 +1,31 @@
+// Bookmark.js - Mongoose model for a post a user saved to read later
+
+const mongoose = require('mongoose');
+
+const BookmarkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    // Reading list the bookmark is filed under; null for unsorted bookmarks
+    list: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReadingList',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// A post is bookmarked at most once per user
+BookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+BookmarkSchema.index({ user: 1, list: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Bookmark', BookmarkSchema);
@@ -1,6 +1,8 @@
 // Category.js - Mongoose model for categories
 
 const mongoose = require('mongoose');
+const { listedFilter } = require('../services/visibility');
+const { slugHistory } = require('../services/slug');
 
 const CategorySchema = new mongoose.Schema(
   {
@@ -20,22 +22,70 @@ const CategorySchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    // Top-level categories have no parent
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+    // Posts filed directly under the category that anyone can find in lists
+    // (kept in sync by Category.refreshCounts)
+    postCount: {
+      type: Number,
+      default: 0,
+    },
   },
   { timestamps: true }
 );
 
-// Create slug from name before saving
-CategorySchema.pre('save', function (next) {
-  if (!this.isModified('name')) {
-    return next();
+CategorySchema.index({ parent: 1, name: 1 });
+
+// Slug from the name unless one is given; renaming keeps it, and old slugs are
+// kept in previousSlugs
+CategorySchema.plugin(slugHistory, { from: 'name', fallback: 'category' });
+
+// Ids of a category and everything nested below it
+CategorySchema.statics.withDescendants = async function (id) {
+  const categories = await this.find().select('parent').lean();
+  const ids = [String(id)];
+
+  // Breadth-first; the list grows as children are found
+  for (let i = 0; i < ids.length; i++) {
+    for (const category of categories) {
+      if (category.parent && String(category.parent) === ids[i]) {
+        ids.push(String(category._id));
+      }
+    }
   }
-  
-  this.slug = this.name
-    .toLowerCase()
-    .replace(/[^\w ]+/g, '')
-    .replace(/ +/g, '-');
-    
-  next();
-});
-
-module.exports = mongoose.model('Category', CategorySchema);
\ No newline at end of file
+  return ids;
+};
+
+// Parents of a category, root first
+CategorySchema.methods.ancestors = async function () {
+  const Category = this.constructor;
+  const ancestors = [];
+  let parentId = this.parent;
+
+  while (parentId) {
+    const parent = await Category.findById(parentId).select('name slug parent');
+    if (!parent) break;
+    ancestors.unshift(parent);
+    parentId = parent.parent;
+  }
+  return ancestors;
+};
+
+// Recount posts for the given category ids. Only posts an anonymous reader
+// would see count, so the number matches the category page; call this whenever
+// a post's category, status or visibility changes.
+CategorySchema.statics.refreshCounts = async function (ids = []) {
+  const Post = mongoose.model('Post');
+  const unique = [...new Set(ids.filter(Boolean).map(String))];
+
+  await Promise.all(unique.map(async (id) => {
+    const postCount = await Post.countDocuments({ ...listedFilter(null), category: id });
+    await this.updateOne({ _id: id }, { postCount }, { timestamps: false });
+  }));
+};
+
+module.exports = mongoose.model('Category', CategorySchema);
@@ -0,0 +1,97 @@
+// Comment.js - Mongoose model for threaded post comments
+
+const mongoose = require('mongoose');
+
+const COMMENT_STATUSES = ['pending', 'approved', 'spam'];
+
+// Replies deeper than this are not allowed (top-level comments have depth 0)
+const MAX_DEPTH = 4;
+
+const CommentSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Direct parent; null for top-level comments
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
+    // Top-level comment of the thread (itself for top-level comments)
+    rootId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+    },
+    depth: {
+      type: Number,
+      default: 0,
+    },
+    content: {
+      type: String,
+      required: [true, 'Comment content is required'],
+      trim: true,
+      maxlength: [2000, 'Comment cannot be more than 2000 characters'],
+    },
+    status: {
+      type: String,
+      enum: COMMENT_STATUSES,
+      default: 'pending',
+    },
+    editedAt: {
+      type: Date,
+    },
+    // Deleted comments that still have replies keep their place in the thread
+    deletedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+CommentSchema.index({ post: 1, parentId: 1, createdAt: -1 });
+CommentSchema.index({ rootId: 1, createdAt: 1 });
+CommentSchema.index({ status: 1, createdAt: 1 });
+
+// Top-level comments are the root of their own thread
+CommentSchema.pre('save', function (next) {
+  if (!this.rootId) {
+    this.rootId = this._id;
+  }
+  next();
+});
+
+// Recount a post's visible (approved, not deleted) comments
+CommentSchema.statics.updatePostCount = async function (postId) {
+  const count = await this.countDocuments({ post: postId, status: 'approved', deletedAt: null });
+  // Counters don't change the post itself, so leave updatedAt alone
+  await mongoose.model('Post').updateOne(
+    { _id: postId },
+    { commentCount: count },
+    { timestamps: false }
+  );
+  return count;
+};
+
+// Strip the content of a deleted comment but keep it in the thread
+CommentSchema.methods.toJSONForThread = function () {
+  const comment = this.toObject();
+  if (comment.deletedAt) {
+    comment.content = '';
+    comment.user = null;
+  }
+  return comment;
+};
+
+const Comment = mongoose.model('Comment', CommentSchema);
+
+module.exports = Comment;
+module.exports.COMMENT_STATUSES = COMMENT_STATUSES;
+module.exports.MAX_DEPTH = MAX_DEPTH;
@@ -0,0 +1,65 @@
+// Follow.js - Mongoose model for a user following an author, a category or a tag
+
+const mongoose = require('mongoose');
+
+// What can be followed, and the model each kind of target lives in
+const FOLLOW_TARGETS = {
+  user: 'User',
+  category: 'Category',
+  tag: 'Tag',
+};
+
+const FOLLOW_TYPES = Object.keys(FOLLOW_TARGETS);
+
+const FollowSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: FOLLOW_TYPES,
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Following something twice is a no-op; "what does X follow" reads this index
+FollowSchema.index({ follower: 1, targetType: 1, target: 1 }, { unique: true });
+// Followers of a target, newest first
+FollowSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+
+// Ids a user follows, grouped by type: { user: [...], category: [...], tag: [...] }
+FollowSchema.statics.followedBy = async function (userId) {
+  const follows = await this.find({ follower: userId }).select('targetType target').lean();
+  const grouped = Object.fromEntries(FOLLOW_TYPES.map((type) => [type, []]));
+  follows.forEach((follow) => grouped[follow.targetType].push(follow.target));
+  return grouped;
+};
+
+// Hand a target's followers to another target of the same type (e.g. merged tags).
+// Followers of both keep a single follow.
+FollowSchema.statics.moveFollowers = async function (targetType, fromId, toId) {
+  const follows = await this.find({ targetType, target: fromId }).select('follower').lean();
+  if (follows.length) {
+    await this.bulkWrite(follows.map(({ follower }) => ({
+      updateOne: {
+        filter: { follower, targetType, target: toId },
+        update: { $setOnInsert: { follower, targetType, target: toId } },
+        upsert: true,
+      },
+    })));
+  }
+  await this.deleteMany({ targetType, target: fromId });
+};
+
+module.exports = mongoose.model('Follow', FollowSchema);
+module.exports.FOLLOW_TARGETS = FOLLOW_TARGETS;
+module.exports.FOLLOW_TYPES = FOLLOW_TYPES;
@@ -0,0 +1,101 @@
+// Media.js - Mongoose model for uploaded media files
+
+const mongoose = require('mongoose');
+const { getAdapter } = require('../storage');
+
+// Rendition metadata the client needs to build srcset (storage keys stay private)
+const IMAGE_FIELDS = 'width height renditions.name renditions.format renditions.width renditions.height';
+
+const RenditionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    format: {
+      type: String,
+      required: true,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    width: Number,
+    height: Number,
+    size: Number,
+    key: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const MediaSchema = new mongoose.Schema(
+  {
+    filename: {
+      type: String,
+      required: true,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      default: 0,
+    },
+    storage: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    width: Number,
+    height: Number,
+    renditions: [RenditionSchema],
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+// Create a Media document from a file handled by the upload middleware
+MediaSchema.statics.createFromUpload = function (file, userId) {
+  return this.create({
+    filename: file.originalname,
+    contentType: file.mimetype,
+    size: file.size,
+    storage: file.storage,
+    key: file.key,
+    uploadedBy: userId,
+  });
+};
+
+// Find a rendition by name, preferring the requested format when it exists
+MediaSchema.methods.getRendition = function (name, format) {
+  const matches = this.renditions.filter((rendition) => rendition.name === name);
+  return matches.find((rendition) => rendition.format === format) || matches[0] || null;
+};
+
+// Open a read stream for the stored file, or for one of its renditions
+MediaSchema.methods.createReadStream = function (rendition) {
+  return getAdapter(this.storage).createReadStream(rendition ? rendition.key : this.key);
+};
+
+// Remove the stored file, its renditions and the document itself
+MediaSchema.methods.purge = async function () {
+  const adapter = getAdapter(this.storage);
+  const keys = new Set([this.key, ...this.renditions.map((rendition) => rendition.key)]);
+  for (const key of keys) {
+    await adapter.remove(key);
+  }
+  await this.deleteOne();
+};
+
+module.exports = mongoose.model('Media', MediaSchema);
+module.exports.IMAGE_FIELDS = IMAGE_FIELDS;
@@ -0,0 +1,85 @@
+// Notification.js - Mongoose model for in-app notifications
+
+const mongoose = require('mongoose');
+
+// comment: someone commented on your post; reply: someone replied to your comment;
+// follow: someone followed you; post_published: your post went live, or an author
+// you follow published one
+const NOTIFICATION_TYPES = ['comment', 'reply', 'follow', 'post_published'];
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    // Who caused it; null for the system (e.g. the post scheduler)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      default: null,
+    },
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user's notifications, newest first, and their unread count
+NotificationSchema.index({ recipient: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, readAt: 1 });
+// Cleanup when a post or comment goes away
+NotificationSchema.index({ post: 1 });
+NotificationSchema.index({ comment: 1 });
+
+// Notify users of something. Skips the actor, users who turned the type off,
+// and anyone who already has this exact notification (events can repeat, e.g.
+// a comment approved again after being marked as spam). Returns the recipients notified.
+NotificationSchema.statics.notify = async function (recipientIds, { type, actor = null, post = null, comment = null }) {
+  const User = mongoose.model('User');
+
+  const ids = [...new Set(recipientIds.filter(Boolean).map(String))]
+    .filter((id) => !actor || id !== String(actor));
+  if (ids.length === 0) return [];
+
+  const recipients = await User.find({
+    _id: { $in: ids },
+    [`notificationPreferences.${type}`]: { $ne: false },
+  }).select('_id').lean();
+  if (recipients.length === 0) return [];
+
+  const result = await this.bulkWrite(recipients.map(({ _id }) => {
+    const fields = { recipient: _id, type, actor, post, comment };
+    return {
+      updateOne: {
+        filter: fields,
+        update: { $setOnInsert: fields },
+        upsert: true,
+      },
+    };
+  }), { ordered: false });
+
+  // Only the newly created ones are news
+  return recipients.filter((_, index) => result.upsertedIds?.[index]).map(({ _id }) => _id);
+};
+
+module.exports = mongoose.model('Notification', NotificationSchema);
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
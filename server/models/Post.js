@@ -1,5 +1,13 @@
-// server/models/Post.js - Updated for Base64 image storage
+// server/models/Post.js - Featured images live in the Media collection
 const mongoose = require('mongoose');
+const { renderMarkdown } = require('../services/markdown');
+const { slugHistory } = require('../services/slug');
+
+// draft -> in_review -> scheduled/published -> archived
+const POST_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+
+// Who can read a published post (enforced by services/visibility.js)
+const POST_VISIBILITIES = ['public', 'members', 'private', 'unlisted'];
 
 const PostSchema = new mongoose.Schema(
   {
@@ -9,14 +17,27 @@ const PostSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, 'Title cannot be more than 100 characters'],
     },
+    // Markdown source
     content: {
       type: String,
       required: [true, 'Please provide content'],
     },
+    // Sanitized HTML and headings rendered from content (kept in sync by the hooks below)
+    contentHtml: {
+      type: String,
+      default: '',
+    },
+    toc: [
+      {
+        _id: false,
+        id: String,
+        text: String,
+        level: Number,
+      },
+    ],
     featuredImage: {
-      data: Buffer, // Store image data as Buffer
-      contentType: String, // Store MIME type
-      filename: String, // Original filename
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Media',
     },
     slug: {
       type: String,
@@ -38,88 +59,112 @@ const PostSchema = new mongoose.Schema(
       required: true,
     },
     tags: [String],
-    isPublished: {
-      type: Boolean,
-      default: false,
+    status: {
+      type: String,
+      enum: POST_STATUSES,
+      default: 'draft',
+    },
+    visibility: {
+      type: String,
+      enum: POST_VISIBILITIES,
+      default: 'public',
+    },
+    // First time the post went live (kept when it is archived or re-published)
+    publishedAt: {
+      type: Date,
+      default: null,
     },
+    // When the scheduler should publish a scheduled post
+    scheduledFor: {
+      type: Date,
+      default: null,
+    },
+    // Deduplicated views (services/analytics.js)
     viewCount: {
       type: Number,
       default: 0,
     },
-    comments: [
-      {
-        user: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'User',
-        },
-        content: {
-          type: String,
-          required: true,
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now,
-        },
-      },
-    ],
+    // Approved comments (kept in sync by Comment.updatePostCount)
+    commentCount: {
+      type: Number,
+      default: 0,
+    },
+    // Reactions by type, e.g. { like: 3, love: 1 } (kept in sync by Reaction.updatePostCounts)
+    reactionCounts: {
+      type: Object,
+      default: () => ({}),
+    },
   },
   { timestamps: true }
 );
 
-// Generate slug function
-const generateSlug = (title) => {
-  return title
-    .toLowerCase()
-    .replace(/[^\w ]+/g, '')
-    .replace(/ +/g, '-');
-};
+PostSchema.index({ status: 1, publishedAt: -1 });
+PostSchema.index({ status: 1, visibility: 1, publishedAt: -1 });
+PostSchema.index({ author: 1, status: 1, updatedAt: -1 });
+PostSchema.index({ status: 1, scheduledFor: 1 });
+// Following feed (routes/feed.js): each followed source is one branch of an $or
+PostSchema.index({ author: 1, publishedAt: -1 });
+PostSchema.index({ category: 1, publishedAt: -1 });
+PostSchema.index({ tags: 1, publishedAt: -1 });
+
+// Full-text search (services/search.js); weights rank title matches highest
+PostSchema.index(
+  { title: 'text', tags: 'text', excerpt: 'text', content: 'text' },
+  { name: 'post_text_search', weights: { title: 10, tags: 5, excerpt: 3, content: 1 } }
+);
 
-// Create slug from title before saving
+// Slug from the title unless one is given; it stays put when the title changes
+// and old slugs are kept in previousSlugs (generateUniqueSlug, slugTaken, ...)
+PostSchema.plugin(slugHistory, { from: 'title', fallback: 'post' });
+
+// Render Markdown whenever the content changes
 PostSchema.pre('save', function (next) {
-  if (!this.slug || this.isModified('title')) {
-    let baseSlug = generateSlug(this.title);
-    this.slug = baseSlug;
+  if (this.isModified('content') || !this.contentHtml) {
+    const { html, toc } = renderMarkdown(this.content);
+    this.contentHtml = html;
+    this.toc = toc;
   }
   next();
 });
 
-// Static method to generate unique slug
-PostSchema.statics.generateUniqueSlug = async function (title) {
-  let slug = generateSlug(title);
-  let counter = 1;
-  let originalSlug = slug;
-
-  while (await this.findOne({ slug })) {
-    slug = `${originalSlug}-${counter}`;
-    counter++;
+PostSchema.pre(['findOneAndUpdate', 'updateOne'], function (next) {
+  const update = this.getUpdate() || {};
+  const content = update.$set?.content ?? update.content;
+  if (typeof content === 'string') {
+    const { html, toc } = renderMarkdown(content);
+    this.set({ contentHtml: html, toc });
   }
-
-  return slug;
-};
+  next();
+});
 
 // Virtual for post URL
 PostSchema.virtual('url').get(function () {
   return `/posts/${this.slug}`;
 });
 
-// Virtual for featured image URL (Base64 data URL)
+// Virtual for featured image URL (streamed from media storage)
 PostSchema.virtual('featuredImageUrl').get(function () {
-  if (!this.featuredImage || !this.featuredImage.data) {
+  if (!this.featuredImage) {
     return null;
   }
-  return `data:${this.featuredImage.contentType};base64,${this.featuredImage.data.toString('base64')}`;
+  return `/api/posts/${this._id}/image`;
 });
 
-// Method to add a comment
-PostSchema.methods.addComment = function (userId, content) {
-  this.comments.push({ user: userId, content });
-  return this.save();
+// Check whether the post is live
+PostSchema.methods.isPublished = function () {
+  return this.status === 'published';
 };
 
-// Method to increment view count
-PostSchema.methods.incrementViewCount = async function () {
-  this.viewCount += 1;
-  return await this.save();
-};
+// Comment and reaction counters are saved without touching updatedAt, so
+// validators built from updatedAt select these fields and add countersTag
+const COUNTER_FIELDS = 'commentCount reactionCounts';
+const countersTag = (post) => JSON.stringify([
+  post.commentCount || 0,
+  Object.entries(post.reactionCounts || {}).sort(),
+]);
 
-module.exports = mongoose.model('Post', PostSchema);
\ No newline at end of file
+module.exports = mongoose.model('Post', PostSchema);
+module.exports.POST_STATUSES = POST_STATUSES;
+module.exports.POST_VISIBILITIES = POST_VISIBILITIES;
+module.exports.COUNTER_FIELDS = COUNTER_FIELDS;
+module.exports.countersTag = countersTag;
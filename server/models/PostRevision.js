@@ -0,0 +1,95 @@
+// PostRevision.js - Mongoose model for snapshots of a post after each edit
+
+const mongoose = require('mongoose');
+
+// Post fields captured by a revision
+const TRACKED_FIELDS = ['title', 'content', 'excerpt', 'category', 'tags', 'status'];
+
+const PostRevisionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    // 1, 2, 3... per post
+    revision: {
+      type: Number,
+      required: true,
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Set when this revision was created by restoring an older one
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+    title: String,
+    content: String,
+    excerpt: String,
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+    },
+    tags: [String],
+    status: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+PostRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+const snapshotOf = (post) => TRACKED_FIELDS.reduce((snapshot, field) => {
+  const value = post[field];
+  snapshot[field] = value && value._id ? value._id : value;
+  return snapshot;
+}, {});
+
+const sameSnapshot = (a, b) => TRACKED_FIELDS.every(
+  (field) => JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null)
+);
+
+// Save a snapshot of the post as it is now. Returns null when nothing tracked
+// changed since the latest revision.
+PostRevisionSchema.statics.record = async function (post, editorId, { restoredFrom = null, createdAt } = {}) {
+  const snapshot = snapshotOf(post);
+
+  // Two saves racing for the same number: the loser retries with the next one
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.findOne({ post: post._id }).sort({ revision: -1 });
+    if (latest && !restoredFrom && sameSnapshot(latest, snapshot)) {
+      return null;
+    }
+
+    try {
+      return await this.create({
+        ...snapshot,
+        post: post._id,
+        revision: latest ? latest.revision + 1 : 1,
+        editor: editorId,
+        restoredFrom,
+        ...(createdAt && { createdAt }),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not save post revision, please try again');
+};
+
+// Posts created before revisions existed get their current state recorded
+// as revision 1 before the first edit, so it can be restored later
+PostRevisionSchema.statics.ensureBaseline = async function (post) {
+  if (await this.exists({ post: post._id })) {
+    return;
+  }
+  await this.record(post, post.author, { createdAt: post.updatedAt });
+};
+
+const PostRevision = mongoose.model('PostRevision', PostRevisionSchema);
+
+module.exports = PostRevision;
+module.exports.TRACKED_FIELDS = TRACKED_FIELDS;
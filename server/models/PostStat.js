@@ -0,0 +1,95 @@
+// PostStat.js - Mongoose model for a post's daily view statistics
+//
+// One document per post and day (UTC), counting deduplicated views, reads to
+// the end of the post and where readers came from. services/analytics.js
+// writes them; the stats endpoints add them up.
+
+const mongoose = require('mongoose');
+
+// Referrer sources kept per post and day; the rest are counted as "other"
+const MAX_REFERRERS = 50;
+
+const PostStatSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    // Denormalized so an author's stats don't need their post ids first
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // "YYYY-MM-DD" in UTC
+    date: {
+      type: String,
+      required: true,
+    },
+    views: {
+      type: Number,
+      default: 0,
+    },
+    reads: {
+      type: Number,
+      default: 0,
+    },
+    // Views by source: a host name, "direct", "internal" or "other"
+    referrers: [
+      {
+        _id: false,
+        source: String,
+        count: Number,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+PostStatSchema.index({ post: 1, date: 1 }, { unique: true });
+PostStatSchema.index({ author: 1, date: 1 });
+
+// Add to the counts of a post's day, creating the day's document as needed:
+// record(post, date, { views: 1, source: 'example.com' }) or { reads: 1 }
+PostStatSchema.statics.record = async function (post, date, { views = 0, reads = 0, source = null }) {
+  const filter = { post: post._id, date };
+  const update = { $inc: { views, reads }, $setOnInsert: { author: post.author } };
+
+  try {
+    await this.updateOne(filter, update, { upsert: true });
+  } catch (error) {
+    // Two first views of the day raced to create the document; it exists now
+    if (error.code !== 11000) throw error;
+    await this.updateOne(filter, update);
+  }
+
+  if (source) {
+    await this.countReferrer(filter, source);
+  }
+};
+
+// Count one view from a source. A day keeps MAX_REFERRERS sources; views
+// from further ones count as "other".
+PostStatSchema.statics.countReferrer = async function (filter, source) {
+  for (const name of [source, 'other']) {
+    const increment = () => this.updateOne(
+      { ...filter, 'referrers.source': name },
+      { $inc: { 'referrers.$.count': 1 } }
+    );
+    if ((await increment()).matchedCount) return;
+
+    const room = name === 'other' ? {} : { [`referrers.${MAX_REFERRERS - 1}`]: { $exists: false } };
+    const added = await this.updateOne(
+      { ...filter, 'referrers.source': { $ne: name }, ...room },
+      { $push: { referrers: { source: name, count: 1 } } }
+    );
+    if (added.matchedCount) return;
+
+    // Someone else added the source in the meantime, or the list is full
+    if ((await increment()).matchedCount) return;
+  }
+};
+
+module.exports = mongoose.model('PostStat', PostStatSchema);
+module.exports.MAX_REFERRERS = MAX_REFERRERS;
@@ -0,0 +1,39 @@
+// PostView.js - Mongoose model for recent views, used to count each visitor once
+//
+// One document per post and visitor with the time of their last counted view
+// (services/analytics.js). A view only counts when that time is at least a
+// dedupe window ago, so reloads within the window don't; the document also
+// records whether that view read the post to the end. Documents expire on their
+// own once they can't matter any more.
+
+const mongoose = require('mongoose');
+
+const PostViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+  },
+  // Signed-in user id, visitor cookie id, or a keyed hash of the IP address
+  visitor: {
+    type: String,
+    required: true,
+  },
+  viewedAt: {
+    type: Date,
+    required: true,
+  },
+  read: {
+    type: Boolean,
+    default: false,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+PostViewSchema.index({ post: 1, visitor: 1 }, { unique: true });
+PostViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PostView', PostViewSchema);
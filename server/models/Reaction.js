@@ -0,0 +1,47 @@
+// Reaction.js - Mongoose model for a user's reaction (like, emoji) to a post
+
+const mongoose = require('mongoose');
+
+const ReactionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // One of the configured reaction types (config/reactions.js)
+    type: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user can leave each reaction once per post, and several different ones
+ReactionSchema.index({ post: 1, user: 1, type: 1 }, { unique: true });
+ReactionSchema.index({ user: 1, post: 1 });
+
+// Recount a post's reactions by type
+ReactionSchema.statics.updatePostCounts = async function (postId) {
+  const groups = await this.aggregate([
+    { $match: { post: new mongoose.Types.ObjectId(String(postId)) } },
+    { $group: { _id: '$type', count: { $sum: 1 } } },
+  ]);
+  const counts = Object.fromEntries(groups.map((group) => [group._id, group.count]));
+
+  // Counters don't change the post itself, so leave updatedAt alone
+  await mongoose.model('Post').updateOne(
+    { _id: postId },
+    { reactionCounts: counts },
+    { timestamps: false }
+  );
+  return counts;
+};
+
+module.exports = mongoose.model('Reaction', ReactionSchema);
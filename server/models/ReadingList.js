@@ -0,0 +1,25 @@
+// ReadingList.js - Mongoose model for a user's named list of bookmarks
+
+const mongoose = require('mongoose');
+
+const ReadingListSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a list name'],
+      trim: true,
+      maxlength: [50, 'List name cannot be more than 50 characters'],
+    },
+  },
+  { timestamps: true }
+);
+
+// List names are unique per user
+ReadingListSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReadingList', ReadingListSchema);
@@ -0,0 +1,172 @@
+// Session.js - Mongoose model for refresh-token sessions (one per signed-in device)
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Only a hash of the refresh token is stored, never the token itself
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // Salt the current token's secret is derived from (see tokenSecret)
+    tokenSalt: {
+      type: String,
+      default: null,
+    },
+    // The token the last rotation replaced, and when it did
+    previousTokenHash: {
+      type: String,
+      default: null,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// MongoDB removes sessions once they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found
+// directly. The secret is derived from a random per-token salt with the server
+// key, so a client that lost the response of a rotation can be given the same
+// token again.
+const tokenSecret = (sessionId, salt) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${sessionId}.${salt}`).digest('base64url');
+
+// Fields of a new refresh token for a session, and the token itself
+const newToken = (sessionId) => {
+  const salt = crypto.randomBytes(24).toString('base64url');
+  const secret = tokenSecret(sessionId, salt);
+  const ttlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  return {
+    refreshToken: `${sessionId}.${secret}`,
+    fields: {
+      tokenHash: hashToken(secret),
+      tokenSalt: salt,
+      expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+      lastUsedAt: new Date(),
+    },
+  };
+};
+
+// How long the token a rotation replaced still gets the new one, for tabs that
+// refreshed at the same time and retries of a lost response
+const reuseGraceMs = () => (parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 30) * 1000;
+
+// Start a new session for a user signing in from this request
+SessionSchema.statics.start = async function (userId, req) {
+  const session = new this({
+    user: userId,
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip || '',
+  });
+  const { refreshToken, fields } = newToken(session._id);
+  session.set(fields);
+  await session.save();
+  return { session, refreshToken };
+};
+
+// Exchange a refresh token for a new one (rotation). The token a rotation
+// replaced gets the same new token for a short grace period; presenting it, or
+// any older one, after that means it leaked, so the whole session is revoked.
+SessionSchema.statics.rotate = async function (refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  const presented = hashToken(secret);
+  let session = await this.findById(sessionId);
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  if (session.tokenHash === presented) {
+    // Conditional on the token, so only one of several concurrent calls rotates
+    const { refreshToken: nextToken, fields } = newToken(session._id);
+    const rotated = await this.findOneAndUpdate(
+      { _id: session._id, tokenHash: presented, revokedAt: null },
+      { ...fields, previousTokenHash: presented, rotatedAt: new Date() },
+      { new: true }
+    );
+    if (rotated) {
+      return { session: rotated, refreshToken: nextToken };
+    }
+
+    session = await this.findById(sessionId);
+    if (!session || !session.isActive()) {
+      return null;
+    }
+  }
+
+  if (
+    session.previousTokenHash === presented &&
+    session.tokenSalt &&
+    session.rotatedAt > new Date(Date.now() - reuseGraceMs())
+  ) {
+    return { session, refreshToken: `${session._id}.${tokenSecret(session._id, session.tokenSalt)}` };
+  }
+
+  await this.updateOne({ _id: session._id, revokedAt: null }, { revokedAt: new Date() });
+  return null;
+};
+
+// Find the active session a refresh token belongs to, without rotating it
+SessionSchema.statics.findByToken = async function (refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  const session = await this.findById(sessionId);
+  if (!session || !session.isActive() || session.tokenHash !== hashToken(secret)) {
+    return null;
+  }
+  return session;
+};
+
+// Check whether the session can still be used
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke the session (sign the device out)
+SessionSchema.methods.revoke = function () {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
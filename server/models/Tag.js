@@ -0,0 +1,143 @@
+// Tag.js - Mongoose model for post tags
+//
+// Posts keep their tags as a list of names (so search and facets can read them
+// straight off the post); this collection holds the canonical name for each
+// normalized slug, so "React", "react" and "react " all end up as one tag.
+
+const mongoose = require('mongoose');
+const { listedFilter } = require('../services/visibility');
+
+const MAX_TAG_LENGTH = 30;
+
+// "  Web   Dev " -> "Web Dev"
+const normalizeTagName = (name) => String(name).normalize('NFKC').trim().replace(/\s+/g, ' ');
+
+// "Web Dev" -> "web-dev", "C++" -> "c++", "Node.js" -> "node.js"
+const slugifyTag = (name) => normalizeTagName(name)
+  .toLowerCase()
+  .replace(/ /g, '-')
+  .replace(/[^\p{L}\p{N}+#.-]/gu, '')
+  .replace(/-+/g, '-')
+  .replace(/^-|-$/g, '');
+
+const TagSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a tag name'],
+      trim: true,
+      maxlength: [MAX_TAG_LENGTH, `Tag names cannot be more than ${MAX_TAG_LENGTH} characters`],
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Posts using the tag that anyone can find in lists (kept in sync by Tag.refreshCounts)
+    postCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+TagSchema.index({ postCount: -1, name: 1 });
+
+TagSchema.pre('validate', function (next) {
+  if (this.isModified('name')) {
+    this.name = normalizeTagName(this.name);
+    this.slug = slugifyTag(this.name);
+  }
+  next();
+});
+
+// Map tag names typed by a user to canonical names, creating tags that don't
+// exist yet. Duplicates (by slug) and names that slugify to nothing are dropped.
+TagSchema.statics.resolve = async function (names = []) {
+  const wanted = new Map();
+  for (const raw of names) {
+    const name = normalizeTagName(raw).slice(0, MAX_TAG_LENGTH).trim();
+    const slug = slugifyTag(name);
+    if (slug && !wanted.has(slug)) {
+      wanted.set(slug, name);
+    }
+  }
+  if (wanted.size === 0) return [];
+
+  // Upsert so two requests adding the same new tag don't race each other
+  await this.bulkWrite([...wanted].map(([slug, name]) => ({
+    updateOne: {
+      filter: { slug },
+      update: { $setOnInsert: { name, slug, postCount: 0 } },
+      upsert: true,
+    },
+  })));
+
+  const tags = await this.find({ slug: { $in: [...wanted.keys()] } }).select('name slug');
+  const bySlug = new Map(tags.map((tag) => [tag.slug, tag.name]));
+  return [...wanted.keys()].map((slug) => bySlug.get(slug)).filter(Boolean);
+};
+
+// Recount how many posts use each of the given tag names. As with categories,
+// only posts an anonymous reader would see count.
+TagSchema.statics.refreshCounts = async function (names = []) {
+  const Post = mongoose.model('Post');
+  const unique = [...new Set(names)];
+
+  await Promise.all(unique.map(async (name) => {
+    const postCount = await Post.countDocuments({ ...listedFilter(null), tags: name });
+    await this.updateOne({ name }, { postCount }, { timestamps: false });
+  }));
+};
+
+// Rename the tag and rewrite the posts that use it
+TagSchema.methods.rename = async function (name) {
+  const Post = mongoose.model('Post');
+  const previous = this.name;
+
+  this.name = name;
+  await this.save();
+
+  if (this.name !== previous) {
+    await Post.updateMany(
+      { tags: previous },
+      { $set: { 'tags.$[tag]': this.name } },
+      { arrayFilters: [{ tag: previous }] }
+    );
+  }
+  return this;
+};
+
+// Move every post from this tag to another one, then delete this tag
+TagSchema.methods.mergeInto = async function (target) {
+  const Post = mongoose.model('Post');
+  const Follow = mongoose.model('Follow');
+
+  // Posts that already have both just lose this one; the rest swap it in place
+  await Post.updateMany({ $and: [{ tags: this.name }, { tags: target.name }] }, { $pull: { tags: this.name } });
+  await Post.updateMany(
+    { tags: this.name },
+    { $set: { 'tags.$[tag]': target.name } },
+    { arrayFilters: [{ tag: this.name }] }
+  );
+
+  await Follow.moveFollowers('tag', this._id, target._id);
+  await this.deleteOne();
+  await this.constructor.refreshCounts([target.name]);
+  return target;
+};
+
+// Delete the tag and take it off every post
+TagSchema.methods.removeFromPosts = async function () {
+  const Post = mongoose.model('Post');
+  const Follow = mongoose.model('Follow');
+  await Post.updateMany({ tags: this.name }, { $pull: { tags: this.name } });
+  await Follow.deleteMany({ targetType: 'tag', target: this._id });
+  await this.deleteOne();
+};
+
+module.exports = mongoose.model('Tag', TagSchema);
+module.exports.normalizeTagName = normalizeTagName;
+module.exports.slugifyTag = slugifyTag;
+module.exports.MAX_TAG_LENGTH = MAX_TAG_LENGTH;
@@ -2,6 +2,14 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLE_NAMES, DEFAULT_ROLE, resolveRole } = require('../config/permissions');
+const { NOTIFICATION_TYPES } = require('./Notification');
+
+// Profile links shown on author pages, each a full http(s) URL
+const SOCIAL_NETWORKS = ['github', 'twitter', 'linkedin', 'mastodon'];
+
+// Fields safe to show next to a user's content (post bylines, comments)
+const AUTHOR_FIELDS = 'username displayName avatarImage';
 
 const UserSchema = new mongoose.Schema(
   {
@@ -29,17 +37,53 @@ const UserSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['user', 'admin'],
-      default: 'user',
+      enum: ROLE_NAMES,
+      default: DEFAULT_ROLE,
+    },
+    displayName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Display name cannot be more than 50 characters'],
     },
-    avatar: {
+    bio: {
       type: String,
-      default: 'default-avatar.png',
+      trim: true,
+      maxlength: [500, 'Bio cannot be more than 500 characters'],
+    },
+    website: {
+      type: String,
+      trim: true,
+    },
+    socialLinks: Object.fromEntries(
+      SOCIAL_NETWORKS.map((network) => [network, { type: String, trim: true }])
+    ),
+    // Cropped square avatar with 'small' and 'large' renditions
+    avatarImage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Media',
+      default: null,
+    },
+    // Which kinds of notification the user wants; all are on by default
+    notificationPreferences: Object.fromEntries(
+      NOTIFICATION_TYPES.map((type) => [type, { type: Boolean, default: true }])
+    ),
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
     },
   },
   { timestamps: true }
 );
 
+// Upgrade roles from before RBAC existed (e.g. 'user') when the document is saved
+UserSchema.pre('validate', function (next) {
+  this.role = resolveRole(this.role) || this.role;
+  next();
+});
+
 // Hash password before saving
 UserSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
@@ -56,4 +100,23 @@ UserSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
+// Public profile (no email or account state)
+UserSchema.methods.toProfile = function () {
+  return {
+    id: this._id,
+    username: this.username,
+    displayName: this.displayName || '',
+    bio: this.bio || '',
+    website: this.website || '',
+    socialLinks: Object.fromEntries(
+      SOCIAL_NETWORKS.map((network) => [network, this.socialLinks?.[network] || ''])
+    ),
+    avatarImage: this.avatarImage,
+    role: this.role,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model('User', UserSchema);
+module.exports.SOCIAL_NETWORKS = SOCIAL_NETWORKS;
+module.exports.AUTHOR_FIELDS = AUTHOR_FIELDS;
\ No newline at end of file
@@ -3,8 +3,14 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
 const auth = require('../middleware/auth');
+const { capabilitiesFor } = require('../config/permissions');
+const { sendMail } = require('../mail');
+const { EVENTS, emitEvent } = require('../services/events');
 
 const router = express.Router();
 
@@ -24,10 +30,87 @@ const loginValidationRules = [
   body('password').exists().withMessage('Password is required'),
 ];
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+const forgotPasswordValidationRules = [
+  body('email').isEmail().withMessage('Please provide a valid email'),
+];
+
+const resetPasswordValidationRules = [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters'),
+];
+
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Links in emails point at the client app
+const clientUrl = (pathname) => `${process.env.CLIENT_URL || 'http://localhost:5173'}${pathname}`;
+
+// Issue a verification token and email the link to the user
+const sendVerificationEmail = async (user) => {
+  const token = await AuthToken.issue(user._id, 'email_verification', EMAIL_VERIFICATION_TTL);
+  await sendMail(user.email, 'emailVerification', {
+    username: user.username,
+    url: clientUrl(`/verify-email/${token}`),
+  });
+};
+
+// Issue a password reset token and email the link to the user
+const sendPasswordResetEmail = async (user) => {
+  const token = await AuthToken.issue(user._id, 'password_reset', PASSWORD_RESET_TTL);
+  await sendMail(user.email, 'passwordReset', {
+    username: user.username,
+    url: clientUrl(`/reset-password/${token}`),
+  });
+};
+
+const REFRESH_COOKIE = 'refreshToken';
+
+// Generate a short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || '15m',
+  });
+};
+
+// Refresh tokens only travel in an httpOnly cookie scoped to the auth routes
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'lax',
+  path: '/api/auth',
+});
+
+const setRefreshCookie = (res, session, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...refreshCookieOptions(),
+    expires: session.expiresAt,
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+const userResponse = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  permissions: capabilitiesFor(user.role),
+  isEmailVerified: user.isEmailVerified,
+});
+
+// Start a new session for the user and send both tokens
+const sendNewSession = async (req, res, user, status = 200) => {
+  const { session, refreshToken } = await Session.start(user._id, req);
+  setRefreshCookie(res, session, refreshToken);
+
+  res.status(status).json({
+    success: true,
+    token: generateToken(user._id, session.id),
+    user: userResponse(user),
   });
 };
 
@@ -66,19 +149,12 @@ router.post('/register', registerValidationRules, async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.status(201).json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-      },
+    // Registration shouldn't fail just because the mail server is down
+    sendVerificationEmail(user).catch((error) => {
+      console.error('Error sending verification email:', error);
     });
+
+    await sendNewSession(req, res, user, 201);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -120,18 +196,298 @@ router.post('/login', loginValidationRules, async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await sendNewSession(req, res, user);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange the refresh token cookie for a new access token (rotates the refresh token)
+// @access  Public (requires refresh token cookie)
+router.post('/refresh', async (req, res) => {
+  try {
+    const rotated = await Session.rotate(req.cookies[REFRESH_COOKIE]);
+    if (!rotated) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token',
+      });
+    }
+
+    const { session, refreshToken } = rotated;
+    const user = await User.findById(session.user).select('-password');
+    if (!user) {
+      await session.revoke();
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token',
+      });
+    }
+
+    setRefreshCookie(res, session, refreshToken);
 
     res.json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-      },
+      token: generateToken(user._id, session.id),
+      user: userResponse(user),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Public (uses refresh token cookie)
+router.post('/logout', async (req, res) => {
+  try {
+    const session = await Session.findByToken(req.cookies[REFRESH_COOKIE]);
+    if (session) {
+      await session.revoke();
+      emitEvent(EVENTS.SESSIONS_REVOKED, { userId: session.user });
+    }
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions (devices)
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.id === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke every session except the current one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const result = await Session.updateMany(
+      { user: req.user.id, _id: { $ne: req.sessionId }, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    emitEvent(EVENTS.SESSIONS_REVOKED, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: `Revoked ${result.modifiedCount} other session(s)`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    await session.revoke();
+    emitEvent(EVENTS.SESSIONS_REVOKED, { userId: req.user.id });
+    if (session.id === req.sessionId) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', forgotPasswordValidationRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    // Not awaited: neither how long sending takes nor a mail failure may tell
+    // the caller that the account exists
+    if (user) {
+      sendPasswordResetEmail(user).catch((error) => {
+        console.error('Error sending password reset email:', error);
+      });
+    }
+
+    // Same answer either way, so this can't be used to discover accounts
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', resetPasswordValidationRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const resetToken = await AuthToken.consume(req.body.token, 'password_reset');
+    const user = resetToken && await User.findById(resetToken.user);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset link is invalid or has expired',
+      });
+    }
+
+    user.password = req.body.password;
+    // Receiving the reset email proves the address belongs to the user
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out every device that may have been using the old password
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    emitEvent(EVENTS.SESSIONS_REVOKED, { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify the user's email address
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const verificationToken = await AuthToken.consume(req.params.token, 'email_verification');
+    const user = verificationToken && await User.findById(verificationToken.user);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired',
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email to the current user
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified',
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
     });
   } catch (error) {
     res.status(500).json({
@@ -149,7 +505,10 @@ router.get('/me', auth, async (req, res) => {
     const user = await User.findById(req.user.id).select('-password');
     res.json({
       success: true,
-      data: user,
+      data: {
+        ...user.toObject(),
+        ...userResponse(user),
+      },
     });
   } catch (error) {
     res.status(500).json({
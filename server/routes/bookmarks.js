@@ -0,0 +1,277 @@
+// bookmarks.js - Routes for the signed-in user's bookmarks and reading lists
+// (mounted at /api/users/me)
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Bookmark = require('../models/Bookmark');
+const ReadingList = require('../models/ReadingList');
+const { AUTHOR_FIELDS } = require('../models/User');
+const auth = require('../middleware/auth');
+const { canView } = require('../services/visibility');
+const { httpError } = require('../services/errors');
+
+const router = express.Router();
+
+// Everything here belongs to the signed-in user
+router.use(auth);
+
+// Validation rules
+const listValidationRules = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('List name is required')
+    .isLength({ max: 50 })
+    .withMessage('List name cannot be more than 50 characters'),
+];
+
+// Post fields shown in the reading list
+const POST_FIELDS = 'title slug excerpt author category status visibility publishedAt createdAt commentCount reactionCounts';
+
+// One of the user's reading lists by id, or null for "unsorted"
+const ownList = async (user, listId) => {
+  if (!listId) return null;
+  const list = mongoose.Types.ObjectId.isValid(listId)
+    ? await ReadingList.findOne({ _id: listId, user: user.id })
+    : null;
+  if (!list) {
+    throw httpError(404, 'Reading list not found');
+  }
+  return list;
+};
+
+// @route   GET /api/users/me/bookmarks
+// @desc    Get the user's bookmarks, newest first (?list=<id> or ?list=unsorted, ?page, ?limit).
+//          Posts the user can no longer read come back as post: null (postId is always set).
+// @access  Private
+router.get('/bookmarks', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const filter = { user: req.user.id };
+    if (req.query.list === 'unsorted') {
+      filter.list = null;
+    } else if (req.query.list) {
+      filter.list = (await ownList(req.user, req.query.list))._id;
+    }
+
+    const [bookmarks, total] = await Promise.all([
+      Bookmark.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate({
+          path: 'post',
+          select: POST_FIELDS,
+          populate: [
+            { path: 'author', select: AUTHOR_FIELDS },
+            { path: 'category', select: 'name slug' },
+          ],
+        }),
+      Bookmark.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: bookmarks.map((bookmark) => ({
+        ...bookmark.toObject(),
+        postId: bookmark.populated('post'),
+        post: canView(req.user, bookmark.post) ? bookmark.post : null,
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/users/me/bookmarks/:postId
+// @desc    Bookmark a post, or move a bookmark to another list ({ list: <id> or null })
+// @access  Private
+router.put('/bookmarks/:postId', async (req, res) => {
+  try {
+    const post = mongoose.Types.ObjectId.isValid(req.params.postId)
+      ? await Post.findById(req.params.postId).select('_id status author visibility')
+      : null;
+    if (!canView(req.user, post)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+      });
+    }
+
+    const list = await ownList(req.user, req.body.list);
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { user: req.user.id, post: post._id },
+      { list: list ? list._id : null },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      data: bookmark,
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/bookmarks/:postId
+// @desc    Remove a bookmark
+// @access  Private
+router.delete('/bookmarks/:postId', async (req, res) => {
+  try {
+    const { deletedCount } = mongoose.Types.ObjectId.isValid(req.params.postId)
+      ? await Bookmark.deleteOne({ user: req.user.id, post: req.params.postId })
+      : { deletedCount: 0 };
+
+    if (!deletedCount) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bookmark not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bookmark removed',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/users/me/lists
+// @desc    Get the user's reading lists with bookmark counts (unsortedCount covers the rest)
+// @access  Private
+router.get('/lists', async (req, res) => {
+  try {
+    const [lists, counts] = await Promise.all([
+      ReadingList.find({ user: req.user.id }).sort({ name: 1 }).lean(),
+      Bookmark.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(String(req.user.id)) } },
+        { $group: { _id: '$list', count: { $sum: 1 } } },
+      ]),
+    ]);
+    const countOf = new Map(counts.map((group) => [String(group._id), group.count]));
+
+    res.json({
+      success: true,
+      data: lists.map((list) => ({ ...list, count: countOf.get(String(list._id)) || 0 })),
+      unsortedCount: countOf.get('null') || 0,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/users/me/lists
+// @desc    Create a reading list
+// @access  Private
+router.post('/lists', listValidationRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const list = await ReadingList.create({ user: req.user.id, name: req.body.name });
+
+    res.status(201).json({
+      success: true,
+      data: { ...list.toObject(), count: 0 },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have a list with this name',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/users/me/lists/:listId
+// @desc    Rename a reading list
+// @access  Private
+router.put('/lists/:listId', listValidationRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const list = await ownList(req.user, req.params.listId);
+    list.name = req.body.name;
+    await list.save();
+
+    res.json({
+      success: true,
+      data: list,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already have a list with this name',
+      });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/lists/:listId
+// @desc    Delete a reading list; its bookmarks are kept as unsorted
+// @access  Private
+router.delete('/lists/:listId', async (req, res) => {
+  try {
+    const list = await ownList(req.user, req.params.listId);
+    await Bookmark.updateMany({ user: req.user.id, list: list._id }, { list: null });
+    await list.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Reading list deleted',
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -2,26 +2,128 @@
 
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const Category = require('../models/Category');
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { slugify } = require('../services/slug');
+const { httpError } = require('../services/errors');
 
 const router = express.Router();
 
 // Validation rules
 const categoryValidationRules = [
   body('name').notEmpty().withMessage('Category name is required'),
+  body('parent')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Parent must be a category id'),
 ];
 
+// Load the category a request acts on (for authorize)
+const loadCategory = (req) => Category.findById(req.params.id);
+
+// Parent for a category from the request body: null for top level. A category
+// can't be moved under itself or one of its own subcategories.
+const requestedParent = async (parentId, category = null) => {
+  if (!parentId) return null;
+
+  const parent = await Category.findById(parentId).select('_id');
+  if (!parent) {
+    throw httpError(400, 'Parent category not found');
+  }
+  if (category) {
+    const nested = await Category.withDescendants(category._id);
+    if (nested.includes(String(parent._id))) {
+      throw httpError(400, 'A category cannot be moved under itself or its subcategories');
+    }
+  }
+  return parent._id;
+};
+
+// Slug a create/update request asks for, normalized, or null if it doesn't set
+// one. Slugs other categories have now or had before are taken.
+const requestedSlug = async ({ slug }, category = null) => {
+  if (slug === undefined || slug === null || String(slug).trim() === '') return null;
+  const normalized = slugify(slug);
+  if (!normalized) {
+    throw httpError(400, 'Slug must contain letters or numbers');
+  }
+  if (await Category.slugTaken(normalized, category?._id)) {
+    throw httpError(400, `The slug "${normalized}" is already in use`);
+  }
+  return normalized;
+};
+
+// Nest a flat category list under their parents
+const buildTree = (categories) => {
+  const nodes = new Map(categories.map((category) => [String(category._id), { ...category, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(String(node.parent));
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+};
+
 // @route   GET /api/categories
-// @desc    Get all categories
+// @desc    Get all categories (?tree=true nests subcategories under their parents)
 // @access  Public
 router.get('/', async (req, res) => {
   try {
-    const categories = await Category.find().sort({ name: 1 });
-    
+    const categories = await Category.find().sort({ name: 1 }).lean();
+
     res.json({
       success: true,
-      data: categories,
+      data: req.query.tree === 'true' ? buildTree(categories) : categories,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/categories/:idOrSlug
+// @desc    Get a category by id or slug, with its parents and subcategories
+//          (a slug the category had before redirects to the current one)
+// @access  Public
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const { idOrSlug } = req.params;
+    // Some slugs are also valid ObjectIds (any 12 characters), so try both
+    const category = await Category.findOne(
+      mongoose.Types.ObjectId.isValid(idOrSlug)
+        ? { $or: [{ _id: idOrSlug }, { slug: idOrSlug }] }
+        : { slug: idOrSlug }
+    );
+
+    if (!category) {
+      const renamed = await Category.findByPreviousSlug(idOrSlug).select('slug');
+      if (renamed) {
+        return res.redirect(301, `${req.baseUrl}/${encodeURIComponent(renamed.slug)}`);
+      }
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+      });
+    }
+
+    const [ancestors, children] = await Promise.all([
+      category.ancestors(),
+      Category.find({ parent: category._id }).select('name slug postCount').sort({ name: 1 }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...category.toObject(),
+        ancestors,
+        children,
+      },
     });
   } catch (error) {
     res.status(500).json({
@@ -32,9 +134,9 @@ router.get('/', async (req, res) => {
 });
 
 // @route   POST /api/categories
-// @desc    Create a new category
-// @access  Private (Admin only)
-router.post('/', [auth, categoryValidationRules], async (req, res) => {
+// @desc    Create a new category (optionally under a parent)
+// @access  Private (categories:create)
+router.post('/', [auth, authorize('categories:create'), categoryValidationRules], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -44,18 +146,65 @@ router.post('/', [auth, categoryValidationRules], async (req, res) => {
       });
     }
 
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
+    const category = new Category({
+      name: req.body.name,
+      description: req.body.description,
+      parent: await requestedParent(req.body.parent),
+      // Generated from the name when not given
+      slug: await requestedSlug(req.body),
+    });
+    await category.save();
+
+    res.status(201).json({
+      success: true,
+      data: category,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
         success: false,
-        error: 'Not authorized to create categories',
+        error: 'Category with this name already exists',
+      });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category's name, description, parent or slug (the old slug keeps redirecting)
+// @access  Private (categories:update)
+router.put('/:id', [
+  auth,
+  authorize('categories:update', loadCategory),
+  categoryValidationRules,
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
       });
     }
 
-    const category = new Category(req.body);
+    const category = req.resource;
+    category.name = req.body.name;
+    if (req.body.description !== undefined) {
+      category.description = req.body.description;
+    }
+    if (req.body.parent !== undefined) {
+      category.parent = await requestedParent(req.body.parent, category);
+    }
+    const slug = await requestedSlug(req.body, category);
+    if (slug) {
+      category.slug = slug;
+    }
     await category.save();
 
-    res.status(201).json({
+    res.json({
       success: true,
       data: category,
     });
@@ -66,6 +215,61 @@ router.post('/', [auth, categoryValidationRules], async (req, res) => {
         error: 'Category with this name already exists',
       });
     }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category. Its posts move to { reassignTo } (required when it has posts);
+//          its subcategories move up to its parent.
+// @access  Private (categories:delete)
+router.delete('/:id', [auth, authorize('categories:delete', loadCategory)], async (req, res) => {
+  try {
+    const category = req.resource;
+    const reassignTo = req.body?.reassignTo || req.query.reassignTo;
+    const postCount = await Post.countDocuments({ category: category._id });
+
+    let target = null;
+    if (reassignTo) {
+      target = mongoose.Types.ObjectId.isValid(reassignTo) && await Category.findById(reassignTo);
+      if (!target) {
+        return res.status(400).json({
+          success: false,
+          error: 'Category to move posts to not found',
+        });
+      }
+      if (target._id.equals(category._id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Posts must move to a different category',
+        });
+      }
+    } else if (postCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `This category has ${postCount} post${postCount === 1 ? '' : 's'}; choose a category to move them to (reassignTo)`,
+      });
+    }
+
+    if (target) {
+      await Post.updateMany({ category: category._id }, { category: target._id });
+    }
+    await Category.updateMany({ parent: category._id }, { parent: category.parent });
+    await Follow.deleteMany({ targetType: 'category', target: category._id });
+    await category.deleteOne();
+    if (target) {
+      await Category.refreshCounts([target._id]);
+    }
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      moved: target ? postCount : 0,
+    });
+  } catch (error) {
     res.status(500).json({
       success: false,
       error: error.message,
@@ -73,4 +277,4 @@ router.post('/', [auth, categoryValidationRules], async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,340 @@
+// comments.js - Routes for threaded comments (mounted at /api/posts/:id/comments)
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const { AUTHOR_FIELDS } = require('../models/User');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { can } = require('../config/permissions');
+const { canView } = require('../services/visibility');
+const { EVENTS, emitEvent } = require('../services/events');
+
+const { COMMENT_STATUSES, MAX_DEPTH } = Comment;
+
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const commentValidationRules = [
+  body('content').trim().notEmpty().withMessage('Comment content is required'),
+];
+
+
+// Load the comment a request acts on (for authorize); deleted comments can't be changed
+const loadComment = (req) => Comment.findOne({
+  _id: req.params.commentId,
+  post: req.params.id,
+  deletedAt: null,
+});
+
+// Respond with 404 unless the post exists and the requester may read it
+const findPost = async (req, res) => {
+  const post = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Post.findById(req.params.id).select('_id status author visibility')
+    : null;
+
+  if (!canView(req.user, post)) {
+    res.status(404).json({
+      success: false,
+      error: 'Post not found',
+    });
+    return null;
+  }
+  return post;
+};
+
+// Comments a requester may see: approved ones, plus their own pending ones.
+// Moderators see everything.
+const visibleTo = (user) => {
+  if (can(user, 'comments:moderate')) {
+    return {};
+  }
+  if (user) {
+    return { $or: [{ status: 'approved' }, { status: 'pending', user: user._id }] };
+  }
+  return { status: 'approved' };
+};
+
+// Nest replies under their parents. Replies whose parent isn't visible are dropped.
+const buildThreads = (roots, replies) => {
+  const byId = new Map();
+  const threads = roots.map((root) => {
+    const node = { ...root.toJSONForThread(), replies: [] };
+    byId.set(String(root._id), node);
+    return node;
+  });
+
+  // Replies are sorted oldest first, so parents are always seen before their children
+  for (const reply of replies) {
+    const parent = byId.get(String(reply.parentId));
+    if (!parent) continue;
+    const node = { ...reply.toJSONForThread(), replies: [] };
+    byId.set(String(reply._id), node);
+    parent.replies.push(node);
+  }
+
+  return threads;
+};
+
+// @route   GET /api/posts/:id/comments
+// @desc    Get comment threads for a post (paginated by top-level comment)
+// @access  Public
+router.get('/', auth.optional, async (req, res) => {
+  try {
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const skip = (page - 1) * limit;
+
+    const visible = visibleTo(req.user);
+    const rootQuery = { post: post._id, parentId: null, ...visible };
+
+    const [roots, total] = await Promise.all([
+      Comment.find(rootQuery)
+        .populate('user', AUTHOR_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Comment.countDocuments(rootQuery),
+    ]);
+
+    const replies = await Comment.find({
+      rootId: { $in: roots.map((root) => root._id) },
+      parentId: { $ne: null },
+      ...visible,
+    })
+      .populate('user', AUTHOR_FIELDS)
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: buildThreads(roots, replies),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/posts/:id/comments
+// @desc    Add a comment or a reply (parentId) to a post
+// @access  Private (comments:create)
+router.post('/', [
+  auth,
+  authorize('comments:create'),
+  commentValidationRules,
+  body('parentId').optional({ values: 'null' }).isMongoId().withMessage('Invalid parent comment'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    const comment = new Comment({
+      post: post._id,
+      user: req.user._id,
+      content: req.body.content,
+    });
+
+    if (req.body.parentId) {
+      const parent = await Comment.findOne({ _id: req.body.parentId, post: post._id });
+      if (!parent || parent.deletedAt) {
+        return res.status(404).json({
+          success: false,
+          error: 'Parent comment not found',
+        });
+      }
+      if (parent.depth >= MAX_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          error: 'Replies cannot be nested any deeper',
+        });
+      }
+      comment.parentId = parent._id;
+      comment.rootId = parent.rootId;
+      comment.depth = parent.depth + 1;
+    }
+
+    // Verified users and moderators skip the review queue
+    if (req.user.isEmailVerified || can(req.user, 'comments:moderate')) {
+      comment.status = 'approved';
+    }
+
+    await comment.save();
+    const commentCount = await Comment.updatePostCount(post._id);
+    await comment.populate('user', AUTHOR_FIELDS);
+    if (comment.status === 'approved') {
+      emitEvent(EVENTS.COMMENT_APPROVED, { commentId: comment._id });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { ...comment.toJSONForThread(), replies: [] },
+      commentCount,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/posts/:id/comments/:commentId
+// @desc    Edit a comment
+// @access  Private (comments:update)
+router.put('/:commentId', [
+  auth,
+  authorize('comments:update', loadComment),
+  commentValidationRules,
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const comment = req.resource;
+    comment.content = req.body.content;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate('user', AUTHOR_FIELDS);
+    emitEvent(EVENTS.COMMENT_UPDATED, { commentId: comment._id });
+
+    res.json({
+      success: true,
+      data: comment.toJSONForThread(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @desc    Delete a comment. Comments with replies are blanked out instead so the thread stays intact.
+// @access  Private (comments:delete)
+router.delete('/:commentId', [auth, authorize('comments:delete', loadComment)], async (req, res) => {
+  try {
+    const comment = req.resource;
+    let softDeleted = false;
+    const removed = [comment._id];
+
+    if (await Comment.exists({ parentId: comment._id })) {
+      comment.deletedAt = new Date();
+      await comment.save();
+      softDeleted = true;
+    } else {
+      await comment.deleteOne();
+
+      // Blanked-out ancestors that no longer have any replies can go too
+      let parentId = comment.parentId;
+      while (parentId) {
+        const parent = await Comment.findById(parentId);
+        if (!parent || !parent.deletedAt || await Comment.exists({ parentId: parent._id })) {
+          break;
+        }
+        await parent.deleteOne();
+        removed.push(parent._id);
+        parentId = parent.parentId;
+      }
+    }
+
+    const commentCount = await Comment.updatePostCount(comment.post);
+    await Notification.deleteMany({ comment: { $in: removed } });
+    emitEvent(EVENTS.COMMENT_DELETED, {
+      postId: comment.post,
+      commentId: comment._id,
+      softDeleted,
+      removedIds: softDeleted ? [] : removed,
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: { softDeleted },
+      commentCount,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   PATCH /api/posts/:id/comments/:commentId/status
+// @desc    Approve a comment or mark it as spam
+// @access  Private (comments:moderate)
+router.patch('/:commentId/status', [
+  auth,
+  authorize('comments:moderate', loadComment),
+  body('status').isIn(COMMENT_STATUSES).withMessage(`Status must be one of: ${COMMENT_STATUSES.join(', ')}`),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const comment = req.resource;
+    const wasApproved = comment.status === 'approved';
+    comment.status = req.body.status;
+    await comment.save();
+    const commentCount = await Comment.updatePostCount(comment.post);
+
+    // Notify on approval; comments taken down take their notifications with them
+    if (comment.status === 'approved' && !wasApproved) {
+      emitEvent(EVENTS.COMMENT_APPROVED, { commentId: comment._id });
+    } else if (comment.status !== 'approved') {
+      await Notification.deleteMany({ comment: comment._id });
+      if (wasApproved) {
+        emitEvent(EVENTS.COMMENT_HIDDEN, { commentId: comment._id });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        _id: comment._id,
+        status: comment.status,
+      },
+      commentCount,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+// feed.js - The signed-in user's personalized feed: posts from the authors,
+// categories and tags they follow
+
+const express = require('express');
+const Post = require('../models/Post');
+const { COUNTER_FIELDS, countersTag } = Post;
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const Follow = require('../models/Follow');
+const { IMAGE_FIELDS } = require('../models/Media');
+const { AUTHOR_FIELDS } = require('../models/User');
+const auth = require('../middleware/auth');
+const { cacheControl, createETag, isFresh, notModified } = require('../middleware/cache');
+const { listedFilter, withImageAccess } = require('../services/visibility');
+const { encodeCursor, decodeCursor, afterCursor } = require('../services/cursor');
+const { viewerState, viewerStateTag } = require('../services/viewerState');
+
+const router = express.Router();
+
+const MAX_FEED_LIMIT = 50;
+
+// One $or branch per kind of followed source; a followed category includes its
+// subcategories. Returns null when the user follows nothing.
+const sourcesFilter = async (userId) => {
+  const followed = await Follow.followedBy(userId);
+
+  const [categoryIds, tags] = await Promise.all([
+    Promise.all(followed.category.map((id) => Category.withDescendants(id))),
+    followed.tag.length ? Tag.find({ _id: { $in: followed.tag } }).select('name').lean() : [],
+  ]);
+
+  const sources = [];
+  if (followed.user.length) {
+    sources.push({ author: { $in: followed.user } });
+  }
+  if (categoryIds.length) {
+    sources.push({ category: { $in: [...new Set(categoryIds.flat())] } });
+  }
+  if (tags.length) {
+    sources.push({ tags: { $in: tags.map((tag) => tag.name) } });
+  }
+  return sources.length ? { $or: sources } : null;
+};
+
+// @route   GET /api/feed
+// @desc    Published posts from followed authors, categories (with subcategories) and tags,
+//          newest first, without duplicates (?limit, ?cursor from pagination.nextCursor)
+// @access  Private
+router.get('/', [auth, cacheControl('list')], async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_FEED_LIMIT);
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor',
+        });
+      }
+    }
+
+    const sources = await sourcesFilter(req.user.id);
+    if (!sources) {
+      return res.json({
+        success: true,
+        data: [],
+        following: false,
+        pagination: { limit, hasMore: false, nextCursor: null },
+      });
+    }
+
+    const conditions = [listedFilter(req.user), sources];
+    if (cursor) {
+      conditions.push(afterCursor(cursor, 'publishedAt', -1));
+    }
+
+    // Same two-step approach as the post list: validate against id/updatedAt
+    // stamps, then load the full posts. One extra stamp tells whether there is a next page.
+    const found = await Post.find({ $and: conditions })
+      .select(`updatedAt publishedAt ${COUNTER_FIELDS}`)
+      .sort({ publishedAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = found.length > limit;
+    const stamps = found.slice(0, limit);
+    const nextCursor = hasMore ? encodeCursor(stamps[stamps.length - 1], 'publishedAt') : null;
+
+    const state = await viewerState(req.user, stamps.map((stamp) => stamp._id));
+
+    const lastModified = stamps.reduce(
+      (latest, stamp) => (stamp.updatedAt > latest ? stamp.updatedAt : latest),
+      new Date(0)
+    );
+    const etag = createETag(
+      'feed',
+      req.user.id,
+      JSON.stringify(req.query),
+      viewerStateTag(state),
+      ...stamps.map((stamp) => `${stamp._id}:${stamp.updatedAt.getTime()}:${countersTag(stamp)}`)
+    );
+
+    if (isFresh(req, res, { etag, lastModified: stamps.length ? lastModified : null })) {
+      return notModified(res);
+    }
+
+    const posts = await Post.find({ _id: { $in: stamps.map((stamp) => stamp._id) } })
+      .select('-contentHtml -toc')
+      .populate('author', AUTHOR_FIELDS)
+      .populate('category', 'name slug')
+      .populate('featuredImage', IMAGE_FIELDS);
+
+    const byId = new Map(posts.map((post) => [String(post._id), post]));
+    const ordered = stamps.map((stamp) => byId.get(String(stamp._id))).filter(Boolean);
+
+    res.json({
+      success: true,
+      data: ordered.map((post) => ({ ...withImageAccess(post), ...state.get(String(post._id)) })),
+      following: true,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor,
+      },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
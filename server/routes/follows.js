@@ -0,0 +1,206 @@
+// follows.js - Routes for following authors, categories and tags
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Follow = require('../models/Follow');
+const { FOLLOW_TARGETS, FOLLOW_TYPES } = Follow;
+const { AUTHOR_FIELDS } = require('../models/User');
+const auth = require('../middleware/auth');
+const { EVENTS, emitEvent } = require('../services/events');
+const { httpError } = require('../services/errors');
+
+const router = express.Router();
+
+// Fields shown for each kind of target in "following" lists
+const TARGET_FIELDS = {
+  user: AUTHOR_FIELDS,
+  category: 'name slug',
+  tag: 'name slug',
+};
+
+const pageParams = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 50);
+  return { page, limit };
+};
+
+// The target named by :type/:id, or a 404
+const findTarget = async ({ type, id }) => {
+  if (!FOLLOW_TYPES.includes(type)) {
+    throw httpError(400, `Invalid type. Use one of: ${FOLLOW_TYPES.join(', ')}`);
+  }
+  const target = mongoose.Types.ObjectId.isValid(id)
+    ? await mongoose.model(FOLLOW_TARGETS[type]).findById(id).select('_id')
+    : null;
+  if (!target) {
+    throw httpError(404, `${FOLLOW_TARGETS[type]} not found`);
+  }
+  return target;
+};
+
+// @route   GET /api/follows/:type/:id
+// @desc    Get the follower count of a user, category or tag, and whether the requester follows it
+// @access  Public
+router.get('/:type/:id', auth.optional, async (req, res) => {
+  try {
+    const target = await findTarget(req.params);
+    const filter = { targetType: req.params.type, target: target._id };
+
+    const [followerCount, following] = await Promise.all([
+      Follow.countDocuments(filter),
+      req.user ? Follow.exists({ ...filter, follower: req.user.id }) : null,
+    ]);
+
+    res.json({
+      success: true,
+      data: { followerCount, following: !!following },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/follows/:type/:id
+// @desc    Follow a user, category or tag (following twice is a no-op)
+// @access  Private
+router.put('/:type/:id', auth, async (req, res) => {
+  try {
+    const target = await findTarget(req.params);
+    if (req.params.type === 'user' && target._id.equals(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot follow yourself',
+      });
+    }
+
+    const filter = { follower: req.user.id, targetType: req.params.type, target: target._id };
+    const result = await Follow.updateOne(filter, { $setOnInsert: filter }, { upsert: true }).catch((error) => {
+      // Lost a race with the same follow; it exists either way
+      if (error.code !== 11000) throw error;
+      return { upsertedCount: 0 };
+    });
+    if (req.params.type === 'user' && result.upsertedCount) {
+      emitEvent(EVENTS.USER_FOLLOWED, { followerId: req.user.id, userId: target._id });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        followerCount: await Follow.countDocuments({ targetType: req.params.type, target: target._id }),
+        following: true,
+      },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/follows/:type/:id
+// @desc    Unfollow a user, category or tag (unfollowing twice is a no-op)
+// @access  Private
+router.delete('/:type/:id', auth, async (req, res) => {
+  try {
+    const target = await findTarget(req.params);
+    await Follow.deleteOne({ follower: req.user.id, targetType: req.params.type, target: target._id });
+
+    res.json({
+      success: true,
+      data: {
+        followerCount: await Follow.countDocuments({ targetType: req.params.type, target: target._id }),
+        following: false,
+      },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/follows/:type/:id/followers
+// @desc    Get the users following a user, category or tag, newest first (?page, ?limit)
+// @access  Public
+router.get('/:type/:id/followers', async (req, res) => {
+  try {
+    const target = await findTarget(req.params);
+    const { page, limit } = pageParams(req.query);
+    const filter = { targetType: req.params.type, target: target._id };
+
+    const [follows, total] = await Promise.all([
+      Follow.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('follower', AUTHOR_FIELDS),
+      Follow.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: follows.filter((follow) => follow.follower).map((follow) => follow.follower),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/follows/user/:id/following
+// @desc    Get what a user follows, newest first (?type=user|category|tag, default user; ?page, ?limit)
+// @access  Public
+router.get('/user/:id/following', async (req, res) => {
+  try {
+    const user = await findTarget({ type: 'user', id: req.params.id });
+    const type = req.query.type || 'user';
+    if (!FOLLOW_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid type. Use one of: ${FOLLOW_TYPES.join(', ')}`,
+      });
+    }
+    const { page, limit } = pageParams(req.query);
+    const filter = { follower: user._id, targetType: type };
+
+    const [follows, total] = await Promise.all([
+      Follow.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate({ path: 'target', model: FOLLOW_TARGETS[type], select: TARGET_FIELDS[type] }),
+      Follow.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: follows.filter((follow) => follow.target).map((follow) => follow.target),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
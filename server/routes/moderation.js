@@ -0,0 +1,58 @@
+// moderation.js - Routes for the comment review queue
+
+const express = require('express');
+const Comment = require('../models/Comment');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+
+const { COMMENT_STATUSES } = Comment;
+
+const router = express.Router();
+
+// @route   GET /api/moderation/comments
+// @desc    List comments awaiting review (?status=pending|approved|spam, oldest first)
+// @access  Private (comments:moderate)
+router.get('/comments', [auth, authorize('comments:moderate')], async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!COMMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Use one of: ${COMMENT_STATUSES.join(', ')}`,
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+    const query = { status, deletedAt: null };
+
+    const [comments, total] = await Promise.all([
+      Comment.find(query)
+        .populate('user', 'username email isEmailVerified')
+        .populate('post', 'title slug')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      Comment.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: comments,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+// notifications.js - Routes for the signed-in user's notifications and notification preferences
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { NOTIFICATION_TYPES } = Notification;
+const User = require('../models/User');
+const { AUTHOR_FIELDS } = User;
+const auth = require('../middleware/auth');
+const { canView } = require('../services/visibility');
+
+const router = express.Router();
+
+// Everything here belongs to the signed-in user
+router.use(auth);
+
+// Validation rules
+const preferenceValidationRules = NOTIFICATION_TYPES.map((type) => (
+  body(type).optional().isBoolean().withMessage(`${type} must be true or false`).toBoolean()
+));
+
+// Missing preferences (users from before notifications) count as on
+const preferencesOf = (user) => Object.fromEntries(
+  NOTIFICATION_TYPES.map((type) => [type, user.notificationPreferences?.[type] !== false])
+);
+
+const unreadCountOf = (user) => Notification.countDocuments({ recipient: user.id, readAt: null });
+
+// @route   GET /api/notifications
+// @desc    Get the user's notifications, newest first (?unread=true, ?page, ?limit), with the unread count.
+//          The post is null when the user can no longer read it.
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const filter = { recipient: req.user.id };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', AUTHOR_FIELDS)
+        .populate('post', 'title slug author status visibility')
+        .populate('comment', 'content'),
+      Notification.countDocuments(filter),
+      unreadCountOf(req.user),
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications.map((notification) => ({
+        ...notification.toObject(),
+        post: canView(req.user, notification.post) ? notification.post : null,
+      })),
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread notifications (for the navbar badge)
+// @access  Private
+router.get('/unread-count', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { count: await unreadCountOf(req.user) },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark every notification as read
+// @access  Private
+router.patch('/read-all', async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { recipient: req.user.id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      data: { marked: modifiedCount, unreadCount: 0 },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get which kinds of notification the user receives
+// @access  Private
+router.get('/preferences', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      data: preferencesOf(user),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Turn kinds of notification on or off ({ "comment": true, "follow": false, ... })
+// @access  Private
+router.put('/preferences', preferenceValidationRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const changes = Object.fromEntries(
+      NOTIFICATION_TYPES
+        .filter((type) => req.body[type] !== undefined)
+        .map((type) => [`notificationPreferences.${type}`, req.body[type]])
+    );
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: changes }, { new: true })
+      .select('notificationPreferences');
+
+    res.json({
+      success: true,
+      data: preferencesOf(user),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark a notification as read ({ "read": false } marks it unread again)
+// @access  Private
+router.patch('/:id/read', async (req, res) => {
+  try {
+    const notification = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Notification.findOneAndUpdate(
+        { _id: req.params.id, recipient: req.user.id },
+        { readAt: req.body?.read === false ? null : new Date() },
+        { new: true }
+      )
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { _id: notification._id, readAt: notification.readAt },
+      unreadCount: await unreadCountOf(req.user),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -3,9 +3,41 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const Post = require('../models/Post');
+const { POST_STATUSES, POST_VISIBILITIES, COUNTER_FIELDS, countersTag } = Post;
+const Media = require('../models/Media');
+const { IMAGE_FIELDS } = Media;
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
 const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const Reaction = require('../models/Reaction');
+const Bookmark = require('../models/Bookmark');
+const Notification = require('../models/Notification');
+const PostStat = require('../models/PostStat');
+const PostView = require('../models/PostView');
+const { AUTHOR_FIELDS } = require('../models/User');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { can } = require('../config/permissions');
 const upload = require('../middleware/upload');
+const { discardUpload } = upload;
+const { CACHE_POLICIES, cacheControl, createETag, isFresh, notModified } = require('../middleware/cache');
+const { RENDITION_NAMES, processImage } = require('../services/imageProcessor');
+const { sendMedia } = require('../services/mediaStream');
+const { renderMarkdown } = require('../services/markdown');
+const { slugify } = require('../services/slug');
+const { searchPosts, suggest, escapeRegExp } = require('../services/search');
+const { listedFilter, canView, isPublic, verifyImageToken, withImageAccess } = require('../services/visibility');
+const { encodeCursor, decodeCursor, afterCursor } = require('../services/cursor');
+const { viewerState, viewerStateTag } = require('../services/viewerState');
+const { postStructuredData } = require('../services/structuredData');
+const { apiOrigin } = require('../config/site');
+const { reactionTypes } = require('../config/reactions');
+const { EVENTS, emitEvent } = require('../services/events');
+const { httpError } = require('../services/errors');
+const commentRoutes = require('./comments');
+const revisionRoutes = require('./revisions');
+const reactionRoutes = require('./reactions');
 
 const router = express.Router();
 
@@ -16,47 +48,334 @@ const postValidationRules = [
   body('category').isMongoId().withMessage('Valid category is required'),
 ];
 
+// Load the post a request acts on (for authorize)
+const loadPost = (req) => Post.findById(req.params.id);
+
+// Turn the uploaded file into a Media document with its renditions
+const storeFeaturedImage = async (req) => {
+  req.media = await Media.createFromUpload(req.file, req.user.id);
+  await processImage(req.media);
+  return req.media;
+};
+
+// Remove a post's featured image from storage and the Media collection
+const purgeFeaturedImage = async (mediaId) => {
+  if (!mediaId) return;
+  const media = await Media.findById(mediaId);
+  if (media) {
+    await media.purge();
+  }
+};
+
+// Statuses that put a post in front of readers (or take it away); changing
+// into or out of them needs the publish capability
+const PUBLISHING_STATUSES = ['scheduled', 'published', 'archived'];
+
+// Status a create/update request asks for, or null if it doesn't touch it.
+// isPublished is still accepted from older clients.
+const requestedStatus = ({ status, isPublished }) => {
+  if (status) return status;
+  if (isPublished !== undefined) {
+    return isPublished === 'true' || isPublished === true ? 'published' : 'draft';
+  }
+  return null;
+};
+
+// Tags from a create/update request (comma-separated, or repeated fields),
+// mapped to canonical tag names
+const requestedTags = (tags) => {
+  const names = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return Tag.resolve(names);
+};
+
+// Slug a create/update request asks for, normalized, or null if it doesn't set
+// one. Slugs other posts have now or had before are taken.
+const requestedSlug = async ({ slug }, post = null) => {
+  if (slug === undefined || slug === null || String(slug).trim() === '') return null;
+  const normalized = slugify(slug);
+  if (!normalized) {
+    throw httpError(400, 'Slug must contain letters or numbers');
+  }
+  if (await Post.slugTaken(normalized, post?._id)) {
+    throw httpError(400, `The slug "${normalized}" is already in use`);
+  }
+  return normalized;
+};
+
+// Visibility a create/update request asks for, or null if it doesn't touch it
+const requestedVisibility = ({ visibility }) => {
+  if (!visibility) return null;
+  if (!POST_VISIBILITIES.includes(visibility)) {
+    throw httpError(400, `Invalid visibility. Use one of: ${POST_VISIBILITIES.join(', ')}`);
+  }
+  return visibility;
+};
+
+// Fields to set for moving a post (null when creating) to a new status
+const statusFields = (req, post, status) => {
+  if (!POST_STATUSES.includes(status)) {
+    throw httpError(400, `Invalid status. Use one of: ${POST_STATUSES.join(', ')}`);
+  }
+
+  const current = post ? post.status : null;
+  const changesPublication = status !== current &&
+    (PUBLISHING_STATUSES.includes(status) || PUBLISHING_STATUSES.includes(current));
+
+  // Contributors can write posts but an editor has to publish them
+  if (changesPublication && !can(req.user, 'posts:publish', post || { author: req.user.id })) {
+    throw httpError(403, post ? 'Not authorized to publish this post' : 'Not authorized to publish posts');
+  }
+
+  if (status === 'scheduled') {
+    const scheduledFor = new Date(req.body.scheduledFor);
+    if (isNaN(scheduledFor) || scheduledFor <= new Date()) {
+      throw httpError(400, 'Scheduled posts need a scheduledFor date in the future');
+    }
+    return { status, scheduledFor };
+  }
+
+  if (status === 'published') {
+    return { status, scheduledFor: null, publishedAt: (post && post.publishedAt) || new Date() };
+  }
+
+  return { status, scheduledFor: null };
+};
+
+// Sort options for lists; "date" is publishedAt for published lists, createdAt otherwise.
+// Ties are broken by _id so cursors always find their place again.
+const LIST_SORTS = {
+  newest: ['date', -1],
+  oldest: ['date', 1],
+  views: ['viewCount', -1],
+  comments: ['commentCount', -1],
+  updated: ['updatedAt', -1],
+};
+
+const MAX_LIST_LIMIT = 50;
+
+// Parse a date filter; a bare "to" date (2025-01-31) includes that whole day
+const dateParam = (name, value) => {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw httpError(400, `Invalid ${name} date`);
+  }
+  if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    return { $lt: date };
+  }
+  return name === 'to' ? { $lte: date } : { $gte: date };
+};
+
+// Query conditions for the list filters: ?category (including its subcategories),
+// ?tag=a,b, ?from, ?to, ?hasImage
+const listFilters = async (query, dateField) => {
+  const conditions = [];
+
+  if (query.category) {
+    if (!mongoose.Types.ObjectId.isValid(query.category)) {
+      throw httpError(400, 'Invalid category');
+    }
+    conditions.push({ category: { $in: await Category.withDescendants(query.category) } });
+  }
+
+  const tags = String(query.tag || '').split(',').map((tag) => tag.trim()).filter(Boolean);
+  if (tags.length) {
+    conditions.push({ tags: { $all: tags.map((tag) => new RegExp(`^${escapeRegExp(tag)}$`, 'i')) } });
+  }
+
+  if (query.from) {
+    conditions.push({ [dateField]: dateParam('from', query.from) });
+  }
+  if (query.to) {
+    conditions.push({ [dateField]: dateParam('to', query.to) });
+  }
+
+  if (query.hasImage === 'true') {
+    conditions.push({ featuredImage: { $ne: null } });
+  } else if (query.hasImage === 'false') {
+    conditions.push({ featuredImage: null });
+  }
+
+  return conditions;
+};
+
 // @route   GET /api/posts
-// @desc    Get all posts with pagination and filtering
-// @access  Private (requires authentication)
-router.get('/', auth, async (req, res) => {
+// @desc    Get posts with filtering, sorting and cursor or page pagination
+//          (?category, ?tag=a,b, ?author=me|id, ?from, ?to, ?hasImage, ?sort=newest|oldest|views|comments|updated,
+//          ?status=draft,scheduled, ?limit (max 50), ?cursor or ?page)
+// @access  Public (published posts the requester may see; other statuses need posts:update unless author=me)
+router.get('/', [auth.optional, cacheControl('list')], async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const category = req.query.category;
-    const skip = (page - 1) * limit;
-
-    let query = { isPublished: true };
-    if (category) {
-      query.category = category;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_LIST_LIMIT);
+
+    const statuses = (req.query.status || 'published').split(',').map((status) => status.trim());
+    const invalid = statuses.find((status) => !POST_STATUSES.includes(status));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Use one of: ${POST_STATUSES.join(', ')}`,
+      });
     }
 
-    const posts = await Post.find(query)
-      .select('-featuredImage.data') // Exclude image data to reduce payload
-      .populate('author', 'username')
-      .populate('category', 'name')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    if (req.query.author === 'me' && !req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'No token, authorization denied',
+      });
+    }
 
-    const total = await Post.countDocuments(query);
+    const author = req.query.author === 'me' ? req.user.id : req.query.author;
+    const ownPosts = !!req.user && String(author) === String(req.user.id);
+    if (author && !mongoose.Types.ObjectId.isValid(author)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid author',
+      });
+    }
 
-    // Add hasFeaturedImage flag to each post
-    const postsWithImageFlag = posts.map(post => ({
-      ...post.toObject(),
-      hasFeaturedImage: !!post.featuredImage
-    }));
+    // Unpublished posts are only listed for their author, or for editors
+    const onlyPublished = statuses.every((status) => status === 'published');
+    if (!onlyPublished && !ownPosts && !can(req.user, 'posts:update')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view unpublished posts',
+      });
+    }
+
+    // Readers see the newest publications first; dashboards the latest edits
+    const sortName = req.query.sort || (onlyPublished ? 'newest' : 'updated');
+    if (!LIST_SORTS[sortName]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sort. Use one of: ${Object.keys(LIST_SORTS).join(', ')}`,
+      });
+    }
+    const dateField = onlyPublished ? 'publishedAt' : 'createdAt';
+    const [sortKey, direction] = LIST_SORTS[sortName];
+    const sortField = sortKey === 'date' ? dateField : sortKey;
+    const sort = { [sortField]: direction, _id: direction };
+
+    // Authors see all of their own posts; everyone else only what's listed for them
+    const conditions = [
+      onlyPublished && !ownPosts ? listedFilter(req.user) : { status: { $in: statuses } },
+      ...await listFilters(req.query, dateField),
+    ];
+    if (author) {
+      conditions.push({ author });
+    }
+    const query = { $and: conditions };
+
+    // A cursor picks up after the last post of the previous page; ?page is the
+    // older offset style and still works
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor',
+        });
+      }
+    }
+    const page = cursor ? null : Math.max(parseInt(req.query.page) || 1, 1);
+    const pageQuery = cursor ? { $and: [...conditions, afterCursor(cursor, sortField, direction)] } : query;
+
+    // Validate against a lightweight id/updatedAt/counters listing before doing the full,
+    // populated query. View counts don't touch updatedAt, so they may lag behind.
+    // One extra stamp tells whether there is a next page.
+    const [found, total] = await Promise.all([
+      Post.find(pageQuery)
+        .select(`updatedAt ${sortField} ${COUNTER_FIELDS}`)
+        .sort(sort)
+        .skip(cursor ? 0 : (page - 1) * limit)
+        .limit(limit + 1)
+        .lean(),
+      Post.countDocuments(query),
+    ]);
+
+    const hasMore = found.length > limit;
+    const stamps = found.slice(0, limit);
+    const nextCursor = hasMore ? encodeCursor(stamps[stamps.length - 1], sortField) : null;
+
+    // The requester's own reactions and bookmarks on this page
+    const state = await viewerState(req.user, stamps.map((stamp) => stamp._id));
+
+    const lastModified = stamps.reduce(
+      (latest, stamp) => (stamp.updatedAt > latest ? stamp.updatedAt : latest),
+      new Date(0)
+    );
+    const etag = createETag(
+      'posts',
+      JSON.stringify(req.query),
+      author || '',
+      total,
+      viewerStateTag(state),
+      ...stamps.map((stamp) => `${stamp._id}:${stamp.updatedAt.getTime()}:${countersTag(stamp)}`)
+    );
+
+    if (isFresh(req, res, { etag, lastModified: stamps.length ? lastModified : null })) {
+      return notModified(res);
+    }
+
+    // Lists don't need the rendered body
+    const posts = await Post.find({ _id: { $in: stamps.map((stamp) => stamp._id) } })
+      .select('-contentHtml -toc')
+      .populate('author', AUTHOR_FIELDS)
+      .populate('category', 'name slug')
+      .populate('featuredImage', IMAGE_FIELDS);
+
+    // Keep the order of the stamps
+    const byId = new Map(posts.map((post) => [String(post._id), post]));
+    const ordered = stamps.map((stamp) => byId.get(String(stamp._id))).filter(Boolean);
 
     res.json({
       success: true,
-      data: postsWithImageFlag,
+      data: ordered.map((post) => ({ ...withImageAccess(post), ...state.get(String(post._id)) })),
       pagination: {
-        page,
+        ...(page && { page, pages: Math.ceil(total / limit) }),
         limit,
         total,
-        pages: Math.ceil(total / limit),
+        sort: sortName,
+        hasMore,
+        nextCursor,
       },
     });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/posts/search
+// @desc    Full-text search ranked by relevance, with highlights and facets
+//          (?q=react tag:hooks author:jane category:tech "exact phrase", ?page, ?limit)
+// @access  Public (finds the posts the requester may see listed)
+router.get('/search', auth.optional, async (req, res) => {
+  try {
+    const query = (req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query is required',
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const { results, facets, pagination } = await searchPosts(query, {
+      page,
+      limit,
+      scope: listedFilter(req.user),
+    });
+
+    res.json({
+      success: true,
+      data: results,
+      facets,
+      pagination,
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -65,47 +384,101 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/posts/:id
-// @desc    Get a single post by ID or slug
+// @route   GET /api/posts/search/suggest
+// @desc    Post titles and tags starting with ?q, for search-as-you-type
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/search/suggest', auth.optional, async (req, res) => {
   try {
-    let post;
-    const identifier = req.params.id;
+    res.json({
+      success: true,
+      data: await suggest(req.query.q, { scope: listedFilter(req.user) }),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/posts/reactions
+// @desc    Reaction types readers can use (like, plus the configured emoji set)
+// @access  Public
+router.get('/reactions', (req, res) => {
+  res.json({
+    success: true,
+    data: reactionTypes(),
+  });
+});
 
-    if (mongoose.Types.ObjectId.isValid(identifier)) {
-      post = await Post.findById(identifier)
-        .select('-featuredImage.data') // Exclude image data
-        .populate('author', 'username avatar')
-        .populate('category', 'name')
-        .populate('comments.user', 'username');
-    } else {
-      post = await Post.findOne({ slug: identifier })
-        .select('-featuredImage.data') // Exclude image data
-        .populate('author', 'username avatar')
-        .populate('category', 'name')
-        .populate('comments.user', 'username');
+// @route   GET /api/posts/:id
+// @desc    Get a single post by ID or slug (a slug the post had before redirects to the current one)
+// @access  Public (depends on status and visibility, see services/visibility.js)
+router.get('/:id', [auth.optional, cacheControl('post')], async (req, res) => {
+  try {
+    const identifier = req.params.id;
+    // Some slugs are also valid ObjectIds (any 12 characters), so try both
+    const filter = mongoose.Types.ObjectId.isValid(identifier)
+      ? { $or: [{ _id: identifier }, { slug: identifier }] }
+      : { slug: identifier };
+
+    const stamp = await Post.findOne(filter)
+      .select(`updatedAt status author visibility ${COUNTER_FIELDS}`)
+      .lean();
+
+    if (!stamp) {
+      const renamed = await Post.findByPreviousSlug(identifier).select('slug status author visibility').lean();
+      if (canView(req.user, renamed)) {
+        return res.redirect(301, `${req.baseUrl}/${encodeURIComponent(renamed.slug)}`);
+      }
     }
 
-    if (!post) {
+    // Posts someone can't read look like they don't exist
+    if (!canView(req.user, stamp)) {
       return res.status(404).json({
         success: false,
         error: 'Post not found',
       });
     }
 
-    // Add hasFeaturedImage flag
-    const responsePost = {
-      ...post.toObject(),
-      hasFeaturedImage: !!post.featuredImage
-    };
+    // Views are counted when the post page reports them (routes/stats.js), not per fetch
+    // Signed-in responses carry the reader's own reactions and bookmark
+    if (!isPublic(stamp) || req.user) {
+      res.set('Cache-Control', CACHE_POLICIES.list);
+    }
+
+    const state = await viewerState(req.user, [stamp._id]);
+    const etag = createETag(
+      'post',
+      stamp._id,
+      stamp.updatedAt.getTime(),
+      countersTag(stamp),
+      viewerStateTag(state)
+    );
+    if (isFresh(req, res, { etag, lastModified: stamp.updatedAt })) {
+      return notModified(res);
+    }
+
+    const post = await Post.findById(stamp._id)
+      .populate('author', AUTHOR_FIELDS)
+      .populate('category', 'name slug')
+      .populate('featuredImage', IMAGE_FIELDS);
 
-    // Increment view count
-    await Post.findByIdAndUpdate(post._id, { $inc: { viewCount: 1 } });
+    // Posts saved before Markdown rendering existed get rendered on the fly
+    if (!post.contentHtml) {
+      const { html, toc } = renderMarkdown(post.content);
+      post.contentHtml = html;
+      post.toc = toc;
+    }
 
     res.json({
       success: true,
-      data: responsePost,
+      data: {
+        ...withImageAccess(post),
+        ...state.get(String(post._id)),
+        // JSON-LD (BlogPosting, BreadcrumbList) for the post page's <head>
+        structuredData: await postStructuredData(post, apiOrigin(req)),
+      },
     });
   } catch (error) {
     console.error('Error fetching post:', error);
@@ -117,24 +490,42 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   GET /api/posts/:id/image
-// @desc    Get featured image for a post
-// @access  Public
-router.get('/:id/image', async (req, res) => {
+// @desc    Get featured image for a post (?size=thumbnail|card|full, ?format=webp, ?v=mediaId,
+//          ?token= for posts that aren't public)
+// @access  Public (same visibility as the post)
+router.get('/:id/image', auth.optional, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id).select('featuredImage');
-    
-    if (!post || !post.featuredImage || !post.featuredImage.data) {
+    const { size, format, v: version } = req.query;
+    if (size && !RENDITION_NAMES.includes(size)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid size. Use one of: ${RENDITION_NAMES.join(', ')}`
+      });
+    }
+
+    const post = await Post.findById(req.params.id)
+      .select('featuredImage status author visibility')
+      .populate('featuredImage');
+
+    const readable = post && (canView(req.user, post) || verifyImageToken(post, req.query.token));
+    if (!readable || !post.featuredImage) {
       return res.status(404).json({
         success: false,
         error: 'Image not found'
       });
     }
 
-    // Set appropriate content type
-    res.set('Content-Type', post.featuredImage.contentType);
-    
-    // Send the image buffer
-    res.send(post.featuredImage.data);
+    const media = post.featuredImage;
+
+    // Media stored before renditions existed only has the original
+    const rendition = size || format ? media.getRendition(size || 'full', format) : null;
+
+    // URLs versioned with the current media id can be cached forever
+    let policy = version === String(media._id) ? CACHE_POLICIES.immutableImage : CACHE_POLICIES.image;
+    if (!isPublic(post)) {
+      policy = CACHE_POLICIES.privateImage;
+    }
+    sendMedia(req, res, media, { rendition, policy });
   } catch (error) {
     console.error('Error fetching image:', error);
     res.status(500).json({
@@ -146,8 +537,8 @@ router.get('/:id/image', async (req, res) => {
 
 // @route   POST /api/posts
 // @desc    Create a new post with image
-// @access  Private
-router.post('/', [auth, upload.single('featuredImage')], async (req, res) => {
+// @access  Private (posts:create)
+router.post('/', [auth, authorize('posts:create'), upload.single('featuredImage')], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -157,41 +548,46 @@ router.post('/', [auth, upload.single('featuredImage')], async (req, res) => {
       });
     }
 
-    const { title, content, excerpt, category, tags, isPublished } = req.body;
+    const { title, content, excerpt, category, tags } = req.body;
+    const publication = statusFields(req, null, requestedStatus(req.body) || 'draft');
+    const visibility = requestedVisibility(req.body) || 'public';
 
-    // Generate unique slug
-    const slug = await Post.generateUniqueSlug(title);
+    // The author's slug, or a unique one from the title
+    const slug = await requestedSlug(req.body) || await Post.generateUniqueSlug(title);
 
     const postData = {
       title,
       content,
       excerpt,
       category,
-      tags: tags ? tags.split(',').map(tag => tag.trim()).filter(tag => tag) : [],
-      isPublished: isPublished === 'true' || isPublished === true,
+      tags: await requestedTags(tags),
+      ...publication,
+      visibility,
       slug,
       author: req.user.id,
     };
 
-    // Add featured image if uploaded (Base64 storage)
+    // Add featured image if uploaded
     if (req.file) {
-      postData.featuredImage = {
-        data: req.file.buffer, // Store the file buffer directly in database
-        contentType: req.file.mimetype,
-        filename: req.file.originalname
-      };
+      const media = await storeFeaturedImage(req);
+      postData.featuredImage = media._id;
     }
 
     const post = new Post(postData);
     await post.save();
-    
+    await PostRevision.record(post, req.user.id);
+    await Tag.refreshCounts(post.tags);
+    await Category.refreshCounts([post.category]);
+    if (post.status === 'published') {
+      emitEvent(EVENTS.POST_PUBLISHED, { postId: post._id, actorId: req.user.id });
+    }
+
     // Populate author and category for response
-    await post.populate('category', 'name');
-    await post.populate('author', 'username');
+    await post.populate('category', 'name slug');
+    await post.populate('author', AUTHOR_FIELDS);
+    await post.populate('featuredImage', IMAGE_FIELDS);
 
-    // Don't send image data in response to avoid huge payloads
     const responsePost = post.toObject();
-    delete responsePost.featuredImage;
 
     res.status(201).json({
       success: true,
@@ -201,60 +597,96 @@ router.post('/', [auth, upload.single('featuredImage')], async (req, res) => {
       },
     });
   } catch (error) {
+    await discardUpload(req);
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
-        error: 'Post with this title already exists',
+        error: 'A post with this slug already exists',
       });
     }
     console.error('Error creating post:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
     });
   }
 });
 
+// @route   POST /api/posts/preview
+// @desc    Render Markdown the way a saved post would be rendered
+// @access  Private (posts:create)
+router.post('/preview', [
+  auth,
+  authorize('posts:create'),
+  body('content').isString().withMessage('Content must be a string'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+  }
+
+  const { html, toc } = renderMarkdown(req.body.content);
+  res.json({
+    success: true,
+    data: {
+      contentHtml: html,
+      toc,
+    },
+  });
+});
+
 // @route   PUT /api/posts/:id
 // @desc    Update a post with image
-// @access  Private
-router.put('/:id', [auth, upload.single('featuredImage')], async (req, res) => {
+// @access  Private (posts:update)
+router.put('/:id', [
+  auth,
+  authorize('posts:update', loadPost),
+  upload.single('featuredImage'),
+], async (req, res) => {
   try {
-    let post = await Post.findById(req.params.id);
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        error: 'Post not found',
-      });
-    }
+    let post = req.resource;
+    const previousImage = post.featuredImage;
+    const previousTags = post.tags;
+    const previousCategory = post.category;
+    const previousStatus = post.status;
+    const previousVisibility = post.visibility;
 
-    // Check if user owns the post or is admin
-    if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: 'Not authorized to update this post',
-      });
-    }
+    const { title, content, excerpt, category, tags, removeFeaturedImage } = req.body;
 
-    const { title, content, excerpt, category, tags, isPublished, removeFeaturedImage } = req.body;
+    // Changing who can see the post needs the publish capability; editing it doesn't
+    const status = requestedStatus(req.body);
+    const publication = status ? statusFields(req, post, status) : {};
+    const visibility = requestedVisibility(req.body);
 
     const updateData = {
       title,
       content,
       excerpt,
       category,
-      tags: tags ? tags.split(',').map(tag => tag.trim()).filter(tag => tag) : [],
-      isPublished: isPublished === 'true' || isPublished === true,
+      tags: await requestedTags(tags),
+      ...publication,
     };
+    if (visibility) {
+      updateData.visibility = visibility;
+    }
+
+    // The slug only changes when it's edited; the old one keeps redirecting
+    const slug = await requestedSlug(req.body, post);
+    if (slug && slug !== post.slug) {
+      updateData.slug = slug;
+      updateData.previousSlugs = post.retiredSlugs(slug);
+    }
+
+    // Keep the pre-edit state of posts that have no history yet
+    await PostRevision.ensureBaseline(post);
 
     // Handle featured image
     if (req.file) {
-      // Store new image in database (Base64)
-      updateData.featuredImage = {
-        data: req.file.buffer,
-        contentType: req.file.mimetype,
-        filename: req.file.originalname
-      };
+      const media = await storeFeaturedImage(req);
+      updateData.featuredImage = media._id;
     } else if (removeFeaturedImage === 'true') {
       // Remove featured image if requested
       updateData.featuredImage = null;
@@ -265,9 +697,24 @@ router.put('/:id', [auth, upload.single('featuredImage')], async (req, res) => {
       updateData,
       { new: true, runValidators: true }
     )
-      .select('-featuredImage.data') // Exclude image data from response
-      .populate('author', 'username')
-      .populate('category', 'name');
+      .populate('author', AUTHOR_FIELDS)
+      .populate('category', 'name slug')
+      .populate('featuredImage', IMAGE_FIELDS);
+
+    await PostRevision.record(post, req.user.id);
+    await Tag.refreshCounts([...previousTags, ...post.tags]);
+    await Category.refreshCounts([previousCategory, post.category?._id]);
+    if (post.status === 'published' && previousStatus !== 'published') {
+      emitEvent(EVENTS.POST_PUBLISHED, { postId: post._id, actorId: req.user.id });
+    }
+    if (post.status !== previousStatus || post.visibility !== previousVisibility) {
+      emitEvent(EVENTS.POST_ACCESS_CHANGED, { postId: post._id });
+    }
+
+    // Clean up the image that was replaced or removed
+    if (updateData.featuredImage !== undefined) {
+      await purgeFeaturedImage(previousImage);
+    }
 
     // Add hasFeaturedImage flag to response
     const responsePost = {
@@ -280,8 +727,9 @@ router.put('/:id', [auth, upload.single('featuredImage')], async (req, res) => {
       data: responsePost,
     });
   } catch (error) {
+    await discardUpload(req);
     console.error('Error updating post:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message,
     });
@@ -290,26 +738,23 @@ router.put('/:id', [auth, upload.single('featuredImage')], async (req, res) => {
 
 // @route   DELETE /api/posts/:id
 // @desc    Delete a post
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
+// @access  Private (posts:delete)
+router.delete('/:id', [auth, authorize('posts:delete', loadPost)], async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        error: 'Post not found',
-      });
-    }
-
-    // Check if user owns the post or is admin
-    if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: 'Not authorized to delete this post',
-      });
-    }
+    const post = req.resource;
 
     await Post.findByIdAndDelete(req.params.id);
+    await Comment.deleteMany({ post: post._id });
+    await PostRevision.deleteMany({ post: post._id });
+    await Reaction.deleteMany({ post: post._id });
+    await Bookmark.deleteMany({ post: post._id });
+    await Notification.deleteMany({ post: post._id });
+    await PostStat.deleteMany({ post: post._id });
+    await PostView.deleteMany({ post: post._id });
+    await Tag.refreshCounts(post.tags);
+    await Category.refreshCounts([post.category]);
+    await purgeFeaturedImage(post.featuredImage);
+    emitEvent(EVENTS.POST_ACCESS_CHANGED, { postId: post._id });
 
     res.json({
       success: true,
@@ -323,88 +768,13 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/posts/:id/comments
-// @desc    Add a comment to a post
-// @access  Private
-router.post('/:id/comments', [
-  auth,
-  body('content').notEmpty().withMessage('Comment content is required'),
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        errors: errors.array(),
-      });
-    }
-
-    const post = await Post.findById(req.params.id);
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        error: 'Post not found',
-      });
-    }
-
-    await post.addComment(req.user.id, req.body.content);
-    await post.populate('comments.user', 'username');
-
-    res.status(201).json({
-      success: true,
-      data: post.comments,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
-});
-
-// @route   GET /api/posts/search
-// @desc    Search posts
-// @access  Public
-router.get('/search', async (req, res) => {
-  try {
-    const query = req.query.q;
-    if (!query) {
-      return res.status(400).json({
-        success: false,
-        error: 'Search query is required',
-      });
-    }
+// Comments on a post
+router.use('/:id/comments', commentRoutes);
 
-    const posts = await Post.find({
-      isPublished: true,
-      $or: [
-        { title: { $regex: query, $options: 'i' } },
-        { content: { $regex: query, $options: 'i' } },
-        { tags: { $in: [new RegExp(query, 'i')] } },
-      ],
-    })
-      .select('-featuredImage.data') // Exclude image data
-      .populate('author', 'username')
-      .populate('category', 'name')
-      .sort({ createdAt: -1 })
-      .limit(20);
-
-    // Add hasFeaturedImage flag to each post
-    const postsWithImageFlag = posts.map(post => ({
-      ...post.toObject(),
-      hasFeaturedImage: !!post.featuredImage
-    }));
+// Revision history of a post
+router.use('/:id/revisions', revisionRoutes);
 
-    res.json({
-      success: true,
-      data: postsWithImageFlag,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
-  }
-});
+// Reactions to a post
+router.use('/:id/reactions', reactionRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,124 @@
+// reactions.js - Routes for post reactions (mounted at /api/posts/:id/reactions)
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Reaction = require('../models/Reaction');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { reactionTypes, isReactionType } = require('../config/reactions');
+const { canView } = require('../services/visibility');
+
+const router = express.Router({ mergeParams: true });
+
+// Respond with 404 unless the post exists and the requester may read it
+const findPost = async (req, res) => {
+  const post = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Post.findById(req.params.id).select('_id status author visibility reactionCounts')
+    : null;
+
+  if (!canView(req.user, post)) {
+    res.status(404).json({
+      success: false,
+      error: 'Post not found',
+    });
+    return null;
+  }
+  return post;
+};
+
+// Counts for every configured reaction (zero when nobody used it yet)
+const countsFor = (stored) => Object.fromEntries(
+  reactionTypes().map(({ type }) => [type, stored?.[type] || 0])
+);
+
+// The requester's reactions to a post
+const reactionsOf = async (user, post) => {
+  if (!user) return [];
+  const reactions = await Reaction.find({ post: post._id, user: user.id }).select('type').sort({ createdAt: 1 });
+  return reactions.map((reaction) => reaction.type);
+};
+
+// @route   GET /api/posts/:id/reactions
+// @desc    Get a post's reaction counts, the configured reaction types, and the requester's reactions
+// @access  Public (same visibility as the post)
+router.get('/', auth.optional, async (req, res) => {
+  try {
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    res.json({
+      success: true,
+      data: {
+        types: reactionTypes(),
+        counts: countsFor(post.reactionCounts),
+        mine: await reactionsOf(req.user, post),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Add (PUT) or remove (DELETE) one of the requester's reactions. Both are
+// idempotent, so a client toggling quickly can't double count.
+const setReaction = (add) => async (req, res) => {
+  try {
+    const { type } = req.params;
+    if (!isReactionType(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid reaction. Use one of: ${reactionTypes().map((reaction) => reaction.type).join(', ')}`,
+      });
+    }
+
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    if (post.status !== 'published') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only published posts can be reacted to',
+      });
+    }
+
+    const reaction = { post: post._id, user: req.user.id, type };
+    if (add) {
+      await Reaction.updateOne(reaction, { $setOnInsert: reaction }, { upsert: true }).catch((error) => {
+        // Two concurrent upserts of the same reaction: the other one won
+        if (error.code !== 11000) throw error;
+      });
+    } else {
+      await Reaction.deleteOne(reaction);
+    }
+    const counts = await Reaction.updatePostCounts(post._id);
+
+    res.json({
+      success: true,
+      data: {
+        counts: countsFor(counts),
+        mine: await reactionsOf(req.user, post),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @route   PUT /api/posts/:id/reactions/:type
+// @desc    React to a post
+// @access  Private (posts:react)
+router.put('/:type', [auth, authorize('posts:react')], setReaction(true));
+
+// @route   DELETE /api/posts/:id/reactions/:type
+// @desc    Take back a reaction
+// @access  Private (posts:react)
+router.delete('/:type', [auth, authorize('posts:react')], setReaction(false));
+
+module.exports = router;
@@ -0,0 +1,207 @@
+// revisions.js - Routes for post revision history (mounted at /api/posts/:id/revisions)
+
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Tag = require('../models/Tag');
+const Category = require('../models/Category');
+const { AUTHOR_FIELDS } = require('../models/User');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { sideBySide, compareLists, hasChanges } = require('../services/diff');
+
+const router = express.Router({ mergeParams: true });
+
+// Load the post a request acts on (for authorize)
+const loadPost = (req) => Post.findById(req.params.id);
+
+// Revision history is for people who can edit the post
+const canEdit = [auth, authorize('posts:update', loadPost)];
+
+const findRevision = (post, revision) => PostRevision.findOne({ post: post._id, revision })
+  .populate('editor', 'username')
+  .populate('category', 'name');
+
+// Validation rules: revision numbers start at 1
+const revisionValidationRules = [
+  param('rev').isInt({ min: 1 }).withMessage('Revision must be a positive whole number').toInt(),
+];
+
+const diffValidationRules = [
+  ...revisionValidationRules,
+  query('against')
+    .optional()
+    .custom((value) => value === 'current' || /^[1-9]\d*$/.test(value))
+    .withMessage('against must be a revision number or "current"'),
+];
+
+const invalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    errors: errors.array(),
+  });
+  return true;
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Revision not found',
+});
+
+// @route   GET /api/posts/:id/revisions
+// @desc    List a post's revisions, newest first
+// @access  Private (posts:update)
+router.get('/', canEdit, async (req, res) => {
+  try {
+    const revisions = await PostRevision.find({ post: req.resource._id })
+      .select('revision editor restoredFrom title status createdAt')
+      .populate('editor', 'username')
+      .sort({ revision: -1 });
+
+    res.json({
+      success: true,
+      data: revisions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/revisions/:rev
+// @desc    Get a full revision snapshot
+// @access  Private (posts:update)
+router.get('/:rev', [canEdit, revisionValidationRules], async (req, res) => {
+  try {
+    if (invalid(req, res)) return;
+
+    const revision = await findRevision(req.resource, req.params.rev);
+    if (!revision) return notFound(res);
+
+    res.json({
+      success: true,
+      data: revision,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/revisions/:rev/diff
+// @desc    Compare a revision with another (?against=<rev>, default the one before it, or "current")
+// @access  Private (posts:update)
+router.get('/:rev/diff', [canEdit, diffValidationRules], async (req, res) => {
+  try {
+    if (invalid(req, res)) return;
+
+    const post = req.resource;
+    const revision = await findRevision(post, req.params.rev);
+    if (!revision) return notFound(res);
+
+    // The older side of the comparison; revision 1 is compared with an empty post
+    let base = null;
+    if (req.query.against === 'current') {
+      base = await Post.findById(post._id).populate('category', 'name');
+    } else {
+      const against = req.query.against ? Number(req.query.against) : revision.revision - 1;
+      if (against > 0) {
+        base = await findRevision(post, against);
+        if (!base) return notFound(res);
+      }
+    }
+
+    // "current" is newer than any revision, so it goes on the right
+    const [from, to] = req.query.against === 'current' ? [revision, base] : [base, revision];
+    const title = sideBySide(from?.title, to?.title);
+    const excerpt = sideBySide(from?.excerpt, to?.excerpt);
+    const content = sideBySide(from?.content, to?.content);
+    const tags = compareLists(from?.tags, to?.tags);
+
+    res.json({
+      success: true,
+      data: {
+        from: from && {
+          revision: from.revision ?? 'current',
+          editor: from.editor,
+          createdAt: from.createdAt || from.updatedAt,
+        },
+        to: {
+          revision: to.revision ?? 'current',
+          editor: to.editor,
+          createdAt: to.createdAt || to.updatedAt,
+        },
+        changes: {
+          title: hasChanges(title) ? title : null,
+          excerpt: hasChanges(excerpt) ? excerpt : null,
+          content: hasChanges(content) ? content : null,
+          tags: tags.added.length || tags.removed.length ? tags : null,
+          category: String(from?.category?._id) !== String(to?.category?._id)
+            ? { from: from?.category?.name || null, to: to?.category?.name || null }
+            : null,
+          status: from?.status !== to?.status ? { from: from?.status || null, to: to?.status } : null,
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/posts/:id/revisions/:rev/restore
+// @desc    Bring back a revision's title, content, excerpt, category and tags (status stays as it is)
+// @access  Private (posts:update)
+router.post('/:rev/restore', [canEdit, revisionValidationRules], async (req, res) => {
+  try {
+    if (invalid(req, res)) return;
+
+    const revision = await findRevision(req.resource, req.params.rev);
+    if (!revision) return notFound(res);
+
+    await PostRevision.ensureBaseline(req.resource);
+    const previousTags = req.resource.tags;
+    const previousCategory = req.resource.category;
+
+    const post = await Post.findByIdAndUpdate(
+      req.resource._id,
+      {
+        title: revision.title,
+        content: revision.content,
+        excerpt: revision.excerpt,
+        category: revision.category?._id,
+        // Tags may have been renamed or merged since
+        tags: await Tag.resolve(revision.tags),
+      },
+      { new: true, runValidators: true }
+    )
+      .populate('author', AUTHOR_FIELDS)
+      .populate('category', 'name');
+
+    const restored = await PostRevision.record(post, req.user.id, { restoredFrom: revision.revision });
+    await Tag.refreshCounts([...previousTags, ...post.tags]);
+    await Category.refreshCounts([previousCategory, post.category?._id]);
+
+    res.json({
+      success: true,
+      data: post,
+      revision: restored.revision,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+// sitemaps.js - sitemap.xml and robots.txt for search engines
+//
+// /sitemap.xml is an index of /sitemaps/<kind>-<n>.xml files for public posts,
+// categories and authors with public posts. Each entry's lastmod comes from
+// updatedAt, and each kind splits into more files past the protocol's limits.
+
+const express = require('express');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { cacheControl, createETag, isFresh, notModified } = require('../middleware/cache');
+const { clientUrl, apiOrigin } = require('../config/site');
+const { listedFilter } = require('../services/visibility');
+const { SITEMAP_URL_LIMIT, renderUrlSet, renderSitemapIndex, renderRobots } = require('../services/sitemap');
+
+const router = express.Router();
+
+// Client pages that need a signed-in user or a one-time token
+const PRIVATE_PATHS = [
+  '/create-post', '/edit-post/', '/my-posts', '/profile', '/reading-list', '/notifications',
+  '/sessions', '/moderation', '/admin/', '/login', '/register', '/forgot-password',
+  '/reset-password/', '/verify-email/', '/search', '/stats',
+];
+
+const latest = (...dates) => dates.filter(Boolean).reduce((a, b) => (a > b ? a : b), null);
+
+// The pages listed per kind: count() for the index, entries(skip, limit) of
+// { loc, lastmod } for one file. Stable _id order keeps files from reshuffling.
+const SITEMAPS = {
+  posts: {
+    count: () => Post.countDocuments(listedFilter(null)),
+    entries: async (skip, limit) => {
+      const posts = await Post.find(listedFilter(null))
+        .select('slug updatedAt')
+        .sort({ _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+      return posts.map((post) => ({ loc: clientUrl(`/posts/${post.slug}`), lastmod: post.updatedAt }));
+    },
+  },
+  categories: {
+    count: () => Category.countDocuments(),
+    entries: async (skip, limit) => {
+      const categories = await Category.find().select('slug updatedAt').sort({ _id: 1 }).skip(skip).limit(limit).lean();
+      return categories.map((category) => ({
+        loc: clientUrl(`/categories/${category.slug}`),
+        lastmod: category.updatedAt,
+      }));
+    },
+  },
+  // Author pages change with the profile and with each post on them
+  authors: {
+    count: async () => (await Post.distinct('author', listedFilter(null))).length,
+    entries: async (skip, limit) => {
+      const authors = await Post.aggregate([
+        { $match: listedFilter(null) },
+        { $group: { _id: '$author', updatedAt: { $max: '$updatedAt' } } },
+        { $sort: { _id: 1 } },
+        { $skip: skip },
+        { $limit: limit },
+      ]);
+      const users = await User.find({ _id: { $in: authors.map((author) => author._id) } })
+        .select('username updatedAt')
+        .lean();
+      const byId = new Map(users.map((user) => [String(user._id), user]));
+      return authors
+        .filter((author) => byId.has(String(author._id)))
+        .map((author) => {
+          const user = byId.get(String(author._id));
+          return {
+            loc: clientUrl(`/authors/${encodeURIComponent(user.username)}`),
+            lastmod: latest(user.updatedAt, author.updatedAt),
+          };
+        });
+    },
+  },
+};
+
+// Reply with XML, or 304 when the crawler's copy is current
+const sendXml = (req, res, { xml, lastModified }) => {
+  const etag = createETag('sitemap', req.path, xml);
+  if (isFresh(req, res, { etag, lastModified })) {
+    return notModified(res);
+  }
+  res.type('application/xml; charset=utf-8').send(xml);
+};
+
+// @route   GET /sitemap.xml
+// @desc    Sitemap index listing the post, category and author sitemaps
+// @access  Public
+router.get('/sitemap.xml', cacheControl('sitemap'), async (req, res) => {
+  try {
+    const sitemaps = [];
+    for (const [kind, source] of Object.entries(SITEMAPS)) {
+      const files = Math.ceil(await source.count() / SITEMAP_URL_LIMIT);
+      for (let n = 1; n <= files; n++) {
+        const entries = await source.entries((n - 1) * SITEMAP_URL_LIMIT, SITEMAP_URL_LIMIT);
+        sitemaps.push({
+          loc: `${apiOrigin(req)}/sitemaps/${kind}-${n}.xml`,
+          lastmod: latest(...entries.map((entry) => entry.lastmod)),
+        });
+      }
+    }
+
+    sendXml(req, res, {
+      xml: renderSitemapIndex(sitemaps),
+      lastModified: latest(...sitemaps.map((sitemap) => sitemap.lastmod)),
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /sitemaps/:file
+// @desc    One sitemap file: posts-<n>.xml, categories-<n>.xml or authors-<n>.xml
+// @access  Public
+router.get('/sitemaps/:file', cacheControl('sitemap'), async (req, res) => {
+  try {
+    const match = /^([a-z]+)-([1-9]\d*)\.xml$/.exec(req.params.file);
+    const source = match && Object.hasOwn(SITEMAPS, match[1]) ? SITEMAPS[match[1]] : null;
+    const entries = source
+      ? await source.entries((Number(match[2]) - 1) * SITEMAP_URL_LIMIT, SITEMAP_URL_LIMIT)
+      : [];
+
+    if (entries.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sitemap not found',
+      });
+    }
+
+    sendXml(req, res, {
+      xml: renderUrlSet(entries),
+      lastModified: latest(...entries.map((entry) => entry.lastmod)),
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /robots.txt
+// @desc    Crawler rules and the sitemap location (ROBOTS_DISALLOW_ALL=true shuts crawlers out, e.g. on staging)
+// @access  Public
+router.get('/robots.txt', cacheControl('sitemap'), (req, res) => {
+  res.type('text/plain; charset=utf-8').send(renderRobots({
+    disallowAll: process.env.ROBOTS_DISALLOW_ALL === 'true',
+    privatePaths: PRIVATE_PATHS,
+    sitemapUrl: `${apiOrigin(req)}/sitemap.xml`,
+  }));
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+// ssr.js - Server-rendered public pages of the client (mounted when SSR=true)
+//
+// /, /posts/:id, /categories/:slug and /authors/:username render with their
+// data, so shared links and crawlers get the content, a title, description and
+// Open Graph / Twitter card tags. Data comes from this server's own API as an
+// anonymous reader, so visibility rules are exactly the API's. Other client
+// routes get the plain app shell, and the build's files are served as-is.
+
+const express = require('express');
+const path = require('path');
+const { CACHE_POLICIES } = require('../middleware/cache');
+const { siteDescription, clientUrl, apiOrigin } = require('../config/site');
+const { DIST_DIR, renderPage, renderShell } = require('../services/ssr');
+
+const router = express.Router();
+
+// Matches PAGE_SIZE in the client's Home and PostFeed
+const PAGE_SIZE = 10;
+
+// Paths that belong to the API server rather than the client app
+const SERVER_PATHS = /^\/(api|feeds|sitemaps|uploads|health)(\/|$)/;
+
+// GET one of our own API endpoints as an anonymous reader
+const fetchApi = async (req, pathname) => {
+  const response = await fetch(`http://127.0.0.1:${req.socket.localPort}/api${pathname}`, {
+    headers: { Accept: 'application/json' },
+  });
+  const body = await response.json();
+  return { status: response.status, data: body.data, body };
+};
+
+// The first page of a PostFeed, under the client's feedKey
+const loadFeed = async (req, filters) => {
+  const { status, body } = await fetchApi(req, `/posts?${new URLSearchParams({ ...filters, limit: PAGE_SIZE })}`);
+  return status === 200 ? { [`feed:posts:${JSON.stringify(filters)}`]: body } : {};
+};
+
+// Each loader returns { status, initialData, meta } for its page, or
+// { redirect } when the page has moved
+const loadHome = async (req) => {
+  // Filtered and paged views are rendered by the browser
+  const filtered = Object.keys(req.query).length > 0;
+  const home = filtered ? null : await fetchApi(req, `/posts?${new URLSearchParams({ page: 1, limit: PAGE_SIZE })}`);
+  return {
+    status: 200,
+    initialData: home?.status === 200 ? { home: home.body } : {},
+    meta: {
+      description: siteDescription(),
+      url: clientUrl('/'),
+    },
+  };
+};
+
+const loadPost = async (req) => {
+  const { id } = req.params;
+  const { status, data: post } = await fetchApi(req, `/posts/${encodeURIComponent(id)}`);
+  if (status !== 200) {
+    return { status, initialData: {}, meta: { title: 'Post not found' } };
+  }
+  // The API followed a retired slug to the post; send the reader there too
+  if (id !== post.slug && id !== String(post._id)) {
+    return { redirect: `/posts/${encodeURIComponent(post.slug)}` };
+  }
+
+  const [posting] = post.structuredData || [];
+  return {
+    status,
+    initialData: { [`post:${id}`]: post },
+    meta: {
+      title: post.title,
+      description: posting?.description || post.excerpt,
+      url: clientUrl(`/posts/${post.slug}`),
+      type: 'article',
+      // Only public posts' images can be fetched by link previews
+      image: post.hasFeaturedImage && !post.imageToken
+        ? `${apiOrigin(req)}/api/posts/${post._id}/image?v=${post.featuredImage?._id || ''}`
+        : null,
+      publishedTime: post.publishedAt,
+      modifiedTime: post.updatedAt,
+      author: post.author?.displayName || post.author?.username,
+      jsonLd: post.structuredData,
+    },
+  };
+};
+
+const loadCategory = async (req) => {
+  const { slug } = req.params;
+  const { status, data: category } = await fetchApi(req, `/categories/${encodeURIComponent(slug)}`);
+  if (status !== 200) {
+    return { status, initialData: {}, meta: { title: 'Category not found' } };
+  }
+  if (slug !== category.slug && slug !== String(category._id)) {
+    return { redirect: `/categories/${encodeURIComponent(category.slug)}` };
+  }
+
+  return {
+    status,
+    initialData: {
+      [`category:${slug}`]: category,
+      ...await loadFeed(req, { category: category._id }),
+    },
+    meta: {
+      title: category.name,
+      description: category.description || `Posts in ${category.name}`,
+      url: clientUrl(`/categories/${category.slug}`),
+    },
+  };
+};
+
+const loadAuthor = async (req) => {
+  const { username } = req.params;
+  const { status, data: profile } = await fetchApi(req, `/users/${encodeURIComponent(username)}`);
+  if (status !== 200) {
+    return { status, initialData: {}, meta: { title: 'Author not found' } };
+  }
+
+  const name = profile.displayName || profile.username;
+  return {
+    status,
+    initialData: {
+      [`author:${username}`]: profile,
+      ...await loadFeed(req, { author: profile.id }),
+    },
+    meta: {
+      title: name,
+      description: profile.bio || `Posts by ${name}`,
+      url: clientUrl(`/authors/${encodeURIComponent(profile.username)}`),
+      type: 'profile',
+      image: profile.avatarImage
+        ? `${apiOrigin(req)}/api/users/${encodeURIComponent(profile.username)}/avatar?size=large&v=${profile.avatarImage}`
+        : null,
+    },
+  };
+};
+
+const sendShell = async (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'no-cache').type('html').send(await renderShell());
+  } catch {
+    // No client build to serve
+    next();
+  }
+};
+
+// Render a page with its loader; if rendering fails, the client renders it instead
+const renderWith = (load) => async (req, res, next) => {
+  try {
+    const { status, initialData, meta, redirect } = await load(req);
+    if (redirect) {
+      return res.redirect(301, redirect);
+    }
+    const html = await renderPage(req.originalUrl, { initialData, meta });
+    res.status(status).set('Cache-Control', CACHE_POLICIES.post).type('html').send(html);
+  } catch (error) {
+    console.error(`Server-side rendering of ${req.originalUrl} failed:`, error);
+    sendShell(req, res, next);
+  }
+};
+
+// Built assets have content hashes in their names, so they never change
+router.use('/assets', express.static(path.join(DIST_DIR, 'assets'), { immutable: true, maxAge: '1y' }));
+router.use(express.static(DIST_DIR, { index: false }));
+
+// @route   GET /, /posts/:id, /categories/:slug, /authors/:username
+// @desc    Server-rendered public pages (HTML)
+// @access  Public
+router.get('/', renderWith(loadHome));
+router.get('/posts/:id', renderWith(loadPost));
+router.get('/categories/:slug', renderWith(loadCategory));
+router.get('/authors/:username', renderWith(loadAuthor));
+
+// @route   GET /*
+// @desc    The client app shell for every other page the browser asks for
+// @access  Public
+router.get('/*splat', (req, res, next) => {
+  if (SERVER_PATHS.test(req.path) || !req.accepts('html')) {
+    return next();
+  }
+  return sendShell(req, res, next);
+});
+
+module.exports = router;
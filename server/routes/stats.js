@@ -0,0 +1,151 @@
+// stats.js - Routes for post view tracking and authors' statistics
+//
+// The post page reports views and read-throughs here (services/analytics.js
+// decides what counts); authors and editors read the numbers back.
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { rateLimit } = require('express-rate-limit');
+const Post = require('../models/Post');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { can } = require('../config/permissions');
+const { CACHE_POLICIES } = require('../middleware/cache');
+const { canView } = require('../services/visibility');
+const { httpError } = require('../services/errors');
+const { identifyVisitor, recordView, recordRead, statsDays, postStats, authorStats } = require('../services/analytics');
+
+const router = express.Router();
+
+// Validation rules
+const viewValidationRules = [
+  body('referrer').optional({ values: 'falsy' }).isString().withMessage('Referrer must be a string'),
+];
+
+// Views and reads are reported anonymously, so cap them per IP address
+// (VIEW_REPORTS_PER_MINUTE, 60 by default): a client that keeps sending them,
+// with or without fresh visitor cookies, can't inflate the numbers. Needs
+// TRUST_PROXY behind a proxy, or every reader shares one budget.
+const reportLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: () => parseInt(process.env.VIEW_REPORTS_PER_MINUTE) || 60,
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many requests, please try again later' },
+});
+
+// The published post a view or read is for; posts the reader can't see look
+// like they don't exist
+const loadViewedPost = async (req) => {
+  const post = await Post.findById(req.params.id).select('author status visibility').lean();
+  if (!canView(req.user, post) || post.status !== 'published') {
+    throw httpError(404, 'Post not found');
+  }
+  return post;
+};
+
+// Malformed ids can't match a post
+const statusOf = (error) => (error.name === 'CastError' ? 404 : error.statusCode || 500);
+
+// @route   POST /api/stats/posts/:id/views
+// @desc    Report a view of a post ({ referrer }: the page the reader came from).
+//          Responds with whether it counted.
+// @access  Public
+router.post('/posts/:id/views', [reportLimiter, auth.optional, viewValidationRules], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const post = await loadViewedPost(req);
+    identifyVisitor(req, res);
+    const counted = await recordView(req, post, req.body.referrer);
+
+    res.json({
+      success: true,
+      data: { counted },
+    });
+  } catch (error) {
+    res.status(statusOf(error)).json({
+      success: false,
+      error: error.name === 'CastError' ? 'Post not found' : error.message,
+    });
+  }
+});
+
+// @route   POST /api/stats/posts/:id/reads
+// @desc    Report that the reader got to the end of a post. Responds with whether it counted.
+// @access  Public
+router.post('/posts/:id/reads', [reportLimiter, auth.optional], async (req, res) => {
+  try {
+    const post = await loadViewedPost(req);
+    const counted = await recordRead(req, post);
+
+    res.json({
+      success: true,
+      data: { counted },
+    });
+  } catch (error) {
+    res.status(statusOf(error)).json({
+      success: false,
+      error: error.name === 'CastError' ? 'Post not found' : error.message,
+    });
+  }
+});
+
+// @route   GET /api/stats/posts/:id
+// @desc    A post's views, reads and read-through rate per day and in total, and its top
+//          referrers, over the last ?days (default 30, at most 365)
+// @access  Private (stats:read)
+router.get('/posts/:id', auth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id)
+      .select('title slug status visibility author viewCount publishedAt')
+      .lean();
+    if (!post) {
+      throw httpError(404, 'Post not found');
+    }
+    if (!can(req.user, 'stats:read', post)) {
+      throw httpError(403, 'Not authorized to read the stats of this post');
+    }
+
+    res.set('Cache-Control', CACHE_POLICIES.list);
+    res.json({
+      success: true,
+      data: {
+        post,
+        ...await postStats(post, statsDays(req.query.days)),
+      },
+    });
+  } catch (error) {
+    res.status(statusOf(error)).json({
+      success: false,
+      error: error.name === 'CastError' ? 'Post not found' : error.message,
+    });
+  }
+});
+
+// @route   GET /api/stats/me
+// @desc    The signed-in author's views, reads and read-through rate per day and in total,
+//          top referrers and a breakdown per post, over the last ?days (default 30, at most 365)
+// @access  Private (posts:create)
+router.get('/me', [auth, authorize('posts:create')], async (req, res) => {
+  try {
+    res.set('Cache-Control', CACHE_POLICIES.list);
+    res.json({
+      success: true,
+      data: await authorStats(req.user._id, statsDays(req.query.days)),
+    });
+  } catch (error) {
+    res.status(statusOf(error)).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
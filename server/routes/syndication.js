@@ -0,0 +1,189 @@
+// syndication.js - RSS, Atom and JSON Feed subscriptions for feed readers
+//
+// /feeds/<file> covers the whole blog; /feeds/categories/<slug>/<file>,
+// /feeds/tags/<slug>/<file> and /feeds/authors/<username>/<file> narrow it down.
+// <file> is rss.xml, atom.xml or feed.json. Feed readers are anonymous, so
+// feeds only ever carry public posts.
+
+const express = require('express');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const { AUTHOR_FIELDS } = User;
+const { cacheControl, createETag, isFresh, notModified } = require('../middleware/cache');
+const { siteName, siteDescription, clientUrl, apiOrigin } = require('../config/site');
+const { listedFilter } = require('../services/visibility');
+const { escapeRegExp } = require('../services/search');
+const { FEED_FORMATS, summarize } = require('../services/syndication');
+const { httpError } = require('../services/errors');
+
+const router = express.Router();
+
+const FEED_ITEM_LIMIT = 20;
+// 'full' puts each post's rendered HTML in the feed, 'excerpt' only its summary
+const CONTENT_MODES = ['full', 'excerpt'];
+
+const feedTitle = () => process.env.FEED_TITLE || siteName();
+
+// What a narrowed feed covers: its title, the page it mirrors and the posts it lists
+const SCOPES = {
+  categories: async (slug) => {
+    // Subscriptions made before a category's slug changed keep working
+    const category = await Category.findOne({ slug }).select('name description slug')
+      || await Category.findByPreviousSlug(slug).select('name description slug');
+    if (!category) throw httpError(404, 'Category not found');
+    return {
+      title: `${feedTitle()}: ${category.name}`,
+      description: category.description || `Posts in ${category.name}`,
+      homePath: `/categories/${category.slug}`,
+      condition: { category: { $in: await Category.withDescendants(category._id) } },
+    };
+  },
+  tags: async (slug) => {
+    const tag = await Tag.findOne({ slug }).select('name');
+    if (!tag) throw httpError(404, 'Tag not found');
+    return {
+      title: `${feedTitle()}: #${tag.name}`,
+      description: `Posts tagged ${tag.name}`,
+      homePath: `/tags/${slug}`,
+      condition: { tags: new RegExp(`^${escapeRegExp(tag.name)}$`, 'i') },
+    };
+  },
+  authors: async (username) => {
+    const user = await User.findOne({ username }).select('username displayName bio');
+    if (!user) throw httpError(404, 'Author not found');
+    const name = user.displayName || user.username;
+    return {
+      title: `${feedTitle()}: ${name}`,
+      description: user.bio || `Posts by ${name}`,
+      homePath: `/authors/${username}`,
+      condition: { author: user._id },
+    };
+  },
+};
+
+const siteScope = async () => ({
+  title: feedTitle(),
+  description: process.env.FEED_DESCRIPTION || siteDescription(),
+  homePath: '/',
+  condition: {},
+});
+
+// One feed item per post, with absolute links to the client and the image endpoint
+const toItem = (post, origin, mode) => {
+  const author = post.author || {};
+  const image = post.featuredImage;
+  return {
+    id: clientUrl(`/posts/${post._id}`),
+    url: clientUrl(`/posts/${post.slug}`),
+    title: post.title,
+    summary: summarize(post),
+    contentHtml: mode === 'full' ? post.contentHtml || '' : null,
+    published: post.publishedAt || post.createdAt,
+    updated: post.updatedAt,
+    author: {
+      name: author.displayName || author.username || 'Unknown',
+      url: author.username ? clientUrl(`/authors/${author.username}`) : undefined,
+    },
+    categories: [post.category?.name, ...(post.tags || [])].filter(Boolean),
+    image: image && {
+      url: `${origin}/api/posts/${post._id}/image?v=${image._id}`,
+      type: image.contentType,
+      size: image.size || 0,
+    },
+  };
+};
+
+// Look up the scope, then render the requested format
+const sendFeed = (resolveScope) => async (req, res) => {
+  try {
+    const format = FEED_FORMATS[req.params.file];
+    if (!format) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown feed. Use one of: ${Object.keys(FEED_FORMATS).join(', ')}`,
+      });
+    }
+
+    const mode = req.query.content || process.env.FEED_CONTENT || 'full';
+    if (!CONTENT_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid content. Use one of: ${CONTENT_MODES.join(', ')}`,
+      });
+    }
+
+    const scope = await resolveScope(req.params.key);
+    const query = { $and: [listedFilter(null), scope.condition] };
+
+    // Validate against id/updatedAt stamps before loading the posts
+    const stamps = await Post.find(query)
+      .select('updatedAt')
+      .sort({ publishedAt: -1, _id: -1 })
+      .limit(FEED_ITEM_LIMIT)
+      .lean();
+
+    const lastModified = stamps.reduce(
+      (latest, stamp) => (stamp.updatedAt > latest ? stamp.updatedAt : latest),
+      new Date(0)
+    );
+    const etag = createETag(
+      'syndication',
+      req.params.file,
+      mode,
+      scope.title,
+      scope.description,
+      ...stamps.map((stamp) => `${stamp._id}:${stamp.updatedAt.getTime()}`)
+    );
+
+    if (isFresh(req, res, { etag, lastModified: stamps.length ? lastModified : null })) {
+      return notModified(res);
+    }
+
+    const posts = await Post.find({ _id: { $in: stamps.map((stamp) => stamp._id) } })
+      .select('-toc')
+      .populate('author', AUTHOR_FIELDS)
+      .populate('category', 'name')
+      .populate('featuredImage', 'contentType size');
+
+    const byId = new Map(posts.map((post) => [String(post._id), post]));
+    const ordered = stamps.map((stamp) => byId.get(String(stamp._id))).filter(Boolean);
+
+    const origin = apiOrigin(req);
+    const feed = {
+      title: scope.title,
+      description: scope.description,
+      homeUrl: clientUrl(scope.homePath),
+      feedUrl: `${origin}${req.originalUrl}`,
+      updated: stamps.length ? lastModified : new Date(),
+      items: ordered.map((post) => toItem(post, origin, mode)),
+    };
+
+    res.type(format.contentType).send(format.render(feed));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// @route   GET /feeds/:file
+// @desc    Latest public posts as rss.xml, atom.xml or feed.json (?content=full|excerpt)
+// @access  Public
+router.get('/:file', cacheControl('feed'), sendFeed(siteScope));
+
+// @route   GET /feeds/:scope/:key/:file
+// @desc    Latest public posts in a category (with subcategories), with a tag or by an author:
+//          /feeds/categories/:slug/..., /feeds/tags/:slug/..., /feeds/authors/:username/...
+// @access  Public
+router.get('/:scope/:key/:file', cacheControl('feed'), (req, res, next) => {
+  const resolveScope = SCOPES[req.params.scope];
+  if (!resolveScope) {
+    return next();
+  }
+  return sendFeed(resolveScope)(req, res);
+});
+
+module.exports = router;
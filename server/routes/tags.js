@@ -0,0 +1,184 @@
+// tags.js - Routes for tags: autocomplete, tag pages and tag administration
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Tag = require('../models/Tag');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { escapeRegExp } = require('../services/search');
+
+const { slugifyTag, MAX_TAG_LENGTH } = Tag;
+
+const router = express.Router();
+
+// Validation rules
+const tagNameValidationRules = [
+  body('name')
+    .isString()
+    .custom((name) => slugifyTag(name) !== '')
+    .withMessage('Tag name must contain a letter or number')
+    .isLength({ max: MAX_TAG_LENGTH })
+    .withMessage(`Tag names cannot be more than ${MAX_TAG_LENGTH} characters`),
+];
+
+// Load the tag a request acts on (for authorize). Links may use the name, so
+// the parameter is normalized the same way slugs are.
+const loadTag = (req) => Tag.findOne({ slug: slugifyTag(req.params.slug) });
+
+const manageTag = [auth, authorize('tags:manage', loadTag)];
+
+// @route   GET /api/tags
+// @desc    List tags in use, most used first; ?q=prefix for autocomplete, ?limit (max 100)
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const prefix = String(req.query.q || '').trim();
+
+    const query = { postCount: { $gt: 0 } };
+    if (prefix) {
+      query.$or = [
+        { slug: new RegExp(`^${escapeRegExp(slugifyTag(prefix))}`) },
+        { name: new RegExp(`^${escapeRegExp(prefix)}`, 'i') },
+      ];
+    }
+
+    const tags = await Tag.find(query)
+      .select('name slug postCount')
+      .sort({ postCount: -1, name: 1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: tags,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/tags/:slug
+// @desc    Get a tag by slug (or name)
+// @access  Public
+router.get('/:slug', async (req, res) => {
+  try {
+    const tag = await loadTag(req);
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tag,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/tags/:slug
+// @desc    Rename a tag; posts using it are rewritten
+// @access  Private (tags:manage)
+router.put('/:slug', [...manageTag, tagNameValidationRules], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const tag = await req.resource.rename(req.body.name);
+
+    res.json({
+      success: true,
+      data: tag,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Another tag already has this name; merge the tags instead',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/tags/:slug/merge
+// @desc    Merge a tag into another ({ into: slug }); posts move to the other tag
+// @access  Private (tags:manage)
+router.post('/:slug/merge', [
+  ...manageTag,
+  body('into').isString().notEmpty().withMessage('Tag to merge into is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const target = await Tag.findOne({ slug: slugifyTag(req.body.into) });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag to merge into not found',
+      });
+    }
+    if (target._id.equals(req.resource._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A tag cannot be merged into itself',
+      });
+    }
+
+    const merged = await req.resource.mergeInto(target);
+
+    res.json({
+      success: true,
+      data: merged,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/tags/:slug
+// @desc    Delete a tag and remove it from every post
+// @access  Private (tags:manage)
+router.delete('/:slug', manageTag, async (req, res) => {
+  try {
+    await req.resource.removeFromPosts();
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
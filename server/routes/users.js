@@ -0,0 +1,294 @@
+// users.js - Routes for user profiles and user administration
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { SOCIAL_NETWORKS } = User;
+const Post = require('../models/Post');
+const Media = require('../models/Media');
+const Follow = require('../models/Follow');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const upload = require('../middleware/upload');
+const { discardUpload } = upload;
+const { CACHE_POLICIES } = require('../middleware/cache');
+const { ROLE_NAMES } = require('../config/permissions');
+const { AVATAR_RENDITIONS, AVATAR_RENDITION_NAMES, processImage } = require('../services/imageProcessor');
+const { sendMedia } = require('../services/mediaStream');
+const { listedFilter } = require('../services/visibility');
+const bookmarkRoutes = require('./bookmarks');
+
+const router = express.Router();
+
+// Validation rules
+const roleValidationRules = [
+  body('role').isIn(ROLE_NAMES).withMessage(`Role must be one of: ${ROLE_NAMES.join(', ')}`),
+];
+
+const URL_OPTIONS = { protocols: ['http', 'https'], require_protocol: true };
+
+const profileValidationRules = [
+  body('displayName')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Display name cannot be more than 50 characters'),
+  body('bio')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Bio cannot be more than 500 characters'),
+  body('website')
+    .optional({ values: 'falsy' })
+    .isURL(URL_OPTIONS)
+    .withMessage('Website must be an http(s) URL'),
+  ...SOCIAL_NETWORKS.map((network) => body(`socialLinks.${network}`)
+    .optional({ values: 'falsy' })
+    .isURL(URL_OPTIONS)
+    .withMessage(`${network} link must be an http(s) URL`)),
+];
+
+// Bookmarks and reading lists of the signed-in user
+router.use('/me', bookmarkRoutes);
+
+// @route   GET /api/users/me
+// @desc    Get the signed-in user's profile
+// @access  Private
+router.get('/me', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    res.json({
+      success: true,
+      data: user.toProfile(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/users/me
+// @desc    Update the signed-in user's profile. Multipart with an optional "avatar" image,
+//          cropped to avatarCrop[left|top|width|height] when given; removeAvatar=true clears it.
+// @access  Private
+router.put('/me', [auth, upload.single('avatar'), profileValidationRules], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await discardUpload(req);
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const previousAvatar = user.avatarImage;
+
+    for (const field of ['displayName', 'bio', 'website']) {
+      if (req.body[field] !== undefined) {
+        user[field] = req.body[field];
+      }
+    }
+    for (const network of SOCIAL_NETWORKS) {
+      if (req.body.socialLinks?.[network] !== undefined) {
+        user.set(`socialLinks.${network}`, req.body.socialLinks[network]);
+      }
+    }
+
+    if (req.file) {
+      req.media = await Media.createFromUpload(req.file, user._id);
+      await processImage(req.media, {
+        renditions: AVATAR_RENDITIONS,
+        crop: req.body.avatarCrop || null,
+      });
+      user.avatarImage = req.media._id;
+    } else if (req.body.removeAvatar === 'true' || req.body.removeAvatar === true) {
+      user.avatarImage = null;
+    }
+
+    await user.save();
+
+    // Clean up the avatar that was replaced or removed. The profile is already
+    // saved, so a failure here must not discard the new upload.
+    if (previousAvatar && !previousAvatar.equals(user.avatarImage)) {
+      try {
+        const media = await Media.findById(previousAvatar);
+        if (media) {
+          await media.purge();
+        }
+      } catch (error) {
+        console.error('Error removing old avatar:', error);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: user.toProfile(),
+    });
+  } catch (error) {
+    await discardUpload(req);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map((err) => err.message).join(', '),
+      });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/users/:username
+// @desc    Get a user's public profile, with the number of their posts the requester can see,
+//          follower/following counts and whether the requester follows them
+// @access  Public
+router.get('/:username', auth.optional, async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    const [postCount, followerCount, followingCount, following] = await Promise.all([
+      Post.countDocuments({
+        $and: [{ author: user._id, status: 'published' }, listedFilter(req.user)],
+      }),
+      Follow.countDocuments({ targetType: 'user', target: user._id }),
+      Follow.countDocuments({ follower: user._id }),
+      req.user ? Follow.exists({ follower: req.user.id, targetType: 'user', target: user._id }) : null,
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...user.toProfile(),
+        postCount,
+        followerCount,
+        followingCount,
+        following: !!following,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/users/:username/avatar
+// @desc    Get a user's avatar (?size=small|large, ?format=webp, ?v=mediaId)
+// @access  Public
+router.get('/:username/avatar', async (req, res) => {
+  try {
+    const { size = 'large', format, v: version } = req.query;
+    if (!AVATAR_RENDITION_NAMES.includes(size)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid size. Use one of: ${AVATAR_RENDITION_NAMES.join(', ')}`,
+      });
+    }
+
+    const user = await User.findOne({ username: req.params.username })
+      .select('avatarImage')
+      .populate('avatarImage');
+    if (!user || !user.avatarImage) {
+      return res.status(404).json({
+        success: false,
+        error: 'Avatar not found',
+      });
+    }
+
+    const media = user.avatarImage;
+    // URLs versioned with the current media id can be cached forever
+    sendMedia(req, res, media, {
+      rendition: media.getRendition(size, format),
+      policy: version === String(media._id) ? CACHE_POLICIES.immutableImage : CACHE_POLICIES.image,
+    });
+  } catch (error) {
+    console.error('Error fetching avatar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching avatar',
+    });
+  }
+});
+
+// @route   GET /api/users
+// @desc    List users with their roles
+// @access  Private (users:manage)
+router.get('/', [auth, authorize('users:manage')], async (req, res) => {
+  try {
+    const users = await User.find()
+      .select('username email role isEmailVerified createdAt')
+      .sort({ username: 1 });
+
+    res.json({
+      success: true,
+      data: users,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/users/:id/role
+// @desc    Change a user's role
+// @access  Private (users:manage)
+router.put('/:id/role', [
+  auth,
+  authorize('users:manage', (req) => User.findById(req.params.id)),
+  roleValidationRules,
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = req.resource;
+
+    // Don't let the last admin lock everyone out
+    if (user.role === 'admin' && req.body.role !== 'admin') {
+      const admins = await User.countDocuments({ role: 'admin' });
+      if (admins <= 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot remove the last admin',
+        });
+      }
+    }
+
+    user.role = req.body.role;
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        id: user._id,
+        username: user.username,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
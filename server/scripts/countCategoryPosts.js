@@ -0,0 +1,30 @@
+// server/scripts/countCategoryPosts.js - Fill in post counts for categories created before they were tracked
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Category = require('../models/Category');
+
+dotenv.config();
+
+const countCategoryPosts = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const categories = await Category.find().select('name');
+    await Category.refreshCounts(categories.map((category) => category._id));
+
+    const counted = await Category.find().select('name postCount').sort({ name: 1 });
+    counted.forEach((category) => {
+      console.log(`- ${category.name}: ${category.postCount} posts`);
+    });
+
+    console.log('Category post counts updated successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error counting category posts:', error);
+    process.exit(1);
+  }
+};
+
+countCategoryPosts();
@@ -0,0 +1,37 @@
+// server/scripts/generateRenditions.js - Generate renditions for media uploaded before image processing existed
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Media = require('../models/Media');
+const { processImage } = require('../services/imageProcessor');
+
+dotenv.config();
+
+const generateRenditions = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const pending = await Media.find({ 'renditions.0': { $exists: false } });
+    console.log(`Found ${pending.length} media files without renditions`);
+
+    let processed = 0;
+    for (const media of pending) {
+      try {
+        await processImage(media);
+        processed++;
+        console.log(`- ${media._id} (${media.filename})`);
+      } catch (error) {
+        console.error(`- ${media._id} failed: ${error.message}`);
+      }
+    }
+
+    console.log(`Generated renditions for ${processed} of ${pending.length} media files`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error generating renditions:', error);
+    process.exit(1);
+  }
+};
+
+generateRenditions();
@@ -0,0 +1,67 @@
+// server/scripts/migrateComments.js - Move comments embedded in posts into the Comment collection
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+dotenv.config();
+
+const migrateComments = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // The Post schema no longer knows about embedded comments, so read the raw documents
+    const cursor = Post.collection.find(
+      { comments: { $exists: true } },
+      { projection: { comments: 1 } }
+    );
+
+    let migrated = 0;
+    for await (const post of cursor) {
+      const embedded = (post.comments || []).filter((comment) => comment.user && comment.content);
+
+      // Comments keep their original ids, so running the script twice doesn't duplicate them.
+      // They were public before moderation existed, so they come in approved.
+      if (embedded.length) {
+        await Comment.collection.bulkWrite(embedded.map((comment) => {
+          const createdAt = comment.createdAt || post._id.getTimestamp();
+          return {
+            updateOne: {
+              filter: { _id: comment._id },
+              update: {
+                $setOnInsert: {
+                  post: post._id,
+                  user: comment.user,
+                  parentId: null,
+                  rootId: comment._id,
+                  depth: 0,
+                  content: comment.content,
+                  status: 'approved',
+                  createdAt,
+                  updatedAt: createdAt,
+                },
+              },
+              upsert: true,
+            },
+          };
+        }));
+      }
+
+      await Post.collection.updateOne({ _id: post._id }, { $unset: { comments: '' } });
+      const count = await Comment.updatePostCount(post._id);
+
+      migrated += embedded.length;
+      console.log(`- ${post._id}: ${embedded.length} comments (${count} visible)`);
+    }
+
+    console.log(`Migrated ${migrated} comments`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating comments:', error);
+    process.exit(1);
+  }
+};
+
+migrateComments();
@@ -0,0 +1,64 @@
+// server/scripts/migrateFeaturedImages.js - Move embedded featured image buffers into media storage
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const Media = require('../models/Media');
+const { getDefaultAdapter, generateKey, saveBuffer } = require('../storage');
+
+dotenv.config();
+
+const migrateFeaturedImages = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const adapter = getDefaultAdapter();
+
+    // The Post schema no longer knows about embedded buffers, so read the raw documents
+    const cursor = Post.collection.find(
+      { 'featuredImage.data': { $exists: true } },
+      { projection: { featuredImage: 1, author: 1 } }
+    );
+
+    let migrated = 0;
+    for await (const post of cursor) {
+      const { data, contentType, filename } = post.featuredImage;
+      const buffer = Buffer.from(data.read(0, data.length()));
+      const key = generateKey(filename);
+
+      await saveBuffer(adapter, key, buffer, { contentType });
+
+      const media = await Media.create({
+        filename: filename || key,
+        contentType: contentType || 'application/octet-stream',
+        size: buffer.length,
+        storage: adapter.name,
+        key,
+        uploadedBy: post.author,
+      });
+
+      await Post.collection.updateOne(
+        { _id: post._id },
+        { $set: { featuredImage: media._id } }
+      );
+
+      migrated++;
+      console.log(`- ${post._id} -> ${adapter.name}:${key}`);
+    }
+
+    // Posts that had an empty featuredImage object left behind
+    const cleared = await Post.collection.updateMany(
+      { featuredImage: { $type: 'object' } },
+      { $unset: { featuredImage: '' } }
+    );
+
+    console.log(`Migrated ${migrated} featured images, cleared ${cleared.modifiedCount} empty entries`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating featured images:', error);
+    process.exit(1);
+  }
+};
+
+migrateFeaturedImages();
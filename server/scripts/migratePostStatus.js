@@ -0,0 +1,38 @@
+// server/scripts/migratePostStatus.js - Replace the isPublished flag with a publication status
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+
+dotenv.config();
+
+const migratePostStatus = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // The Post schema no longer knows about isPublished, so work on the raw collection.
+    // Published posts get their creation date as publishedAt, the closest thing on record.
+    const published = await Post.collection.updateMany(
+      { isPublished: true, status: { $exists: false } },
+      [{ $set: { status: 'published', publishedAt: '$createdAt', scheduledFor: null } }]
+    );
+    console.log(`- published: ${published.modifiedCount} posts`);
+
+    const drafts = await Post.collection.updateMany(
+      { status: { $exists: false } },
+      { $set: { status: 'draft', publishedAt: null, scheduledFor: null } }
+    );
+    console.log(`- draft: ${drafts.modifiedCount} posts`);
+
+    await Post.collection.updateMany({ isPublished: { $exists: true } }, { $unset: { isPublished: '' } });
+
+    console.log('Post statuses migrated successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating post statuses:', error);
+    process.exit(1);
+  }
+};
+
+migratePostStatus();
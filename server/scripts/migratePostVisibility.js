@@ -0,0 +1,30 @@
+// server/scripts/migratePostVisibility.js - Give posts from before visibility levels an explicit visibility
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+
+dotenv.config();
+
+const migratePostVisibility = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Everything published so far was readable by anyone; keep it that way
+    const result = await Post.updateMany(
+      { visibility: { $exists: false } },
+      { $set: { visibility: 'public' } },
+      { timestamps: false }
+    );
+    console.log(`- public: ${result.modifiedCount} posts`);
+
+    console.log('Post visibility migrated successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating post visibility:', error);
+    process.exit(1);
+  }
+};
+
+migratePostVisibility();
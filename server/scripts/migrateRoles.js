@@ -0,0 +1,28 @@
+// server/scripts/migrateRoles.js - Convert roles from before RBAC existed
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const { LEGACY_ROLES } = require('../config/permissions');
+
+dotenv.config();
+
+const migrateRoles = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    for (const [from, to] of Object.entries(LEGACY_ROLES)) {
+      const result = await User.collection.updateMany({ role: from }, { $set: { role: to } });
+      console.log(`- ${from} -> ${to}: ${result.modifiedCount} users`);
+    }
+
+    console.log('Roles migrated successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating roles:', error);
+    process.exit(1);
+  }
+};
+
+migrateRoles();
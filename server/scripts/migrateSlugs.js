@@ -0,0 +1,67 @@
+// server/scripts/migrateSlugs.js - Re-slug posts and categories whose slugs lost their non-ASCII letters
+//
+// Slugs used to be made by dropping every non-ASCII character ("Café ñandú" ->
+// "caf-and"). Slugs that still match that old rule are regenerated with
+// transliteration; the old slug goes into previousSlugs, so existing links
+// redirect. Slugs someone chose by hand are left alone.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const { slugify } = require('../services/slug');
+
+dotenv.config();
+
+// The slug the old pre-save hooks made from a title or name
+const legacySlug = (text) => String(text)
+  .toLowerCase()
+  .replace(/[^\w ]+/g, '')
+  .trim()
+  .replace(/ +/g, '-');
+
+// Whether a slug was generated by the old rule (possibly with a "-<n>" suffix)
+const isLegacySlug = (slug, text) => {
+  const legacy = legacySlug(text);
+  return slug === legacy || new RegExp(`^${legacy}-\\d+$`).test(slug);
+};
+
+const migrate = async (Model, field) => {
+  const documents = await Model.find().select(`${field} slug previousSlugs`).sort({ createdAt: 1 });
+
+  let changed = 0;
+  for (const document of documents) {
+    const text = document[field];
+    if (!text || slugify(text) === legacySlug(text) || !isLegacySlug(document.slug, text)) {
+      continue;
+    }
+    const slug = await Model.generateUniqueSlug(text, document._id);
+    if (slug !== document.slug) {
+      await Model.updateOne({ _id: document._id }, { slug, previousSlugs: document.retiredSlugs(slug) });
+      console.log(`  ${document.slug} -> ${slug}`);
+      changed++;
+    }
+  }
+  return { changed, total: documents.length };
+};
+
+const migrateSlugs = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const posts = await migrate(Post, 'title');
+    console.log(`- re-slugged ${posts.changed} of ${posts.total} posts`);
+
+    const categories = await migrate(Category, 'name');
+    console.log(`- re-slugged ${categories.changed} of ${categories.total} categories`);
+
+    console.log('Slugs migrated successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating slugs:', error);
+    process.exit(1);
+  }
+};
+
+migrateSlugs();
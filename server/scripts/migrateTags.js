@@ -0,0 +1,43 @@
+// server/scripts/migrateTags.js - Build the Tag collection from the free-form tags on posts
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+
+dotenv.config();
+
+const migrateTags = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Oldest posts first, so the spelling used first becomes the tag's name
+    const posts = await Post.find({ 'tags.0': { $exists: true } })
+      .select('tags')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    let rewritten = 0;
+    for (const post of posts) {
+      const tags = await Tag.resolve(post.tags);
+      if (tags.join('\n') !== post.tags.join('\n')) {
+        await Post.updateOne({ _id: post._id }, { tags }, { timestamps: false });
+        rewritten++;
+      }
+    }
+    console.log(`- rewrote tags on ${rewritten} of ${posts.length} posts`);
+
+    const tags = await Tag.find().select('name');
+    await Tag.refreshCounts(tags.map((tag) => tag.name));
+    console.log(`- counted ${tags.length} tags`);
+
+    console.log('Tags migrated successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating tags:', error);
+    process.exit(1);
+  }
+};
+
+migrateTags();
@@ -1,4 +1,4 @@
-// server/seedCategories.js - Fixed script to create initial categories
+// server/seedCategories.js - Create the initial categories that don't exist yet
 const mongoose = require('mongoose');
 const Category = require('./models/Category');
 const dotenv = require('dotenv');
@@ -16,41 +16,27 @@ const categories = [
   { name: 'Entertainment', description: 'Entertainment and media' }
 ];
 
-// Function to generate slug from name
-const generateSlug = (name) => {
-  return name
-    .toLowerCase()
-    .replace(/[^\w ]+/g, '')
-    .replace(/ +/g, '-');
-};
-
 const seedCategories = async () => {
   try {
     // Connect to MongoDB
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('Connected to MongoDB');
 
-    // Clear existing categories
-    await Category.deleteMany({});
-    console.log('Cleared existing categories');
-
-    // Add slugs to categories
-    const categoriesWithSlugs = categories.map(category => ({
-      ...category,
-      slug: generateSlug(category.name)
-    }));
+    // Existing categories (and the posts filed under them) are left alone;
+    // only missing ones are created, so seeding is safe to run again
+    const created = [];
+    for (const categoryData of categories) {
+      const exists = await Category.exists({ name: categoryData.name });
+      if (exists) continue;
 
-    // Create new categories one by one to trigger pre-save hooks
-    const createdCategories = [];
-    for (const categoryData of categoriesWithSlugs) {
       const category = new Category(categoryData);
       await category.save();
-      createdCategories.push(category);
+      created.push(category);
     }
 
-    console.log(`Created ${createdCategories.length} categories:`);
+    console.log(`Created ${created.length} categories:`);
     
-    createdCategories.forEach(cat => {
+    created.forEach(cat => {
       console.log(`- ${cat.name} (${cat.slug})`);
     });
 
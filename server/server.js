@@ -2,6 +2,7 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const dotenv = require('dotenv');
 const path = require('path');
 
@@ -9,6 +10,19 @@ const path = require('path');
 const postRoutes = require('./routes/posts');
 const categoryRoutes = require('./routes/categories');
 const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const moderationRoutes = require('./routes/moderation');
+const tagRoutes = require('./routes/tags');
+const followRoutes = require('./routes/follows');
+const feedRoutes = require('./routes/feed');
+const notificationRoutes = require('./routes/notifications');
+const syndicationRoutes = require('./routes/syndication');
+const sitemapRoutes = require('./routes/sitemaps');
+const statsRoutes = require('./routes/stats');
+const ssrRoutes = require('./routes/ssr');
+const { startScheduler } = require('./services/scheduler');
+const { registerNotificationListeners } = require('./services/notifications');
+const { attachRealtime, WS_PATH } = require('./services/realtime');
 
 // Load environment variables
 dotenv.config();
@@ -17,8 +31,27 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy req.ip has to come from X-Forwarded-For, or every
+// reader looks like the proxy. TRUST_PROXY is "true", a number of proxy hops,
+// or addresses/subnets of trusted proxies, as Express's "trust proxy" takes them.
+const trustProxy = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', trustProxy(process.env.TRUST_PROXY));
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({
+  // Credentials (the refresh token cookie) require an explicit origin
+  origin: process.env.CLIENT_URL || 'http://localhost:5173',
+  credentials: true,
+  // Let the client read cache validators so it can send conditional requests
+  exposedHeaders: ['ETag', 'Last-Modified'],
+}));
+app.use(cookieParser());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -37,6 +70,26 @@ if (process.env.NODE_ENV === 'development') {
 app.use('/api/posts', postRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/follows', followRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/stats', statsRoutes);
+
+// RSS, Atom and JSON Feed subscriptions
+app.use('/feeds', syndicationRoutes);
+
+// sitemap.xml, /sitemaps/*.xml and robots.txt for search engines
+app.use('/', sitemapRoutes);
+
+// Server-side rendering of the client (SSR=true, after `npm run build:ssr` in
+// client/): public pages render with their data and link previews, and the
+// other client routes get the app shell
+if (process.env.SSR === 'true') {
+  app.use(ssrRoutes);
+}
 
 // Root route
 app.get('/', (req, res) => {
@@ -96,12 +149,20 @@ mongoose
   .connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('✅ Connected to MongoDB');
-    app.listen(PORT, () => {
+    // Turn comments, follows and publications into notifications
+    registerNotificationListeners();
+    // Publish scheduled posts as they come due
+    startScheduler();
+    const server = app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📝 API available at http://localhost:${PORT}/api`);
+      console.log(`📰 Feeds at http://localhost:${PORT}/feeds/rss.xml`);
+      console.log(`🔌 Live updates at ws://localhost:${PORT}${WS_PATH}`);
       console.log(`🖼️ Uploads served from http://localhost:${PORT}/uploads`);
       console.log(`❤️  Health check: http://localhost:${PORT}/health`);
     });
+    // Live comments, view counts, presence and new-post banners on the same port
+    attachRealtime(server);
   })
   .catch((err) => {
     console.error('❌ Failed to connect to MongoDB', err);
@@ -0,0 +1,249 @@
+// server/services/analytics.js - Post view tracking and statistics
+//
+// The post page reports a view when it opens and a read when the reader gets
+// to the end (routes/stats.js). A visitor's view (by account or visitor
+// cookie) counts when their last counted view of the post is at least
+// VIEW_DEDUPE_MINUTES (30) old; views by the post's author and by known bots
+// don't count at all. Counted views go into the post's viewCount and its daily
+// PostStat, with the referrer's host; reads count once per counted view, which
+// gives the read-through rate.
+
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const PostView = require('../models/PostView');
+const PostStat = require('../models/PostStat');
+const { clientUrl } = require('../config/site');
+const { EVENTS, emitEvent } = require('./events');
+
+const DEFAULT_STATS_DAYS = 30;
+const MAX_STATS_DAYS = 365;
+const TOP_REFERRERS = 10;
+
+// Crawlers, link previews, monitors and HTTP libraries
+const BOT_PATTERN = new RegExp([
+  'bot', 'crawl', 'spider', 'slurp', 'archiver', 'facebookexternalhit', 'embedly', 'preview',
+  'whatsapp', 'telegram', 'discord', 'slack', 'skype', 'pinterest', 'vkshare', 'headless',
+  'phantomjs', 'lighthouse', 'pingdom', 'uptime', 'monitor', 'curl', 'wget', 'python-',
+  'go-http-client', 'java/', 'okhttp', 'node-fetch', 'undici', 'libwww', 'scrapy', 'feedfetcher',
+].join('|'), 'i');
+
+const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+const dedupeWindowMs = () => Number(process.env.VIEW_DEDUPE_MINUTES || 30) * 60 * 1000;
+
+// "YYYY-MM-DD" (UTC) of a date
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+// Anonymous readers are told apart by a first-party cookie holding a random id
+// signed with the server key. Readers without a valid one (first view, cookies
+// blocked, forged ids) get a new cookie; routes/stats.js rate-limits reports
+// per IP address, which bounds how often fresh cookies can count a view again.
+const VISITOR_COOKIE = 'visitorId';
+const VISITOR_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+const signVisitor = (id) => crypto.createHmac('sha256', process.env.JWT_SECRET || 'views')
+  .update(`visitor:${id}`)
+  .digest('base64url')
+  .slice(0, 22);
+
+// The visitor id in the request's cookie, if it carries a valid one
+const visitorCookieId = (req) => {
+  const [id, signature] = String(req.cookies?.[VISITOR_COOKIE] || '').split('.');
+  return id && signature === signVisitor(id) ? id : null;
+};
+
+// Make sure the anonymous reader has a visitor cookie (set on view reports)
+const identifyVisitor = (req, res) => {
+  if (req.user || visitorCookieId(req)) return;
+
+  const id = crypto.randomBytes(16).toString('base64url');
+  const value = `${id}.${signVisitor(id)}`;
+  res.cookie(VISITOR_COOKIE, value, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'lax',
+    path: '/api/stats',
+    maxAge: VISITOR_COOKIE_MAX_AGE,
+  });
+  // This request already counts as that visitor
+  req.cookies = { ...req.cookies, [VISITOR_COOKIE]: value };
+};
+
+// Signed-in readers are themselves; anonymous ones their visitor cookie, or
+// (for reads without one) a keyed hash of their IP address, so no address is stored
+const visitorOf = (req) => {
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+  const id = visitorCookieId(req);
+  if (id) {
+    return `anon:${id}`;
+  }
+  const hash = crypto.createHmac('sha256', process.env.JWT_SECRET || 'views')
+    .update(String(req.ip))
+    .digest('base64url');
+  return `ip:${hash.slice(0, 22)}`;
+};
+
+// Where a view came from: the referrer's host name, "internal" for the blog's
+// own pages, or "direct"
+const referrerSource = (referrer) => {
+  let host = '';
+  try {
+    host = new URL(referrer).hostname.toLowerCase();
+  } catch {
+    return 'direct';
+  }
+  if (!host) return 'direct';
+  if (host === new URL(clientUrl()).hostname) return 'internal';
+  return host.replace(/^www\./, '').slice(0, 100);
+};
+
+// Whether a view or read from this request counts at all
+const countable = (req, post) => !isBot(req.get('user-agent')) &&
+  !(req.user && String(post.author) === String(req.user.id));
+
+// Record a view of a published post; resolves to whether it counted
+const recordView = async (req, post, referrer) => {
+  if (!countable(req, post)) return false;
+
+  const now = Date.now();
+  const windowMs = dedupeWindowMs();
+  try {
+    // Matches (and restarts the window) only when the last counted view is old
+    // enough; otherwise the upsert hits the unique index and the view doesn't count
+    await PostView.updateOne(
+      { post: post._id, visitor: visitorOf(req), viewedAt: { $lte: new Date(now - windowMs) } },
+      {
+        viewedAt: new Date(now),
+        read: false,
+        // Kept for two windows, so a long read still finds its view
+        expiresAt: new Date(now + 2 * windowMs),
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Counted within the window, possibly by a concurrent request
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await PostStat.record(post, dayOf(new Date(now)), { views: 1, source: referrerSource(referrer) });
+
+  // Counting the view doesn't touch updatedAt, so it doesn't invalidate caches
+  const viewed = await Post.findOneAndUpdate(
+    { _id: post._id },
+    { $inc: { viewCount: 1 } },
+    { new: true, timestamps: false, projection: { viewCount: 1 } }
+  ).lean();
+  if (viewed) {
+    emitEvent(EVENTS.POST_VIEWED, { postId: post._id, viewCount: viewed.viewCount });
+  }
+  return true;
+};
+
+// Record that the reader got to the end of the post. Counts once per counted view.
+const recordRead = async (req, post) => {
+  if (!countable(req, post)) return false;
+
+  const view = await PostView.findOneAndUpdate(
+    { post: post._id, visitor: visitorOf(req), read: { $ne: true }, expiresAt: { $gt: new Date() } },
+    { read: true }
+  );
+  if (!view) return false;
+
+  await PostStat.record(post, dayOf(new Date()), { reads: 1 });
+  return true;
+};
+
+// Number of days a stats request asks for (?days=), within limits
+const statsDays = (days) => {
+  const value = Number.parseInt(days, 10);
+  return Number.isInteger(value) && value > 0 ? Math.min(value, MAX_STATS_DAYS) : DEFAULT_STATS_DAYS;
+};
+
+// The last `days` days, oldest first, as "YYYY-MM-DD"
+const dateRange = (days) => {
+  const today = Date.now();
+  return Array.from({ length: days }, (_, i) => dayOf(new Date(today - (days - 1 - i) * 86400000)));
+};
+
+const readThroughRate = (views, reads) => (views ? Math.round((reads / views) * 1000) / 1000 : 0);
+
+// Totals, a day-by-day series (days without views included) and the top
+// referrers for a set of PostStat documents
+const summarize = (stats, dates) => {
+  const byDate = new Map(dates.map((date) => [date, { date, views: 0, reads: 0 }]));
+  const referrers = new Map();
+  let views = 0;
+  let reads = 0;
+
+  for (const stat of stats) {
+    const day = byDate.get(stat.date);
+    if (day) {
+      day.views += stat.views;
+      day.reads += stat.reads;
+    }
+    views += stat.views;
+    reads += stat.reads;
+    for (const { source, count } of stat.referrers || []) {
+      referrers.set(source, (referrers.get(source) || 0) + count);
+    }
+  }
+
+  return {
+    totals: { views, reads, readThroughRate: readThroughRate(views, reads) },
+    daily: [...byDate.values()],
+    referrers: [...referrers]
+      .map(([source, count]) => ({ source, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_REFERRERS),
+  };
+};
+
+// Stats of one post over the last `days` days
+const postStats = async (post, days) => {
+  const dates = dateRange(days);
+  const stats = await PostStat.find({ post: post._id, date: { $gte: dates[0] } }).lean();
+  return { days, ...summarize(stats, dates) };
+};
+
+// Stats of all of an author's posts over the last `days` days, with a
+// breakdown per post (most viewed first)
+const authorStats = async (authorId, days) => {
+  const dates = dateRange(days);
+  const [stats, posts] = await Promise.all([
+    PostStat.find({ author: authorId, date: { $gte: dates[0] } }).lean(),
+    Post.find({ author: authorId }).select('title slug status viewCount publishedAt').lean(),
+  ]);
+
+  const perPost = new Map(posts.map((post) => [String(post._id), { ...post, views: 0, reads: 0 }]));
+  for (const stat of stats) {
+    const entry = perPost.get(String(stat.post));
+    if (entry) {
+      entry.views += stat.views;
+      entry.reads += stat.reads;
+    }
+  }
+
+  return {
+    days,
+    ...summarize(stats, dates),
+    posts: [...perPost.values()]
+      .map((entry) => ({ ...entry, readThroughRate: readThroughRate(entry.views, entry.reads) }))
+      .sort((a, b) => b.views - a.views || b.viewCount - a.viewCount),
+  };
+};
+
+module.exports = {
+  DEFAULT_STATS_DAYS,
+  MAX_STATS_DAYS,
+  isBot,
+  referrerSource,
+  identifyVisitor,
+  recordView,
+  recordRead,
+  statsDays,
+  postStats,
+  authorStats,
+};
@@ -0,0 +1,46 @@
+// server/services/cursor.js - Opaque cursors for keyset pagination
+//
+// A cursor remembers the sort value and _id of the last item on a page. The
+// next page starts strictly after that pair, so ordering stays stable even when
+// posts are added in the meantime. _id breaks ties between equal sort values.
+
+// Cursor for the item a page ended on
+const encodeCursor = (item, field) => {
+  const value = item[field];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    d: value instanceof Date,
+    id: String(item._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// { value, id }, or null when the cursor isn't one of ours
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof id !== 'string' || !/^[a-f\d]{24}$/i.test(id)) return null;
+    const value = d ? new Date(v) : v;
+    if (d && isNaN(value)) return null;
+    return { value, id };
+  } catch {
+    return null;
+  }
+};
+
+// Query for the items after a cursor when sorting by { [field]: direction, _id: direction }
+const afterCursor = ({ value, id }, field, direction) => {
+  const op = direction === -1 ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } },
+    ],
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+};
@@ -0,0 +1,71 @@
+// server/services/diff.js - Line diffs laid out as side-by-side rows
+const { diffLines, diffArrays } = require('diff');
+
+const splitLines = (value) => {
+  const lines = value.split('\n');
+  // diffLines keeps the trailing newline on each chunk
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+// Compare two texts line by line. Each row is
+// { type: 'same' | 'changed' | 'removed' | 'added', left, right, leftLine, rightLine }
+// where left is the old text and right the new one.
+const sideBySide = (before = '', after = '') => {
+  const rows = [];
+  let leftLine = 1;
+  let rightLine = 1;
+  let removed = [];
+
+  // Removed lines followed by added lines are paired up as changes
+  const flushRemoved = (added = []) => {
+    const length = Math.max(removed.length, added.length);
+    for (let i = 0; i < length; i++) {
+      const left = removed[i];
+      const right = added[i];
+      rows.push({
+        type: left !== undefined && right !== undefined ? 'changed' : left !== undefined ? 'removed' : 'added',
+        left: left ?? null,
+        right: right ?? null,
+        leftLine: left !== undefined ? leftLine++ : null,
+        rightLine: right !== undefined ? rightLine++ : null,
+      });
+    }
+    removed = [];
+  };
+
+  for (const part of diffLines(String(before ?? ''), String(after ?? ''))) {
+    const lines = splitLines(part.value);
+    if (part.removed) {
+      removed.push(...lines);
+    } else if (part.added) {
+      flushRemoved(lines);
+    } else {
+      flushRemoved();
+      for (const line of lines) {
+        rows.push({ type: 'same', left: line, right: line, leftLine: leftLine++, rightLine: rightLine++ });
+      }
+    }
+  }
+  flushRemoved();
+
+  return rows;
+};
+
+// Compare two lists (e.g. tags): { added, removed, unchanged }
+const compareLists = (before = [], after = []) => {
+  const result = { added: [], removed: [], unchanged: [] };
+  for (const part of diffArrays(before || [], after || [])) {
+    const bucket = part.added ? result.added : part.removed ? result.removed : result.unchanged;
+    bucket.push(...part.value);
+  }
+  return result;
+};
+
+const hasChanges = (rows) => rows.some((row) => row.type !== 'same');
+
+module.exports = {
+  sideBySide,
+  compareLists,
+  hasChanges,
+};
@@ -0,0 +1,10 @@
+// server/services/errors.js - Errors that carry an HTTP status
+//
+// Thrown by helpers and caught by route handlers, which answer with
+// error.statusCode (or 500) and error.message.
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+module.exports = {
+  httpError,
+};
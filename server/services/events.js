@@ -0,0 +1,42 @@
+// server/services/events.js - In-process domain events
+//
+// Routes announce what happened ("a comment was approved") once the change is
+// saved; listeners such as notifications react to it without the route knowing
+// about them. Listeners run after the response path and never fail the request.
+
+const { EventEmitter } = require('events');
+
+const EVENTS = {
+  COMMENT_APPROVED: 'comment.approved',    // { commentId }
+  COMMENT_UPDATED: 'comment.updated',      // { commentId }
+  COMMENT_HIDDEN: 'comment.hidden',        // { commentId } - no longer approved (pending or spam)
+  COMMENT_DELETED: 'comment.deleted',      // { postId, commentId, softDeleted, removedIds }
+  USER_FOLLOWED: 'user.followed',          // { followerId, userId }
+  POST_PUBLISHED: 'post.published',        // { postId, actorId }
+  POST_ACCESS_CHANGED: 'post.access-changed', // { postId } - status or visibility changed, or deleted
+  POST_VIEWED: 'post.viewed',              // { postId, viewCount }
+  NOTIFICATIONS_CREATED: 'notifications.created', // { recipientIds }
+  SESSIONS_REVOKED: 'sessions.revoked',    // { userId } - some of the user's sessions were revoked
+};
+
+const emitter = new EventEmitter();
+
+// Announce an event. Listeners run asynchronously.
+const emitEvent = (name, payload) => {
+  emitter.emit(name, payload);
+};
+
+// Run an (async) listener for every event of a kind; errors are logged, not thrown
+const onEvent = (name, listener) => {
+  emitter.on(name, (payload) => {
+    Promise.resolve()
+      .then(() => listener(payload))
+      .catch((error) => console.error(`Error handling ${name} event:`, error));
+  });
+};
+
+module.exports = {
+  EVENTS,
+  emitEvent,
+  onEvent,
+};
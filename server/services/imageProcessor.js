@@ -0,0 +1,149 @@
+// server/services/imageProcessor.js - Generates responsive renditions for uploaded images
+const sharp = require('sharp');
+const { getAdapter, generateKey, saveBuffer } = require('../storage');
+const { httpError } = require('./errors');
+
+// Fixed rendition sizes, smallest first. Images are never enlarged.
+const RENDITIONS = [
+  { name: 'thumbnail', width: 320 },
+  { name: 'card', width: 800 },
+  { name: 'full', width: 1600 },
+];
+
+const RENDITION_NAMES = RENDITIONS.map((rendition) => rendition.name);
+
+// Square avatar sizes, cropped to fill
+const AVATAR_RENDITIONS = [
+  { name: 'small', width: 64, height: 64 },
+  { name: 'large', width: 256, height: 256 },
+];
+
+const AVATAR_RENDITION_NAMES = AVATAR_RENDITIONS.map((rendition) => rendition.name);
+
+const invalidImage = (message) => httpError(400, message);
+
+// Read a whole stored object into memory (uploads are capped at 5MB)
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Encode one rendition. Sharp drops EXIF/GPS and other metadata unless asked
+// to keep it, and rotate() bakes the EXIF orientation in before it is lost.
+// With a height as well, the image is cropped to fill the box.
+const encode = async (input, { width, height }, format) => {
+  const pipeline = input.clone().rotate().resize({ width, height, fit: 'cover', withoutEnlargement: true });
+
+  if (format === 'webp') {
+    pipeline.webp({ quality: 80 });
+  } else if (format === 'png') {
+    pipeline.png({ compressionLevel: 9 });
+  } else {
+    pipeline.jpeg({ quality: 82, mozjpeg: true });
+  }
+
+  return pipeline.toBuffer({ resolveWithObject: true });
+};
+
+// Cut a { left, top, width, height } region (pixels of the upright image) out
+// of the source. The result has no EXIF orientation left to apply.
+const cropImage = async (source, crop) => {
+  const region = {};
+  for (const side of ['left', 'top', 'width', 'height']) {
+    region[side] = Number.parseInt(crop[side], 10);
+    if (!Number.isInteger(region[side]) || region[side] < 0) {
+      throw invalidImage('Crop must have whole-pixel left, top, width and height');
+    }
+  }
+
+  const upright = await sharp(source, { limitInputPixels: 50 * 1000 * 1000 })
+    .rotate()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = upright.info;
+  if (!region.width || !region.height ||
+      region.left + region.width > width || region.top + region.height > height) {
+    throw invalidImage(`Crop must fit inside the ${width}x${height} image`);
+  }
+
+  return sharp(upright.data).extract(region).toBuffer();
+};
+
+// Replace a media file's original upload with metadata-free renditions.
+// The Media document ends up pointing at the largest rendition in the fallback format.
+// Options: renditions (defaults to RENDITIONS, smallest first) and an optional crop.
+const processImage = async (media, { renditions: sizes = RENDITIONS, crop = null } = {}) => {
+  const adapter = getAdapter(media.storage);
+  const originalKey = media.key;
+  let source = await readAll(media.createReadStream());
+
+  let input;
+  let metadata;
+  try {
+    if (crop) {
+      source = await cropImage(source, crop);
+    }
+    input = sharp(source, { limitInputPixels: 50 * 1000 * 1000 });
+    metadata = await input.metadata();
+  } catch (error) {
+    throw error.statusCode ? error : invalidImage('Uploaded file is not a valid image');
+  }
+
+  // Keep transparency where the source has it, everything else becomes JPEG
+  const fallbackFormat = metadata.hasAlpha ? 'png' : 'jpeg';
+  const renditions = [];
+
+  try {
+    for (const size of sizes) {
+      const { name } = size;
+      for (const format of [fallbackFormat, 'webp']) {
+        const { data, info } = await encode(input, size, format);
+        const key = generateKey(`${name}.${format === 'jpeg' ? 'jpg' : format}`);
+        const contentType = `image/${format}`;
+
+        await saveBuffer(adapter, key, data, { contentType });
+        renditions.push({
+          name,
+          format,
+          contentType,
+          width: info.width,
+          height: info.height,
+          size: info.size,
+          key,
+        });
+      }
+    }
+  } catch (error) {
+    // Don't leave half a rendition set behind
+    await Promise.all(renditions.map((rendition) => adapter.remove(rendition.key)));
+    throw error;
+  }
+
+  const largest = sizes[sizes.length - 1].name;
+  const full = renditions.find(
+    (rendition) => rendition.name === largest && rendition.format === fallbackFormat
+  );
+
+  media.renditions = renditions;
+  media.key = full.key;
+  media.contentType = full.contentType;
+  media.size = full.size;
+  media.width = full.width;
+  media.height = full.height;
+  await media.save();
+
+  // The original may carry EXIF/GPS data, so it is not kept
+  await adapter.remove(originalKey);
+
+  return media;
+};
+
+module.exports = {
+  RENDITIONS,
+  RENDITION_NAMES,
+  AVATAR_RENDITIONS,
+  AVATAR_RENDITION_NAMES,
+  processImage,
+};
@@ -0,0 +1,135 @@
+// server/services/markdown.js - Renders post Markdown to sanitized HTML with a table of contents
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const hljs = require('highlight.js');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const stripTags = (html) => html
+  .replace(/<[^>]*>/g, '')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'");
+
+// "Getting Started!" -> "getting-started"
+const slugifyHeading = (text) => text
+  .toLowerCase()
+  .trim()
+  .replace(/[^\p{L}\p{N}\s-]/gu, '')
+  .replace(/\s+/g, '-') || 'section';
+
+// Only what Markdown produces (plus highlight.js spans) survives; raw HTML in
+// posts is escaped by the renderer, this is the second line of defence.
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'strong', 'em', 'del', 'code', 'pre', 'span', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td', 'input',
+  ],
+  allowedAttributes: {
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+    a: ['href', 'title', 'class', 'aria-hidden', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    span: ['class'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+    input: ['type', 'checked', 'disabled'],
+  },
+  allowedClasses: {
+    code: ['hljs', /^language-[\w-]+$/],
+    span: [/^hljs-[\w-]+$/],
+    a: ['heading-anchor'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesAppliedToAttributes: ['href', 'src'],
+  transformTags: {
+    // External links open in a new tab and pass no referrer or ranking
+    a: (tagName, attribs) => {
+      if (/^https?:/i.test(attribs.href || '')) {
+        return {
+          tagName,
+          attribs: { ...attribs, rel: 'noopener noreferrer nofollow', target: '_blank' },
+        };
+      }
+      return { tagName, attribs };
+    },
+    // Task list checkboxes are display-only
+    input: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.type === 'checkbox' ? { ...attribs, disabled: '' } : {},
+    }),
+  },
+};
+
+const highlight = (code, lang) => {
+  const language = lang && hljs.getLanguage(lang) ? lang : null;
+  if (!language) {
+    return { html: escapeHtml(code), language: null };
+  }
+  return { html: hljs.highlight(code, { language, ignoreIllegals: true }).value, language };
+};
+
+// Render Markdown to { html, toc }. toc lists headings as { id, text, level }.
+const renderMarkdown = (markdown = '') => {
+  const toc = [];
+  const usedIds = new Map();
+
+  const marked = new Marked({ gfm: true });
+  marked.use({
+    renderer: {
+      heading({ tokens, depth }) {
+        const inner = this.parser.parseInline(tokens);
+        const text = stripTags(inner).trim();
+
+        // Repeated headings get -1, -2... so every anchor is unique
+        const base = slugifyHeading(text);
+        const seen = usedIds.get(base) || 0;
+        usedIds.set(base, seen + 1);
+        const id = seen ? `${base}-${seen}` : base;
+
+        toc.push({ id, text, level: depth });
+        return `<h${depth} id="${id}"><a class="heading-anchor" href="#${id}" aria-hidden="true">#</a>${inner}</h${depth}>\n`;
+      },
+      code({ text, lang }) {
+        const { html, language } = highlight(text, (lang || '').split(/\s+/)[0]);
+        const className = language ? `hljs language-${language}` : 'hljs';
+        return `<pre><code class="${className}">${html}</code></pre>\n`;
+      },
+      // Authors write Markdown, not HTML
+      html({ text }) {
+        return escapeHtml(text);
+      },
+    },
+  });
+
+  const html = sanitizeHtml(marked.parse(String(markdown)), SANITIZE_OPTIONS);
+  return { html, toc };
+};
+
+// Plain text of rendered HTML for summaries (feeds, structured data), cut at
+// maxLength on a word boundary
+const summarizeHtml = (html = '', maxLength = 200) => {
+  const text = stripTags(String(html)
+    .replace(/<a class="heading-anchor"[^>]*>#<\/a>/g, '')
+    .replace(/<[^>]*>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length).trimEnd()}…`;
+};
+
+module.exports = {
+  renderMarkdown,
+  summarizeHtml,
+  slugifyHeading,
+};
@@ -0,0 +1,45 @@
+// mediaStream.js - Sends a stored media file (or one of its renditions) as an HTTP response
+
+const { createETag, isFresh, notModified } = require('../middleware/cache');
+
+// Stream a Media document's file with validators and the given Cache-Control policy.
+// Answers 304 when the client's copy is fresh and 404 when storage has lost the file.
+const sendMedia = (req, res, media, { rendition = null, policy }) => {
+  const file = rendition || media;
+
+  // Storage keys are unique per stored file, so they make a natural strong validator
+  res.set('Cache-Control', policy);
+  if (isFresh(req, res, { etag: createETag('image', file.key), lastModified: media.updatedAt })) {
+    return notModified(res);
+  }
+
+  const stream = media.createReadStream(rendition);
+
+  stream.on('error', (error) => {
+    console.error('Error streaming image:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Cache-Control');
+    res.removeHeader('ETag');
+    res.removeHeader('Last-Modified');
+    res.status(404).json({
+      success: false,
+      error: 'Image not found'
+    });
+  });
+
+  // Set headers once the storage adapter has opened the file
+  stream.once('data', () => {
+    res.set('Content-Type', file.contentType);
+    if (file.size) {
+      res.set('Content-Length', String(file.size));
+    }
+  });
+
+  stream.pipe(res);
+};
+
+module.exports = {
+  sendMedia,
+};
@@ -0,0 +1,75 @@
+// server/services/notifications.js - Turns domain events into notifications
+
+const Notification = require('../models/Notification');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
+const { EVENTS, emitEvent, onEvent } = require('./events');
+
+// New posts with these visibilities are announced to the author's followers
+const ANNOUNCED_VISIBILITIES = ['public', 'members'];
+
+// Create notifications and let the recipients' open pages know
+const notify = async (recipientIds, notification) => {
+  const notified = await Notification.notify(recipientIds, notification);
+  if (notified.length) {
+    emitEvent(EVENTS.NOTIFICATIONS_CREATED, { recipientIds: notified });
+  }
+};
+
+// An approved comment: the parent comment's author hears about a reply, the
+// post's author about any comment (once, if they wrote the parent too)
+const commentApproved = async ({ commentId }) => {
+  const comment = await Comment.findById(commentId).select('post user parentId status');
+  if (!comment || comment.status !== 'approved') return;
+
+  const post = await Post.findById(comment.post).select('author');
+  if (!post) return;
+
+  const parent = comment.parentId
+    ? await Comment.findOne({ _id: comment.parentId, deletedAt: null }).select('user')
+    : null;
+  const about = { actor: comment.user, post: post._id, comment: comment._id };
+
+  if (parent) {
+    await notify([parent.user], { type: 'reply', ...about });
+  }
+  if (!parent || !parent.user.equals(post.author)) {
+    await notify([post.author], { type: 'comment', ...about });
+  }
+};
+
+const userFollowed = ({ followerId, userId }) => (
+  notify([userId], { type: 'follow', actor: followerId })
+);
+
+// A post went live: its author hears about it when someone else (an editor, or
+// the scheduler) published it, and the author's followers get the news
+const postPublished = async ({ postId, actorId = null }) => {
+  const post = await Post.findById(postId).select('author status visibility');
+  if (!post || post.status !== 'published') return;
+
+  await notify([post.author], { type: 'post_published', actor: actorId, post: post._id });
+
+  if (!ANNOUNCED_VISIBILITIES.includes(post.visibility || 'public')) return;
+  const follows = await Follow.find({ targetType: 'user', target: post.author }).select('follower').lean();
+  await notify(
+    follows.map((follow) => follow.follower),
+    { type: 'post_published', actor: post.author, post: post._id }
+  );
+};
+
+let registered = false;
+
+// Start turning events into notifications (once per process)
+const registerNotificationListeners = () => {
+  if (registered) return;
+  registered = true;
+  onEvent(EVENTS.COMMENT_APPROVED, commentApproved);
+  onEvent(EVENTS.USER_FOLLOWED, userFollowed);
+  onEvent(EVENTS.POST_PUBLISHED, postPublished);
+};
+
+module.exports = {
+  registerNotificationListeners,
+};
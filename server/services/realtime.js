@@ -0,0 +1,350 @@
+// server/services/realtime.js - Live updates over WebSockets
+//
+// Clients connect to /ws and talk JSON. They may sign in with the same access
+// token the REST API uses ({ type: 'auth', token }) and subscribe to rooms:
+//   posts       - "new posts available" for the home feed
+//   post:<id>   - comment inserts, edits and deletes, view counts and how many
+//                 people are reading, for one post the client may read
+// Signed-in sockets also get their unread notification count as it changes.
+// The token travels in a message rather than the URL, so it stays out of logs.
+// A socket stays signed in only as long as its token and session: when either
+// ends it is signed out ({ type: 'auth', ok: false, ended: true }) and can sign
+// in again with a refreshed token. Rooms are checked again whenever the
+// socket's identity or a post's status or visibility changes.
+
+const { WebSocketServer, WebSocket } = require('ws');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const { AUTHOR_FIELDS } = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { can } = require('../config/permissions');
+const { canView } = require('./visibility');
+const { EVENTS, onEvent } = require('./events');
+
+const WS_PATH = '/ws';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MAX_MESSAGE_BYTES = 4 * 1024;
+const MAX_ROOMS_PER_SOCKET = 20;
+
+// room name -> Set of sockets
+const rooms = new Map();
+const sockets = new Set();
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+// Send to everyone in a room (optionally only the sockets accept() lets through)
+const broadcast = (room, message, accept = () => true) => {
+  rooms.get(room)?.forEach((socket) => {
+    if (accept(socket)) send(socket, { ...message, room });
+  });
+};
+
+const postRoom = (postId) => `post:${postId}`;
+
+// "N people reading": open connections on the post
+const sendPresence = (room) => {
+  if (room.startsWith('post:')) {
+    broadcast(room, { type: 'presence', count: rooms.get(room)?.size || 0 });
+  }
+};
+
+// Whether a socket may subscribe to a room
+const canJoin = async (socket, room) => {
+  if (room === 'posts') return true;
+
+  const match = /^post:([a-f\d]{24})$/i.exec(room);
+  if (!match) return false;
+  const post = await Post.findById(match[1]).select('_id status author visibility');
+  return canView(socket.user, post);
+};
+
+const join = (socket, room) => {
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  rooms.get(room).add(socket);
+  socket.rooms.add(room);
+  sendPresence(room);
+};
+
+const leave = (socket, room) => {
+  const members = rooms.get(room);
+  if (!members) return;
+  members.delete(socket);
+  socket.rooms.delete(room);
+  if (members.size === 0) {
+    rooms.delete(room);
+  } else {
+    sendPresence(room);
+  }
+};
+
+const kick = (socket, room) => {
+  leave(socket, room);
+  send(socket, { type: 'unsubscribed', room });
+};
+
+// After signing in or out, drop rooms the socket may no longer read
+const recheckRooms = async (socket) => {
+  for (const room of [...socket.rooms]) {
+    if (!await canJoin(socket, room)) kick(socket, room);
+  }
+};
+
+// Run a task after the socket's earlier messages, one at a time
+const enqueue = (socket, task) => {
+  socket.queue = socket.queue
+    .then(task)
+    .catch((error) => {
+      console.error('Error handling WebSocket message:', error);
+      send(socket, { type: 'error', error: 'Something went wrong' });
+    });
+};
+
+const setIdentity = (socket, { user = null, session = null, expiresAt = null } = {}) => {
+  socket.user = user;
+  socket.sessionId = session?.id || null;
+  socket.authExpiresAt = expiresAt;
+};
+
+const authenticate = async (socket, token) => {
+  setIdentity(socket);
+  let error = null;
+  if (token) {
+    try {
+      setIdentity(socket, await authenticateToken(String(token)));
+    } catch (authError) {
+      error = authError.message;
+    }
+  }
+  await recheckRooms(socket);
+  send(socket, { type: 'auth', ok: !error, userId: socket.user?.id || null, ...(error && { error }) });
+};
+
+// The socket's access token expired or its session was revoked. Queued behind
+// its messages, so stillEnded() tells whether it hasn't signed in again since.
+const signOut = (socket, error, stillEnded) => enqueue(socket, async () => {
+  if (!socket.user || !stillEnded()) return;
+  setIdentity(socket);
+  await recheckRooms(socket);
+  send(socket, { type: 'auth', ok: false, userId: null, error, ended: true });
+});
+
+// Sign out signed-in sockets (optionally only one user's) whose session ended
+const checkSessions = async (userId = null) => {
+  const signedIn = [...sockets].filter((socket) => socket.user &&
+    (!userId || String(socket.user._id) === String(userId)));
+  if (signedIn.length === 0) return;
+
+  const active = await Session.find({
+    _id: { $in: [...new Set(signedIn.map((socket) => socket.sessionId))] },
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).distinct('_id');
+  const activeIds = new Set(active.map(String));
+
+  signedIn
+    .filter((socket) => !activeIds.has(socket.sessionId))
+    .forEach((socket) => {
+      const { sessionId } = socket;
+      signOut(socket, 'Session has ended, please log in again', () => socket.sessionId === sessionId);
+    });
+};
+
+const signOutExpired = () => {
+  const now = new Date();
+  sockets.forEach((socket) => {
+    if (socket.user && socket.authExpiresAt <= now) {
+      signOut(socket, 'Token expired', () => socket.authExpiresAt <= new Date());
+    }
+  });
+};
+
+const subscribe = async (socket, room) => {
+  if (socket.rooms.has(room)) {
+    return send(socket, { type: 'subscribed', room });
+  }
+  if (socket.rooms.size >= MAX_ROOMS_PER_SOCKET) {
+    return send(socket, { type: 'error', room, error: 'Too many subscriptions' });
+  }
+  if (!await canJoin(socket, room)) {
+    return send(socket, { type: 'error', room, error: 'Room not found' });
+  }
+  join(socket, room);
+  send(socket, { type: 'subscribed', room });
+};
+
+const handleMessage = async (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return send(socket, { type: 'error', error: 'Messages must be JSON' });
+  }
+
+  switch (message?.type) {
+    case 'auth':
+      return authenticate(socket, message.token);
+    case 'subscribe':
+      return subscribe(socket, String(message.room));
+    case 'unsubscribe':
+      leave(socket, String(message.room));
+      return send(socket, { type: 'unsubscribed', room: String(message.room) });
+    default:
+      return send(socket, { type: 'error', error: 'Unknown message type' });
+  }
+};
+
+const handleConnection = (socket) => {
+  setIdentity(socket);
+  socket.rooms = new Set();
+  socket.isAlive = true;
+  // Handle one message at a time, so "subscribe" right after "auth" sees the user
+  socket.queue = Promise.resolve();
+  sockets.add(socket);
+
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+  socket.on('message', (raw) => enqueue(socket, () => handleMessage(socket, raw)));
+  socket.on('close', () => {
+    sockets.delete(socket);
+    [...socket.rooms].forEach((room) => leave(socket, room));
+  });
+};
+
+// Event listeners: turn domain events into messages
+
+const commentCountOf = async (postId) => {
+  const post = await Post.findById(postId).select('commentCount').lean();
+  return post?.commentCount || 0;
+};
+
+const commentApproved = async ({ commentId }) => {
+  const comment = await Comment.findById(commentId).populate('user', AUTHOR_FIELDS);
+  if (!comment || comment.status !== 'approved') return;
+
+  broadcast(postRoom(comment.post), {
+    type: 'comment.created',
+    data: { ...comment.toJSONForThread(), replies: [] },
+    commentCount: await commentCountOf(comment.post),
+  });
+};
+
+const commentUpdated = async ({ commentId }) => {
+  const comment = await Comment.findById(commentId).select('post content editedAt status deletedAt');
+  if (!comment || comment.status !== 'approved' || comment.deletedAt) return;
+
+  broadcast(postRoom(comment.post), {
+    type: 'comment.updated',
+    data: { _id: comment._id, content: comment.content, editedAt: comment.editedAt },
+  });
+};
+
+// Moderators and the comment's author still see a comment that went back to
+// pending or spam; everyone else sees it go
+const commentHidden = async ({ commentId }) => {
+  const comment = await Comment.findById(commentId).select('post user');
+  if (!comment) return;
+
+  broadcast(
+    postRoom(comment.post),
+    {
+      type: 'comment.deleted',
+      data: { commentId: comment._id, softDeleted: false, removedIds: [comment._id] },
+      commentCount: await commentCountOf(comment.post),
+    },
+    (socket) => !can(socket.user, 'comments:moderate') && !comment.user.equals(socket.user?._id)
+  );
+};
+
+const commentDeleted = async ({ postId, commentId, softDeleted, removedIds }) => {
+  broadcast(postRoom(postId), {
+    type: 'comment.deleted',
+    data: { commentId, softDeleted, removedIds },
+    commentCount: await commentCountOf(postId),
+  });
+};
+
+const postViewed = ({ postId, viewCount }) => {
+  broadcast(postRoom(postId), { type: 'post.views', data: { viewCount } });
+};
+
+// Tell home feeds about a post they would list
+const postPublished = async ({ postId }) => {
+  const post = await Post.findById(postId).select('_id status author visibility');
+  if (!post || post.status !== 'published' || post.visibility === 'unlisted') return;
+
+  broadcast('posts', { type: 'posts.new', data: { postId: post._id } }, (socket) => canView(socket.user, post));
+};
+
+// A post was hidden from some readers (or deleted): drop them from its room
+const postAccessChanged = async ({ postId }) => {
+  const room = postRoom(postId);
+  if (!rooms.has(room)) return;
+
+  const post = await Post.findById(postId).select('_id status author visibility');
+  [...rooms.get(room)]
+    .filter((socket) => !canView(socket.user, post))
+    .forEach((socket) => kick(socket, room));
+};
+
+const sessionsRevoked = ({ userId }) => checkSessions(userId);
+
+const notificationsCreated = async ({ recipientIds }) => {
+  const recipients = new Set(recipientIds.map(String));
+  const targets = [...sockets].filter((socket) => socket.user && recipients.has(String(socket.user._id)));
+
+  const counts = new Map();
+  for (const socket of targets) {
+    const userId = String(socket.user._id);
+    if (!counts.has(userId)) {
+      counts.set(userId, await Notification.countDocuments({ recipient: userId, readAt: null }));
+    }
+    send(socket, { type: 'notifications', data: { unreadCount: counts.get(userId) } });
+  }
+};
+
+// Serve WebSockets on an HTTP server (the one app.listen returns)
+const attachRealtime = (server) => {
+  const wss = new WebSocketServer({ server, path: WS_PATH, maxPayload: MAX_MESSAGE_BYTES });
+  wss.on('connection', handleConnection);
+
+  // Drop connections that stopped answering pings, and sign out sockets whose
+  // token expired or whose session was revoked without an event (refresh token reuse)
+  const heartbeat = setInterval(() => {
+    signOutExpired();
+    checkSessions().catch((error) => console.error('Error checking WebSocket sessions:', error));
+    sockets.forEach((socket) => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  onEvent(EVENTS.COMMENT_APPROVED, commentApproved);
+  onEvent(EVENTS.COMMENT_UPDATED, commentUpdated);
+  onEvent(EVENTS.COMMENT_HIDDEN, commentHidden);
+  onEvent(EVENTS.COMMENT_DELETED, commentDeleted);
+  onEvent(EVENTS.POST_VIEWED, postViewed);
+  onEvent(EVENTS.POST_PUBLISHED, postPublished);
+  onEvent(EVENTS.POST_ACCESS_CHANGED, postAccessChanged);
+  onEvent(EVENTS.NOTIFICATIONS_CREATED, notificationsCreated);
+  onEvent(EVENTS.SESSIONS_REVOKED, sessionsRevoked);
+
+  return wss;
+};
+
+module.exports = {
+  WS_PATH,
+  attachRealtime,
+};
@@ -0,0 +1,74 @@
+// server/services/scheduler.js - Publishes scheduled posts once they are due
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const { EVENTS, emitEvent } = require('./events');
+
+let timer = null;
+let running = false;
+
+// Publish every scheduled post whose time has come. Each post is claimed with a
+// conditional update, so several server instances can run the scheduler safely.
+const publishDuePosts = async (now = new Date()) => {
+  const due = await Post.find({ status: 'scheduled', scheduledFor: { $lte: now } })
+    .select('_id scheduledFor publishedAt')
+    .lean();
+
+  const published = [];
+  for (const { _id, scheduledFor, publishedAt } of due) {
+    const post = await Post.findOneAndUpdate(
+      { _id, status: 'scheduled' },
+      {
+        status: 'published',
+        publishedAt: publishedAt || scheduledFor,
+        scheduledFor: null,
+      },
+      { new: true }
+    );
+    if (post) {
+      published.push(post);
+      emitEvent(EVENTS.POST_PUBLISHED, { postId: post._id });
+    }
+  }
+
+  // Published posts now count in their categories and tags
+  await Category.refreshCounts(published.map((post) => post.category));
+  await Tag.refreshCounts(published.flatMap((post) => post.tags));
+
+  return published;
+};
+
+const tick = async () => {
+  // Skip a tick rather than overlap a slow run
+  if (running) return;
+  running = true;
+  try {
+    const published = await publishDuePosts();
+    published.forEach((post) => console.log(`📅 Published scheduled post "${post.title}"`));
+  } catch (error) {
+    console.error('Error publishing scheduled posts:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Check for due posts now and then every POST_SCHEDULER_INTERVAL_MS (default one minute)
+const startScheduler = () => {
+  if (timer) return;
+  const interval = parseInt(process.env.POST_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+  tick();
+  timer = setInterval(tick, interval);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  publishDuePosts,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,263 @@
+// server/services/search.js - Full-text post search: query parsing, ranking, facets and snippets
+//
+// Ranking uses the Post text index (see models/Post.js), which weights
+// title > tags > excerpt > content. Queries understand:
+//   tag:react  author:jane  category:tech  category:"web development"  "exact phrase"
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { AUTHOR_FIELDS } = User;
+const Category = require('../models/Category');
+const { withImageAccess } = require('./visibility');
+
+const FILTER_KEYS = { tag: 'tags', author: 'authors', category: 'categories' };
+
+const SNIPPET_RADIUS = 80;
+const FACET_LIMIT = 10;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Split a query into free-text terms, quoted phrases and field filters
+const parseQuery = (query = '') => {
+  const parsed = { terms: [], phrases: [], tags: [], authors: [], categories: [] };
+  const pattern = /(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(String(query))) !== null) {
+    const [, key, quoted, bare] = match;
+    const value = (quoted ?? bare).trim();
+    if (!value) continue;
+
+    const filter = key && FILTER_KEYS[key.toLowerCase()];
+    if (filter) {
+      parsed[filter].push(value);
+    } else if (key) {
+      // Unknown "key:value" is just text
+      parsed.terms.push(`${key}:${value}`);
+    } else if (quoted !== undefined) {
+      parsed.phrases.push(value);
+    } else {
+      parsed.terms.push(value);
+    }
+  }
+
+  return parsed;
+};
+
+// The $text search string: terms are OR-ed, phrases must all appear
+const textSearchString = ({ terms, phrases }) => [
+  ...terms,
+  ...phrases.map((phrase) => `"${phrase.replace(/"/g, '')}"`),
+].join(' ');
+
+const exactly = (value) => new RegExp(`^${escapeRegExp(value)}$`, 'i');
+
+// A post has a single author and category, so asking for two different ones matches nothing
+const single = (values) => {
+  const distinct = [...new Set(values.map((value) => value.toLowerCase()))];
+  return distinct.length === 1 ? values[0] : null;
+};
+
+// Turn tag/author/category filters into a Post query. Returns null when a
+// filter can't match anything (unknown author, two categories...).
+const resolveFilters = async ({ tags, authors, categories }) => {
+  const filter = {};
+
+  if (tags.length) {
+    filter.tags = { $all: tags.map(exactly) };
+  }
+
+  if (authors.length) {
+    const username = single(authors);
+    const user = username && await User.findOne({ username: exactly(username) }).select('_id');
+    if (!user) return null;
+    filter.author = user._id;
+  }
+
+  if (categories.length) {
+    const name = single(categories);
+    const category = name && await Category.findOne({
+      $or: [{ slug: name.toLowerCase() }, { name: exactly(name) }],
+    }).select('_id');
+    if (!category) return null;
+    filter.category = category._id;
+  }
+
+  return filter;
+};
+
+// Strip Markdown down to readable text for snippets
+const plainText = (markdown = '') => String(markdown)
+  .replace(/```[\s\S]*?```/g, ' ')
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/[#>*_`~|-]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Match searched words and the words they stem from ("running" -> "runn...")
+const highlightPattern = ({ terms, phrases }) => {
+  const words = terms.map((term) => {
+    const stem = term.length > 5 ? term.slice(0, term.length - 2) : term;
+    return `${escapeRegExp(stem)}\\w*`;
+  });
+  const sources = [...phrases.map(escapeRegExp), ...words].filter(Boolean);
+  return sources.length ? new RegExp(`(${sources.join('|')})`, 'gi') : null;
+};
+
+// Escape text and wrap matches in <mark>
+const markMatches = (text, pattern) => {
+  if (!pattern) return escapeHtml(text);
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    html += escapeHtml(text.slice(last, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+};
+
+// A window of text around the first match, with matches highlighted
+const snippetFor = (text, pattern) => {
+  const plain = plainText(text);
+  const first = pattern ? plain.search(new RegExp(pattern.source, 'i')) : -1;
+
+  let start = Math.max(0, (first === -1 ? 0 : first) - SNIPPET_RADIUS);
+  let end = Math.min(plain.length, start + SNIPPET_RADIUS * 2);
+  // Don't cut words in half
+  if (start > 0) start = plain.indexOf(' ', start) + 1 || start;
+  if (end < plain.length) end = plain.lastIndexOf(' ', end) > start ? plain.lastIndexOf(' ', end) : end;
+
+  return `${start > 0 ? '… ' : ''}${markMatches(plain.slice(start, end), pattern)}${end < plain.length ? ' …' : ''}`;
+};
+
+// Facet counts over everything that matched (not just the current page)
+const facetStages = {
+  categories: [
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: FACET_LIMIT },
+    { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+    { $unwind: '$category' },
+    { $project: { _id: 0, id: '$_id', name: '$category.name', slug: '$category.slug', count: 1 } },
+  ],
+  tags: [
+    { $unwind: '$tags' },
+    { $group: { _id: { $toLower: '$tags' }, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT },
+    { $project: { _id: 0, name: '$_id', count: 1 } },
+  ],
+  authors: [
+    { $group: { _id: '$author', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: FACET_LIMIT },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'author' } },
+    { $unwind: '$author' },
+    { $project: { _id: 0, id: '$_id', username: '$author.username', count: 1 } },
+  ],
+};
+
+const emptyResults = (page, limit) => ({
+  results: [],
+  facets: { categories: [], tags: [], authors: [] },
+  pagination: { page, limit, total: 0, pages: 0 },
+});
+
+// Search posts visible under `scope` (a Post query). Results are ranked by
+// relevance when the query has text, newest first when it only has filters.
+const searchPosts = async (query, { page = 1, limit = 10, scope = { status: 'published' } } = {}) => {
+  const parsed = parseQuery(query);
+  const filters = await resolveFilters(parsed);
+  if (!filters) return emptyResults(page, limit);
+
+  const text = textSearchString(parsed);
+  const match = { ...scope, ...filters };
+  if (text) {
+    match.$text = { $search: text };
+  }
+
+  const sort = text
+    ? { score: -1, publishedAt: -1 }
+    : { publishedAt: -1, createdAt: -1 };
+
+  const [{ results, total, ...facets }] = await Post.aggregate([
+    { $match: match },
+    ...(text ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    {
+      $facet: {
+        results: [
+          { $sort: sort },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { contentHtml: 0, toc: 0 } },
+        ],
+        total: [{ $count: 'count' }],
+        ...facetStages,
+      },
+    },
+  ]);
+
+  const populated = await Post.populate(results, [
+    { path: 'author', select: AUTHOR_FIELDS },
+    { path: 'category', select: 'name slug' },
+    { path: 'featuredImage', select: 'width height renditions.name renditions.format renditions.width renditions.height' },
+  ]);
+
+  const pattern = highlightPattern(parsed);
+  const count = total[0]?.count || 0;
+
+  return {
+    results: populated.map(({ content, ...post }) => ({
+      ...withImageAccess(post),
+      highlights: {
+        title: markMatches(post.title, pattern),
+        snippet: snippetFor(post.excerpt && !text ? post.excerpt : content, pattern),
+      },
+    })),
+    facets,
+    pagination: { page, limit, total: count, pages: Math.ceil(count / limit) },
+  };
+};
+
+// Titles and tags starting with what has been typed so far, for autocomplete
+const suggest = async (prefix, { limit = 5, scope = { status: 'published' } } = {}) => {
+  const value = String(prefix || '').trim();
+  if (value.length < 2) return [];
+
+  const startsWord = new RegExp(`(^|\\s)${escapeRegExp(value)}`, 'i');
+  const [posts, tags] = await Promise.all([
+    Post.find({ ...scope, title: startsWord })
+      .select('title slug')
+      .sort({ viewCount: -1 })
+      .limit(limit)
+      .lean(),
+    Post.aggregate([
+      { $match: { ...scope, tags: new RegExp(`^${escapeRegExp(value)}`, 'i') } },
+      { $unwind: '$tags' },
+      { $match: { tags: new RegExp(`^${escapeRegExp(value)}`, 'i') } },
+      { $group: { _id: { $toLower: '$tags' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: limit },
+    ]),
+  ]);
+
+  return [
+    ...tags.map((tag) => ({ type: 'tag', value: tag._id, count: tag.count })),
+    ...posts.map((post) => ({ type: 'post', value: post.title, id: post._id, slug: post.slug })),
+  ];
+};
+
+module.exports = {
+  parseQuery,
+  searchPosts,
+  suggest,
+  escapeRegExp,
+};
@@ -0,0 +1,48 @@
+// server/services/sitemap.js - Sitemap protocol (sitemaps.org) XML and robots.txt
+//
+// A sitemap file holds at most 50,000 URLs and 50 MB, so routes/sitemaps.js
+// splits each kind of page into numbered files and lists them in an index.
+
+const { element } = require('./xml');
+
+const SITEMAP_URL_LIMIT = 50000;
+
+const SITEMAP_NS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+// W3C datetime, as the protocol asks for
+const lastmod = (date) => (date ? element('lastmod', {}, new Date(date).toISOString()) : '');
+
+// <urlset> for entries of { loc, lastmod }
+const renderUrlSet = (entries) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  `<urlset xmlns="${SITEMAP_NS}">`,
+  ...entries.map((entry) => `<url>${element('loc', {}, entry.loc)}${lastmod(entry.lastmod)}</url>`),
+  '</urlset>',
+].join('\n');
+
+// <sitemapindex> for child sitemaps of { loc, lastmod }
+const renderSitemapIndex = (sitemaps) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  `<sitemapindex xmlns="${SITEMAP_NS}">`,
+  ...sitemaps.map((sitemap) => `<sitemap>${element('loc', {}, sitemap.loc)}${lastmod(sitemap.lastmod)}</sitemap>`),
+  '</sitemapindex>',
+].join('\n');
+
+// robots.txt: keep crawlers out of the API (except post images) and the
+// signed-in parts of the client, and point them at the sitemap index
+const renderRobots = ({ disallowAll, privatePaths, sitemapUrl }) => [
+  'User-agent: *',
+  ...(disallowAll
+    ? ['Disallow: /']
+    : ['Allow: /api/posts/*/image', 'Disallow: /api/', ...privatePaths.map((path) => `Disallow: ${path}`)]),
+  '',
+  `Sitemap: ${sitemapUrl}`,
+  '',
+].join('\n');
+
+module.exports = {
+  SITEMAP_URL_LIMIT,
+  renderUrlSet,
+  renderSitemapIndex,
+  renderRobots,
+};
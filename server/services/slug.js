@@ -0,0 +1,123 @@
+// server/services/slug.js - URL slugs for posts and categories
+//
+// Slugs are transliterated to ASCII where there's a common romanization
+// ("Café ñandú" -> "cafe-nandu", "Привет мир" -> "privet-mir"); scripts without
+// one (CJK, Arabic, Hebrew, ...) keep their letters, which are valid in URLs.
+// A slug only changes when someone edits it, and the slugs a document had
+// before are kept (previousSlugs) so old links can redirect to the current one.
+
+const MAX_SLUG_LENGTH = 80;
+
+// Letters that don't decompose into a base letter plus accents
+const LATIN = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', þ: 'th', ł: 'l', ı: 'i', ħ: 'h',
+  ŧ: 't', ŋ: 'n', ĸ: 'k', ſ: 's', ƒ: 'f', '&': ' and ',
+};
+
+// Russian, Ukrainian, Belarusian, Serbian, Macedonian and Bulgarian letters
+const CYRILLIC = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'zh', з: 'z', и: 'i',
+  й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+  у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '',
+  э: 'e', ю: 'yu', я: 'ya', є: 'ye', і: 'i', ї: 'yi', ґ: 'g', ў: 'u', ђ: 'dj', ј: 'j',
+  љ: 'lj', њ: 'nj', ћ: 'c', џ: 'dz', ѓ: 'gj', ќ: 'kj', ѕ: 'dz',
+};
+
+const GREEK = {
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k',
+  λ: 'l', μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't',
+  υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o',
+};
+
+const CHARACTERS = { ...LATIN, ...CYRILLIC, ...GREEK };
+
+const mapCharacters = (text) => [...text].map((char) => CHARACTERS[char] ?? char).join('');
+
+// Drop accents from Latin and Greek letters ("é" -> "e", "ά" -> "α")
+const stripAccents = (text) => text
+  .normalize('NFKD')
+  .replace(/([\p{Script=Latin}\p{Script=Greek}])\p{M}+/gu, '$1')
+  .normalize('NFC');
+
+// Romanize what we can. Mapping runs before and after stripping accents: before
+// so letters like "й" and "ё" keep their own spelling, after for accented Greek.
+const transliterate = (text) => mapCharacters(
+  stripAccents(mapCharacters(String(text).normalize('NFC').toLowerCase()))
+);
+
+// "Café ñandú!" -> "cafe-nandu"; '' when nothing usable is left
+const slugify = (text) => transliterate(text)
+  .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+  .replace(/^-+/, '')
+  .slice(0, MAX_SLUG_LENGTH)
+  .replace(/-+$/, '');
+
+// Mongoose plugin: a unique `slug` generated from the `from` field when none is
+// given, plus the slug history. `fallback` is the slug for text that has none.
+const slugHistory = (schema, { from, fallback }) => {
+  schema.add({
+    // Slugs the document had before, newest last; old links redirect from these
+    previousSlugs: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+  });
+
+  // Whether another document uses the slug now or used it before
+  schema.statics.slugTaken = async function (slug, excludeId = null) {
+    const filter = { $or: [{ slug }, { previousSlugs: slug }] };
+    if (excludeId) {
+      filter._id = { $ne: excludeId };
+    }
+    return Boolean(await this.exists(filter));
+  };
+
+  // A free slug for the text: "title", then "title-1", "title-2", ...
+  schema.statics.generateUniqueSlug = async function (text, excludeId = null) {
+    const base = slugify(text) || fallback;
+    let slug = base;
+    let counter = 1;
+
+    while (await this.slugTaken(slug, excludeId)) {
+      slug = `${base}-${counter}`;
+      counter++;
+    }
+    return slug;
+  };
+
+  // The document a retired slug used to belong to
+  schema.statics.findByPreviousSlug = function (slug) {
+    return this.findOne({ previousSlugs: slug });
+  };
+
+  // History after moving from the current slug to `slug`; reclaiming an old
+  // slug takes it back out of the history
+  schema.methods.retiredSlugs = function (slug, current = this.slug) {
+    const history = (this.previousSlugs || []).filter((previous) => previous !== slug && previous !== current);
+    return current && current !== slug ? [...history, current] : history;
+  };
+
+  schema.post('init', function () {
+    this.$locals.savedSlug = this.slug;
+  });
+
+  schema.pre('validate', async function () {
+    if (!this.slug) {
+      this.slug = await this.constructor.generateUniqueSlug(this[from], this._id);
+    } else if (!this.isNew && this.isModified('slug')) {
+      this.previousSlugs = this.retiredSlugs(this.slug, this.$locals.savedSlug);
+    }
+  });
+
+  schema.post('save', function () {
+    this.$locals.savedSlug = this.slug;
+  });
+};
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  transliterate,
+  slugify,
+  slugHistory,
+};
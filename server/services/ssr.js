@@ -0,0 +1,106 @@
+// server/services/ssr.js - Renders the React client on the server (SSR=true)
+//
+// The client's production build (client/dist) is the page template and the
+// SSR bundle (client/dist-ssr/entry-server.js, `npm run build:ssr`) renders the
+// app to HTML. routes/ssr.js loads each page's data and meta tags; this module
+// puts the page together: <title>, description, Open Graph and Twitter card tags
+// and JSON-LD in the head, the rendered app in #root, and the data as
+// window.__INITIAL_DATA__ so the client can hydrate it.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { siteName } = require('../config/site');
+const { escapeXml } = require('./xml');
+
+const CLIENT_DIR = path.join(__dirname, '..', '..', 'client');
+const DIST_DIR = path.join(CLIENT_DIR, 'dist');
+const SERVER_ENTRY = path.join(CLIENT_DIR, 'dist-ssr', 'entry-server.js');
+
+let template = null;
+let renderer = null;
+
+// Built once per process; restart the server after rebuilding the client
+const loadTemplate = () => {
+  template = template || fs.readFile(path.join(DIST_DIR, 'index.html'), 'utf8');
+  return template.catch((error) => {
+    template = null;
+    throw error;
+  });
+};
+
+const loadRenderer = () => {
+  renderer = renderer || import(pathToFileURL(SERVER_ENTRY).href);
+  return renderer.catch((error) => {
+    renderer = null;
+    throw error;
+  });
+};
+
+// JSON that is safe inside a <script>: "<" can't close the tag or open a comment
+const scriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const metaTag = (attribute, key, content) => (
+  content ? `<meta ${attribute}="${key}" content="${escapeXml(content)}" />` : ''
+);
+
+// Head tags for a page's meta: { title, description, url, type, image,
+// publishedTime, modifiedTime, author, jsonLd }
+const headTags = (meta) => {
+  const title = meta.title ? `${meta.title} | ${siteName()}` : siteName();
+  return [
+    `<title>${escapeXml(title)}</title>`,
+    metaTag('name', 'description', meta.description),
+    meta.url && `<link rel="canonical" href="${escapeXml(meta.url)}" />`,
+    metaTag('property', 'og:site_name', siteName()),
+    metaTag('property', 'og:type', meta.type || 'website'),
+    metaTag('property', 'og:title', meta.title || siteName()),
+    metaTag('property', 'og:description', meta.description),
+    metaTag('property', 'og:url', meta.url),
+    metaTag('property', 'og:image', meta.image),
+    metaTag('property', 'article:published_time', meta.publishedTime),
+    metaTag('property', 'article:modified_time', meta.modifiedTime),
+    metaTag('property', 'article:author', meta.author),
+    metaTag('name', 'twitter:card', meta.image ? 'summary_large_image' : 'summary'),
+    metaTag('name', 'twitter:title', meta.title || siteName()),
+    metaTag('name', 'twitter:description', meta.description),
+    metaTag('name', 'twitter:image', meta.image),
+    ...(meta.jsonLd || []).map((data) => `<script type="application/ld+json">${scriptJson(data)}</script>`),
+  ].filter(Boolean).join('\n    ');
+};
+
+// <link>/<meta> tags React hoists (e.g. FeedLinks) come first in renderToString's
+// output; they belong in the head, not in #root where hydration would trip over them
+const splitHoisted = (html) => {
+  const match = /^(?:<(?:link|meta)\b[^>]*\/?>)+/.exec(html);
+  return match ? [match[0], html.slice(match[0].length)] : ['', html];
+};
+
+// Full HTML for a page rendered with initialData (keys as in client/src/services/initialData.js)
+const renderPage = async (url, { initialData, meta }) => {
+  const [page, { render }] = await Promise.all([loadTemplate(), loadRenderer()]);
+  const [hoisted, appHtml] = splitHoisted(render(url, initialData));
+
+  const head = [
+    headTags(meta),
+    hoisted,
+    `<script>window.__INITIAL_DATA__ = ${scriptJson(initialData)};</script>`,
+  ].filter(Boolean).join('\n    ');
+
+  // Replacer functions, so "$" in the content is never a pattern
+  return page
+    .replace(/<title>[^<]*<\/title>\s*/, () => '')
+    .replace('<!--ssr-head-->', () => head)
+    .replace('<!--ssr-outlet-->', () => appHtml);
+};
+
+// The client app without server-rendered content, for client-only routes
+const renderShell = async () => (await loadTemplate())
+  .replace('<!--ssr-head-->', '')
+  .replace('<!--ssr-outlet-->', '');
+
+module.exports = {
+  DIST_DIR,
+  renderPage,
+  renderShell,
+};
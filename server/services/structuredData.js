@@ -0,0 +1,82 @@
+// server/services/structuredData.js - schema.org JSON-LD for posts
+//
+// Search engines read BlogPosting (what the page is, who wrote it, when) and
+// BreadcrumbList (where it sits: home > categories > post) from a
+// <script type="application/ld+json"> on the post page.
+
+const Category = require('../models/Category');
+const { siteName, clientUrl } = require('../config/site');
+const { summarizeHtml } = require('./markdown');
+const { isPublic } = require('./visibility');
+
+// Google truncates longer headlines
+const MAX_HEADLINE_LENGTH = 110;
+
+const blogPosting = (post, origin) => {
+  const url = clientUrl(`/posts/${post.slug}`);
+  const author = post.author || {};
+  const words = String(post.content || '').split(/\s+/).filter(Boolean).length;
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    '@id': url,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    url,
+    headline: post.title.slice(0, MAX_HEADLINE_LENGTH),
+    description: post.excerpt || summarizeHtml(post.contentHtml),
+    datePublished: (post.publishedAt || post.createdAt)?.toISOString(),
+    dateModified: post.updatedAt?.toISOString(),
+    author: {
+      '@type': 'Person',
+      name: author.displayName || author.username,
+      ...(author.username && { url: clientUrl(`/authors/${encodeURIComponent(author.username)}`) }),
+    },
+    publisher: { '@type': 'Organization', name: siteName(), url: clientUrl('/') },
+    // Crawlers can only fetch images of public posts
+    ...(post.featuredImage && isPublic(post) && {
+      image: `${origin}/api/posts/${post._id}/image?v=${post.featuredImage._id || post.featuredImage}`,
+    }),
+    ...(post.category?.name && { articleSection: post.category.name }),
+    ...(post.tags?.length && { keywords: post.tags.join(', ') }),
+    wordCount: words,
+    commentCount: post.commentCount || 0,
+  };
+};
+
+const breadcrumbList = async (post) => {
+  const trail = [{ name: siteName(), url: clientUrl('/') }];
+
+  if (post.category?._id) {
+    const category = await Category.findById(post.category._id).select('name slug parent');
+    if (category) {
+      const ancestors = await category.ancestors();
+      [...ancestors, category].forEach((entry) => {
+        trail.push({ name: entry.name, url: clientUrl(`/categories/${entry.slug}`) });
+      });
+    }
+  }
+  trail.push({ name: post.title, url: clientUrl(`/posts/${post.slug}`) });
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: trail.map((entry, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: entry.name,
+      item: entry.url,
+    })),
+  };
+};
+
+// JSON-LD documents for a post with author and category populated. origin is
+// where the API is reached (config/site apiOrigin), for image URLs.
+const postStructuredData = async (post, origin) => [
+  blogPosting(post, origin),
+  await breadcrumbList(post),
+];
+
+module.exports = {
+  postStructuredData,
+};
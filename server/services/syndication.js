@@ -0,0 +1,111 @@
+// server/services/syndication.js - Renders posts as RSS 2.0, Atom 1.0 and JSON Feed 1.1
+//
+// routes/syndication.js describes a feed once ({ title, description, homeUrl,
+// feedUrl, updated, items }) and picks a renderer by file name. Items carry
+// absolute URLs and either the full rendered HTML or just a summary.
+
+const { summarizeHtml } = require('./markdown');
+const { element } = require('./xml');
+
+const GENERATOR = 'MERN Blog';
+
+// Plain-text summary: the post's excerpt, or the start of its text
+const summarize = (post) => post.excerpt || summarizeHtml(post.contentHtml);
+
+const renderRss = (feed) => {
+  const items = feed.items.map((item) => [
+    '<item>',
+    element('title', {}, item.title),
+    element('link', {}, item.url),
+    element('guid', { isPermaLink: 'false' }, item.id),
+    element('pubDate', {}, item.published.toUTCString()),
+    element('dc:creator', {}, item.author.name),
+    ...item.categories.map((category) => element('category', {}, category)),
+    element('description', {}, item.summary),
+    item.contentHtml !== null && element('content:encoded', {}, item.contentHtml),
+    item.image && element('enclosure', { url: item.image.url, length: item.image.size, type: item.image.type }),
+    '</item>',
+  ].filter(Boolean).join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" ' +
+      'xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '<channel>',
+    element('title', {}, feed.title),
+    element('link', {}, feed.homeUrl),
+    element('description', {}, feed.description),
+    element('atom:link', { href: feed.feedUrl, rel: 'self', type: 'application/rss+xml' }),
+    element('lastBuildDate', {}, feed.updated.toUTCString()),
+    element('generator', {}, GENERATOR),
+    ...items,
+    '</channel>',
+    '</rss>',
+  ].join('\n');
+};
+
+const renderAtom = (feed) => {
+  const entries = feed.items.map((item) => [
+    '<entry>',
+    element('id', {}, item.id),
+    element('title', {}, item.title),
+    element('link', { rel: 'alternate', type: 'text/html', href: item.url }),
+    item.image && element('link', { rel: 'enclosure', type: item.image.type, length: item.image.size, href: item.image.url }),
+    element('published', {}, item.published.toISOString()),
+    element('updated', {}, item.updated.toISOString()),
+    `<author>${element('name', {}, item.author.name)}${item.author.url ? element('uri', {}, item.author.url) : ''}</author>`,
+    ...item.categories.map((category) => element('category', { term: category })),
+    element('summary', { type: 'text' }, item.summary),
+    item.contentHtml !== null && element('content', { type: 'html' }, item.contentHtml),
+    '</entry>',
+  ].filter(Boolean).join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    element('id', {}, feed.homeUrl),
+    element('title', {}, feed.title),
+    element('subtitle', {}, feed.description),
+    element('link', { rel: 'alternate', type: 'text/html', href: feed.homeUrl }),
+    element('link', { rel: 'self', type: 'application/atom+xml', href: feed.feedUrl }),
+    element('updated', {}, feed.updated.toISOString()),
+    element('generator', {}, GENERATOR),
+    ...entries,
+    '</feed>',
+  ].join('\n');
+};
+
+const renderJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.homeUrl,
+  feed_url: feed.feedUrl,
+  description: feed.description,
+  items: feed.items.map((item) => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    ...(item.contentHtml !== null ? { content_html: item.contentHtml } : { content_text: item.summary }),
+    summary: item.summary,
+    ...(item.image && { image: item.image.url }),
+    date_published: item.published.toISOString(),
+    date_modified: item.updated.toISOString(),
+    authors: [{ name: item.author.name, url: item.author.url }],
+    tags: item.categories,
+    ...(item.image && {
+      attachments: [{ url: item.image.url, mime_type: item.image.type, size_in_bytes: item.image.size }],
+    }),
+  })),
+}, null, 2);
+
+// Feed file names -> content type and renderer
+const FEED_FORMATS = {
+  'rss.xml': { contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+  'atom.xml': { contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+  'feed.json': { contentType: 'application/feed+json; charset=utf-8', render: renderJsonFeed },
+};
+
+module.exports = {
+  FEED_FORMATS,
+  summarize,
+};
@@ -0,0 +1,34 @@
+// viewerState.js - The signed-in user's own reactions and bookmarks on a set of posts
+
+const Reaction = require('../models/Reaction');
+const Bookmark = require('../models/Bookmark');
+
+// Map of post id -> { myReactions: [type], bookmarked } for the given user.
+// Anonymous requesters get the empty state for every post.
+const viewerState = async (user, postIds) => {
+  const state = new Map(postIds.map((id) => [String(id), { myReactions: [], bookmarked: false }]));
+  if (!user || postIds.length === 0) {
+    return state;
+  }
+
+  const [reactions, bookmarks] = await Promise.all([
+    Reaction.find({ user: user.id, post: { $in: postIds } }).select('post type').sort({ createdAt: 1 }).lean(),
+    Bookmark.find({ user: user.id, post: { $in: postIds } }).select('post').lean(),
+  ]);
+
+  reactions.forEach((reaction) => state.get(String(reaction.post))?.myReactions.push(reaction.type));
+  bookmarks.forEach((bookmark) => {
+    const entry = state.get(String(bookmark.post));
+    if (entry) entry.bookmarked = true;
+  });
+  return state;
+};
+
+// Stable string for folding viewer state into an ETag: the counters behind
+// a post don't touch its updatedAt, but a user's own toggles must show up
+const viewerStateTag = (state) => JSON.stringify([...state]);
+
+module.exports = {
+  viewerState,
+  viewerStateTag,
+};
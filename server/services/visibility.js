@@ -0,0 +1,90 @@
+// server/services/visibility.js - Who can read which posts
+//
+// Every route that hands out posts (lists, detail, images, search, comments)
+// scopes its queries through here, so the rules live in one place:
+//   public   - anyone, listed everywhere
+//   members  - signed-in users, listed for them
+//   private  - the author and editors, listed for the author
+//   unlisted - anyone with the link, never listed or searchable
+// Only published posts are readable; drafts and the rest are for people who can edit them.
+const crypto = require('crypto');
+const { can } = require('../config/permissions');
+
+// Posts saved before visibility existed count as public
+const visibilityOf = (post) => post.visibility || 'public';
+
+// Query for the published posts a user may find in lists, feeds and search
+const listedFilter = (user) => {
+  const published = { status: 'published' };
+
+  if (!user) {
+    return { ...published, visibility: { $in: ['public', null] } };
+  }
+  if (can(user, 'posts:update')) {
+    return { ...published, visibility: { $ne: 'unlisted' } };
+  }
+  return {
+    ...published,
+    $or: [
+      { visibility: { $in: ['public', 'members', null] } },
+      { visibility: 'private', author: user._id },
+    ],
+  };
+};
+
+// Whether a user may open a post directly (by id, slug or image URL)
+const canView = (user, post) => {
+  if (!post) return false;
+  // Authors and editors can always see what they can edit
+  if (can(user, 'posts:update', post)) return true;
+  if (post.status !== 'published') return false;
+
+  switch (visibilityOf(post)) {
+    case 'public':
+    case 'unlisted':
+      return true;
+    case 'members':
+      return !!user;
+    default:
+      return false;
+  }
+};
+
+// Whether a post can be served to anyone, and so be cached by shared caches
+const isPublic = (post) => canView(null, post);
+
+// Image requests come from <img> tags, which can't send the access token. Posts
+// that aren't public hand out a token tied to the current image instead; it stops
+// working when the image is replaced.
+const signImage = (post) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`${post._id}:${post.featuredImage._id || post.featuredImage}`)
+  .digest('base64url');
+
+// Token to append to a post's image URLs, or null when none is needed
+const imageToken = (post) => (post.featuredImage && !isPublic(post) ? signImage(post) : null);
+
+const verifyImageToken = (post, token) => {
+  if (!token || !post.featuredImage) return false;
+  const expected = Buffer.from(signImage(post));
+  const given = Buffer.from(String(token));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Response shape shared by post lists and detail: image flag, plus the image
+// token <img> tags need for posts that aren't public. Takes documents or plain
+// (lean or aggregated) objects.
+const withImageAccess = (post) => ({
+  ...(typeof post.toObject === 'function' ? post.toObject() : post),
+  hasFeaturedImage: !!post.featuredImage,
+  imageToken: imageToken(post) || undefined,
+});
+
+module.exports = {
+  listedFilter,
+  canView,
+  isPublic,
+  imageToken,
+  verifyImageToken,
+  withImageAccess,
+};
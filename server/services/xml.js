@@ -0,0 +1,26 @@
+// server/services/xml.js - Small helpers for writing XML (feeds, sitemaps)
+
+// Characters XML 1.0 doesn't allow anywhere, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// <tag attr="value">text</tag>, or <tag attr="value"/> without text
+const element = (name, attributes = {}, text = null) => {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  return text === null ? `<${name}${attrs}/>` : `<${name}${attrs}>${escapeXml(text)}</${name}>`;
+};
+
+module.exports = {
+  escapeXml,
+  element,
+};
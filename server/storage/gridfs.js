@@ -0,0 +1,31 @@
+// server/storage/gridfs.js - MongoDB GridFS storage adapter
+const mongoose = require('mongoose');
+
+const createGridFSStorage = ({ bucketName }) => {
+  // The bucket needs a live connection, so create it lazily on first use
+  let bucket;
+  const getBucket = () => {
+    if (!bucket) {
+      bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+    }
+    return bucket;
+  };
+
+  return {
+    name: 'gridfs',
+
+    createWriteStream: (key, { contentType } = {}) =>
+      getBucket().openUploadStream(key, { metadata: { contentType } }),
+
+    createReadStream: (key) => getBucket().openDownloadStreamByName(key),
+
+    remove: async (key) => {
+      const files = await getBucket().find({ filename: key }).toArray();
+      for (const file of files) {
+        await getBucket().delete(file._id);
+      }
+    },
+  };
+};
+
+module.exports = createGridFSStorage;
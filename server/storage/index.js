@@ -0,0 +1,58 @@
+// server/storage/index.js - Pluggable media storage
+//
+// Every adapter exposes the same interface:
+//   name                              - identifier persisted on Media documents
+//   createWriteStream(key, { contentType }) - writable stream for a new object
+//   createReadStream(key)             - readable stream for an existing object
+//   remove(key)                       - Promise, resolves once the object is gone
+//
+// MEDIA_STORAGE picks the adapter new uploads go to. Existing media always
+// reads from the adapter it was written with, so switching is safe.
+const crypto = require('crypto');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const createLocalStorage = require('./local');
+const createGridFSStorage = require('./gridfs');
+
+const factories = {
+  local: () =>
+    createLocalStorage({
+      root: process.env.MEDIA_LOCAL_ROOT || path.join(__dirname, '..', 'media'),
+    }),
+  gridfs: () =>
+    createGridFSStorage({
+      bucketName: process.env.MEDIA_GRIDFS_BUCKET || 'media',
+    }),
+};
+
+const adapters = {};
+
+// Get an adapter by name, creating it on first use
+const getAdapter = (name) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown media storage adapter: ${name}`);
+  }
+  if (!adapters[name]) {
+    adapters[name] = factories[name]();
+  }
+  return adapters[name];
+};
+
+// Adapter that new uploads are written to
+const getDefaultAdapter = () => getAdapter(process.env.MEDIA_STORAGE || 'local');
+
+// Generate a unique storage key that keeps the original file extension
+const generateKey = (filename = '') =>
+  `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(filename).toLowerCase()}`;
+
+// Write a whole buffer to an adapter
+const saveBuffer = (adapter, key, buffer, options = {}) =>
+  pipeline(Readable.from([buffer]), adapter.createWriteStream(key, options));
+
+module.exports = {
+  getAdapter,
+  getDefaultAdapter,
+  generateKey,
+  saveBuffer,
+};
@@ -0,0 +1,37 @@
+// server/storage/local.js - Local filesystem storage adapter
+const fs = require('fs');
+const path = require('path');
+
+const createLocalStorage = ({ root }) => {
+  fs.mkdirSync(root, { recursive: true });
+
+  // Keys are generated by us, but never let one escape the storage root
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    createWriteStream: (key) => fs.createWriteStream(resolve(key)),
+
+    createReadStream: (key) => fs.createReadStream(resolve(key)),
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (error) {
+        // Already gone is as good as removed
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+  };
+};
+
+module.exports = createLocalStorage;